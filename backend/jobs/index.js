@@ -0,0 +1,178 @@
+import { defineJob } from '../services/jobScheduler.js';
+import subscriptionService from '../services/subscriptionService.js';
+import adCreditService from '../services/adCreditService.js';
+import couponService from '../services/couponService.js';
+import AdCreditEntry from '../models/AdCreditEntry.js';
+import Ad from '../models/Ad.js';
+import FriendRequest from '../models/FriendRequest.js';
+import Post from '../models/Post.js';
+import Community from '../models/Community.js';
+import Rfq from '../models/Rfq.js';
+import { Conversation, Message } from '../models/Chat.js';
+import { signMessageMedia, deleteFile } from '../services/storage/index.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Deliver scheduled chat messages whose send time has come
+const deliverScheduledMessages = async ({ io }) => {
+  const messages = await Message.releaseDueScheduledMessages();
+
+  let deliveredCount = 0;
+  for (const message of messages) {
+    const conversation = await Conversation.findById(message.conversation);
+
+    // The sender left (or the conversation is gone) before the send time
+    if (!conversation || !conversation.isParticipant(message.sender)) {
+      await Message.deleteOne({ _id: message._id });
+      continue;
+    }
+
+    await conversation.updateLastMessage({
+      content: message.content,
+      sender: message.sender,
+      type: message.type,
+      isEncrypted: message.isEncrypted,
+      createdAt: message.createdAt
+    });
+
+    await message.populate('sender', 'displayName businessName profilePicture');
+
+    // The sender gets it too, so their other devices move it out of the scheduled list
+    conversation.participants
+      .filter(participant => !participant.leftAt)
+      .forEach(participant => {
+        io?.to(`user_${participant.user}`).emit('new_message', {
+          conversationId: conversation._id,
+          message: {
+            _id: message._id,
+            sender: message.sender,
+            content: message.content,
+            type: message.type,
+            ...signMessageMedia(message),
+            replyTo: message.replyTo,
+            isEncrypted: message.isEncrypted,
+            encryption: message.isEncrypted ? message.encryption : undefined,
+            isTemporary: message.isTemporary,
+            expiresAt: message.expiresAt,
+            createdAt: message.createdAt
+          }
+        });
+      });
+    deliveredCount++;
+  }
+
+  return { deliveredCount };
+};
+
+// Replace expired temporary messages with tombstones and tell the conversation
+const purgeExpiredMessages = async ({ io }) => {
+  const messages = await Message.purgeExpiredMessages();
+
+  // Stored attachments go with the message
+  for (const message of messages) {
+    for (const file of [message.voice?.audioUrl, message.media?.url, message.media?.thumbnail]) {
+      await deleteFile(file).catch(error => console.error(`Failed to delete ${file}:`, error.message));
+    }
+  }
+
+  const conversationIds = [...new Set(messages.map(message => message.conversation.toString()))];
+  const conversations = await Conversation.find({ _id: { $in: conversationIds } }).select('participants');
+
+  for (const message of messages) {
+    const conversation = conversations.find(c => c._id.equals(message.conversation));
+    if (!conversation) continue;
+
+    conversation.participants
+      .filter(participant => !participant.leftAt)
+      .forEach(participant => {
+        io?.to(`user_${participant.user}`).emit('message_expired', {
+          conversationId: conversation._id,
+          messageId: message._id
+        });
+      });
+  }
+
+  return { purgedCount: messages.length };
+};
+
+// Register all recurring jobs with the scheduler
+export const registerJobs = () => {
+  defineJob('subscriptions.expire', {
+    description: 'Expire ended subscriptions and downgrade their users',
+    interval: HOUR,
+    handler: () => subscriptionService.checkExpiredSubscriptions()
+  });
+
+  defineJob('subscriptions.autoRenew', {
+    description: 'Create pending renewals for auto-renewing subscriptions ending within 3 days',
+    interval: 6 * HOUR,
+    handler: () => subscriptionService.processAutoRenewals()
+  });
+
+  defineJob('coupons.releaseAbandoned', {
+    description: 'Give back coupon redemptions held by subscriptions left unpaid for 24 hours',
+    interval: HOUR,
+    handler: () => couponService.releaseAbandonedCoupons()
+  });
+
+  defineJob('adCredits.grantMonthly', {
+    description: 'Grant each active subscription its ad credits for the current 30-day period',
+    interval: HOUR,
+    handler: () => adCreditService.grantDueCredits()
+  });
+
+  defineJob('adCredits.expire', {
+    description: 'Expire unused ad credits past the end of their period',
+    interval: HOUR,
+    handler: () => AdCreditEntry.expireDue()
+  });
+
+  defineJob('ads.updateCampaignStatuses', {
+    description: 'Activate approved ads whose campaign has started and complete ended campaigns',
+    interval: 5 * MINUTE,
+    handler: () => Ad.updateCampaignStatuses()
+  });
+
+  defineJob('friendRequests.expire', {
+    description: 'Remove pending friend requests past their expiry date',
+    interval: HOUR,
+    handler: () => FriendRequest.removeExpiredRequests()
+  });
+
+  defineJob('chat.deliverScheduled', {
+    description: 'Deliver scheduled chat messages that are due',
+    interval: MINUTE,
+    retryDelay: 15 * 1000,
+    lockTimeout: 5 * MINUTE,
+    handler: deliverScheduledMessages
+  });
+
+  defineJob('chat.purgeExpired', {
+    description: 'Replace temporary chat messages past their expiry with tombstones',
+    interval: MINUTE,
+    retryDelay: 15 * 1000,
+    handler: purgeExpiredMessages
+  });
+
+  defineJob('posts.unpinExpired', {
+    description: 'Unpin posts whose pinnedUntil has passed',
+    interval: 15 * MINUTE,
+    handler: () => Post.unpinExpired()
+  });
+
+  defineJob('communities.removeInactiveMembers', {
+    description: 'Remove inactive members from communities with autoDeleteInactiveMembers enabled',
+    interval: 24 * HOUR,
+    lockTimeout: HOUR,
+    handler: () => Community.removeInactiveMembers()
+  });
+
+  defineJob('rfqs.expireQuotes', {
+    description: 'Expire RFQs whose active quotation is past its validity',
+    interval: HOUR,
+    handler: () => Rfq.expireStaleQuotes()
+  });
+};
+
+export default registerJobs;
@@ -1,28 +1,4 @@
-import jwt from 'jsonwebtoken';
-import admin from 'firebase-admin';
-import User from '../models/User.js';
-
-// Initialize Firebase Admin SDK
-const serviceAccount = {
-  // This would normally be loaded from environment variables
-  type: "service_account",
-  project_id: process.env.FIREBASE_PROJECT_ID,
-  private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-  private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-  client_email: process.env.FIREBASE_CLIENT_EMAIL,
-  client_id: process.env.FIREBASE_CLIENT_ID,
-  auth_uri: "https://accounts.google.com/o/oauth2/auth",
-  token_uri: "https://oauth2.googleapis.com/token",
-  auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-  client_x509_cert_url: process.env.FIREBASE_CLIENT_CERT_URL
-};
-
-if (!admin.apps.length && process.env.NODE_ENV === 'production') {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    databaseURL: process.env.FIREBASE_DATABASE_URL
-  });
-}
+import { authenticateToken } from '../services/tokenService.js';
 
 export const auth = async (req, res, next) => {
   try {
@@ -38,53 +14,17 @@ export const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
     
-    let decoded;
-    let isFirebaseToken = false;
-    
+    let session;
     try {
-      // First try to verify as Firebase token
-      if (process.env.NODE_ENV === 'production') {
-        decoded = await admin.auth().verifyIdToken(token);
-        isFirebaseToken = true;
-      } else {
-        throw new Error('Firebase not initialized in development');
-      }
-    } catch (firebaseError) {
-      try {
-        // Fallback to JWT token for development or email auth
-        decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
-        isFirebaseToken = false;
-      } catch (jwtError) {
-        return res.status(401).json({ message: 'Invalid token.' });
+      session = await authenticateToken(token);
+    } catch (error) {
+      if (error.statusCode === 401) {
+        return res.status(401).json({ message: error.message, reason: error.reason });
       }
+      throw error;
     }
     
-    let user;
-    
-    if (isFirebaseToken) {
-      // Firebase token - find user by Firebase UID
-      user = await User.findOne({ firebaseUid: decoded.uid }).select('-password');
-      if (!user) {
-        return res.status(401).json({ message: 'User not found.' });
-      }
-    } else {
-      // JWT token - find user by ID
-      user = await User.findById(decoded.userId).select('-password');
-      if (!user) {
-        return res.status(401).json({ message: 'User not found.' });
-      }
-    }
-    
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated.' });
-    }
-    
-    if (user.isBanned) {
-      return res.status(401).json({ 
-        message: 'Account is banned.', 
-        reason: user.banReason 
-      });
-    }
+    const { user, provider, sessionId } = session;
     
     // Update last active
     user.updateLastActive();
@@ -92,7 +32,8 @@ export const auth = async (req, res, next) => {
     // Add user info to request
     req.user = user;
     req.userId = user._id;
-    req.isFirebaseAuth = isFirebaseToken;
+    req.sessionId = sessionId;
+    req.isFirebaseAuth = provider === 'firebase';
     
     next();
   } catch (error) {
@@ -116,39 +57,19 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
     
-    let decoded;
-    let isFirebaseToken = false;
-    
+    let session;
     try {
-      if (process.env.NODE_ENV === 'production') {
-        decoded = await admin.auth().verifyIdToken(token);
-        isFirebaseToken = true;
-      } else {
-        throw new Error('Firebase not initialized in development');
-      }
-    } catch (firebaseError) {
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
-        isFirebaseToken = false;
-      } catch (jwtError) {
-        return next();
-      }
-    }
-    
-    let user;
-    
-    if (isFirebaseToken) {
-      user = await User.findOne({ firebaseUid: decoded.uid }).select('-password');
-    } else {
-      user = await User.findById(decoded.userId).select('-password');
+      session = await authenticateToken(token);
+    } catch (error) {
+      return next();
     }
     
-    if (user && user.isActive && !user.isBanned) {
-      user.updateLastActive();
-      req.user = user;
-      req.userId = user._id;
-      req.isFirebaseAuth = isFirebaseToken;
-    }
+    const { user, provider, sessionId } = session;
+    user.updateLastActive();
+    req.user = user;
+    req.userId = user._id;
+    req.sessionId = sessionId;
+    req.isFirebaseAuth = provider === 'firebase';
     
     next();
   } catch (error) {
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import AdCreditEntry from './AdCreditEntry.js';
+import Notification from './Notification.js';
 
 const adSchema = new mongoose.Schema({
   // Owner
@@ -80,6 +82,10 @@ const adSchema = new mongoose.Schema({
     locations: [{
       city: { type: String, required: true },
       state: { type: String },
+      coordinates: {
+        latitude: { type: Number },
+        longitude: { type: Number }
+      },
       radius: { type: Number, default: 50 } // in kilometers
     }],
     categories: [{
@@ -99,7 +105,14 @@ const adSchema = new mongoose.Schema({
     communities: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Community'
-    }]
+    }],
+    // Where the ad may be shown; empty means everywhere
+    placements: [{
+      type: String,
+      enum: ['feed', 'search', 'community']
+    }],
+    // Most times one user sees the ad per day
+    frequencyCap: { type: Number, default: 3, min: 1 }
   },
   
   // Campaign Settings
@@ -146,6 +159,8 @@ const adSchema = new mongoose.Schema({
       enum: ['cpm', 'cpc', 'flat_rate'], // Cost per mille, cost per click, flat rate
       default: 'flat_rate'
     },
+    // ₹ per click for CPC, ₹ per 1000 impressions for CPM
+    bid: { type: Number, min: 0 },
     budget: {
       daily: { type: Number },
       total: { type: Number, required: true },
@@ -160,6 +175,11 @@ const adSchema = new mongoose.Schema({
     enum: ['draft', 'pending_approval', 'approved', 'active', 'paused', 'completed', 'rejected', 'cancelled'],
     default: 'draft'
   },
+  // Why the ad was paused when the system paused it
+  pausedReason: {
+    type: String,
+    enum: ['manual', 'insufficient_credits', 'budget_exhausted']
+  },
   
   // Admin Review
   review: {
@@ -176,6 +196,8 @@ const adSchema = new mongoose.Schema({
   analytics: {
     impressions: { type: Number, default: 0 },
     clicks: { type: Number, default: 0 },
+    // Clicks rejected by invalid-traffic screening (not billed, not in clicks)
+    invalidClicks: { type: Number, default: 0 },
     views: { type: Number, default: 0 },
     shares: { type: Number, default: 0 },
     likes: { type: Number, default: 0 },
@@ -193,6 +215,7 @@ const adSchema = new mongoose.Schema({
       date: { type: Date },
       impressions: { type: Number, default: 0 },
       clicks: { type: Number, default: 0 },
+      invalidClicks: { type: Number, default: 0 },
       views: { type: Number, default: 0 },
       spent: { type: Number, default: 0 }
     }]
@@ -246,6 +269,7 @@ adSchema.index({ 'product.category': 1, status: 1 });
 adSchema.index({ 'targeting.locations.city': 1, status: 1 });
 adSchema.index({ 'campaign.startDate': 1, 'campaign.endDate': 1 });
 adSchema.index({ 'featured.isFeatured': 1, 'featured.featuredUntil': 1 });
+adSchema.index({ status: 1, 'targeting.placements': 1 });
 
 // Text search index
 adSchema.index({
@@ -255,6 +279,53 @@ adSchema.index({
   'product.tags': 'text'
 });
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+const AUTO_PAUSE_MESSAGES = {
+  insufficient_credits: 'you have run out of ad credits',
+  budget_exhausted: 'it has spent its total budget'
+};
+
+// Weekday and minutes past midnight of a moment in the given time zone
+const getLocalTime = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'long',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch (error) {
+    return getLocalTime(date, 'Asia/Kolkata');
+  }
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    day: part('weekday').toLowerCase(),
+    minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+  };
+};
+
+// 'HH:MM' to minutes past midnight
+const parseTimeOfDay = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+// Daily stats are keyed by local midnight
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const getSpentOn = (ad, day) => {
+  return ad.analytics.dailyStats.find(stat => stat.date.getTime() === day.getTime())?.spent || 0;
+};
+
 // Virtual for days remaining
 adSchema.virtual('daysRemaining').get(function() {
   if (this.campaign.endDate) {
@@ -327,6 +398,7 @@ adSchema.methods.recordInteraction = function(userId, type, metadata = {}) {
   if (!dailyStat) {
     dailyStat = { date: today, impressions: 0, clicks: 0, views: 0, spent: 0 };
     this.analytics.dailyStats.push(dailyStat);
+    dailyStat = this.analytics.dailyStats[this.analytics.dailyStats.length - 1];
   }
   
   if (type === 'view') dailyStat.views += 1;
@@ -360,6 +432,7 @@ adSchema.methods.recordImpression = function() {
   if (!dailyStat) {
     dailyStat = { date: today, impressions: 0, clicks: 0, views: 0, spent: 0 };
     this.analytics.dailyStats.push(dailyStat);
+    dailyStat = this.analytics.dailyStats[this.analytics.dailyStats.length - 1];
   }
   
   dailyStat.impressions += 1;
@@ -367,9 +440,144 @@ adSchema.methods.recordImpression = function() {
   return this.save();
 };
 
-// Update spent amount
-adSchema.methods.updateSpent = function(amount) {
-  this.pricing.actualSpent += amount;
+// Record a click rejected by invalid-traffic screening
+adSchema.methods.recordInvalidClick = function() {
+  this.analytics.invalidClicks += 1;
+  
+  const today = startOfDay();
+  let dailyStat = this.analytics.dailyStats.find(stat => 
+    stat.date.getTime() === today.getTime()
+  );
+  
+  if (!dailyStat) {
+    this.analytics.dailyStats.push({ date: today, impressions: 0, clicks: 0, views: 0, spent: 0 });
+    dailyStat = this.analytics.dailyStats[this.analytics.dailyStats.length - 1];
+  }
+  
+  dailyStat.invalidClicks += 1;
+  
+  return this.save();
+};
+
+// Move a click that was counted as valid over to the invalid clicks and take back what it was
+// charged, on the day it happened
+adSchema.methods.reverseClick = function(clickedAt, charged = 0) {
+  this.analytics.clicks = Math.max(0, this.analytics.clicks - 1);
+  this.analytics.invalidClicks += 1;
+  this.pricing.actualSpent = Math.max(0, this.pricing.actualSpent - charged);
+
+  const day = startOfDay(clickedAt);
+  const dailyStat = this.analytics.dailyStats.find(stat => stat.date.getTime() === day.getTime());
+  if (dailyStat) {
+    dailyStat.clicks = Math.max(0, dailyStat.clicks - 1);
+    dailyStat.invalidClicks += 1;
+    dailyStat.spent = Math.max(0, dailyStat.spent - charged);
+  }
+
+  return this.save();
+};
+
+// Cost of a billable event at the ad's bid. Flat-rate ads pay a daily fee instead (see getFlatDailyFee).
+adSchema.methods.getEventCost = function(event) {
+  const bid = this.pricing.bid || 0;
+
+  if (event === 'click' && this.pricing.model === 'cpc') return bid;
+  if (event === 'impression' && this.pricing.model === 'cpm') return bid / 1000;
+
+  return 0;
+};
+
+// Flat-rate ads pay their total budget spread evenly over the campaign days
+adSchema.methods.getFlatDailyFee = function() {
+  if (this.pricing.model !== 'flat_rate') return 0;
+
+  const campaignDays = Math.max(1, Math.ceil((this.campaign.endDate - this.campaign.startDate) / DAY_MS));
+  return this.pricing.budget.total / campaignDays;
+};
+
+// Where the ad is in today's delivery window (campaign.schedule in campaign.timezone).
+// Without schedule hours the window is the whole day; windows ending before they start are ignored.
+adSchema.methods.getDeliveryWindow = function(now = new Date()) {
+  const { day, minutes } = getLocalTime(now, this.campaign.timezone);
+  const days = this.campaign.schedule?.days || [];
+  const hours = this.campaign.schedule?.hours || {};
+
+  let start = parseTimeOfDay(hours.start) ?? 0;
+  let end = parseTimeOfDay(hours.end) ?? MINUTES_PER_DAY;
+  if (end <= start) {
+    start = 0;
+    end = MINUTES_PER_DAY;
+  }
+
+  const runsToday = days.length === 0 || days.includes(day);
+  const inWindow = runsToday && minutes >= start && minutes < end;
+
+  return {
+    runsToday,
+    inWindow,
+    // Share of the window that has started, counting the current minute
+    elapsed: Math.min(1, Math.max(0, (minutes - start + 1) / (end - start)))
+  };
+};
+
+// Today's spend limit: the daily budget if set, otherwise what is left of the total budget
+// spread over the remaining campaign days. Never more than the total budget allows.
+adSchema.methods.getDailyCap = function(now = new Date()) {
+  const today = startOfDay(now);
+  const availableToday = Math.max(0, this.pricing.budget.total - this.pricing.actualSpent) + getSpentOn(this, today);
+
+  if (this.pricing.budget.daily) {
+    return Math.min(this.pricing.budget.daily, availableToday);
+  }
+
+  const daysLeft = Math.max(1, Math.ceil((this.campaign.endDate - today) / DAY_MS));
+  return availableToday / daysLeft;
+};
+
+// CPC and CPM ads are charged at their bid, so they can't run without one (flat-rate ads don't bid)
+adSchema.methods.hasBid = function() {
+  return this.pricing.model === 'flat_rate' || this.pricing.bid > 0;
+};
+
+// Budget pacing: spend the daily cap evenly across the delivery window, so by any moment only
+// the elapsed share of the window's budget may have been spent. canServe says whether the ad
+// may be shown right now.
+adSchema.methods.getPacing = function(now = new Date()) {
+  const spentToday = getSpentOn(this, startOfDay(now));
+  const dailyCap = this.getDailyCap(now);
+  const budgetRemaining = Math.max(0, this.pricing.budget.total - this.pricing.actualSpent);
+  const window = this.getDeliveryWindow(now);
+  const pacedLimit = dailyCap * window.elapsed;
+
+  // Flat-rate ads pay for the whole day up front
+  const withinPace = this.pricing.model === 'flat_rate' || spentToday < pacedLimit;
+
+  return {
+    dailyCap,
+    spentToday,
+    pacedLimit,
+    budgetRemaining,
+    inWindow: window.inWindow,
+    canServe: this.status === 'active' && this.hasBid() && window.inWindow && budgetRemaining > 0 && withinPace
+  };
+};
+
+// Update spent amount, charging it to the owner's ad credits.
+// The charge is capped by today's cap and the remaining total budget, and only what the credits
+// cover is recorded as spent. The ad pauses when its credits or its total budget run out.
+// Resolves to the amount actually charged.
+adSchema.methods.updateSpent = async function(amount, usage = {}) {
+  const pacing = this.getPacing();
+  const billable = Math.min(amount, Math.max(0, pacing.dailyCap - pacing.spentToday), pacing.budgetRemaining);
+  if (billable <= 0) return 0;
+
+  const { charged, exhausted } = await AdCreditEntry.spend(this.owner, billable, {
+    ad: this._id,
+    clicks: usage.clicks,
+    impressions: usage.impressions
+  });
+
+  this.pricing.actualSpent += charged;
   
   // Update daily stats
   const today = new Date();
@@ -382,21 +590,48 @@ adSchema.methods.updateSpent = function(amount) {
   if (!dailyStat) {
     dailyStat = { date: today, impressions: 0, clicks: 0, views: 0, spent: 0 };
     this.analytics.dailyStats.push(dailyStat);
+    dailyStat = this.analytics.dailyStats[this.analytics.dailyStats.length - 1];
   }
   
-  dailyStat.spent += amount;
+  dailyStat.spent += charged;
+
+  let autoPauseReason = null;
+  if (this.status === 'active') {
+    if (this.isBudgetExceeded()) autoPauseReason = 'budget_exhausted';
+    else if (exhausted) autoPauseReason = 'insufficient_credits';
+  }
+
+  if (autoPauseReason) {
+    this.status = 'paused';
+    this.pausedReason = autoPauseReason;
+  }
   
-  return this.save();
+  await this.save();
+
+  if (autoPauseReason) {
+    await Notification.createNotification({
+      recipient: this.owner,
+      type: 'system',
+      title: 'Ad paused',
+      message: `"${this.title}" was paused because ${AUTO_PAUSE_MESSAGES[autoPauseReason]}.`,
+      link: `/ads/${this._id}`,
+      relatedModel: 'Ad',
+      relatedId: this._id,
+      priority: 'high'
+    });
+  }
+
+  return charged;
 };
 
-// Check if budget exceeded
+// Check if budget exceeded (charges are kept to 4 decimal places)
 adSchema.methods.isBudgetExceeded = function() {
-  return this.pricing.actualSpent >= this.pricing.budget.total;
+  return this.pricing.actualSpent >= this.pricing.budget.total - 0.0001;
 };
 
-// Approve ad
+// Approve ad. It goes live straight away if its campaign has started.
 adSchema.methods.approve = function(reviewerId, notes = '') {
-  this.status = 'approved';
+  this.status = this.campaign.startDate <= new Date() ? 'active' : 'approved';
   this.review.reviewedBy = reviewerId;
   this.review.reviewedAt = new Date();
   this.review.notes = notes;
@@ -426,6 +661,7 @@ adSchema.methods.feature = function(until, position = null) {
 // Pause ad
 adSchema.methods.pause = function() {
   this.status = 'paused';
+  this.pausedReason = 'manual';
   return this.save();
 };
 
@@ -433,6 +669,7 @@ adSchema.methods.pause = function() {
 adSchema.methods.resume = function() {
   if (this.status === 'paused') {
     this.status = 'active';
+    this.pausedReason = undefined;
   }
   return this.save();
 };
@@ -464,6 +701,23 @@ adSchema.statics.findForLocation = function(city, categories = [], limit = 10) {
     .limit(limit);
 };
 
+// Start approved campaigns whose start date has come and complete ended ones (run as scheduled job)
+adSchema.statics.updateCampaignStatuses = async function() {
+  const now = new Date();
+
+  const activated = await this.updateMany(
+    { status: 'approved', 'campaign.startDate': { $lte: now }, 'campaign.endDate': { $gt: now } },
+    { $set: { status: 'active' } }
+  );
+
+  const completed = await this.updateMany(
+    { status: { $in: ['approved', 'active', 'paused'] }, 'campaign.endDate': { $lte: now } },
+    { $set: { status: 'completed' }, $unset: { pausedReason: 1 } }
+  );
+
+  return { activatedCount: activated.modifiedCount, completedCount: completed.modifiedCount };
+};
+
 // Find ads pending approval
 adSchema.statics.findPendingApproval = function(page = 1, limit = 20) {
   return this.find({ status: 'pending_approval' })
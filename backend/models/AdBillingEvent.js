@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// One billable ad event: a CPM impression, a CPC click or a flat-rate day.
+// `bid` is what the event costs at the ad's rate, `amount` what was actually charged
+// after the daily cap, total budget and the owner's ad credits were applied.
+// A click later found invalid gets a click_refund with the negative amount, on the click's day.
+const adBillingEventSchema = new mongoose.Schema({
+  ad: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ad',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['impression', 'click', 'click_refund', 'flat_fee'],
+    required: true
+  },
+  // The viewer who saw or clicked the ad
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  bid: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+  // Same day key as the ad's analytics.dailyStats
+  day: { type: Date, required: true },
+  // One flat fee per ad per day
+  key: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes
+adBillingEventSchema.index({ ad: 1, day: 1 });
+adBillingEventSchema.index({ owner: 1, createdAt: -1 });
+adBillingEventSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+const AdBillingEvent = mongoose.model('AdBillingEvent', adBillingEventSchema);
+
+export default AdBillingEvent;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const INVALID_CLICK_REASONS = ['duplicate', 'no_impression', 'burst'];
+
+// Every click on an ad with the verdict of invalid-traffic screening.
+// Only valid clicks are counted in analytics.clicks and billed.
+const adClickSchema = new mongoose.Schema({
+  ad: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ad',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ip: { type: String },
+  deviceId: { type: String },
+  userAgent: { type: String, maxlength: 500 },
+
+  valid: { type: Boolean, required: true },
+  reasons: [{
+    type: String,
+    enum: INVALID_CLICK_REASONS
+  }],
+  charged: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes
+adClickSchema.index({ ad: 1, user: 1, createdAt: -1 });
+adClickSchema.index({ ad: 1, ip: 1, createdAt: -1 });
+adClickSchema.index({ ad: 1, deviceId: 1, createdAt: -1 });
+adClickSchema.index({ user: 1, createdAt: -1 });
+adClickSchema.index({ ip: 1, createdAt: -1 });
+adClickSchema.index({ ad: 1, valid: 1, createdAt: -1 });
+
+const AdClick = mongoose.model('AdClick', adClickSchema);
+
+export { INVALID_CLICK_REASONS };
+export default AdClick;
@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+
+// Ad credit ledger. One ad credit pays for ₹1 of ad spend.
+//
+// User.adCredits is the running balance; every change to it goes through this ledger.
+// Credit entries (grant, refund, positive adjust) track how much of them is still unspent in
+// `remaining`, so expiry only removes what is left of a lapsed grant. Spending draws from the
+// soonest-expiring credits first. Spend is recorded as one entry per ad per day.
+const ENTRY_TYPES = ['grant', 'spend', 'refund', 'expire', 'adjust'];
+
+const adCreditEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  // Signed: positive adds credits, negative removes them
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number
+  },
+
+  // Credit entries only
+  remaining: { type: Number, min: 0 },
+  expiresAt: { type: Date },
+
+  // What the entry relates to
+  ad: { type: mongoose.Schema.Types.ObjectId, ref: 'Ad' },
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+  grant: { type: mongoose.Schema.Types.ObjectId, ref: 'AdCreditEntry' },
+  periodStart: { type: Date },
+  periodEnd: { type: Date },
+
+  // Spend entries only
+  day: { type: String }, // YYYY-MM-DD
+  usage: {
+    clicks: { type: Number, default: 0 },
+    impressions: { type: Number, default: 0 }
+  },
+
+  reason: { type: String, maxlength: 500 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Makes grants and daily spend entries idempotent
+  key: { type: String }
+}, {
+  timestamps: true
+});
+
+// Indexes
+adCreditEntrySchema.index({ user: 1, createdAt: -1 });
+adCreditEntrySchema.index({ key: 1 }, { unique: true, sparse: true });
+adCreditEntrySchema.index({ user: 1, remaining: 1 });
+adCreditEntrySchema.index({ expiresAt: 1, remaining: 1 });
+adCreditEntrySchema.index({ ad: 1, type: 1 });
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Take up to `amount` from the user's balance. Resolves to { taken, balance }.
+const takeFromBalance = async (userId, amount) => {
+  const User = mongoose.model('User');
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const user = await User.findById(userId).select('adCredits');
+    if (!user) return { taken: 0, balance: 0 };
+
+    const taken = round(Math.min(amount, user.adCredits || 0));
+    if (taken <= 0) return { taken: 0, balance: user.adCredits || 0 };
+
+    // Only succeeds if nobody changed the balance in between
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, adCredits: user.adCredits },
+      { $inc: { adCredits: -taken } },
+      { new: true, select: 'adCredits' }
+    );
+    if (updated) return { taken, balance: updated.adCredits };
+  }
+
+  throw new Error('Could not update ad credit balance, please retry');
+};
+
+// Mark `amount` of the user's open credit entries as used, soonest-expiring first
+const consumeCredits = async function(userId, amount) {
+  const openCredits = await this.find({ user: userId, remaining: { $gt: 0 } });
+  openCredits.sort((a, b) => (a.expiresAt?.getTime() ?? Infinity) - (b.expiresAt?.getTime() ?? Infinity));
+
+  let left = amount;
+  for (const credit of openCredits) {
+    if (left <= 0) break;
+    const use = round(Math.min(credit.remaining, left));
+    const result = await this.updateOne(
+      { _id: credit._id, remaining: { $gte: use } },
+      { $inc: { remaining: -use } }
+    );
+    if (result.modifiedCount === 1) left = round(left - use);
+  }
+};
+
+// Add credits (grant, refund or positive adjustment).
+// With a `key`, repeated calls for the same key only add once and resolve to null.
+adCreditEntrySchema.statics.addCredits = async function(userId, amount, options = {}) {
+  const { type = 'grant', key, expiresAt, ...details } = options;
+
+  if (!['grant', 'refund', 'adjust'].includes(type) || amount <= 0) {
+    throw new Error('Invalid credit entry');
+  }
+
+  let entry;
+  try {
+    entry = await this.create({
+      ...details,
+      user: userId,
+      type,
+      amount,
+      remaining: amount,
+      expiresAt,
+      key
+    });
+  } catch (error) {
+    if (error.code === 11000 && key) return null;
+    throw error;
+  }
+
+  const user = await mongoose.model('User').findByIdAndUpdate(
+    userId,
+    { $inc: { adCredits: amount } },
+    { new: true, select: 'adCredits' }
+  );
+
+  entry.balanceAfter = user.adCredits;
+  await entry.save();
+
+  return entry;
+};
+
+// Remove credits (expiry or negative adjustment) from the open credits
+adCreditEntrySchema.statics.removeCredits = async function(userId, amount, options = {}) {
+  const { type = 'adjust', ...details } = options;
+
+  const { taken, balance } = await takeFromBalance(userId, amount);
+  if (taken <= 0) return null;
+
+  await consumeCredits.call(this, userId, taken);
+
+  return this.create({
+    ...details,
+    user: userId,
+    type,
+    amount: -taken,
+    balanceAfter: balance
+  });
+};
+
+// Charge ad spend to the owner's credits. Charges what is available when the balance is short.
+// Resolves to { charged, exhausted } where exhausted means the balance is now empty.
+adCreditEntrySchema.statics.spend = async function(userId, amount, { ad, clicks = 0, impressions = 0 } = {}) {
+  const { taken, balance } = await takeFromBalance(userId, amount);
+
+  if (taken > 0) {
+    await consumeCredits.call(this, userId, taken);
+
+    const day = new Date().toISOString().slice(0, 10);
+    await this.findOneAndUpdate(
+      { key: `spend:${ad}:${day}` },
+      {
+        $setOnInsert: { user: userId, type: 'spend', ad, day },
+        $inc: { amount: -taken, 'usage.clicks': clicks, 'usage.impressions': impressions },
+        $set: { balanceAfter: balance }
+      },
+      { upsert: true }
+    );
+  }
+
+  return {
+    charged: taken,
+    exhausted: taken < amount || balance <= 0
+  };
+};
+
+// Remove what is left of one credit entry from the balance, recording it against that entry.
+// Resolves to the credits removed (0 when another run got there first or the balance is empty).
+adCreditEntrySchema.statics.expireCredit = async function(credit, reason = 'Unused credits expired') {
+  // Claim the leftover first so two runs can't expire it twice
+  const claimed = await this.findOneAndUpdate(
+    { _id: credit._id, remaining: credit.remaining },
+    { $set: { remaining: 0 } }
+  );
+  if (!claimed) return 0;
+
+  const { taken, balance } = await takeFromBalance(credit.user, credit.remaining);
+  if (taken <= 0) return 0;
+
+  await this.create({
+    user: credit.user,
+    type: 'expire',
+    amount: -taken,
+    balanceAfter: balance,
+    grant: credit._id,
+    subscription: credit.subscription,
+    reason
+  });
+
+  return taken;
+};
+
+// Expire what is left of credit entries past their expiry date (run as scheduled job)
+adCreditEntrySchema.statics.expireDue = async function() {
+  const dueCredits = await this.find({
+    expiresAt: { $lte: new Date() },
+    remaining: { $gt: 0 }
+  });
+
+  let expiredCredits = 0;
+  for (const credit of dueCredits) {
+    const taken = await this.expireCredit(credit);
+    expiredCredits = round(expiredCredits + taken);
+  }
+
+  return { entriesExpired: dueCredits.length, expiredCredits };
+};
+
+const AdCreditEntry = mongoose.model('AdCreditEntry', adCreditEntrySchema);
+
+export { ENTRY_TYPES };
+export default AdCreditEntry;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// How many times a user has been served an ad on a day, for frequency capping.
+// Counts are only needed for the current day, so they expire after two days.
+const adImpressionCountSchema = new mongoose.Schema({
+  ad: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ad',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: { type: Date, required: true },
+  count: { type: Number, default: 0 }
+});
+
+// Indexes
+adImpressionCountSchema.index({ user: 1, day: 1, ad: 1 }, { unique: true });
+adImpressionCountSchema.index({ day: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+// Today's serve counts for a user, as a map of ad ID to count
+adImpressionCountSchema.statics.getCountsForDay = async function(userId, day) {
+  const counts = await this.find({ user: userId, day }).select('ad count').lean();
+  return new Map(counts.map(entry => [entry.ad.toString(), entry.count]));
+};
+
+adImpressionCountSchema.statics.increment = function(adId, userId, day) {
+  return this.updateOne(
+    { ad: adId, user: userId, day },
+    { $inc: { count: 1 } },
+    { upsert: true }
+  );
+};
+
+const AdImpressionCount = mongoose.model('AdImpressionCount', adImpressionCountSchema);
+
+export default AdImpressionCount;
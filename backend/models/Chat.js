@@ -6,20 +6,28 @@ const conversationSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     joinedAt: { type: Date, default: Date.now },
     leftAt: { type: Date },
-    role: { type: String, enum: ['participant'], default: 'participant' }
+    // 'participant' in direct chats; groups have one 'owner' plus 'admin's and 'member's
+    role: { type: String, enum: ['participant', 'owner', 'admin', 'member'], default: 'participant' }
   }],
   
   type: {
     type: String,
-    enum: ['direct'], // Only direct messages for now
+    enum: ['direct', 'group'],
     default: 'direct'
   },
   
+  // Group details
+  title: { type: String, maxlength: 100, trim: true },
+  avatar: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  
   lastMessage: {
+    // Left empty for encrypted messages; clients show a placeholder instead
     content: { type: String },
     sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     timestamp: { type: Date },
-    type: { type: String, enum: ['text', 'voice', 'image', 'file'] }
+    type: { type: String, enum: ['text', 'voice', 'image', 'file', 'system'] },
+    isEncrypted: { type: Boolean, default: false }
   },
   
   // Settings
@@ -28,6 +36,14 @@ const conversationSchema = new mongoose.Schema({
     notifications: { type: Boolean, default: true }
   },
   
+  // Opt-in end-to-end encryption (direct conversations only).
+  // While enabled the server only ever sees ciphertext for new messages.
+  encryption: {
+    enabled: { type: Boolean, default: false },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date }
+  },
+  
   // Status for each participant
   participantStatus: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -86,7 +102,8 @@ const messageSchema = new mongoose.Schema({
       language: { type: String },
       confidence: { type: Number }
     },
-    waveform: [{ type: Number }] // Audio waveform data for visualization
+    waveform: [{ type: Number }], // Peak amplitude per slice of the recording (0-1), for drawing the bars
+    waveformRms: [{ type: Number }] // RMS amplitude per slice, on the same scale
   },
   
   // Image/File specific
@@ -142,7 +159,7 @@ const messageSchema = new mongoose.Schema({
   }],
   isEdited: { type: Boolean, default: false },
   
-  // Message scheduling (for future feature)
+  // Message scheduling: held back from the conversation until scheduledFor
   scheduledFor: { type: Date },
   isScheduled: { type: Boolean, default: false },
   
@@ -152,23 +169,46 @@ const messageSchema = new mongoose.Schema({
     data: { type: mongoose.Schema.Types.Mixed }
   },
   
-  // Encryption (for future security enhancement)
+  // End-to-end encryption: content.original.text holds base64 AES-GCM ciphertext.
+  // The per-message key is wrapped for every recipient device with an ECDH-derived AES-KW key.
   isEncrypted: { type: Boolean, default: false },
+  encryption: {
+    algorithm: { type: String, enum: ['ECDH-P256+AES-GCM'] },
+    senderDevice: { type: String },
+    // Sender device public key (JWK) from the key directory at send time
+    senderKey: { type: mongoose.Schema.Types.Mixed },
+    iv: { type: String },
+    keys: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      deviceId: { type: String },
+      wrappedKey: { type: String }
+    }]
+  },
   
   // Temporary message (auto-delete)
   expiresAt: { type: Date },
-  isTemporary: { type: Boolean, default: false }
+  isTemporary: { type: Boolean, default: false },
+  // Seconds a temporary message lives once sent
+  ttlSeconds: { type: Number },
+  // Tombstone left when a temporary message is purged: content is gone, the placeholder stays
+  isExpired: { type: Boolean, default: false },
+  expiredAt: { type: Date }
 }, {
   timestamps: true
 });
 
 // Indexes for performance
 conversationSchema.index({ participants: 1 });
+conversationSchema.index({ 'participants.user': 1 });
 conversationSchema.index({ updatedAt: -1 });
 
 messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ status: 1 });
+messageSchema.index({ isScheduled: 1, scheduledFor: 1 });
+messageSchema.index({ isTemporary: 1, expiresAt: 1 });
+messageSchema.index({ sender: 1, isScheduled: 1, scheduledFor: 1 });
 
 // Virtual for active participants
 conversationSchema.virtual('activeParticipants').get(function() {
@@ -184,25 +224,71 @@ conversationSchema.methods.isParticipant = function(userId) {
   );
 };
 
-// Add participant
-conversationSchema.methods.addParticipant = function(userId) {
+// Get a current participant entry
+conversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => 
+    (p.user._id || p.user).toString() === userId.toString() && !p.leftAt
+  );
+};
+
+// IDs of current participants other than the given user
+conversationSchema.methods.getOtherParticipantIds = function(userId) {
+  return this.participants
+    .filter(p => !p.leftAt && (p.user._id || p.user).toString() !== userId.toString())
+    .map(p => (p.user._id || p.user).toString());
+};
+
+// Group owners and admins can manage members and group details
+conversationSchema.methods.canManageMembers = function(userId) {
+  const participant = this.getParticipant(userId);
+  return this.type === 'group' && Boolean(participant) && ['owner', 'admin'].includes(participant.role);
+};
+
+// Add participant (rejoining restores their old entry)
+conversationSchema.methods.addParticipant = function(userId, role = 'participant') {
   if (this.isParticipant(userId)) {
     return Promise.resolve(this);
   }
   
-  this.participants.push({ user: userId });
-  this.participantStatus.push({ user: userId });
+  const previous = this.participants.find(p => p.user.toString() === userId.toString());
+  if (previous) {
+    previous.leftAt = undefined;
+    previous.joinedAt = new Date();
+    previous.role = role;
+  } else {
+    this.participants.push({ user: userId, role });
+  }
+  
+  const status = this.participantStatus.find(s => s.user.toString() === userId.toString());
+  if (status) {
+    status.unreadCount = 0;
+    status.isTyping = false;
+  } else {
+    this.participantStatus.push({ user: userId });
+  }
+  
   return this.save();
 };
 
-// Remove participant
+// Remove participant. When a group owner leaves, ownership passes to
+// the longest-standing admin, or failing that the longest-standing member.
 conversationSchema.methods.removeParticipant = function(userId) {
   const participant = this.participants.find(p => 
-    p.user.toString() === userId.toString()
+    p.user.toString() === userId.toString() && !p.leftAt
   );
   
   if (participant) {
     participant.leftAt = new Date();
+    
+    if (participant.role === 'owner') {
+      const remaining = this.participants
+        .filter(p => !p.leftAt)
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+      const successor = remaining.find(p => p.role === 'admin') || remaining[0];
+      if (successor) {
+        successor.role = 'owner';
+      }
+    }
   }
   
   return this.save();
@@ -248,15 +334,17 @@ conversationSchema.methods.getUnreadCount = function(userId) {
 // Update last message
 conversationSchema.methods.updateLastMessage = function(messageData) {
   this.lastMessage = {
-    content: messageData.content.original.text,
+    content: messageData.isEncrypted ? '' : messageData.content.original.text,
     sender: messageData.sender,
     timestamp: messageData.createdAt || new Date(),
-    type: messageData.type
+    type: messageData.type,
+    isEncrypted: Boolean(messageData.isEncrypted)
   };
   
-  // Increment unread count for other participants
+  // Increment unread count for other current participants
+  const recipients = this.getOtherParticipantIds(messageData.sender);
   this.participantStatus.forEach(status => {
-    if (status.user.toString() !== messageData.sender.toString()) {
+    if (recipients.includes(status.user.toString())) {
       status.unreadCount += 1;
     }
   });
@@ -266,11 +354,13 @@ conversationSchema.methods.updateLastMessage = function(messageData) {
 
 // Methods for Message
 
-// Mark as read
-messageSchema.methods.markAsRead = function(userId) {
+// Mark as read. In groups the message counts as read once every recipient has read it.
+messageSchema.methods.markAsRead = function(userId, recipientCount = 1) {
   if (!this.readBy.some(r => r.user.toString() === userId.toString())) {
     this.readBy.push({ user: userId });
-    this.status = 'read';
+    if (this.readBy.length >= recipientCount) {
+      this.status = 'read';
+    }
   }
   return this.save();
 };
@@ -342,8 +432,7 @@ conversationSchema.statics.findBetweenUsers = function(userId1, userId2) {
 // Get user conversations
 conversationSchema.statics.getUserConversations = function(userId, page = 1, limit = 20) {
   return this.find({
-    'participants.user': userId,
-    'participants.leftAt': { $exists: false },
+    participants: { $elemMatch: { user: userId, leftAt: { $exists: false } } },
     isActive: true
   })
   .populate('participants.user', 'displayName businessName profilePicture onlineStatus')
@@ -353,9 +442,25 @@ conversationSchema.statics.getUserConversations = function(userId, page = 1, lim
   .limit(limit);
 };
 
-// Get messages in conversation
+// Record a group event (member joined, left, group renamed...) as a system message
+messageSchema.statics.createSystemMessage = function(conversationId, actorId, eventType, text, data = {}) {
+  return this.create({
+    conversation: conversationId,
+    sender: actorId,
+    type: 'system',
+    content: {
+      original: { text }
+    },
+    systemData: {
+      type: eventType,
+      data
+    }
+  });
+};
+
+// Get messages in conversation (scheduled messages stay hidden until they are sent)
 messageSchema.statics.getConversationMessages = function(conversationId, page = 1, limit = 50) {
-  return this.find({ conversation: conversationId })
+  return this.find({ conversation: conversationId, isScheduled: { $ne: true } })
     .populate('sender', 'displayName businessName profilePicture')
     .populate('replyTo', 'content.original.text sender')
     .sort({ createdAt: -1 })
@@ -363,6 +468,81 @@ messageSchema.statics.getConversationMessages = function(conversationId, page =
     .limit(limit);
 };
 
+// Mark scheduled messages that are due as sent and return them (run as scheduled job).
+// A released message counts as sent now, so it sorts where it appears in the conversation
+// and a time-to-live starts from delivery.
+messageSchema.statics.releaseDueScheduledMessages = async function(limit = 200) {
+  const dueMessages = await this.find({
+    isScheduled: true,
+    scheduledFor: { $lte: new Date() }
+  })
+    .sort({ scheduledFor: 1 })
+    .limit(limit);
+
+  const released = [];
+  for (const message of dueMessages) {
+    const sentAt = new Date();
+    const update = { isScheduled: false, createdAt: sentAt };
+    if (message.isTemporary && message.ttlSeconds) {
+      update.expiresAt = new Date(sentAt.getTime() + message.ttlSeconds * 1000);
+    }
+
+    // Conditional update so two runs never release the same message twice.
+    // Goes through the driver because Mongoose treats createdAt as immutable.
+    const result = await this.collection.updateOne(
+      { _id: message._id, isScheduled: true },
+      { $set: update }
+    );
+    if (result.modifiedCount === 1) {
+      Object.assign(message, update);
+      released.push(message);
+    }
+  }
+
+  return released;
+};
+
+// Replace temporary messages past their expiry with tombstones and return them (run as scheduled job)
+messageSchema.statics.purgeExpiredMessages = async function(limit = 500) {
+  const dueMessages = await this.find({
+    isTemporary: true,
+    isScheduled: { $ne: true },
+    isExpired: { $ne: true },
+    expiresAt: { $lte: new Date() }
+  })
+    .select('conversation sender createdAt voice.audioUrl media.url media.thumbnail')
+    .limit(limit);
+
+  const purged = [];
+  for (const message of dueMessages) {
+    const result = await this.updateOne(
+      { _id: message._id, isExpired: { $ne: true } },
+      {
+        $set: {
+          isExpired: true,
+          expiredAt: new Date(),
+          'content.original.text': '',
+          'content.translated': [],
+          reactions: [],
+          editHistory: []
+        },
+        $unset: { voice: 1, media: 1, encryption: 1 }
+      }
+    );
+    if (result.modifiedCount !== 1) continue;
+
+    // Don't keep the text around as the conversation preview either
+    await mongoose.model('Conversation').updateOne(
+      { _id: message.conversation, 'lastMessage.sender': message.sender, 'lastMessage.timestamp': message.createdAt },
+      { $set: { 'lastMessage.content': '' } }
+    );
+
+    purged.push(message);
+  }
+
+  return purged;
+};
+
 const Conversation = mongoose.model('Conversation', conversationSchema);
 const Message = mongoose.model('Message', messageSchema);
 
@@ -245,6 +245,56 @@ communitySchema.methods.updateActivity = function() {
 
 // Static methods
 
+// Remove members who haven't posted or chatted for settings.inactivityDays,
+// in communities that opted in via settings.autoDeleteInactiveMembers (run as scheduled job).
+// Creator, admins and moderators are never removed.
+communitySchema.statics.removeInactiveMembers = async function() {
+  const Post = mongoose.model('Post');
+  const CommunityMessage = mongoose.model('CommunityMessage');
+  const User = mongoose.model('User');
+
+  const communities = await this.find({
+    isActive: true,
+    'settings.autoDeleteInactiveMembers': true
+  });
+
+  let membersRemoved = 0;
+
+  for (const community of communities) {
+    const cutoff = new Date(Date.now() - (community.settings.inactivityDays || 30) * 24 * 60 * 60 * 1000);
+
+    const candidates = community.members.filter(member =>
+      member.role === 'member' &&
+      member.joinedAt < cutoff &&
+      !community.isAdmin(member.user)
+    );
+    if (candidates.length === 0) continue;
+
+    const candidateIds = candidates.map(member => member.user);
+    const [posters, chatters] = await Promise.all([
+      Post.distinct('author', { community: community._id, author: { $in: candidateIds }, createdAt: { $gte: cutoff } }),
+      CommunityMessage.distinct('sender', { community: community._id, sender: { $in: candidateIds }, createdAt: { $gte: cutoff } })
+    ]);
+
+    const activeIds = new Set([...posters, ...chatters].map(id => id.toString()));
+    const inactiveIds = candidateIds.filter(id => !activeIds.has(id.toString()));
+    if (inactiveIds.length === 0) continue;
+
+    const inactiveSet = new Set(inactiveIds.map(id => id.toString()));
+    community.members = community.members.filter(member => !inactiveSet.has(member.user.toString()));
+    await community.save();
+
+    await User.updateMany(
+      { _id: { $in: inactiveIds } },
+      { $pull: { communities: { community: community._id } } }
+    );
+
+    membersRemoved += inactiveIds.length;
+  }
+
+  return { communitiesChecked: communities.length, membersRemoved };
+};
+
 // Find public communities
 communitySchema.statics.findPublic = function(page = 1, limit = 20) {
   return this.find({ isPrivate: false, isActive: true })
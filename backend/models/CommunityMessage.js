@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { resolveLanguage, localizeContent } from '../services/translationService.js';
 
 const communityMessageSchema = new mongoose.Schema({
   community: {
@@ -17,12 +18,14 @@ const communityMessageSchema = new mongoose.Schema({
   content: {
     original: {
       text: { type: String },
-      language: { type: String, default: 'en' }
+      language: { type: String, default: 'auto' } // Detected when the message is sent
     },
+    // Readers get the translation into their preferred language
     translated: [{
       language: { type: String, required: true },
       text: { type: String, required: true },
-      translatedAt: { type: Date, default: Date.now }
+      translatedAt: { type: Date, default: Date.now },
+      confidence: { type: Number }
     }]
   },
 
@@ -113,7 +116,37 @@ communityMessageSchema.methods.removeReaction = function(userId) {
   return this.save();
 };
 
+communityMessageSchema.methods.getTranslation = function(language) {
+  return this.content.translated.find(t => t.language === language);
+};
+
+// The message as one reader sees it: content in their preferred language, with the original alongside
+communityMessageSchema.methods.toReaderObject = function(readerLanguage, options) {
+  const { original, translated } = this.content;
+
+  return {
+    ...this.toObject(),
+    content: localizeContent(
+      { text: original.text, language: resolveLanguage(original.language, original.text) },
+      translated,
+      readerLanguage,
+      options
+    )
+  };
+};
+
 // Static methods
+
+// Store translations made for readers, skipping languages another reader's request already stored
+communityMessageSchema.statics.addTranslations = function(messageId, translations) {
+  return Promise.all(translations.map(translation =>
+    this.updateOne(
+      { _id: messageId, 'content.translated.language': { $ne: translation.language } },
+      { $push: { 'content.translated': translation } }
+    )
+  ));
+};
+
 communityMessageSchema.statics.getCommunityMessages = async function(communityId, page = 1, limit = 50) {
   const skip = (page - 1) * limit;
 
@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 20
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  // Partner or campaign the coupon was issued for
+  partner: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Discount
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.discountType !== 'percentage' || v <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100'
+    }
+  },
+  // Cap on a percentage discount, in rupees
+  maxDiscountAmount: {
+    type: Number,
+    min: 0
+  },
+
+  // Eligibility (empty arrays mean "any")
+  validTiers: [{
+    type: String,
+    enum: ['basic', 'premium', 'enterprise']
+  }],
+  validBillingCycles: [{
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly']
+  }],
+  firstPurchaseOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  // Validity window
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date
+  },
+
+  // Redemption limits
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+// Check if the coupon is usable right now (ignoring per-user rules)
+couponSchema.methods.isCurrentlyValid = function() {
+  const now = new Date();
+  if (!this.isActive) return false;
+  if (this.startsAt && now < this.startsAt) return false;
+  if (this.endsAt && now > this.endsAt) return false;
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) return false;
+  return true;
+};
+
+// Calculate the discount for an amount
+couponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? (amount * this.discountValue) / 100
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscountAmount) {
+    discount = Math.min(discount, this.maxDiscountAmount);
+  }
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+// Deactivate coupon
+couponSchema.methods.deactivate = function() {
+  this.isActive = false;
+  this.deactivatedAt = new Date();
+  return this.save();
+};
+
+// Static method to find a coupon by code
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+// Atomically claim one redemption, respecting the global limit
+couponSchema.statics.claimRedemption = function(couponId) {
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $or: [
+        { maxRedemptions: { $exists: false } },
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+};
+
+// Give back a redemption (e.g. when the discount is removed)
+couponSchema.statics.releaseRedemption = function(couponId) {
+  return this.updateOne(
+    { _id: couponId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const KEY_ALGORITHMS = ['ECDH-P256'];
+
+// Public key of one of a user's devices, published for end-to-end encrypted chats.
+// Private keys never leave the device; revoked keys are kept so old messages still name their sender device.
+const deviceKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  name: { type: String, maxlength: 100, trim: true },
+  algorithm: {
+    type: String,
+    enum: KEY_ALGORITHMS,
+    default: 'ECDH-P256'
+  },
+  // Raw public key as JWK
+  publicKey: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deviceKeySchema.index({ user: 1, deviceId: 1 }, { unique: true });
+deviceKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Active device keys of the given users
+deviceKeySchema.statics.getActiveKeys = function(userIds) {
+  return this.find({ user: { $in: userIds }, revokedAt: null })
+    .select('user deviceId name algorithm publicKey updatedAt')
+    .sort({ createdAt: 1 });
+};
+
+// Public shape of a key in the directory
+deviceKeySchema.methods.toDirectoryEntry = function() {
+  return {
+    user: this.user,
+    deviceId: this.deviceId,
+    name: this.name,
+    algorithm: this.algorithm,
+    publicKey: this.publicKey,
+    updatedAt: this.updatedAt,
+    revokedAt: this.revokedAt
+  };
+};
+
+const DeviceKey = mongoose.model('DeviceKey', deviceKeySchema);
+
+export { KEY_ALGORITHMS };
+export default DeviceKey;
@@ -57,7 +57,7 @@ const friendRequestSchema = new mongoose.Schema({
 friendRequestSchema.index({ from: 1, to: 1 }, { unique: true });
 friendRequestSchema.index({ to: 1, status: 1 });
 friendRequestSchema.index({ from: 1, status: 1 });
-friendRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+friendRequestSchema.index({ status: 1, expiresAt: 1 });
 
 // Virtual for is expired
 friendRequestSchema.virtual('isExpired').get(function() {
@@ -116,6 +116,17 @@ friendRequestSchema.statics.getPendingRequests = function(userId, type = 'receiv
     .sort({ createdAt: -1 });
 };
 
+// Remove pending requests past their expiry (run as scheduled job).
+// Accepted and rejected requests are kept; they record the relationship.
+friendRequestSchema.statics.removeExpiredRequests = async function() {
+  const result = await this.deleteMany({
+    status: 'pending',
+    expiresAt: { $lte: new Date() }
+  });
+
+  return { removedCount: result.deletedCount };
+};
+
 // Get mutual connections
 friendRequestSchema.statics.getMutualConnections = async function(userId1, userId2) {
   const User = mongoose.model('User');
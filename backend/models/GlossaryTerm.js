@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A term kept as written in every translation (brand names, weaves, trade abbreviations).
+// Adds to the built-in textile glossary in services/translationService.js.
+const glossaryTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  normalizedTerm: { type: String, required: true }, // lowercased, for uniqueness
+  note: { type: String, maxlength: 300 },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+glossaryTermSchema.pre('validate', function(next) {
+  if (this.term) this.normalizedTerm = this.term.toLowerCase();
+  next();
+});
+
+// Indexes
+glossaryTermSchema.index({ normalizedTerm: 1 }, { unique: true });
+
+const GlossaryTerm = mongoose.model('GlossaryTerm', glossaryTermSchema);
+
+export default GlossaryTerm;
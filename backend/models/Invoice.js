@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+// Per-issuer, per-financial-year invoice sequence
+const invoiceCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  sequence: { type: Number, default: 0 }
+});
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+
+const partySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  name: { type: String, required: true },
+  gstin: { type: String },
+  address: { type: String },
+  city: { type: String },
+  state: { type: String },
+  stateCode: { type: String },
+  pincode: { type: String },
+  email: { type: String }
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  hsnSac: { type: String },
+  quantity: { type: Number, default: 1 },
+  unit: { type: String },
+  rate: { type: Number, default: 0 },
+  taxableValue: { type: Number, required: true },
+  gstRate: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: { type: Number, required: true }
+}, { _id: false });
+
+// An issued invoice or payment receipt. Stored once and re-rendered on every download,
+// so the number and figures never change after issue.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, required: true },
+  // 'platform' for our own invoices, otherwise the issuing seller's ID
+  issuerKey: { type: String, required: true },
+  financialYear: { type: String, required: true },
+  sequence: { type: Number, required: true },
+
+  documentType: {
+    type: String,
+    enum: ['tax_invoice', 'receipt'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['subscription', 'transaction'],
+    required: true
+  },
+
+  // What was billed
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+  subscriptionPayment: { type: mongoose.Schema.Types.ObjectId },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+
+  issuer: { type: partySchema, required: true },
+  recipient: { type: partySchema, required: true },
+
+  placeOfSupply: {
+    state: { type: String },
+    stateCode: { type: String }
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    required: true
+  },
+
+  items: [lineItemSchema],
+
+  totals: {
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    shippingCharges: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    grandTotal: { type: Number, required: true }
+  },
+  amountPaid: { type: Number, default: 0 },
+  amountInWords: { type: String, required: true },
+  currency: { type: String, default: 'INR' },
+
+  paymentReference: { type: String },
+  paymentMethod: { type: String },
+  paidAt: { type: Date },
+  issuedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ issuerKey: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index(
+  { subscriptionPayment: 1 },
+  { unique: true, partialFilterExpression: { subscriptionPayment: { $exists: true } } }
+);
+invoiceSchema.index(
+  { transaction: 1 },
+  { unique: true, partialFilterExpression: { transaction: { $exists: true } } }
+);
+invoiceSchema.index({ 'recipient.user': 1, issuedAt: -1 });
+
+// Reserve the next number in an issuer's series, e.g. 'WSC/25-26/00042'.
+// Numbers restart every financial year as GST requires, and never exceed 16 characters.
+invoiceSchema.statics.nextInvoiceNumber = async function(issuerKey, prefix, financialYear) {
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { key: `${issuerKey}:${financialYear}` },
+    { $inc: { sequence: 1 } },
+    { new: true, upsert: true }
+  );
+
+  const shortYear = financialYear.slice(2);
+  return {
+    invoiceNumber: `${prefix}/${shortYear}/${String(counter.sequence).padStart(5, '0')}`,
+    financialYear,
+    sequence: counter.sequence
+  };
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
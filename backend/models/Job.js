@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Persistent state for a recurring background job.
+// Job code lives in backend/jobs; this document holds its schedule, lock and run history
+// so that several server instances can share one schedule without double-running.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  intervalMs: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lock held by the instance currently running the job
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  // Retry state (consecutive failures of the current run)
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+
+  // Last run
+  lastRunAt: { type: Date },
+  lastFinishedAt: { type: Date },
+  lastStatus: {
+    type: String,
+    enum: ['never', 'running', 'success', 'failed'],
+    default: 'never'
+  },
+  lastError: { type: String },
+  lastResult: { type: mongoose.Schema.Types.Mixed },
+  lastDurationMs: { type: Number },
+
+  // Totals
+  runCount: { type: Number, default: 0 },
+  failCount: { type: Number, default: 0 },
+
+  // Most recent runs, newest first
+  recentRuns: [{
+    _id: false,
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    status: { type: String, enum: ['success', 'failed'] },
+    trigger: { type: String, enum: ['schedule', 'manual'] },
+    instance: { type: String },
+    error: { type: String },
+    result: { type: mongoose.Schema.Types.Mixed }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Whether the lock is currently held by some instance
+jobSchema.virtual('isLocked').get(function() {
+  return !!(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
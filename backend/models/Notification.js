@@ -44,7 +44,7 @@ const notificationSchema = new mongoose.Schema({
   },
   relatedModel: {
     type: String,
-    enum: ['Post', 'Product', 'Comment', 'Community', 'Ad', 'Message']
+    enum: ['Post', 'Product', 'Comment', 'Community', 'Ad', 'Message', 'Rfq', 'Order']
   },
   relatedId: {
     type: mongoose.Schema.Types.ObjectId
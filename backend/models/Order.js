@@ -0,0 +1,334 @@
+import mongoose from 'mongoose';
+
+// Lifecycle: placed → confirmed → packed → shipped → delivered → closed
+// An order can be cancelled any time before it ships.
+const ORDER_STATUSES = ['placed', 'confirmed', 'packed', 'shipped', 'delivered', 'closed', 'cancelled'];
+
+const ORDER_TRANSITIONS = {
+  placed: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['closed'],
+  closed: [],
+  cancelled: []
+};
+
+// Which party is allowed to move the order into each status
+const ORDER_STATUS_ACTORS = {
+  confirmed: ['seller'],
+  packed: ['seller'],
+  shipped: ['seller'],
+  delivered: ['buyer'],
+  closed: ['buyer', 'seller'],
+  cancelled: ['buyer', 'seller']
+};
+
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Snapshot of the product at the time of ordering
+  name: { type: String, required: true },
+  image: { type: String },
+  unit: {
+    type: String,
+    enum: ['piece', 'meter', 'kg', 'set', 'dozen', 'box'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  hsnCode: { type: String },
+  gstRate: { type: Number, default: 0 },
+  appliedTier: {
+    minQuantity: { type: Number },
+    maxQuantity: { type: Number },
+    price: { type: Number },
+    discount: { type: Number }
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+
+  // Parties involved
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Negotiated RFQ this order came from, if any
+  rfq: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rfq'
+  },
+
+  // Line items
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: function(v) {
+        return v && v.length > 0;
+      },
+      message: 'An order must contain at least one item'
+    }
+  },
+
+  // Amount
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true
+  },
+  subtotal: { type: Number, default: 0, min: 0 },
+  shippingCharges: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  totalAmount: { type: Number, default: 0, min: 0 },
+
+  // Status
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'placed',
+    index: true
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ORDER_STATUSES
+    },
+    timestamp: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, maxlength: 500 }
+  }],
+
+  // Payment tracking (derived from linked transactions)
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid', 'refunded'],
+    default: 'unpaid'
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Delivery
+  shippingAddress: {
+    name: { type: String },
+    phone: { type: String },
+    address: { type: String },
+    city: { type: String },
+    state: { type: String },
+    pincode: { type: String },
+    country: { type: String, default: 'India' }
+  },
+  shipment: {
+    carrier: { type: String },
+    trackingNumber: { type: String },
+    expectedDeliveryDate: { type: Date }
+  },
+
+  // Notes
+  buyerNotes: {
+    type: String,
+    maxlength: 500
+  },
+  sellerNotes: {
+    type: String,
+    maxlength: 500
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+orderSchema.index({ buyer: 1, status: 1, createdAt: -1 });
+orderSchema.index({ seller: 1, status: 1, createdAt: -1 });
+
+// Virtual for outstanding amount
+orderSchema.virtual('balanceDue').get(function() {
+  return Math.max(0, this.totalAmount - this.amountPaid);
+});
+
+// Generate order number before validation (orderNumber is required)
+orderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.orderNumber) {
+    const generateOrderNumber = () => {
+      const prefix = 'ORD';
+      const timestamp = Date.now().toString().slice(-8);
+      const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+      return `${prefix}${timestamp}${random}`;
+    };
+
+    let unique = false;
+    while (!unique) {
+      this.orderNumber = generateOrderNumber();
+      const existing = await this.constructor.findOne({ orderNumber: this.orderNumber });
+      if (!existing) unique = true;
+    }
+  }
+  next();
+});
+
+// Recalculate totals and record the initial status
+orderSchema.pre('validate', function(next) {
+  if (this.isModified('items') || this.isModified('shippingCharges') ||
+      this.isModified('tax') || this.isModified('discount')) {
+    this.items.forEach(item => {
+      item.lineTotal = item.unitPrice * item.quantity;
+    });
+    this.subtotal = this.items.reduce((sum, item) => sum + item.lineTotal, 0);
+    // GST is charged on top of the (tax exclusive) line totals
+    if (this.isModified('items')) {
+      const tax = this.items.reduce((sum, item) => sum + item.lineTotal * (item.gstRate || 0) / 100, 0);
+      this.tax = Math.round(tax * 100) / 100;
+    }
+    this.totalAmount = Math.max(0, this.subtotal + this.shippingCharges + this.tax - this.discount);
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      timestamp: new Date(),
+      changedBy: this.buyer
+    });
+  }
+
+  next();
+});
+
+// Get the party role of a user on this order
+orderSchema.methods.getPartyRole = function(userId) {
+  if (!userId) return null;
+  const id = userId.toString();
+  if (this.buyer._id ? this.buyer._id.toString() === id : this.buyer.toString() === id) return 'buyer';
+  if (this.seller._id ? this.seller._id.toString() === id : this.seller.toString() === id) return 'seller';
+  return null;
+};
+
+// Check if the order can move to a status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Check if a party can move the order to a status
+orderSchema.methods.canBeUpdatedBy = function(status, role) {
+  return (ORDER_STATUS_ACTORS[status] || []).includes(role);
+};
+
+// Move the order to a new status and record the step
+orderSchema.methods.updateStatus = function(status, userId, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change order status from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    timestamp: new Date(),
+    changedBy: userId,
+    note
+  });
+
+  if (status === 'cancelled' && note) {
+    this.cancellationReason = note;
+  }
+
+  return this.save();
+};
+
+// Recalculate payment status from completed and refunded transactions
+orderSchema.methods.refreshPaymentStatus = async function() {
+  const Transaction = mongoose.model('Transaction');
+  const transactions = await Transaction.find({
+    orderId: this._id,
+    status: { $in: ['completed', 'refunded'] }
+  });
+
+  const paid = transactions
+    .filter(t => t.status === 'completed')
+    .reduce((sum, t) => sum + t.amount, 0);
+  const refunded = transactions.filter(t => t.status === 'refunded');
+
+  this.amountPaid = paid;
+
+  if (paid === 0) {
+    this.paymentStatus = refunded.length > 0 ? 'refunded' : 'unpaid';
+  } else if (paid >= this.totalAmount) {
+    this.paymentStatus = 'paid';
+  } else {
+    this.paymentStatus = 'partially_paid';
+  }
+
+  return this.save();
+};
+
+// Total of payments reported against the order that have not been confirmed or rejected yet
+orderSchema.methods.getPendingPaymentAmount = async function() {
+  const Transaction = mongoose.model('Transaction');
+  const transactions = await Transaction.find({
+    orderId: this._id,
+    status: { $in: ['initiated', 'pending', 'processing'] }
+  });
+
+  return transactions.reduce((sum, t) => sum + t.amount, 0);
+};
+
+// Static method to get orders for a user
+orderSchema.statics.getOrdersForUser = function(userId, role = 'both', filters = {}) {
+  const query = { ...filters };
+
+  if (role === 'buyer') {
+    query.buyer = userId;
+  } else if (role === 'seller') {
+    query.seller = userId;
+  } else {
+    query.$or = [{ buyer: userId }, { seller: userId }];
+  }
+
+  return this.find(query)
+    .populate('buyer', 'displayName businessName profilePicture')
+    .populate('seller', 'displayName businessName profilePicture')
+    .sort({ createdAt: -1 });
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
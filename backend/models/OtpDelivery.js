@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One attempt to send a phone verification code. Used to rate limit sends per number and IP,
+// and kept for a week as a delivery log. The code itself is never stored here.
+const otpDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  phone: { type: String, required: true },
+  ip: { type: String },
+  channel: {
+    type: String,
+    enum: ['sms', 'whatsapp'],
+    required: true
+  },
+  provider: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  providerMessageId: { type: String },
+  error: { type: String, maxlength: 500 }
+}, {
+  timestamps: true
+});
+
+// Indexes
+otpDeliverySchema.index({ phone: 1, createdAt: -1 });
+otpDeliverySchema.index({ ip: 1, createdAt: -1 });
+otpDeliverySchema.index({ user: 1, createdAt: -1 });
+otpDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const OtpDelivery = mongoose.model('OtpDelivery', otpDeliverySchema);
+
+export default OtpDelivery;
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose';
 
+// Comment and reply translations, one per reader language
+const translationSchema = new mongoose.Schema({
+  language: { type: String, required: true },
+  text: { type: String, required: true },
+  confidence: { type: Number },
+  translatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const postSchema = new mongoose.Schema({
   // Author
   author: {
@@ -135,6 +143,8 @@ const postSchema = new mongoose.Schema({
       maxlength: [1000, 'Comment cannot exceed 1000 characters'],
       trim: true
     },
+    language: { type: String }, // Detected when the comment is written
+    translations: [translationSchema],
     createdAt: { type: Date, default: Date.now },
     likes: [{
       user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -148,6 +158,8 @@ const postSchema = new mongoose.Schema({
         maxlength: [500, 'Reply cannot exceed 500 characters'],
         trim: true
       },
+      language: { type: String },
+      translations: [translationSchema],
       createdAt: { type: Date, default: Date.now }
     }]
   }],
@@ -349,13 +361,14 @@ postSchema.methods.toggleLike = async function(userId) {
 };
 
 // Add comment
-postSchema.methods.addComment = async function(userId, content) {
+postSchema.methods.addComment = async function(userId, content, language) {
   if (!userId) throw new Error('User ID is required');
   if (!content || !content.trim()) throw new Error('Comment content is required');
 
   this.comments.push({
     user: userId,
     content: content.trim(),
+    language,
     createdAt: new Date()
   });
   return this.save();
@@ -411,6 +424,29 @@ postSchema.methods.unpin = async function() {
 
 // Static methods
 
+// Unpin posts whose pin period has ended (run as scheduled job)
+postSchema.statics.unpinExpired = async function() {
+  const result = await this.updateMany(
+    { isPinned: true, pinnedUntil: { $lte: new Date() } },
+    { $set: { isPinned: false, pinnedUntil: null, pinnedBy: null } }
+  );
+
+  return { unpinnedCount: result.modifiedCount };
+};
+
+// Store comment and reply translations made for readers, as [{ commentId, replyId?, translation }].
+// A language another reader's request already stored is skipped.
+postSchema.statics.addCommentTranslations = function(postId, entries) {
+  return Promise.all(entries.map(({ commentId, replyId, translation }) => {
+    const arrayFilters = replyId
+      ? [{ 'c._id': commentId }, { 'r._id': replyId, 'r.translations.language': { $ne: translation.language } }]
+      : [{ 'c._id': commentId, 'c.translations.language': { $ne: translation.language } }];
+    const path = replyId ? 'comments.$[c].replies.$[r].translations' : 'comments.$[c].translations';
+
+    return this.updateOne({ _id: postId }, { $push: { [path]: translation } }, { arrayFilters });
+  }));
+};
+
 // FIXED: Find posts for feed - includes all posts, not just community-less
 postSchema.statics.findForFeed = function(userId, options = {}) {
   const {
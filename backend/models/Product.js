@@ -57,6 +57,16 @@ const productSchema = new mongoose.Schema({
       enum: ['piece', 'meter', 'kg', 'set', 'dozen', 'box']
     }
   },
+  // GST classification, printed on invoices
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 5, 12, 18, 28]
+  },
   minOrderQuantity: {
     type: Number,
     required: [true, 'Minimum order quantity is required'],
@@ -212,6 +222,45 @@ productSchema.methods.toggleLike = async function(userId) {
   return this.save();
 };
 
+// Method to check a requested quantity against the order limits
+productSchema.methods.validateOrderQuantity = function(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return 'Quantity must be a positive whole number';
+  }
+  if (quantity < this.minOrderQuantity) {
+    return `Minimum order quantity for ${this.name} is ${this.minOrderQuantity} ${this.price.unit}`;
+  }
+  if (this.maxOrderQuantity && quantity > this.maxOrderQuantity) {
+    return `Maximum order quantity for ${this.name} is ${this.maxOrderQuantity} ${this.price.unit}`;
+  }
+  if (!this.inStock || (this.stockQuantity !== undefined && this.stockQuantity !== null && quantity > this.stockQuantity)) {
+    return `Insufficient stock for ${this.name}`;
+  }
+  return null;
+};
+
+// Method to resolve the unit price for a quantity from bulk pricing tiers
+productSchema.methods.getPriceForQuantity = function(quantity) {
+  // When tiers overlap, the one with the highest minimum quantity wins
+  const tier = (this.bulkPricing || [])
+    .filter(t => quantity >= t.minQuantity && (!t.maxQuantity || quantity <= t.maxQuantity))
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+
+  if (!tier) {
+    return { unitPrice: this.price.amount, tier: null };
+  }
+
+  return {
+    unitPrice: tier.price,
+    tier: {
+      minQuantity: tier.minQuantity,
+      maxQuantity: tier.maxQuantity,
+      price: tier.price,
+      discount: tier.discount
+    }
+  };
+};
+
 // Static method to get products by seller
 productSchema.statics.getBySeller = function(sellerId, filters = {}) {
   const query = { seller: sellerId, ...filters };
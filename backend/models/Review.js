@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { resolveMediaUrl } from '../services/storage/index.js';
 
 const reviewSchema = new mongoose.Schema({
   reviewer: {
@@ -96,7 +97,14 @@ const reviewSchema = new mongoose.Schema({
     default: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Uploaded images are stored as storage references; clients get signed URLs
+    transform: (doc, ret) => {
+      ret.images = ret.images?.map(image => resolveMediaUrl(image));
+      return ret;
+    }
+  }
 });
 
 // Indexes
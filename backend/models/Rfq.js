@@ -0,0 +1,239 @@
+import mongoose from 'mongoose';
+
+// A quotation or counter-offer made by either side of an RFQ
+const quoteSchema = new mongoose.Schema({
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price per unit for the quoted quantity
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pricingTiers: [{
+    minQuantity: { type: Number, required: true },
+    maxQuantity: { type: Number },
+    price: { type: Number, required: true }
+  }],
+  leadTimeDays: {
+    type: Number,
+    min: 0
+  },
+  terms: {
+    type: String,
+    maxlength: 1000
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  validUntil: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'superseded', 'accepted', 'rejected'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+const rfqSchema = new mongoose.Schema({
+  rfqNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+
+  // Parties involved
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  // Buyer's request
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  targetPrice: {
+    type: Number,
+    min: [0, 'Target price cannot be negative']
+  },
+  deliveryCity: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+
+  // Negotiation
+  quotes: [quoteSchema],
+  status: {
+    type: String,
+    enum: ['open', 'quoted', 'countered', 'accepted', 'rejected', 'expired', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  closedAt: {
+    type: Date
+  },
+  closedReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+rfqSchema.index({ buyer: 1, status: 1, updatedAt: -1 });
+rfqSchema.index({ seller: 1, status: 1, updatedAt: -1 });
+rfqSchema.index({ 'quotes.validUntil': 1, status: 1 });
+
+// Virtual for the quote currently on the table
+rfqSchema.virtual('activeQuote').get(function() {
+  return this.quotes.find(quote => quote.status === 'active') || null;
+});
+
+// Generate RFQ number before validation (rfqNumber is required)
+rfqSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.rfqNumber) {
+    const generateRfqNumber = () => {
+      const prefix = 'RFQ';
+      const timestamp = Date.now().toString().slice(-8);
+      const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+      return `${prefix}${timestamp}${random}`;
+    };
+
+    let unique = false;
+    while (!unique) {
+      this.rfqNumber = generateRfqNumber();
+      const existing = await this.constructor.findOne({ rfqNumber: this.rfqNumber });
+      if (!existing) unique = true;
+    }
+  }
+  next();
+});
+
+// Get the party role of a user on this RFQ
+rfqSchema.methods.getPartyRole = function(userId) {
+  if (!userId) return null;
+  const id = userId.toString();
+  const buyerId = (this.buyer._id || this.buyer).toString();
+  const sellerId = (this.seller._id || this.seller).toString();
+  if (buyerId === id) return 'buyer';
+  if (sellerId === id) return 'seller';
+  return null;
+};
+
+// Check if the negotiation is still open
+rfqSchema.methods.isOpen = function() {
+  return ['open', 'quoted', 'countered'].includes(this.status);
+};
+
+// Check if the active quote has passed its expiry
+rfqSchema.methods.isQuoteExpired = function() {
+  const quote = this.activeQuote;
+  return !!(quote && quote.validUntil && quote.validUntil < new Date());
+};
+
+// Put a new quote on the table, superseding the previous one
+rfqSchema.methods.addQuote = function(quoteData) {
+  this.quotes.forEach(quote => {
+    if (quote.status === 'active') {
+      quote.status = 'superseded';
+    }
+  });
+
+  this.quotes.push({ ...quoteData, status: 'active' });
+  this.status = quoteData.role === 'seller' ? 'quoted' : 'countered';
+  return this.save();
+};
+
+// Close the negotiation
+rfqSchema.methods.close = function(status, reason) {
+  const quote = this.activeQuote;
+  if (quote && (status === 'rejected' || status === 'accepted')) {
+    quote.status = status;
+  }
+
+  this.status = status;
+  this.closedAt = new Date();
+  if (reason) this.closedReason = reason;
+  return this.save();
+};
+
+// Static method to list RFQs for a user's inbox
+rfqSchema.statics.getInbox = function(userId, box = 'all', filters = {}) {
+  const query = { ...filters };
+
+  if (box === 'received') {
+    query.seller = userId;
+  } else if (box === 'sent') {
+    query.buyer = userId;
+  } else {
+    query.$or = [{ buyer: userId }, { seller: userId }];
+  }
+
+  return this.find(query)
+    .populate('buyer', 'displayName businessName profilePicture')
+    .populate('seller', 'displayName businessName profilePicture')
+    .populate('product', 'name images price minOrderQuantity')
+    .sort({ updatedAt: -1 });
+};
+
+// Static method to expire open RFQs whose active quote is past its validity
+rfqSchema.statics.expireStaleQuotes = async function() {
+  const result = await this.updateMany(
+    {
+      status: { $in: ['quoted', 'countered'] },
+      quotes: { $elemMatch: { status: 'active', validUntil: { $lt: new Date() } } }
+    },
+    { $set: { status: 'expired', closedAt: new Date(), closedReason: 'Quotation expired' } }
+  );
+
+  return { expiredCount: result.modifiedCount };
+};
+
+const Rfq = mongoose.model('Rfq', rfqSchema);
+
+export default Rfq;
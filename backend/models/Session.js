@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. It holds the hash of the device's current refresh token and of the ones it replaced,
+// so a replayed old token can be told apart from a made-up one.
+// Revoked sessions are kept until they expire so late replays of their tokens are still recognised.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of rotated-out refresh tokens, newest last
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  rotatedAt: { type: Date },
+  device: {
+    name: { type: String, maxlength: 100, trim: true },
+    userAgent: { type: String, maxlength: 500 }
+  },
+  ipAddress: { type: String },
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'remote_logout', 'password_changed', 'token_reuse', 'account_deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Active sessions of a user, most recently used first
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+};
+
+// Revoke every active session of a user except `exceptId`; resolves to the revoked session IDs
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  const sessions = await this.find(filter).select('_id');
+  if (sessions.length === 0) return [];
+
+  const ids = sessions.map(session => session._id);
+  await this.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return ids;
+};
+
+// Shape shown in the session list
+sessionSchema.methods.toListEntry = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device?.name || this.device?.userAgent || 'Unknown device',
+    userAgent: this.device?.userAgent,
+    ipAddress: this.ipAddress,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    current: Boolean(currentSessionId) && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -29,6 +29,11 @@ const subscriptionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Subscription this one renews (set for auto-renewals)
+  renewalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
 
   // Pricing
   amount: {
@@ -82,9 +87,12 @@ const subscriptionSchema = new mongoose.Schema({
 
   // Discount/Promotion
   discountApplied: {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
     code: { type: String },
     percentage: { type: Number, min: 0, max: 100 },
-    amount: { type: Number, min: 0 }
+    amount: { type: Number, min: 0 },
+    originalAmount: { type: Number, min: 0 },
+    appliedAt: { type: Date }
   },
 
   // Cancellation info
@@ -101,6 +109,9 @@ const subscriptionSchema = new mongoose.Schema({
 subscriptionSchema.index({ user: 1, status: 1 });
 subscriptionSchema.index({ status: 1, endDate: 1 });
 subscriptionSchema.index({ tier: 1 });
+subscriptionSchema.index({ 'discountApplied.coupon': 1, user: 1 });
+subscriptionSchema.index({ renewalOf: 1 }, { unique: true, sparse: true });
+subscriptionSchema.index({ status: 1, autoRenew: 1, endDate: 1 });
 
 // Check if subscription is active
 subscriptionSchema.methods.isActive = function() {
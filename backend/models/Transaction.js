@@ -11,10 +11,23 @@ const transactionSchema = new mongoose.Schema({
   seller: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() {
+      return this.type !== 'subscription'; // Platform is the payee for subscriptions
+    },
     index: true
   },
 
+  // What the payment is for
+  type: {
+    type: String,
+    enum: ['order', 'subscription'],
+    default: 'order'
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+
   // Transaction details
   transactionId: {
     type: String,
@@ -52,11 +65,16 @@ const transactionSchema = new mongoose.Schema({
   paymentMethod: {
     type: String,
     enum: ['upi', 'cash', 'card', 'netbanking', 'cheque', 'bank_transfer', 'cod', 'wallet'],
-    required: true
+    required: function() {
+      return !this.gatewayOrderId; // Gateway payments learn the method at checkout
+    }
   },
   paymentGateway: {
     type: String,
-    enum: ['razorpay', 'stripe', 'paytm', 'phonepe', 'manual']
+    enum: ['razorpay', 'stripe', 'paytm', 'phonepe', 'mock', 'manual']
+  },
+  gatewayOrderId: {
+    type: String
   },
   gatewayTransactionId: {
     type: String
@@ -89,7 +107,7 @@ const transactionSchema = new mongoose.Schema({
     type: Date
   },
 
-  // Refund information
+  // Refund information; amount is the total refunded so far, the rest describes the latest refund
   refund: {
     amount: { type: Number },
     reason: { type: String },
@@ -97,6 +115,14 @@ const transactionSchema = new mongoose.Schema({
     refundTransactionId: { type: String }
   },
 
+  // Every refund against this transaction, full or partial
+  refunds: [{
+    amount: { type: Number, required: true },
+    reason: { type: String },
+    refundedAt: { type: Date, default: Date.now },
+    refundTransactionId: { type: String }
+  }],
+
   // Invoice/Receipt
   invoiceNumber: {
     type: String,
@@ -140,9 +166,11 @@ transactionSchema.index({ buyer: 1, status: 1, createdAt: -1 });
 transactionSchema.index({ seller: 1, status: 1, createdAt: -1 });
 transactionSchema.index({ status: 1, createdAt: -1 });
 transactionSchema.index({ orderId: 1 });
+transactionSchema.index({ paymentGateway: 1, gatewayOrderId: 1 });
+transactionSchema.index({ paymentGateway: 1, gatewayTransactionId: 1 });
 
-// Generate transaction ID before save
-transactionSchema.pre('save', async function(next) {
+// Generate transaction ID before validation (transactionId is required)
+transactionSchema.pre('validate', async function(next) {
   if (this.isNew && !this.transactionId) {
     const generateTxnId = () => {
       const prefix = 'TXN';
@@ -158,7 +186,11 @@ transactionSchema.pre('save', async function(next) {
       if (!existing) unique = true;
     }
   }
+  next();
+});
 
+// Track status changes
+transactionSchema.pre('save', function(next) {
   // Add to status history if status changed
   if (this.isModified('status')) {
     this.statusHistory.push({
@@ -176,7 +208,7 @@ transactionSchema.pre('save', async function(next) {
 
 // Update seller's order count on completion
 transactionSchema.post('save', async function(doc) {
-  if (doc.status === 'completed') {
+  if (doc.status === 'completed' && doc.seller) {
     try {
       const User = mongoose.model('User');
       await User.findByIdAndUpdate(doc.seller, {
@@ -225,6 +257,40 @@ transactionSchema.methods.processRefund = function(amount, reason) {
   return this.save();
 };
 
+// Static method to record a payment against an order
+transactionSchema.statics.createFromOrder = async function(order, paymentData = {}) {
+  const amount = paymentData.amount !== undefined ? paymentData.amount : order.balanceDue;
+  const isFullPayment = amount >= order.totalAmount;
+
+  const transaction = new this({
+    buyer: order.buyer._id || order.buyer,
+    seller: order.seller._id || order.seller,
+    orderId: order._id,
+    amount,
+    currency: order.currency,
+    breakdown: isFullPayment ? {
+      subtotal: order.subtotal,
+      tax: order.tax,
+      shippingCharges: order.shippingCharges,
+      discount: order.discount
+    } : {
+      subtotal: amount
+    },
+    paymentMethod: paymentData.paymentMethod,
+    paymentGateway: paymentData.paymentGateway || 'manual',
+    gatewayTransactionId: paymentData.gatewayTransactionId,
+    status: paymentData.status || 'pending',
+    buyerNotes: paymentData.buyerNotes,
+    sellerNotes: paymentData.sellerNotes,
+    metadata: paymentData.metadata
+  });
+
+  await transaction.save();
+  await order.refreshPaymentStatus();
+
+  return transaction;
+};
+
 // Static method to get transaction summary for user
 transactionSchema.statics.getUserTransactionSummary = async function(userId, role = 'both') {
   const query = {};
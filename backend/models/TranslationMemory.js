@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A translation the platform has already paid for, shared by every user. Keyed on the normalised
+// source text (glossary terms replaced by placeholders), the language pair and the provider, so a
+// phrase like "MOQ 100 pcs" is only ever sent to the provider once per target language.
+const translationMemorySchema = new mongoose.Schema({
+  sourceHash: { type: String, required: true }, // SHA-256 of sourceText
+  sourceText: { type: String, required: true },
+  sourceLanguage: { type: String, required: true }, // as requested; 'auto' when the sender didn't say
+  targetLanguage: { type: String, required: true },
+  provider: { type: String, required: true },
+  translatedText: { type: String, required: true },
+  detectedLanguage: { type: String },
+  confidence: { type: Number },
+  hits: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes
+translationMemorySchema.index({ sourceHash: 1, sourceLanguage: 1, targetLanguage: 1, provider: 1 }, { unique: true });
+translationMemorySchema.index({ hits: -1 });
+
+const TranslationMemory = mongoose.model('TranslationMemory', translationMemorySchema);
+
+export default TranslationMemory;
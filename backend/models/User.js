@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { toGeoPoint } from '../utils/geo.js';
+import { resolveMediaUrl } from '../services/storage/index.js';
+
+// Uploaded verification and certification documents are stored as storage references;
+// whoever receives the user gets signed download URLs instead
+const resolveDocumentUrls = (ret) => {
+  ret.verificationDocuments?.forEach(document => { document.url = resolveMediaUrl(document.url); });
+  ret.certifications?.forEach(certification => {
+    certification.documentUrl = resolveMediaUrl(certification.documentUrl);
+  });
+  return ret;
+};
 
 const userSchema = new mongoose.Schema({
   // Basic Auth
@@ -63,6 +75,11 @@ const userSchema = new mongoose.Schema({
     coordinates: {
       latitude: { type: Number },
       longitude: { type: Number }
+    },
+    // GeoJSON copy of `coordinates` for geo queries; kept in sync by the hooks below
+    geo: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
     }
   },
   
@@ -185,6 +202,7 @@ const userSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: true },
   isBanned: { type: Boolean, default: false },
   banReason: { type: String },
+  isAdmin: { type: Boolean, default: false },
   
   // Onboarding
   onboardingCompleted: { type: Boolean, default: false },
@@ -431,6 +449,22 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Pending phone verification; the code is stored as an HMAC, never in plain text
+  phoneToVerify: { type: String },
+  phoneVerificationCode: {
+    type: String,
+    select: false
+  },
+  phoneVerificationExpiry: { type: Date },
+  phoneVerificationAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  phoneVerificationLockedUntil: {
+    type: Date,
+    select: false
+  },
   twoFactorEnabled: {
     type: Boolean,
     default: false
@@ -439,6 +473,34 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  // Secret generated during enrolment, moved to twoFactorSecret once a code from it is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorEnabledAt: { type: Date },
+  // Last TOTP time step accepted, so a code cannot be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of single-use recovery codes
+  twoFactorRecoveryCodes: {
+    type: [{
+      hash: { type: String, required: true },
+      usedAt: { type: Date }
+    }],
+    select: false
+  },
+  twoFactorFailedAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  twoFactorLockedUntil: {
+    type: Date,
+    select: false
+  },
   autoReplyMessage: {
     type: String,
     maxlength: 500
@@ -460,7 +522,10 @@ const userSchema = new mongoose.Schema({
     catalogDownloads: { type: Number, default: 0 }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => resolveDocumentUrls(ret)
+  }
 });
 
 // Indexes for performance
@@ -479,7 +544,7 @@ userSchema.index({ subscriptionTier: 1 });
 userSchema.index({ rating: -1 });
 userSchema.index({ trustScore: -1 });
 userSchema.index({ referralCode: 1 }, { sparse: true });
-userSchema.index({ 'shopLocation.coordinates': '2dsphere' });
+userSchema.index({ 'shopLocation.geo': '2dsphere' }, { sparse: true });
 userSchema.index({ isVerified: 1, rating: -1 });
 userSchema.index({ businessType: 1, 'shopLocation.city': 1 });
 userSchema.index({ categories: 1, rating: -1 });
@@ -554,6 +619,35 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Keep the GeoJSON shop point in step with the shop coordinates
+userSchema.pre('save', function(next) {
+  if (this.isModified('shopLocation')) {
+    this.set('shopLocation.geo', toGeoPoint(this.shopLocation?.coordinates) || undefined);
+  }
+  next();
+});
+
+// Same for profile updates that replace the shop location in one query
+userSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+
+  if (set.shopLocation && typeof set.shopLocation === 'object') {
+    const geo = toGeoPoint(set.shopLocation.coordinates);
+    set.shopLocation = { ...set.shopLocation };
+    if (geo) set.shopLocation.geo = geo;
+    else delete set.shopLocation.geo;
+  } else if (set['shopLocation.coordinates'] !== undefined) {
+    const geo = toGeoPoint(set['shopLocation.coordinates']);
+    if (geo) {
+      set['shopLocation.geo'] = geo;
+    } else {
+      update.$unset = { ...update.$unset, 'shopLocation.geo': 1 };
+    }
+  }
+  next();
+});
+
 // Calculate trust score before saving
 userSchema.pre('save', function(next) {
   if (this.isModified('rating') || this.isModified('totalReviews') ||
@@ -608,7 +702,16 @@ userSchema.methods.toSafeObject = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.firebaseUid;
-  return userObject;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorLastUsedStep;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorFailedAttempts;
+  delete userObject.twoFactorLockedUntil;
+  delete userObject.phoneVerificationCode;
+  delete userObject.phoneVerificationAttempts;
+  delete userObject.phoneVerificationLockedUntil;
+  return resolveDocumentUrls(userObject);
 };
 
 // Static method to find users by location
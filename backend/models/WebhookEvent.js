@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Record of every payment gateway webhook we have processed.
+// The unique (gateway, eventId) index is what makes webhook handling idempotent.
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'paytm', 'phonepe', 'mock'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  error: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ createdAt: -1 });
+
+// Mark event outcome
+webhookEventSchema.methods.markOutcome = function(status, details = {}) {
+  this.status = status;
+  this.processedAt = new Date();
+  if (details.transaction) this.transaction = details.transaction;
+  if (details.error) this.error = details.error;
+  return this.save();
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
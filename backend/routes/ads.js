@@ -2,6 +2,10 @@ import express from 'express';
 import { body, query, validationResult } from 'express-validator';
 import Ad from '../models/Ad.js';
 import User from '../models/User.js';
+import adCreditService from '../services/adCreditService.js';
+import adBillingService from '../services/adBillingService.js';
+import adServingService from '../services/adServingService.js';
+import invalidTrafficService from '../services/invalidTrafficService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { adminOnly, createRateLimit } from '../middleware/auth.js';
 
@@ -10,6 +14,60 @@ const router = express.Router();
 // Rate limiting
 const createAdLimit = createRateLimit(60 * 60 * 1000, 5, 'Too many ads created. Please try again later.');
 
+// Bids, daily budget, delivery hours and targeting (shared by create and update)
+const adSettingsValidation = [
+  body('targeting.locations.*.coordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+  body('targeting.locations.*.coordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+  body('targeting.locations.*.radius')
+    .optional()
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Radius must be between 1 and 500 km'),
+  body('targeting.placements')
+    .optional()
+    .isArray()
+    .withMessage('Placements must be an array'),
+  body('targeting.placements.*')
+    .isIn(adServingService.PLACEMENTS)
+    .withMessage('Invalid placement'),
+  body('targeting.frequencyCap')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Frequency cap must be between 1 and 50'),
+  body('pricing.model')
+    .optional()
+    .isIn(['cpm', 'cpc', 'flat_rate'])
+    .withMessage('Pricing model must be cpm, cpc or flat_rate'),
+  body('pricing.bid')
+    .if(body('pricing.model').isIn(['cpm', 'cpc']))
+    .isFloat({ min: 0.1 })
+    .withMessage('A bid of at least ₹0.10 is required for CPC and CPM ads'),
+  body('pricing.budget.daily')
+    .optional()
+    .isFloat({ min: 10 })
+    .withMessage('Minimum daily budget is ₹10'),
+  body('campaign.schedule.hours.start')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Schedule start must be in HH:MM format'),
+  body('campaign.schedule.hours.end')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Schedule end must be in HH:MM format')
+    .custom((end, { req }) => {
+      const start = req.body.campaign.schedule.hours.start;
+      if (start && end <= start) {
+        throw new Error('Schedule end must be after schedule start');
+      }
+      return true;
+    })
+];
+
 // @desc    Get ads for user location and interests
 // @route   GET /api/ads
 // @access  Private
@@ -36,10 +94,13 @@ router.get('/', [
   const targetLocation = location || user.shopLocation.city;
   const targetCategories = category ? [category] : user.categories;
   
-  const ads = await Ad.findForLocation(targetLocation, targetCategories, limit);
+  const candidates = await Ad.findForLocation(targetLocation, targetCategories, limit);
+
+  // Leave out ads outside their schedule or ahead of their budget pacing
+  const ads = adBillingService.filterServable(candidates);
   
-  // Record impressions
-  await Promise.all(ads.map(ad => ad.recordImpression()));
+  // Record impressions and bill CPM and flat-rate ads for them
+  await adBillingService.recordImpressions(ads, req.userId);
   
   res.json({
     success: true,
@@ -62,6 +123,61 @@ router.get('/', [
   });
 }));
 
+// @desc    Serve the best-matching ads for a placement
+// @route   GET /api/ads/serve
+// @access  Private
+router.get('/serve', [
+  query('placement')
+    .isIn(adServingService.PLACEMENTS)
+    .withMessage(`Placement must be one of: ${adServingService.PLACEMENTS.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Limit must be between 1 and 5'),
+  query('communityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid community ID'),
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { placement, limit = 1, communityId, q } = req.query;
+
+  const served = await adServingService.serveAds(req.userId, {
+    placement,
+    limit: parseInt(limit),
+    communityId,
+    query: q
+  });
+
+  res.json({
+    success: true,
+    placement,
+    ads: served.map(({ ad }) => ({
+      _id: ad._id,
+      title: ad.title,
+      description: ad.description,
+      creative: ad.creative,
+      product: ad.product,
+      cta: ad.cta,
+      owner: ad.owner,
+      tier: ad.pricing.tier,
+      isFeatured: ad.featured.isFeatured,
+      isBoosted: ad.boost.isBoosted
+    }))
+  });
+}));
+
 // @desc    Create new ad
 // @route   POST /api/ads
 // @access  Private
@@ -88,7 +204,8 @@ router.post('/', createAdLimit, [
     .withMessage('Valid end date is required'),
   body('pricing.budget.total')
     .isFloat({ min: 100 })
-    .withMessage('Minimum budget is ₹100')
+    .withMessage('Minimum budget is ₹100'),
+  ...adSettingsValidation
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   
@@ -222,6 +339,78 @@ router.get('/my', [
   });
 }));
 
+// @desc    Get ad credit statement
+// @route   GET /api/ads/credits/statement
+// @access  Private
+router.get('/credits/statement', [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { from, to, page = 1, limit = 50 } = req.query;
+  const statement = await adCreditService.getStatement(req.userId, { from, to, page, limit });
+
+  res.json({
+    success: true,
+    statement
+  });
+}));
+
+// @desc    Adjust a user's ad credits (Admin only)
+// @route   POST /api/ads/credits/adjust
+// @access  Private + Admin
+router.post('/credits/adjust', adminOnly, [
+  body('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .toFloat(),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const { userId, amount, reason } = req.body;
+  const entry = await adCreditService.adjustCredits(userId, amount, reason, req.userId);
+
+  res.json({
+    success: true,
+    message: 'Ad credits adjusted',
+    entry
+  });
+}));
+
 // @desc    Get ad by ID
 // @route   GET /api/ads/:id
 // @access  Private
@@ -278,7 +467,12 @@ router.put('/:id', [
     .optional()
     .isLength({ min: 10, max: 500 })
     .trim()
-    .withMessage('Description must be 10-500 characters long')
+    .withMessage('Description must be 10-500 characters long'),
+  body('pricing.budget.total')
+    .optional()
+    .isFloat({ min: 100 })
+    .withMessage('Minimum budget is ₹100'),
+  ...adSettingsValidation
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   
@@ -331,6 +525,11 @@ router.put('/:id', [
     }
   });
   
+  // Spend so far is not editable
+  if (updates.pricing) {
+    updates.pricing = { ...updates.pricing, actualSpent: ad.pricing.actualSpent };
+  }
+  
   // Reset to pending approval if was rejected
   if (ad.status === 'rejected') {
     updates.status = 'pending_approval';
@@ -384,6 +583,28 @@ router.put('/:id/toggle', asyncHandler(async (req, res) => {
       status: 'paused'
     });
   } else if (ad.status === 'paused') {
+    if (!ad.hasBid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a bid for this ad before resuming it'
+      });
+    }
+
+    if (ad.isBudgetExceeded()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This ad has spent its total budget. Increase the budget to resume it'
+      });
+    }
+
+    const owner = await User.findById(ad.owner).select('adCredits');
+    if (!owner || owner.adCredits <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough ad credits to resume this ad'
+      });
+    }
+
     await ad.resume();
     res.json({
       success: true,
@@ -422,20 +643,15 @@ router.post('/:id/click', asyncHandler(async (req, res) => {
     });
   }
   
-  // Record click
-  await ad.recordInteraction(req.userId, 'click', metadata);
-  
-  // Calculate cost (simplified)
-  let cost = 0;
-  if (ad.pricing.model === 'cpc') {
-    cost = ad.pricing.budget.total / 1000; // Simple CPC calculation
-  } else if (ad.pricing.model === 'flat_rate') {
-    cost = ad.pricing.budget.total / (ad.analytics.impressions || 1);
-  }
-  
-  if (cost > 0) {
-    await ad.updateSpent(cost);
-  }
+  // Screen for invalid traffic; only valid clicks are counted and billed.
+  // The response is the same either way so the verdict isn't revealed.
+  await invalidTrafficService.processClick(ad, {
+    userId: req.userId,
+    ip: req.ip,
+    deviceId: req.body.deviceId || req.get('X-Device-Id'),
+    userAgent: req.get('User-Agent'),
+    metadata
+  });
   
   res.json({
     success: true,
@@ -531,11 +747,15 @@ router.get('/:id/analytics', asyncHandler(async (req, res) => {
     new Date(stat.date) >= cutoffDate
   );
   
+  const invalidClickReasons = await invalidTrafficService.getInvalidClickBreakdown(ad._id, cutoffDate);
+  
   res.json({
     success: true,
     analytics: {
       ...ad.analytics.toObject(),
       dailyStats: filteredDailyStats,
+      invalidClicks: ad.analytics.invalidClicks,
+      invalidClickReasons,
       performanceMetrics: ad.performanceMetrics,
       budgetUtilization: {
         spent: ad.pricing.actualSpent,
@@ -547,6 +767,54 @@ router.get('/:id/analytics', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get ad billing summary, reconciled with daily stats (Owner or admin)
+// @route   GET /api/ads/:id/billing
+// @access  Private
+router.get('/:id/billing', [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const ad = await Ad.findById(req.params.id);
+
+  if (!ad) {
+    return res.status(404).json({
+      success: false,
+      message: 'Ad not found'
+    });
+  }
+
+  if (ad.owner.toString() !== req.userId.toString() && !req.user?.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view billing for this ad'
+    });
+  }
+
+  const summary = await adBillingService.getBillingSummary(ad, {
+    from: req.query.from,
+    to: req.query.to
+  });
+
+  res.json({
+    success: true,
+    billing: summary
+  });
+}));
+
 // ADMIN ROUTES
 
 // @desc    Get ads pending approval (Admin only)
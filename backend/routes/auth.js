@@ -1,14 +1,58 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import admin from 'firebase-admin';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { createSession, rotateRefreshToken, revokeSession } from '../services/sessionService.js';
+import { signTwoFactorToken, verifyTwoFactorToken, getAccessError } from '../services/tokenService.js';
+import {
+  generateSecret,
+  buildProvisioningUri,
+  verifyCode,
+  generateRecoveryCodes,
+  verifySecondFactor
+} from '../services/twoFactorService.js';
 import { auth } from '../middleware/auth.js';
+import { io } from '../server.js';
 
 const router = express.Router();
 
+// A TOTP code or a recovery code, whichever the user has at hand
+const secondFactorValidators = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value?.code || value?.recoveryCode))
+    .withMessage('A verification code or recovery code is required')
+];
+
+// Reply for an operational error from a service (wrong code, lockout, expired token)
+const sendServiceError = (res, error) => {
+  if (!error.statusCode || error.statusCode >= 500) throw error;
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    reason: error.reason
+  });
+};
+
+// Second login step for accounts with two-factor authentication
+const twoFactorChallenge = (user) => ({
+  success: true,
+  requiresTwoFactor: true,
+  twoFactorToken: signTwoFactorToken(user),
+  message: 'Enter the code from your authenticator app'
+});
+
 // @desc    Register user with email/password
 // @route   POST /api/auth/register
 // @access  Public
@@ -72,17 +116,13 @@ router.post('/register', [
   
   await user.save();
   
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId: user._id, email: user.email },
-    process.env.JWT_SECRET || 'fallback_secret_key',
-    { expiresIn: '7d' }
-  );
+  // Start a session for this device
+  const tokens = await createSession(user, req);
   
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
-    token,
+    ...tokens,
     user: user.toSafeObject(),
     requiresOnboarding: true
   });
@@ -153,20 +193,21 @@ router.post('/login', [
     });
   }
   
+  // Accounts with two-factor authentication finish signing in at /login/2fa
+  if (user.twoFactorEnabled) {
+    return res.json(twoFactorChallenge(user));
+  }
+  
   // Update last active
   user.updateLastActive();
   
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId: user._id, email: user.email },
-    process.env.JWT_SECRET || 'fallback_secret_key',
-    { expiresIn: '7d' }
-  );
+  // Start a session for this device
+  const tokens = await createSession(user, req);
   
   res.json({
     success: true,
     message: 'Login successful',
-    token,
+    ...tokens,
     user: user.toSafeObject(),
     requiresOnboarding: !user.onboardingCompleted
   });
@@ -252,20 +293,20 @@ router.post('/google', asyncHandler(async (req, res) => {
       await user.save();
     }
     
+    if (user.twoFactorEnabled) {
+      return res.json(twoFactorChallenge(user));
+    }
+    
     // Update last active
     user.updateLastActive();
     
-    // Generate JWT token (as fallback)
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback_secret_key',
-      { expiresIn: '7d' }
-    );
+    // Start a session for this device (our tokens work alongside the Firebase one)
+    const tokens = await createSession(user, req);
     
     res.json({
       success: true,
       message: isNewUser ? 'Account created successfully' : 'Login successful',
-      token,
+      ...tokens,
       firebaseToken: idToken, // Return Firebase token for frontend use
       user: user.toSafeObject(),
       requiresOnboarding: !user.onboardingCompleted,
@@ -286,6 +327,56 @@ router.post('/google', asyncHandler(async (req, res) => {
   }
 }));
 
+// @desc    Finish signing in with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (interim token from login)
+router.post('/login/2fa', [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  ...secondFactorValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { twoFactorToken, code, recoveryCode } = req.body;
+  
+  let verification;
+  try {
+    const userId = await verifyTwoFactorToken(twoFactorToken);
+    verification = { userId, ...(await verifySecondFactor(userId, { code, recoveryCode })) };
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+  
+  const user = await User.findById(verification.userId);
+  const accessError = getAccessError(user);
+  if (accessError) {
+    return sendServiceError(res, accessError);
+  }
+  
+  user.updateLastActive();
+  
+  const tokens = await createSession(user, req);
+  
+  res.json({
+    success: true,
+    message: 'Login successful',
+    ...tokens,
+    user: user.toSafeObject(),
+    requiresOnboarding: !user.onboardingCompleted,
+    recoveryCodesRemaining: verification.recoveryCodesRemaining
+  });
+}));
+
 // @desc    Complete onboarding
 // @route   POST /api/auth/onboarding
 // @access  Private
@@ -503,27 +594,308 @@ router.put('/password', auth, [
   user.password = newPassword;
   await user.save();
   
+  // Sign out everywhere else; whoever knew the old password may hold a session
+  const revokedIds = await Session.revokeAllForUser(req.userId, 'password_changed', req.sessionId);
+  revokedIds.forEach(sessionId => io.revokeSession(sessionId, 'Password changed. Please sign in again.'));
+  
   res.json({
     success: true,
-    message: 'Password updated successfully'
+    message: 'Password updated successfully',
+    sessionsRevoked: revokedIds.length
   });
 }));
 
-// @desc    Refresh token
+// @desc    Exchange a refresh token for a new access token and refresh token
 // @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  let result;
+  try {
+    result = await rotateRefreshToken(req.body.refreshToken, req);
+  } catch (error) {
+    if (error.statusCode !== 401) throw error;
+    
+    if (error.revokedSessionId) {
+      io.revokeSession(error.revokedSessionId, error.message);
+    }
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+      reason: error.reason
+    });
+  }
+  
+  const { user, ...tokens } = result;
+  
+  res.json({
+    success: true,
+    ...tokens,
+    user: user.toSafeObject()
+  });
+}));
+
+// @desc    Sign out this device
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', auth, asyncHandler(async (req, res) => {
+  if (req.sessionId) {
+    await revokeSession(req.userId, req.sessionId, 'logout');
+    io.revokeSession(req.sessionId, 'Signed out.');
+  }
+  
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+}));
+
+// @desc    Get the devices I'm signed in on
+// @route   GET /api/auth/sessions
 // @access  Private
-router.post('/refresh', auth, asyncHandler(async (req, res) => {
-  // Generate new JWT token
-  const token = jwt.sign(
-    { userId: req.user._id, email: req.user.email },
-    process.env.JWT_SECRET || 'fallback_secret_key',
-    { expiresIn: '7d' }
+router.get('/sessions', auth, asyncHandler(async (req, res) => {
+  const sessions = await Session.getActiveSessions(req.userId);
+  
+  res.json({
+    success: true,
+    sessions: sessions.map(session => session.toListEntry(req.sessionId))
+  });
+}));
+
+// @desc    Sign out one of my sessions remotely
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const revoked = await revokeSession(req.userId, req.params.id, 'remote_logout');
+  
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+  
+  io.revokeSession(req.params.id, 'Signed out from another device.');
+  
+  res.json({
+    success: true,
+    message: 'Session signed out'
+  });
+}));
+
+// @desc    Get my two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/2fa', auth, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('+twoFactorRecoveryCodes');
+  
+  res.json({
+    success: true,
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    recoveryCodesRemaining: user.twoFactorEnabled
+      ? user.twoFactorRecoveryCodes.filter(entry => !entry.usedAt).length
+      : 0
+  });
+}));
+
+// @desc    Start two-factor enrolment: a new secret and its provisioning URI for the QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', auth, asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+  
+  const secret = generateSecret();
+  await User.updateOne({ _id: req.userId }, { twoFactorPendingSecret: secret });
+  
+  res.json({
+    success: true,
+    secret,
+    otpauthUrl: buildProvisioningUri(secret, req.user.email)
+  });
+}));
+
+// @desc    Finish enrolment by confirming a code from the new secret
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const user = await User.findById(req.userId).select('+twoFactorPendingSecret');
+  
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+  
+  if (!user.twoFactorPendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start two-factor setup first'
+    });
+  }
+  
+  const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+  
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code. Check the time on your device and try again.'
+    });
+  }
+  
+  const recovery = generateRecoveryCodes();
+  
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorRecoveryCodes = recovery.hashes.map(hash => ({ hash }));
+  user.twoFactorFailedAttempts = 0;
+  await user.save();
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    recoveryCodes: recovery.codes
+  });
+}));
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password')
+    .if((value, { req }) => req.user.authProvider === 'email')
+    .notEmpty()
+    .withMessage('Password is required for email accounts'),
+  ...secondFactorValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { password, code, recoveryCode } = req.body;
+  
+  if (req.user.authProvider === 'email') {
+    const user = await User.findById(req.userId).select('+password');
+    const isMatch = await user.comparePassword(password);
+    
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+  }
+  
+  try {
+    await verifySecondFactor(req.userId, { code, recoveryCode });
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+  
+  await User.updateOne({ _id: req.userId }, {
+    twoFactorEnabled: false,
+    $unset: {
+      twoFactorSecret: 1,
+      twoFactorPendingSecret: 1,
+      twoFactorEnabledAt: 1,
+      twoFactorLastUsedStep: 1,
+      twoFactorRecoveryCodes: 1,
+      twoFactorLockedUntil: 1
+    }
+  });
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// @desc    Replace my recovery codes; the old ones stop working
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', auth, secondFactorValidators, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { code, recoveryCode } = req.body;
+  
+  try {
+    await verifySecondFactor(req.userId, { code, recoveryCode });
+  } catch (error) {
+    return sendServiceError(res, error);
+  }
+  
+  const recovery = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: req.userId },
+    { twoFactorRecoveryCodes: recovery.hashes.map(hash => ({ hash })) }
   );
   
   res.json({
     success: true,
-    token,
-    user: req.user.toSafeObject()
+    recoveryCodes: recovery.codes
   });
 }));
 
@@ -581,6 +953,10 @@ router.delete('/account', auth, [
     deactivationReason: reason
   });
   
+  // End sessions on every device
+  await Session.revokeAllForUser(req.userId, 'account_deactivated');
+  io.revokeUser(req.userId, 'Account is deactivated.');
+  
   res.json({
     success: true,
     message: 'Account deactivated successfully'
@@ -1,9 +1,11 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { Conversation, Message } from '../models/Chat.js';
 import User from '../models/User.js';
+import DeviceKey from '../models/DeviceKey.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { createRateLimit } from '../middleware/auth.js';
+import { isStorageRef, isOwnStorageRef, signMessageMedia, deleteFile } from '../services/storage/index.js';
 import { io } from '../server.js';
 
 const router = express.Router();
@@ -11,6 +13,212 @@ const router = express.Router();
 // Rate limiting
 const messageLimit = createRateLimit(60 * 1000, 60, 'Too many messages. Please slow down.');
 
+const GROUP_MAX_MEMBERS = 50;
+
+// Scheduled messages may be queued up to 30 days ahead
+const SCHEDULE_MAX_AHEAD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Temporary messages live between 10 seconds and 7 days after they are sent
+const TTL_MIN_SECONDS = 10;
+const TTL_MAX_SECONDS = 7 * 24 * 60 * 60;
+
+// Attachment fields take a file uploaded by the sender (POST /api/media) or an external URL;
+// inline data: URLs are not stored in messages any more
+const attachmentValidator = (field, folder) => body(field)
+  .optional({ nullable: true })
+  .isString()
+  .custom((value, { req }) => {
+    if (isStorageRef(value)) {
+      if (!isOwnStorageRef(value, req.userId, folder)) {
+        throw new Error('Attachment not found');
+      }
+      return true;
+    }
+    if (value.startsWith('data:')) {
+      throw new Error('Upload the file to /api/media and send its reference instead');
+    }
+    return true;
+  });
+
+const scheduledForValidator = body('scheduledFor')
+  .optional({ nullable: true })
+  .isISO8601()
+  .withMessage('Scheduled time must be a valid date')
+  .bail()
+  .custom(value => {
+    const time = new Date(value).getTime();
+    if (time <= Date.now()) {
+      throw new Error('Scheduled time must be in the future');
+    }
+    if (time > Date.now() + SCHEDULE_MAX_AHEAD_MS) {
+      throw new Error('Messages can be scheduled at most 30 days ahead');
+    }
+    return true;
+  });
+
+const ttlValidator = body('ttl')
+  .optional({ nullable: true })
+  .isInt({ min: TTL_MIN_SECONDS, max: TTL_MAX_SECONDS })
+  .withMessage(`Time-to-live must be ${TTL_MIN_SECONDS}-${TTL_MAX_SECONDS} seconds`)
+  .toInt();
+
+// Base64 of AES-GCM ciphertext for a 10000-character message, with room to spare
+const MAX_CIPHERTEXT_LENGTH = 60000;
+
+// Check an encrypted message's key envelope against the key directory.
+// Resolves to { encryption } ready to store, or { error } to send back.
+const buildEncryptionEnvelope = async (conversation, senderId, envelope) => {
+  if (!envelope || typeof envelope !== 'object') {
+    return { error: 'Encrypted messages need an encryption envelope' };
+  }
+  
+  const { senderDevice, iv, keys } = envelope;
+  if (typeof iv !== 'string' || !/^[A-Za-z0-9+/]{16}$/.test(iv)) {
+    return { error: 'Invalid encryption IV' };
+  }
+  if (!Array.isArray(keys) || keys.length === 0) {
+    return { error: 'Encrypted messages need at least one wrapped key' };
+  }
+  
+  const memberIds = conversation.participants
+    .filter(p => !p.leftAt)
+    .map(p => p.user.toString());
+  const deviceKeys = await DeviceKey.getActiveKeys(memberIds);
+  
+  const senderKey = deviceKeys.find(key =>
+    key.user.toString() === senderId.toString() && key.deviceId === senderDevice
+  );
+  if (!senderKey) {
+    return { error: 'Sending device has no registered encryption key' };
+  }
+  
+  const knownDevices = new Set(deviceKeys.map(key => `${key.user}:${key.deviceId}`));
+  const wrapped = [];
+  for (const entry of keys) {
+    const device = `${entry?.user}:${entry?.deviceId}`;
+    if (!knownDevices.has(device) || typeof entry.wrappedKey !== 'string' || !/^[A-Za-z0-9+/=]{40,100}$/.test(entry.wrappedKey)) {
+      return { error: 'Message key is wrapped for an unknown device' };
+    }
+    wrapped.push({ user: entry.user, deviceId: entry.deviceId, wrappedKey: entry.wrappedKey });
+  }
+  
+  // Every other member must be able to read the message on at least one device
+  const readers = new Set(wrapped.map(entry => entry.user.toString()));
+  const unreadable = memberIds.filter(id => id !== senderId.toString() && !readers.has(id));
+  if (unreadable.length > 0) {
+    return { error: 'Message key is missing for a participant; refresh their device keys and try again' };
+  }
+  
+  return {
+    encryption: {
+      algorithm: 'ECDH-P256+AES-GCM',
+      senderDevice,
+      senderKey: senderKey.publicKey,
+      iv,
+      keys: wrapped
+    }
+  };
+};
+
+// Response shape for a message still waiting to be sent
+const formatScheduledMessage = (message) => ({
+  _id: message._id,
+  conversation: message.conversation,
+  content: message.content,
+  type: message.type,
+  ...signMessageMedia(message),
+  replyTo: message.replyTo,
+  isEncrypted: message.isEncrypted,
+  encryption: message.isEncrypted ? message.encryption : undefined,
+  scheduledFor: message.scheduledFor,
+  isTemporary: message.isTemporary,
+  ttl: message.ttlSeconds,
+  createdAt: message.createdAt
+});
+
+// Conversation summary for the list and create endpoints
+const formatConversation = (conversation, userId) => {
+  const summary = {
+    _id: conversation._id,
+    type: conversation.type,
+    lastMessage: conversation.lastMessage,
+    unreadCount: conversation.getUnreadCount(userId),
+    settings: conversation.settings,
+    isEncrypted: Boolean(conversation.encryption?.enabled),
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+  
+  if (conversation.type === 'group') {
+    summary.title = conversation.title;
+    summary.avatar = conversation.avatar;
+    summary.myRole = conversation.getParticipant(userId)?.role;
+    summary.participants = conversation.participants
+      .filter(p => !p.leftAt)
+      .map(p => ({ user: p.user, role: p.role, joinedAt: p.joinedAt }));
+  } else {
+    const otherParticipant = conversation.participants.find(p => 
+      p.user._id.toString() !== userId.toString()
+    );
+    summary.otherParticipant = otherParticipant ? otherParticipant.user : null;
+  }
+  
+  return summary;
+};
+
+// Record a group event as a system message and deliver it to every current member
+const postSystemMessage = async (conversation, actorId, eventType, text, data = {}) => {
+  const message = await Message.createSystemMessage(conversation._id, actorId, eventType, text, data);
+  
+  await conversation.updateLastMessage({
+    content: message.content,
+    sender: actorId,
+    type: message.type,
+    createdAt: message.createdAt
+  });
+  
+  conversation.participants
+    .filter(p => !p.leftAt)
+    .forEach(p => {
+      io.to(`user_${p.user._id || p.user}`).emit('new_message', {
+        conversationId: conversation._id,
+        message: {
+          _id: message._id,
+          sender: actorId,
+          content: message.content,
+          type: message.type,
+          systemData: message.systemData,
+          createdAt: message.createdAt
+        }
+      });
+    });
+  
+  return message;
+};
+
+// Load the group in req.params.id for a current member; responds and resolves to null otherwise
+const loadGroup = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+  
+  if (!conversation || conversation.type !== 'group') {
+    res.status(404).json({
+      success: false,
+      message: 'Group conversation not found'
+    });
+    return null;
+  }
+  
+  if (!conversation.isParticipant(req.userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this group'
+    });
+    return null;
+  }
+  
+  return conversation;
+};
+
 // @desc    Get user conversations
 // @route   GET /api/chat/conversations
 // @access  Private
@@ -29,22 +237,7 @@ router.get('/conversations', [
   const conversations = await Conversation.getUserConversations(req.userId, page, limit);
   
   // Add unread count and other participant info
-  const conversationsWithInfo = conversations.map(conv => {
-    const otherParticipant = conv.participants.find(p => 
-      p.user._id.toString() !== req.userId.toString()
-    );
-    
-    const unreadCount = conv.getUnreadCount(req.userId);
-    
-    return {
-      _id: conv._id,
-      otherParticipant: otherParticipant ? otherParticipant.user : null,
-      lastMessage: conv.lastMessage,
-      unreadCount,
-      updatedAt: conv.updatedAt,
-      settings: conv.settings
-    };
-  });
+  const conversationsWithInfo = conversations.map(conv => formatConversation(conv, req.userId));
   
   res.json({
     success: true,
@@ -115,23 +308,343 @@ router.post('/conversations', [
   // Populate participants
   await conversation.populate('participants.user', 'displayName businessName profilePicture onlineStatus');
   
-  const otherParticipant = conversation.participants.find(p => 
-    p.user._id.toString() !== req.userId.toString()
+  res.json({
+    success: true,
+    conversation: formatConversation(conversation, req.userId)
+  });
+}));
+
+// @desc    Create group conversation
+// @route   POST /api/chat/groups
+// @access  Private
+router.post('/groups', [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group title must be 1-100 characters'),
+  body('avatar')
+    .optional()
+    .isURL()
+    .withMessage('Avatar must be a valid URL'),
+  body('participantIds')
+    .isArray({ min: 1, max: GROUP_MAX_MEMBERS - 1 })
+    .withMessage(`Add between 1 and ${GROUP_MAX_MEMBERS - 1} members`),
+  body('participantIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { title, avatar, participantIds } = req.body;
+  
+  const memberIds = [...new Set(participantIds)].filter(id => id !== req.userId.toString());
+  const members = await User.find({ _id: { $in: memberIds }, isActive: true }).select('displayName');
+  
+  if (members.length === 0 || members.length !== memberIds.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some members were not found'
+    });
+  }
+  
+  const conversation = await Conversation.create({
+    type: 'group',
+    title,
+    avatar,
+    createdBy: req.userId,
+    participants: [
+      { user: req.userId, role: 'owner' },
+      ...members.map(member => ({ user: member._id, role: 'member' }))
+    ],
+    participantStatus: [
+      { user: req.userId },
+      ...members.map(member => ({ user: member._id }))
+    ]
+  });
+  
+  await postSystemMessage(
+    conversation,
+    req.userId,
+    'group_created',
+    `${req.user.displayName} created the group "${title}"`,
+    { title, members: members.map(member => member._id) }
   );
   
+  await conversation.populate('participants.user', 'displayName businessName profilePicture onlineStatus');
+  
+  res.status(201).json({
+    success: true,
+    conversation: formatConversation(conversation, req.userId)
+  });
+}));
+
+// @desc    Update group title or avatar (Owner/admin)
+// @route   PUT /api/chat/groups/:id
+// @access  Private
+router.put('/groups/:id', [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group title must be 1-100 characters'),
+  body('avatar')
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage('Avatar must be a valid URL')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const conversation = await loadGroup(req, res);
+  if (!conversation) return;
+  
+  if (!conversation.canManageMembers(req.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group owners and admins can change the group'
+    });
+  }
+  
+  const { title, avatar } = req.body;
+  const changes = {};
+  
+  if (title !== undefined && title !== conversation.title) {
+    changes.title = { from: conversation.title, to: title };
+    conversation.title = title;
+  }
+  if (avatar !== undefined && avatar !== conversation.avatar) {
+    changes.avatar = true;
+    conversation.avatar = avatar || undefined;
+  }
+  
+  await conversation.save();
+  
+  if (changes.title) {
+    await postSystemMessage(
+      conversation,
+      req.userId,
+      'group_renamed',
+      `${req.user.displayName} renamed the group to "${title}"`,
+      changes.title
+    );
+  } else if (changes.avatar) {
+    await postSystemMessage(
+      conversation,
+      req.userId,
+      'group_avatar_changed',
+      `${req.user.displayName} changed the group photo`
+    );
+  }
+  
   res.json({
     success: true,
-    conversation: {
+    message: 'Group updated',
+    group: {
       _id: conversation._id,
-      otherParticipant: otherParticipant.user,
-      lastMessage: conversation.lastMessage,
-      unreadCount: conversation.getUnreadCount(req.userId),
-      settings: conversation.settings,
-      createdAt: conversation.createdAt
+      title: conversation.title,
+      avatar: conversation.avatar
     }
   });
 }));
 
+// @desc    Add members to group (Owner/admin)
+// @route   POST /api/chat/groups/:id/members
+// @access  Private
+router.post('/groups/:id/members', [
+  body('userIds')
+    .isArray({ min: 1 })
+    .withMessage('At least one user is required'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const conversation = await loadGroup(req, res);
+  if (!conversation) return;
+  
+  if (!conversation.canManageMembers(req.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group owners and admins can add members'
+    });
+  }
+  
+  const newIds = [...new Set(req.body.userIds)].filter(id => !conversation.isParticipant(id));
+  const users = await User.find({ _id: { $in: newIds }, isActive: true }).select('displayName');
+  
+  const memberCount = conversation.participants.filter(p => !p.leftAt).length;
+  if (memberCount + users.length > GROUP_MAX_MEMBERS) {
+    return res.status(400).json({
+      success: false,
+      message: `Groups can have at most ${GROUP_MAX_MEMBERS} members`
+    });
+  }
+  
+  for (const user of users) {
+    await conversation.addParticipant(user._id, 'member');
+    await postSystemMessage(
+      conversation,
+      req.userId,
+      'user_joined',
+      `${req.user.displayName} added ${user.displayName}`,
+      { userId: user._id, addedBy: req.userId }
+    );
+  }
+  
+  res.json({
+    success: true,
+    message: `${users.length} member(s) added`,
+    added: users.map(user => user._id)
+  });
+}));
+
+// @desc    Remove member from group (Owner/admin)
+// @route   DELETE /api/chat/groups/:id/members/:userId
+// @access  Private
+router.delete('/groups/:id/members/:userId', [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { userId } = req.params;
+  const conversation = await loadGroup(req, res);
+  if (!conversation) return;
+  
+  if (!conversation.canManageMembers(req.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group owners and admins can remove members'
+    });
+  }
+  
+  const member = conversation.getParticipant(userId);
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found in this group'
+    });
+  }
+  
+  if (userId === req.userId.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use leave to remove yourself from the group'
+    });
+  }
+  
+  // Admins can only remove members; the owner can remove anyone
+  const actor = conversation.getParticipant(req.userId);
+  if (actor.role !== 'owner' && member.role !== 'member') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group owner can remove admins'
+    });
+  }
+  
+  await conversation.removeParticipant(userId);
+  
+  const removedUser = await User.findById(userId).select('displayName');
+  await postSystemMessage(
+    conversation,
+    req.userId,
+    'user_left',
+    `${req.user.displayName} removed ${removedUser?.displayName || 'a member'}`,
+    { userId, removedBy: req.userId }
+  );
+  
+  // The removed member stops receiving the conversation's room events
+  io.in(`user_${userId}`).socketsLeave(`conversation_${conversation._id}`);
+  io.to(`user_${userId}`).emit('removed_from_conversation', { conversationId: conversation._id });
+  
+  res.json({
+    success: true,
+    message: 'Member removed'
+  });
+}));
+
+// @desc    Change a member's role (Owner only)
+// @route   PUT /api/chat/groups/:id/members/:userId/role
+// @access  Private
+router.put('/groups/:id/members/:userId/role', [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be admin or member')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const conversation = await loadGroup(req, res);
+  if (!conversation) return;
+  
+  if (conversation.getParticipant(req.userId).role !== 'owner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group owner can change roles'
+    });
+  }
+  
+  const member = conversation.getParticipant(req.params.userId);
+  if (!member || member.role === 'owner') {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found in this group'
+    });
+  }
+  
+  member.role = req.body.role;
+  await conversation.save();
+  
+  res.json({
+    success: true,
+    message: 'Role updated',
+    member: { user: member.user, role: member.role }
+  });
+}));
+
 // @desc    Get messages in conversation
 // @route   GET /api/chat/conversations/:id/messages
 // @access  Private
@@ -172,7 +685,21 @@ router.get('/conversations/:id/messages', [
     !msg.readBy.some(r => r.user.toString() === req.userId.toString())
   );
   
-  await Promise.all(unreadMessages.map(msg => msg.markAsRead(req.userId)));
+  // A message is fully read once every other current member has read it
+  const otherMemberIds = conversation.getOtherParticipantIds(req.userId);
+  await Promise.all(unreadMessages.map(msg => msg.markAsRead(req.userId, otherMemberIds.length)));
+  
+  // Per-member read receipts
+  if (unreadMessages.length > 0) {
+    otherMemberIds.forEach(participantId => {
+      io.to(`user_${participantId}`).emit('messages_read', {
+        conversationId: id,
+        userId: req.userId,
+        messageIds: unreadMessages.map(msg => msg._id),
+        readAt: new Date()
+      });
+    });
+  }
   
   // Update conversation last seen
   await conversation.updateLastSeen(req.userId);
@@ -181,8 +708,8 @@ router.get('/conversations/:id/messages', [
   const formattedMessages = messages.map(msg => {
     let content = msg.content.original.text;
     
-    // Get translation if user's preferred language is different
-    if (req.user.preferredLanguage !== msg.content.original.language) {
+    // Get translation if user's preferred language is different (encrypted messages are translated on the device)
+    if (!msg.isEncrypted && req.user.preferredLanguage !== msg.content.original.language) {
       const translation = msg.getTranslation(req.user.preferredLanguage);
       if (translation) {
         content = translation.text;
@@ -198,11 +725,17 @@ router.get('/conversations/:id/messages', [
         hasTranslation: msg.content.translated.length > 0
       },
       type: msg.type,
-      voice: msg.voice,
-      media: msg.media,
+      systemData: msg.systemData,
+      ...signMessageMedia(msg),
       reactions: msg.reactions,
       replyTo: msg.replyTo,
       isEdited: msg.isEdited,
+      status: msg.status,
+      isEncrypted: msg.isEncrypted,
+      encryption: msg.isEncrypted ? msg.encryption : undefined,
+      isTemporary: msg.isTemporary,
+      expiresAt: msg.expiresAt,
+      isExpired: msg.isExpired,
       createdAt: msg.createdAt,
       readBy: msg.readBy
     };
@@ -224,17 +757,32 @@ router.get('/conversations/:id/messages', [
 // @access  Private
 router.post('/conversations/:id/messages', messageLimit, [
   body('content.text')
+    .if(body('isEncrypted').not().equals('true'))
     .optional()
     .isLength({ min: 1, max: 10000 })
     .trim()
     .withMessage('Message content must be 1-10000 characters'),
+  body('content.text')
+    .if(body('isEncrypted').equals('true'))
+    .isLength({ min: 1, max: MAX_CIPHERTEXT_LENGTH })
+    .isBase64()
+    .withMessage('Encrypted content must be base64 ciphertext'),
+  body('isEncrypted')
+    .optional()
+    .isBoolean()
+    .withMessage('isEncrypted must be a boolean'),
   body('type')
     .isIn(['text', 'voice', 'image', 'file'])
     .withMessage('Invalid message type'),
+  attachmentValidator('voice.audioUrl', 'voice'),
+  attachmentValidator('media.url', 'chat'),
+  attachmentValidator('media.thumbnail', 'chat'),
   body('replyTo')
     .optional()
     .isMongoId()
-    .withMessage('Invalid reply message ID')
+    .withMessage('Invalid reply message ID'),
+  scheduledForValidator,
+  ttlValidator
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   
@@ -247,7 +795,7 @@ router.post('/conversations/:id/messages', messageLimit, [
   }
   
   const { id } = req.params;
-  const { content, type, voice, media, replyTo } = req.body;
+  const { content, type, voice, media, replyTo, scheduledFor, ttl, isEncrypted, encryption } = req.body;
   
   const conversation = await Conversation.findById(id);
   
@@ -265,6 +813,38 @@ router.post('/conversations/:id/messages', messageLimit, [
     });
   }
   
+  // End-to-end encrypted conversations accept ciphertext text messages only
+  let envelope;
+  if (conversation.encryption?.enabled) {
+    if (!isEncrypted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This conversation is end-to-end encrypted; encrypt the message on your device before sending'
+      });
+    }
+    
+    if (type !== 'text') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only text messages can be sent in end-to-end encrypted conversations'
+      });
+    }
+    
+    const { encryption: built, error } = await buildEncryptionEnvelope(conversation, req.userId, encryption);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    envelope = built;
+  } else if (isEncrypted) {
+    return res.status(400).json({
+      success: false,
+      message: 'End-to-end encryption is not enabled for this conversation'
+    });
+  }
+  
   // Validate reply message
   if (replyTo) {
     const replyMessage = await Message.findOne({
@@ -296,6 +876,35 @@ router.post('/conversations/:id/messages', messageLimit, [
     replyTo
   });
   
+  if (envelope) {
+    message.isEncrypted = true;
+    message.encryption = envelope;
+    message.content.original.language = 'auto';
+  }
+  
+  // Temporary messages expire ttl seconds after they are actually sent
+  if (ttl) {
+    message.isTemporary = true;
+    message.ttlSeconds = ttl;
+  }
+  
+  // Scheduled messages are held back and delivered by the chat.deliverScheduled job
+  if (scheduledFor) {
+    message.isScheduled = true;
+    message.scheduledFor = new Date(scheduledFor);
+    await message.save();
+    
+    return res.status(201).json({
+      success: true,
+      scheduled: true,
+      message: formatScheduledMessage(message)
+    });
+  }
+  
+  if (ttl) {
+    message.expiresAt = new Date(Date.now() + ttl * 1000);
+  }
+  
   await message.save();
   
   // Update conversation
@@ -303,6 +912,7 @@ router.post('/conversations/:id/messages', messageLimit, [
     content: message.content,
     sender: message.sender,
     type: message.type,
+    isEncrypted: message.isEncrypted,
     createdAt: message.createdAt
   });
   
@@ -313,9 +923,7 @@ router.post('/conversations/:id/messages', messageLimit, [
   }
   
   // Emit message via Socket.IO
-  const otherParticipants = conversation.participants
-    .filter(p => p.user.toString() !== req.userId.toString())
-    .map(p => p.user.toString());
+  const otherParticipants = conversation.getOtherParticipantIds(req.userId);
   
   otherParticipants.forEach(participantId => {
     io.to(`user_${participantId}`).emit('new_message', {
@@ -325,9 +933,12 @@ router.post('/conversations/:id/messages', messageLimit, [
         sender: message.sender,
         content: message.content,
         type: message.type,
-        voice: message.voice,
-        media: message.media,
+        ...signMessageMedia(message),
         replyTo: message.replyTo,
+        isEncrypted: message.isEncrypted,
+        encryption: message.isEncrypted ? message.encryption : undefined,
+        isTemporary: message.isTemporary,
+        expiresAt: message.expiresAt,
         createdAt: message.createdAt
       }
     });
@@ -340,15 +951,174 @@ router.post('/conversations/:id/messages', messageLimit, [
       sender: message.sender,
       content: message.content,
       type: message.type,
-      voice: message.voice,
-      media: message.media,
+      ...signMessageMedia(message),
       reactions: message.reactions,
       replyTo: message.replyTo,
+      isEncrypted: message.isEncrypted,
+      encryption: message.isEncrypted ? message.encryption : undefined,
+      isTemporary: message.isTemporary,
+      expiresAt: message.expiresAt,
       createdAt: message.createdAt
     }
   });
 }));
 
+// @desc    Get my scheduled messages that have not been sent yet
+// @route   GET /api/chat/scheduled
+// @access  Private
+router.get('/scheduled', [
+  query('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid conversation ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const filter = { sender: req.userId, isScheduled: true };
+  if (req.query.conversationId) filter.conversation = req.query.conversationId;
+  
+  const messages = await Message.find(filter).sort({ scheduledFor: 1 });
+  
+  res.json({
+    success: true,
+    messages: messages.map(formatScheduledMessage)
+  });
+}));
+
+// @desc    Edit a scheduled message before it is sent
+// @route   PUT /api/chat/scheduled/:id
+// @access  Private
+router.put('/scheduled/:id', [
+  body('content')
+    .optional()
+    .isLength({ min: 1, max: 10000 })
+    .trim()
+    .withMessage('Message content must be 1-10000 characters'),
+  scheduledForValidator,
+  ttlValidator
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { content, scheduledFor, ttl } = req.body;
+  
+  const message = await Message.findOne({ _id: req.params.id, sender: req.userId });
+  
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      message: 'Scheduled message not found'
+    });
+  }
+  
+  if (!message.isScheduled) {
+    return res.status(409).json({
+      success: false,
+      message: 'Message has already been sent'
+    });
+  }
+  
+  const update = {};
+  
+  if (content !== undefined) {
+    if (message.type !== 'text') {
+      return res.status(400).json({
+        success: false,
+        message: 'Can only edit the text of text messages'
+      });
+    }
+    if (message.isEncrypted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Encrypted messages cannot be edited; cancel it and schedule a new one'
+      });
+    }
+    update['content.original.text'] = content;
+  }
+  
+  if (scheduledFor) update.scheduledFor = new Date(scheduledFor);
+  
+  // A null ttl turns the message back into a permanent one
+  if (ttl !== undefined) {
+    update.isTemporary = Boolean(ttl);
+    update.ttlSeconds = ttl || null;
+  }
+  
+  // Only while still pending, so an edit cannot race the delivery job
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, isScheduled: true },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      message: 'Message has already been sent'
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: formatScheduledMessage(updated)
+  });
+}));
+
+// @desc    Cancel a scheduled message
+// @route   DELETE /api/chat/scheduled/:id
+// @access  Private
+router.delete('/scheduled/:id', asyncHandler(async (req, res) => {
+  const message = await Message.findOne({ _id: req.params.id, sender: req.userId });
+  
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      message: 'Scheduled message not found'
+    });
+  }
+  
+  const { deletedCount } = await Message.deleteOne({ _id: message._id, isScheduled: true });
+  
+  if (deletedCount === 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Message has already been sent'
+    });
+  }
+  
+  for (const file of [message.voice?.audioUrl, message.media?.url, message.media?.thumbnail]) {
+    await deleteFile(file).catch(error => console.error(`Failed to delete ${file}:`, error.message));
+  }
+  
+  res.json({
+    success: true,
+    message: 'Scheduled message cancelled'
+  });
+}));
+
+// Messages that can be reacted to: pending scheduled messages are not visible to the other
+// participants yet, and expired tombstones have nothing left to react to
+const findReactableMessage = (id) => Message.findOne({
+  _id: id,
+  isScheduled: { $ne: true },
+  isExpired: { $ne: true }
+});
+
 // @desc    React to message
 // @route   PUT /api/chat/messages/:id/react
 // @access  Private
@@ -370,7 +1140,7 @@ router.put('/messages/:id/react', [
   const { id } = req.params;
   const { emoji } = req.body;
   
-  const message = await Message.findById(id).populate('conversation');
+  const message = await findReactableMessage(id);
   
   if (!message) {
     return res.status(404).json({
@@ -390,9 +1160,7 @@ router.put('/messages/:id/react', [
   await message.addReaction(req.userId, emoji);
   
   // Emit reaction via Socket.IO
-  const otherParticipants = conversation.participants
-    .filter(p => p.user.toString() !== req.userId.toString())
-    .map(p => p.user.toString());
+  const otherParticipants = conversation.getOtherParticipantIds(req.userId);
   
   otherParticipants.forEach(participantId => {
     io.to(`user_${participantId}`).emit('message_reaction', {
@@ -415,7 +1183,7 @@ router.put('/messages/:id/react', [
 router.delete('/messages/:id/react', asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  const message = await Message.findById(id).populate('conversation');
+  const message = await findReactableMessage(id);
   
   if (!message) {
     return res.status(404).json({
@@ -435,9 +1203,7 @@ router.delete('/messages/:id/react', asyncHandler(async (req, res) => {
   await message.removeReaction(req.userId);
   
   // Emit reaction removal via Socket.IO
-  const otherParticipants = conversation.participants
-    .filter(p => p.user.toString() !== req.userId.toString())
-    .map(p => p.user.toString());
+  const otherParticipants = conversation.getOtherParticipantIds(req.userId);
   
   otherParticipants.forEach(participantId => {
     io.to(`user_${participantId}`).emit('message_reaction', {
@@ -499,13 +1265,32 @@ router.put('/messages/:id', [
     });
   }
   
+  if (message.isScheduled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Edit scheduled messages through /api/chat/scheduled'
+    });
+  }
+  
+  if (message.isExpired) {
+    return res.status(410).json({
+      success: false,
+      message: 'Message has expired'
+    });
+  }
+  
+  if (message.isEncrypted) {
+    return res.status(400).json({
+      success: false,
+      message: 'End-to-end encrypted messages cannot be edited'
+    });
+  }
+  
   await message.editMessage(content);
   
   // Emit message edit via Socket.IO
   const conversation = await Conversation.findById(message.conversation);
-  const otherParticipants = conversation.participants
-    .filter(p => p.user.toString() !== req.userId.toString())
-    .map(p => p.user.toString());
+  const otherParticipants = conversation.getOtherParticipantIds(req.userId);
   
   otherParticipants.forEach(participantId => {
     io.to(`user_${participantId}`).emit('message_edited', {
@@ -565,6 +1350,13 @@ router.put('/conversations/:id/settings', [
     });
   }
   
+  if (autoTranslate && conversation.encryption?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Auto-translate is not available in end-to-end encrypted conversations'
+    });
+  }
+  
   // Update settings
   if (autoTranslate !== undefined) conversation.settings.autoTranslate = autoTranslate;
   if (notifications !== undefined) conversation.settings.notifications = notifications;
@@ -578,6 +1370,93 @@ router.put('/conversations/:id/settings', [
   });
 }));
 
+// @desc    Turn end-to-end encryption on or off for a direct conversation
+// @route   PUT /api/chat/conversations/:id/encryption
+// @access  Private
+router.put('/conversations/:id/encryption', [
+  body('enabled')
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const enabled = req.body.enabled === true || req.body.enabled === 'true';
+  
+  const conversation = await Conversation.findById(req.params.id);
+  
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+  }
+  
+  if (!conversation.isParticipant(req.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to modify this conversation'
+    });
+  }
+  
+  if (conversation.type !== 'direct') {
+    return res.status(400).json({
+      success: false,
+      message: 'End-to-end encryption is only available in direct conversations'
+    });
+  }
+  
+  if (Boolean(conversation.encryption?.enabled) === enabled) {
+    return res.json({
+      success: true,
+      encryption: conversation.encryption
+    });
+  }
+  
+  // Both sides need a registered device key before anything can be encrypted for them
+  if (enabled) {
+    const memberIds = conversation.participants.filter(p => !p.leftAt).map(p => p.user);
+    const keyOwners = await DeviceKey.distinct('user', { user: { $in: memberIds }, revokedAt: null });
+    if (keyOwners.length < memberIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both participants need a device with encryption keys before encryption can be turned on'
+      });
+    }
+  }
+  
+  conversation.encryption = {
+    enabled,
+    changedBy: req.userId,
+    changedAt: new Date()
+  };
+  // Auto-translate needs the plaintext on the server
+  if (enabled) conversation.settings.autoTranslate = false;
+  await conversation.save();
+  
+  await postSystemMessage(
+    conversation,
+    req.userId,
+    enabled ? 'encryption_enabled' : 'encryption_disabled',
+    enabled
+      ? `${req.user.displayName} turned on end-to-end encryption`
+      : `${req.user.displayName} turned off end-to-end encryption`
+  );
+  
+  res.json({
+    success: true,
+    encryption: conversation.encryption,
+    settings: conversation.settings
+  });
+}));
+
 // @desc    Set typing status
 // @route   PUT /api/chat/conversations/:id/typing
 // @access  Private
@@ -601,9 +1480,7 @@ router.put('/conversations/:id/typing', [
   await conversation.setTyping(req.userId, isTyping);
   
   // Emit typing status via Socket.IO
-  const otherParticipants = conversation.participants
-    .filter(p => p.user.toString() !== req.userId.toString())
-    .map(p => p.user.toString());
+  const otherParticipants = conversation.getOtherParticipantIds(req.userId);
   
   otherParticipants.forEach(participantId => {
     io.to(`user_${participantId}`).emit('typing_status', {
@@ -644,6 +1521,17 @@ router.delete('/conversations/:id', asyncHandler(async (req, res) => {
   // Remove user from conversation
   await conversation.removeParticipant(req.userId);
   
+  if (conversation.type === 'group') {
+    await postSystemMessage(
+      conversation,
+      req.userId,
+      'user_left',
+      `${req.user.displayName} left the group`,
+      { userId: req.userId }
+    );
+    io.in(`user_${req.userId}`).socketsLeave(`conversation_${conversation._id}`);
+  }
+  
   // If no active participants left, mark conversation as inactive
   const activeParticipants = conversation.participants.filter(p => !p.leftAt);
   if (activeParticipants.length === 0) {
@@ -671,9 +1559,14 @@ router.get('/search', [
 ], asyncHandler(async (req, res) => {
   const { q, conversationId, page = 1, limit = 20 } = req.query;
   
+  // Pending scheduled messages, expired tombstones and ciphertext are not searchable
   let searchQuery = {
-    $text: { $search: q }
+    $text: { $search: q },
+    isScheduled: { $ne: true },
+    isExpired: { $ne: true },
+    isEncrypted: { $ne: true }
   };
+  let skipsEncrypted;
   
   // If conversation ID provided, search within that conversation
   if (conversationId) {
@@ -685,14 +1578,16 @@ router.get('/search', [
       });
     }
     searchQuery.conversation = conversationId;
+    skipsEncrypted = Boolean(conversation.encryption?.enabled);
   } else {
     // Search across all user's conversations
     const userConversations = await Conversation.find({
-      'participants.user': req.userId,
+      participants: { $elemMatch: { user: req.userId, leftAt: { $exists: false } } },
       isActive: true
-    }).select('_id');
+    }).select('_id encryption');
     
     searchQuery.conversation = { $in: userConversations.map(c => c._id) };
+    skipsEncrypted = userConversations.some(c => c.encryption?.enabled);
   }
   
   const messages = await Message.find(searchQuery)
@@ -711,6 +1606,10 @@ router.get('/search', [
       conversation: msg.conversation._id,
       createdAt: msg.createdAt
     })),
+    // Encrypted messages can only be searched on the device that can decrypt them
+    notice: skipsEncrypted
+      ? 'End-to-end encrypted messages are not included in server search'
+      : undefined,
     pagination: {
       currentPage: parseInt(page),
       limit: parseInt(limit),
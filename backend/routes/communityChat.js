@@ -3,6 +3,7 @@ import { query, validationResult } from 'express-validator';
 import Community from '../models/Community.js';
 import CommunityMessage from '../models/CommunityMessage.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { resolveLanguage, translateMissing } from '../services/translationService.js';
 
 const router = express.Router();
 
@@ -17,8 +18,22 @@ router.get('/:communityId/messages', [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+  query('original')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Original must be true or false')
 ], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
   const { communityId } = req.params;
   const { page = 1, limit = 50 } = req.query;
 
@@ -36,9 +51,24 @@ router.get('/:communityId/messages', [
   // Reverse to show oldest first
   messages.reverse();
 
+  // Translate messages sent before this reader's language was needed, and keep the translations
+  const readerLanguage = req.user.preferredLanguage;
+  const showOriginal = req.query.original === 'true';
+  if (!showOriginal) {
+    const added = await translateMissing(messages.map(msg => ({
+      text: msg.content.original.text,
+      language: resolveLanguage(msg.content.original.language, msg.content.original.text),
+      translations: msg.content.translated
+    })), readerLanguage);
+    await Promise.all(added.map(({ index, translation }) => {
+      messages[index].content.translated.push(translation);
+      return CommunityMessage.addTranslations(messages[index]._id, [translation]);
+    }));
+  }
+
   res.json({
     success: true,
-    messages,
+    messages: messages.map(msg => msg.toReaderObject(readerLanguage, { showOriginal })),
     pagination: {
       currentPage: parseInt(page),
       limit: parseInt(limit)
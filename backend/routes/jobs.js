@@ -0,0 +1,40 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import jobScheduler from '../services/jobScheduler.js';
+
+const router = express.Router();
+
+// @desc    List background jobs with their schedule and last runs
+// @route   GET /api/admin/jobs
+// @access  Private + Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const jobs = await jobScheduler.listJobs();
+
+  res.json({
+    success: true,
+    jobs
+  });
+}));
+
+// @desc    Run a background job now
+// @route   POST /api/admin/jobs/:name/trigger
+// @access  Private + Admin
+router.post('/:name/trigger', [
+  param('name').trim().notEmpty().withMessage('Job name is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const job = await jobScheduler.triggerJob(req.params.name);
+
+  res.json({
+    success: true,
+    message: job?.lastStatus === 'failed' ? 'Job ran and failed' : 'Job ran successfully',
+    job
+  });
+}));
+
+export default router;
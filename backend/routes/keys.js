@@ -0,0 +1,176 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import DeviceKey from '../models/DeviceKey.js';
+import { Conversation } from '../models/Chat.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const MAX_DEVICES_PER_USER = 10;
+
+const BASE64URL = /^[A-Za-z0-9_-]+$/;
+
+// Public P-256 key as JWK; a JWK carrying the private part `d` is refused
+const isPublicP256Jwk = (jwk) => {
+  if (!jwk || typeof jwk !== 'object') throw new Error('Public key must be a JWK object');
+  if (jwk.kty !== 'EC' || jwk.crv !== 'P-256') throw new Error('Public key must be an EC P-256 key');
+  if (!BASE64URL.test(jwk.x || '') || !BASE64URL.test(jwk.y || '')) throw new Error('Public key coordinates are invalid');
+  if (jwk.d !== undefined) throw new Error('Never upload a private key');
+  return true;
+};
+
+const deviceIdValidator = param('deviceId')
+  .isLength({ min: 8, max: 100 })
+  .matches(/^[A-Za-z0-9_-]+$/)
+  .withMessage('Invalid device ID');
+
+// @desc    Get my registered device keys
+// @route   GET /api/keys/devices
+// @access  Private
+router.get('/devices', asyncHandler(async (req, res) => {
+  const keys = await DeviceKey.getActiveKeys([req.userId]);
+
+  res.json({
+    success: true,
+    devices: keys.map(key => key.toDirectoryEntry())
+  });
+}));
+
+// @desc    Register or rotate the public key of one of my devices
+// @route   PUT /api/keys/devices/:deviceId
+// @access  Private
+router.put('/devices/:deviceId', [
+  deviceIdValidator,
+  body('publicKey')
+    .custom(isPublicP256Jwk),
+  body('name')
+    .optional()
+    .isLength({ max: 100 })
+    .trim()
+    .withMessage('Device name must be at most 100 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { deviceId } = req.params;
+  const { publicKey, name } = req.body;
+
+  const existing = await DeviceKey.findOne({ user: req.userId, deviceId });
+
+  if (!existing || existing.revokedAt) {
+    const activeCount = await DeviceKey.countDocuments({ user: req.userId, revokedAt: null });
+    if (activeCount >= MAX_DEVICES_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_DEVICES_PER_USER} devices can hold encryption keys. Remove one first.`
+      });
+    }
+  }
+
+  const key = existing || new DeviceKey({ user: req.userId, deviceId });
+  key.publicKey = { kty: 'EC', crv: 'P-256', x: publicKey.x, y: publicKey.y };
+  key.revokedAt = undefined;
+  if (name !== undefined) key.name = name;
+  await key.save();
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    device: key.toDirectoryEntry()
+  });
+}));
+
+// @desc    Revoke one of my device keys
+// @route   DELETE /api/keys/devices/:deviceId
+// @access  Private
+router.delete('/devices/:deviceId', [deviceIdValidator], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const key = await DeviceKey.findOne({
+    user: req.userId,
+    deviceId: req.params.deviceId,
+    revokedAt: null
+  });
+
+  if (!key) {
+    return res.status(404).json({ success: false, message: 'Device key not found' });
+  }
+
+  key.revokedAt = new Date();
+  await key.save();
+
+  res.json({ success: true, message: 'Device key revoked' });
+}));
+
+// @desc    Get the active device keys of a user
+// @route   GET /api/keys/users/:userId
+// @access  Private
+router.get('/users/:userId', [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const keys = await DeviceKey.getActiveKeys([req.params.userId]);
+
+  res.json({
+    success: true,
+    devices: keys.map(key => key.toDirectoryEntry())
+  });
+}));
+
+// @desc    Get the active device keys of everyone in a conversation, me included
+// @route   GET /api/keys/conversations/:id
+// @access  Private
+router.get('/conversations/:id', [
+  param('id').isMongoId().withMessage('Invalid conversation ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (!conversation || !conversation.isParticipant(req.userId)) {
+    return res.status(404).json({ success: false, message: 'Conversation not found' });
+  }
+
+  const memberIds = conversation.participants
+    .filter(p => !p.leftAt)
+    .map(p => p.user);
+  const keys = await DeviceKey.getActiveKeys(memberIds);
+
+  res.json({
+    success: true,
+    devices: keys.map(key => key.toDirectoryEntry())
+  });
+}));
+
+export default router;
@@ -0,0 +1,129 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import multer from 'multer';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { auth, createRateLimit } from '../middleware/auth.js';
+import { storeFile, resolveMediaUrl, getStorage } from '../services/storage/index.js';
+
+const router = express.Router();
+
+const uploadLimit = createRateLimit(60 * 1000, 30, 'Too many uploads. Please slow down.');
+
+const AUDIO_TYPES = ['audio/wav', 'audio/mp3', 'audio/mpeg', 'audio/mp4', 'audio/webm', 'audio/ogg'];
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const DOCUMENT_TYPES = [...IMAGE_TYPES, 'application/pdf'];
+
+// What each upload is for, and the file types it accepts
+const PURPOSES = {
+  voice: AUDIO_TYPES,
+  chat: [...DOCUMENT_TYPES, ...AUDIO_TYPES, 'video/mp4'],
+  verification: DOCUMENT_TYPES,
+  certifications: DOCUMENT_TYPES,
+  reviews: IMAGE_TYPES
+};
+
+const ALLOWED_TYPES = [...new Set(Object.values(PURPOSES).flat())];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported file type'));
+    }
+  }
+});
+
+// @desc    Upload a file (chat attachment, voice note, verification or certification document, review image)
+// @route   POST /api/media
+// @access  Private
+router.post('/', auth, uploadLimit, upload.single('file'), [
+  body('purpose')
+    .isIn(Object.keys(PURPOSES))
+    .withMessage(`Purpose must be one of: ${Object.keys(PURPOSES).join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'File is required'
+    });
+  }
+
+  const { purpose } = req.body;
+
+  if (!PURPOSES[purpose].includes(req.file.mimetype)) {
+    return res.status(400).json({
+      success: false,
+      message: `This file type can't be used for ${purpose} uploads`
+    });
+  }
+
+  const ref = await storeFile(req.file.buffer, {
+    folder: purpose,
+    owner: req.userId,
+    contentType: req.file.mimetype
+  });
+
+  // `ref` is what gets saved on the message, document or review; `url` is for previewing it now
+  res.status(201).json({
+    success: true,
+    file: {
+      ref,
+      url: resolveMediaUrl(ref),
+      filename: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size
+    }
+  });
+}));
+
+// @desc    Download a file kept on local disk through a signed URL
+// @route   GET /api/media/local/*
+// @access  Public (signed URL)
+router.get('/local/*', (req, res) => {
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+  const storage = getStorage('local');
+
+  if (!storage.verifySignature(key, expires, signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Download link is invalid or has expired'
+    });
+  }
+
+  let filePath;
+  try {
+    filePath = storage.filePath(key);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.sendFile(filePath, { headers: { 'Cache-Control': 'private, max-age=300' } }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 404 : 500).json({
+        success: false,
+        message: error.status === 404 ? 'File not found' : 'Failed to read file'
+      });
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,383 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Transaction from '../models/Transaction.js';
+import {
+  validateCreateOrder,
+  validateGetOrders,
+  validateOrderId,
+  validateUpdateOrderStatus,
+  validateRecordPayment,
+  validateConfirmPayment
+} from '../validators/orderValidator.js';
+
+const router = express.Router();
+
+// Load an order and make sure the requesting user is the buyer or seller
+const loadOrderForParty = async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+
+  const role = order.getPartyRole(req.userId);
+  if (!role) {
+    res.status(403).json({ success: false, message: 'Not authorized to access this order' });
+    return null;
+  }
+
+  return { order, role };
+};
+
+// @desc    Place an order
+// @route   POST /api/orders
+// @access  Private
+router.post('/', validateCreateOrder, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { items, shippingAddress, buyerNotes } = req.body;
+
+  // Merge repeated products into a single line
+  const quantities = new Map();
+  items.forEach(item => {
+    const productId = item.product.toString();
+    quantities.set(productId, (quantities.get(productId) || 0) + Number(item.quantity));
+  });
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } });
+
+  if (products.length !== quantities.size) {
+    return res.status(404).json({ success: false, message: 'One or more products were not found' });
+  }
+
+  const sellerId = products[0].seller.toString();
+
+  if (products.some(product => product.seller.toString() !== sellerId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'All items in an order must be from the same seller'
+    });
+  }
+
+  if (sellerId === req.userId.toString()) {
+    return res.status(400).json({ success: false, message: 'You cannot order your own products' });
+  }
+
+  const lineItems = [];
+  for (const product of products) {
+    if (product.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} is not available for ordering`
+      });
+    }
+
+    const quantity = quantities.get(product._id.toString());
+    const quantityError = product.validateOrderQuantity(quantity);
+    if (quantityError) {
+      return res.status(400).json({ success: false, message: quantityError });
+    }
+
+    const { unitPrice, tier } = product.getPriceForQuantity(quantity);
+
+    lineItems.push({
+      product: product._id,
+      name: product.name,
+      image: product.primaryImage?.url,
+      unit: product.price.unit,
+      quantity,
+      unitPrice,
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate || 0,
+      appliedTier: tier || undefined,
+      lineTotal: unitPrice * quantity
+    });
+  }
+
+  const order = new Order({
+    buyer: req.userId,
+    seller: sellerId,
+    items: lineItems,
+    currency: products[0].price.currency,
+    shippingAddress,
+    buyerNotes
+  });
+
+  await order.save();
+
+  // Count the order as an inquiry on each product
+  await Product.updateMany(
+    { _id: { $in: lineItems.map(item => item.product) } },
+    { $inc: { 'analytics.inquiries': 1 } }
+  );
+
+  await order.populate('seller', 'displayName businessName profilePicture');
+
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully',
+    order
+  });
+}));
+
+// @desc    Get my orders (as buyer, seller or both)
+// @route   GET /api/orders
+// @access  Private
+router.get('/', validateGetOrders, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { role = 'both', status, page = 1, limit = 20 } = req.query;
+
+  const filters = {};
+  if (status) filters.status = status;
+
+  const countQuery = { ...filters };
+  if (role === 'buyer') {
+    countQuery.buyer = req.userId;
+  } else if (role === 'seller') {
+    countQuery.seller = req.userId;
+  } else {
+    countQuery.$or = [{ buyer: req.userId }, { seller: req.userId }];
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [orders, total] = await Promise.all([
+    Order.getOrdersForUser(req.userId, role, filters)
+      .skip(skip)
+      .limit(Number(limit)),
+    Order.countDocuments(countQuery)
+  ]);
+
+  res.json({
+    success: true,
+    orders,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// @desc    Get single order
+// @route   GET /api/orders/:orderId
+// @access  Private
+router.get('/:orderId', validateOrderId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const result = await loadOrderForParty(req, res);
+  if (!result) return;
+
+  const { order, role } = result;
+
+  await order.populate([
+    { path: 'buyer', select: 'displayName businessName profilePicture phone shopLocation' },
+    { path: 'seller', select: 'displayName businessName profilePicture phone shopLocation' },
+    { path: 'statusHistory.changedBy', select: 'displayName businessName' }
+  ]);
+
+  res.json({ success: true, order, role });
+}));
+
+// @desc    Move an order to the next status
+// @route   PUT /api/orders/:orderId/status
+// @access  Private
+router.put('/:orderId/status', validateUpdateOrderStatus, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const result = await loadOrderForParty(req, res);
+  if (!result) return;
+
+  const { order, role } = result;
+  const { status, note, shipment } = req.body;
+
+  if (!order.canBeUpdatedBy(status, role)) {
+    return res.status(403).json({
+      success: false,
+      message: `Only the ${role === 'buyer' ? 'seller' : 'buyer'} can mark this order as ${status}`
+    });
+  }
+
+  if (!order.canTransitionTo(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot change order status from ${order.status} to ${status}`
+    });
+  }
+
+  if (status === 'shipped' && shipment) {
+    ['carrier', 'trackingNumber', 'expectedDeliveryDate'].forEach(field => {
+      if (shipment[field] !== undefined) {
+        order.shipment[field] = shipment[field];
+      }
+    });
+  }
+
+  await order.updateStatus(status, req.userId, note);
+
+  res.json({
+    success: true,
+    message: `Order marked as ${status}`,
+    order
+  });
+}));
+
+// @desc    Get transactions recorded against an order
+// @route   GET /api/orders/:orderId/transactions
+// @access  Private
+router.get('/:orderId/transactions', validateOrderId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const result = await loadOrderForParty(req, res);
+  if (!result) return;
+
+  const transactions = await Transaction.find({ orderId: result.order._id })
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    transactions,
+    paymentStatus: result.order.paymentStatus,
+    amountPaid: result.order.amountPaid,
+    balanceDue: result.order.balanceDue
+  });
+}));
+
+// @desc    Record a payment against an order
+// @route   POST /api/orders/:orderId/transactions
+// @access  Private
+router.post('/:orderId/transactions', validateRecordPayment, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const result = await loadOrderForParty(req, res);
+  if (!result) return;
+
+  const { order, role } = result;
+  const { amount, paymentMethod, gatewayTransactionId, notes } = req.body;
+
+  if (order.status === 'cancelled') {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot record a payment against a cancelled order'
+    });
+  }
+
+  if (order.balanceDue <= 0) {
+    return res.status(400).json({ success: false, message: 'This order is already fully paid' });
+  }
+
+  // The buyer can only report what is left once their unconfirmed payments are counted
+  let payable = order.balanceDue;
+  if (role === 'buyer') {
+    payable = Math.max(0, payable - await order.getPendingPaymentAmount());
+
+    if (payable <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payments awaiting seller confirmation already cover the balance due'
+      });
+    }
+  }
+
+  if (amount !== undefined && Number(amount) > payable) {
+    return res.status(400).json({
+      success: false,
+      message: payable < order.balanceDue
+        ? `Amount exceeds the balance due of ${payable} after payments awaiting seller confirmation`
+        : `Amount exceeds the balance due of ${payable}`
+    });
+  }
+
+  // A payment reported by the seller is a confirmed receipt; one reported
+  // by the buyer stays pending until the seller confirms it.
+  const transaction = await Transaction.createFromOrder(order, {
+    amount: amount !== undefined ? Number(amount) : payable,
+    paymentMethod,
+    gatewayTransactionId,
+    status: role === 'seller' ? 'completed' : 'pending',
+    buyerNotes: role === 'buyer' ? notes : undefined,
+    sellerNotes: role === 'seller' ? notes : undefined,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: role === 'seller' ? 'Payment recorded' : 'Payment submitted for seller confirmation',
+    transaction,
+    order
+  });
+}));
+
+// @desc    Confirm a payment reported by the buyer
+// @route   PUT /api/orders/:orderId/transactions/:transactionId/confirm
+// @access  Private (seller)
+router.put('/:orderId/transactions/:transactionId/confirm', validateConfirmPayment, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const result = await loadOrderForParty(req, res);
+  if (!result) return;
+
+  const { order, role } = result;
+
+  if (role !== 'seller') {
+    return res.status(403).json({ success: false, message: 'Only the seller can confirm payments' });
+  }
+
+  const transaction = await Transaction.findOne({
+    _id: req.params.transactionId,
+    orderId: order._id
+  });
+
+  if (!transaction) {
+    return res.status(404).json({ success: false, message: 'Transaction not found' });
+  }
+
+  if (transaction.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      message: `Transaction is already ${transaction.status}`
+    });
+  }
+
+  await transaction.markCompleted('Confirmed by seller');
+  await order.refreshPaymentStatus();
+
+  res.json({
+    success: true,
+    message: 'Payment confirmed',
+    transaction,
+    order
+  });
+}));
+
+export default router;
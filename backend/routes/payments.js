@@ -0,0 +1,141 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { auth, adminOnly } from '../middleware/auth.js';
+import paymentService from '../services/paymentService.js';
+import invoiceService from '../services/invoiceService.js';
+import { getPaymentGateway } from '../services/gateways/index.js';
+import Transaction from '../models/Transaction.js';
+
+const router = express.Router();
+
+// @desc    Receive a payment gateway webhook
+// @route   POST /api/payments/webhook/:gateway
+// @access  Public (authenticated by gateway signature)
+router.post('/webhook/:gateway', asyncHandler(async (req, res) => {
+  const result = await paymentService.handleWebhook(req.params.gateway, req.rawBody, req.headers);
+
+  // Always 200 for verified events so the gateway stops retrying
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+// The mock gateway doesn't exist in production; checked per request because .env is loaded after
+// the routes are imported
+const mockGatewayOnly = (req, res, next) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+  next();
+};
+
+// @desc    Complete a checkout against the mock gateway (development only)
+// @route   POST /api/payments/mock/checkout
+// @access  Private (non-production)
+router.post('/mock/checkout', mockGatewayOnly, auth, [
+  body('transactionId').trim().notEmpty().withMessage('Transaction ID is required'),
+  body('outcome').optional().isIn(['success', 'failure']).withMessage('Invalid outcome'),
+  body('sendWebhook').optional().isBoolean().withMessage('sendWebhook must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { transactionId, outcome = 'success', sendWebhook = false } = req.body;
+  const gateway = getPaymentGateway('mock');
+
+  const transaction = await Transaction.findOne({
+    transactionId,
+    buyer: req.userId,
+    paymentGateway: 'mock'
+  });
+
+  if (!transaction) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+  }
+
+  const checkout = gateway.simulateCheckout(transaction.gatewayOrderId);
+
+  let webhook = null;
+  if (sendWebhook) {
+    const { rawBody, headers } = gateway.buildWebhook(
+      outcome === 'success' ? 'payment.captured' : 'payment.failed',
+      {
+        orderId: checkout.gatewayOrderId,
+        paymentId: checkout.gatewayPaymentId,
+        amount: transaction.amount,
+        method: 'upi',
+        error: outcome === 'failure' ? 'Simulated payment failure' : undefined
+      }
+    );
+    webhook = await paymentService.handleWebhook('mock', Buffer.from(rawBody), headers);
+  }
+
+  res.json({
+    success: true,
+    checkout,
+    webhook
+  });
+}));
+
+// @desc    Get the GST invoice or payment receipt for a transaction (PDF, or JSON with ?format=json)
+// @route   GET /api/payments/transactions/:transactionId/invoice
+// @access  Private (buyer or seller)
+router.get('/transactions/:transactionId/invoice', auth, [
+  param('transactionId').isMongoId().withMessage('Invalid transaction ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const invoice = await invoiceService.getTransactionInvoice(req.userId, req.params.transactionId);
+
+  if (req.query.format === 'json') {
+    return res.json({
+      success: true,
+      invoice
+    });
+  }
+
+  const pdf = await invoiceService.renderInvoicePdf(invoice);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`
+  });
+  res.send(pdf);
+}));
+
+// @desc    Refund a completed transaction through its gateway
+// @route   POST /api/payments/:transactionId/refund
+// @access  Private + Admin
+router.post('/:transactionId/refund', auth, adminOnly, [
+  param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const result = await paymentService.refundTransaction(req.params.transactionId, {
+    amount: req.body.amount,
+    reason: req.body.reason
+  });
+
+  res.json({
+    success: true,
+    message: result.pending ? 'Refund initiated' : 'Refund processed',
+    ...result
+  });
+}));
+
+export default router;
@@ -5,6 +5,13 @@ import Community from '../models/Community.js';
 import User from '../models/User.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { createRateLimit } from '../middleware/auth.js';
+import feedService from '../services/feedService.js';
+import { SUPPORTED_LANGUAGES } from '../services/translation/languages.js';
+import {
+  resolveLanguage,
+  translateMissing,
+  localizeContent
+} from '../services/translationService.js';
 
 const router = express.Router();
 
@@ -13,10 +20,7 @@ const createPostLimit = createRateLimit(60 * 60 * 1000, 20, 'Too many posts crea
 const likeLimit = createRateLimit(60 * 1000, 100, 'Too many likes. Please slow down.');
 const commentLimit = createRateLimit(60 * 60 * 1000, 50, 'Too many comments. Please try again later.');
 
-// @desc    Get all posts (alias for feed)
-// @route   GET /api/posts
-// @access  Private
-router.get('/', [
+const feedValidators = [
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -28,59 +32,58 @@ router.get('/', [
   query('type')
     .optional()
     .isIn(['all', 'products', 'community', 'friends'])
-    .withMessage('Invalid feed type')
-], asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, type = 'all', location, categories } = req.query;
+    .withMessage('Invalid feed type'),
+  query('sortBy')
+    .optional()
+    .customSanitizer(feedService.normalizeFeedSort)
+    .isIn(feedService.FEED_SORTS)
+    .withMessage('Invalid sort order'),
+  query('cursor')
+    .optional()
+    .custom(value => feedService.decodeFeedCursor(value))
+    .withMessage('Invalid cursor')
+];
 
-  let posts = [];
+// Ranked (or newest-first) feed with cursor pagination; product listings are still paged by number
+const getFeed = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
 
-  if (type === 'community') {
-    // Get posts from user's communities
-    const user = await User.findById(req.userId);
-    const userCommunities = user.communities.map(c => c.community);
+  const { page = 1, limit = 20, type = 'all', location, categories, cursor, sortBy = 'ranked' } = req.query;
+  const categoryArray = categories ? categories.split(',') : [];
 
-    posts = await Post.find({
-      community: { $in: userCommunities },
-      status: 'active'
-    })
-    .populate('author', 'displayName businessName profilePicture')
-    .populate('community', 'name')
-    .sort({ isPinned: -1, createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit));
-
-  } else if (type === 'friends') {
-    // Get posts from friends
-    const user = await User.findById(req.userId);
-    const friendIds = user.friends
-      .filter(f => f.status === 'accepted')
-      .map(f => f.user);
-
-    posts = await Post.find({
-      author: { $in: friendIds },
-      status: 'active'
-    })
-    .populate('author', 'displayName businessName profilePicture')
-    .populate('community', 'name')
-    .sort({ createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit));
+  let posts = [];
+  let pagination;
 
-  } else if (type === 'products') {
+  if (type === 'products') {
     // Get product posts
-    const categoryArray = categories ? categories.split(',') : [];
     posts = await Post.findProducts({ location, category: categoryArray[0] }, page, limit);
-
+    pagination = {
+      currentPage: parseInt(page),
+      limit: parseInt(limit),
+      hasMore: posts.length === parseInt(limit)
+    };
   } else {
-    // Get all posts (using fixed method)
-    const categoryArray = categories ? categories.split(',') : [];
-    posts = await Post.findForFeed(req.userId, {
-      page,
-      limit,
+    const feed = await feedService.getFeed(req.userId, {
+      type,
+      sortBy,
+      cursor,
+      limit: parseInt(limit),
       location,
-      categories: categoryArray,
-      sortBy: req.query.sortBy || 'newest'
+      categories: categoryArray
     });
+    posts = feed.posts;
+    pagination = {
+      limit: parseInt(limit),
+      hasMore: feed.hasMore,
+      nextCursor: feed.nextCursor
+    };
   }
 
   // Add user interaction info
@@ -99,107 +102,67 @@ router.get('/', [
   res.json({
     success: true,
     posts: postsWithInteractions,
-    pagination: {
-      currentPage: parseInt(page),
-      limit: parseInt(limit),
-      hasMore: posts.length === parseInt(limit)
-    }
+    pagination
   });
-}));
-
-// @desc    Get feed posts
-// @route   GET /api/posts/feed
-// @access  Private
-router.get('/feed', [
-  query('page')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-  query('limit')
-    .optional()
-    .isInt({ min: 1, max: 50 })
-    .withMessage('Limit must be between 1 and 50'),
-  query('type')
-    .optional()
-    .isIn(['all', 'products', 'community', 'friends'])
-    .withMessage('Invalid feed type')
-], asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, type = 'all', location, categories } = req.query;
-  
-  let posts = [];
-  
-  if (type === 'community') {
-    // Get posts from user's communities
-    const user = await User.findById(req.userId);
-    const userCommunities = user.communities.map(c => c.community);
-    
-    posts = await Post.find({
-      community: { $in: userCommunities },
-      status: 'active'
-    })
-    .populate('author', 'displayName businessName profilePicture')
-    .populate('community', 'name')
-    .sort({ isPinned: -1, createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit));
-    
-  } else if (type === 'friends') {
-    // Get posts from friends
-    const user = await User.findById(req.userId);
-    const friendIds = user.friends
-      .filter(f => f.status === 'accepted')
-      .map(f => f.user);
-    
-    posts = await Post.find({
-      author: { $in: friendIds },
-      status: 'active'
-    })
-    .populate('author', 'displayName businessName profilePicture')
-    .populate('community', 'name')
-    .sort({ createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit));
-    
-  } else if (type === 'products') {
-    // Get product posts
-    const categoryArray = categories ? categories.split(',') : [];
-    posts = await Post.findProducts({ location, category: categoryArray[0] }, page, limit);
-    
-  } else {
-    // Get all posts (using new fixed method)
-    const categoryArray = categories ? categories.split(',') : [];
-    posts = await Post.findForFeed(req.userId, {
-      page,
-      limit,
-      location,
-      categories: categoryArray,
-      sortBy: req.query.sortBy || 'newest'
-    });
-  }
-
-  // Add user interaction info
-  const postsWithInteractions = posts.map(post => {
-    const postDoc = new Post(post); // Create instance for methods
-    const liked = postDoc.isLikedBy(req.userId);
+});
+
+const showOriginalValidator = query('original')
+  .optional()
+  .isIn(['true', 'false'])
+  .withMessage('Original must be true or false');
+
+// Comments and replies in the reader's preferred language. Ones not yet translated into it are
+// translated (through the shared translation memory) and stored on the post for the next reader.
+// `original` skips translation and returns what the authors wrote.
+const localizeComments = async (post, comments, readerLanguage, { showOriginal = false } = {}) => {
+  const entries = comments.flatMap(comment => [
+    { comment },
+    ...comment.replies.map(reply => ({ comment, reply }))
+  ]);
+  const items = entries.map(({ comment, reply }) => {
+    const source = reply || comment;
     return {
-      ...post,
-      liked,
-      likeCount: post.likes?.length || 0,
-      commentCount: post.comments?.length || 0,
-      shareCount: post.shares?.length || 0
+      text: source.content,
+      language: resolveLanguage(source.language, source.content),
+      translations: source.translations || []
     };
   });
-  
-  res.json({
-    success: true,
-    posts: postsWithInteractions,
-    pagination: {
-      currentPage: parseInt(page),
-      limit: parseInt(limit),
-      hasMore: posts.length === parseInt(limit)
+
+  if (!showOriginal) {
+    const added = await translateMissing(items, readerLanguage);
+    if (added.length) {
+      await Post.addCommentTranslations(post._id, added.map(({ index, translation }) => ({
+        commentId: entries[index].comment._id,
+        replyId: entries[index].reply?._id,
+        translation
+      })));
+      added.forEach(({ index, translation }) => items[index].translations.push(translation));
     }
+  }
+
+  const present = (source, item) => {
+    const { translations, ...rest } = source.toObject();
+    const { text, ...localized } = localizeContent(item, item.translations, readerLanguage, { showOriginal });
+    return { ...rest, content: text, ...localized };
+  };
+
+  let position = 0;
+  return comments.map(comment => {
+    const localized = present(comment, items[position++]);
+    localized.replies = comment.replies.map(reply => present(reply, items[position++]));
+    return localized;
   });
-}));
+};
+
+// @desc    Get all posts (alias for feed)
+// @route   GET /api/posts
+// @access  Private
+router.get('/', feedValidators, getFeed);
+
+// @desc    Get feed posts
+// @route   GET /api/posts/feed
+// @access  Private
+router.get('/feed', feedValidators, getFeed);
 
 // @desc    Create new post
 // @route   POST /api/posts
@@ -362,7 +325,17 @@ router.get('/stats', asyncHandler(async (req, res) => {
 // @desc    Get post by ID
 // @route   GET /api/posts/:id
 // @access  Private
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', [showOriginalValidator], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
   const { id } = req.params;
   
   const post = await Post.findById(id)
@@ -393,11 +366,15 @@ router.get('/:id', asyncHandler(async (req, res) => {
   await post.incrementViews();
   
   const liked = post.isLikedBy(req.userId);
+  const comments = await localizeComments(post, post.comments, req.user.preferredLanguage, {
+    showOriginal: req.query.original === 'true'
+  });
   
   res.json({
     success: true,
     post: {
       ...post.toObject(),
+      comments,
       liked,
       likeCount: post.likeCount,
       commentCount: post.commentCount,
@@ -443,6 +420,75 @@ router.put('/:id/like', likeLimit, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get post comments in the reader's language
+// @route   GET /api/posts/:id/comments
+// @access  Private
+router.get('/:id/comments', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  showOriginalValidator
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { id } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  
+  const post = await Post.findById(id)
+    .select('status community comments')
+    .populate('community', 'isPrivate')
+    .populate('comments.user', 'displayName businessName profilePicture')
+    .populate('comments.replies.user', 'displayName businessName profilePicture');
+  
+  if (!post || post.status !== 'active') {
+    return res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+  }
+  
+  // Check access for community posts
+  if (post.community && post.community.isPrivate) {
+    const community = await Community.findById(post.community._id);
+    if (!community.isMember(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to private community post'
+      });
+    }
+  }
+  
+  const pageComments = post.comments.slice((page - 1) * limit, page * limit);
+  const comments = await localizeComments(post, pageComments, req.user.preferredLanguage, {
+    showOriginal: req.query.original === 'true'
+  });
+  
+  res.json({
+    success: true,
+    comments,
+    pagination: {
+      currentPage: page,
+      limit,
+      total: post.comments.length,
+      hasMore: page * limit < post.comments.length
+    }
+  });
+}));
+
 // @desc    Add comment to post
 // @route   POST /api/posts/:id/comments
 // @access  Private
@@ -450,7 +496,11 @@ router.post('/:id/comments', commentLimit, [
   body('content')
     .isLength({ min: 1, max: 1000 })
     .trim()
-    .withMessage('Comment must be 1-1000 characters long')
+    .withMessage('Comment must be 1-1000 characters long'),
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage('Invalid language')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   
@@ -494,7 +544,7 @@ router.post('/:id/comments', commentLimit, [
     }
   }
   
-  await post.addComment(req.userId, content);
+  await post.addComment(req.userId, content, resolveLanguage(req.body.language, content));
   
   // Get the newly added comment with populated user
   const updatedPost = await Post.findById(id)
@@ -517,7 +567,11 @@ router.post('/:id/comments/:commentId/replies', commentLimit, [
   body('content')
     .isLength({ min: 1, max: 500 })
     .trim()
-    .withMessage('Reply must be 1-500 characters long')
+    .withMessage('Reply must be 1-500 characters long'),
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage('Invalid language')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   
@@ -571,7 +625,8 @@ router.post('/:id/comments/:commentId/replies', commentLimit, [
   
   comment.replies.push({
     user: req.userId,
-    content
+    content,
+    language: resolveLanguage(req.body.language, content)
   });
   
   await post.save();
@@ -5,9 +5,13 @@ import User from '../models/User.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import multer from 'multer';
 import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+import rfqService from '../services/rfqService.js';
+import { validateCreateRfq } from '../validators/rfqValidator.js';
 
 const router = express.Router();
 
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -32,6 +36,7 @@ router.get('/', [
   query('category').optional().isString(),
   query('minPrice').optional().isNumeric(),
   query('maxPrice').optional().isNumeric(),
+  query('city').optional().isString().trim().isLength({ max: 100 }),
   query('inStock').optional().isBoolean(),
   query('sortBy').optional().isIn(['newest', 'price-low', 'price-high', 'popular'])
 ], asyncHandler(async (req, res) => {
@@ -47,6 +52,7 @@ router.get('/', [
     subcategory,
     minPrice,
     maxPrice,
+    city,
     inStock,
     sortBy = 'newest',
     search
@@ -58,6 +64,7 @@ router.get('/', [
   if (category) query.category = category;
   if (subcategory) query.subcategory = subcategory;
   if (inStock === 'true') query.inStock = true;
+  if (city) query['location.city'] = new RegExp(`^${escapeRegExp(city)}$`, 'i');
 
   if (minPrice || maxPrice) {
     query['price.amount'] = {};
@@ -185,7 +192,9 @@ router.post('/', [
   body('category').isIn(['fabrics', 'sarees', 'dress-materials', 'home-textiles', 'garments', 'accessories', 'yarns', 'other']),
   body('price.amount').isNumeric().withMessage('Price must be a number'),
   body('price.unit').isIn(['piece', 'meter', 'kg', 'set', 'dozen', 'box']),
-  body('minOrderQuantity').isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1')
+  body('minOrderQuantity').isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1'),
+  body('hsnCode').optional().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional().isIn([0, 5, 12, 18, 28]).withMessage('GST rate must be 0, 5, 12, 18 or 28')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -202,6 +211,15 @@ router.post('/', [
     seller: req.userId
   };
 
+  // Listed from the seller's shop unless they say otherwise, so city searches find it
+  if (!productData.location?.city && req.user.shopLocation?.city) {
+    productData.location = {
+      ...productData.location,
+      city: req.user.shopLocation.city,
+      state: productData.location?.state || req.user.shopLocation.state
+    };
+  }
+
   // Remove empty images array if present
   if (productData.images && productData.images.length === 0) {
     delete productData.images;
@@ -265,7 +283,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
 
   // Update fields
   const allowedUpdates = [
-    'name', 'description', 'category', 'subcategory', 'price', 'minOrderQuantity',
+    'name', 'description', 'category', 'subcategory', 'price', 'hsnCode', 'gstRate', 'minOrderQuantity',
     'maxOrderQuantity', 'inStock', 'stockQuantity', 'specifications', 'bulkPricing',
     'tags', 'status', 'visibility', 'location', 'shipping', 'seo'
   ];
@@ -503,34 +521,28 @@ router.put('/:id/like', asyncHandler(async (req, res) => {
   });
 }));
 
-// @desc    Send product inquiry
+// @desc    Send product inquiry (opens an RFQ with the seller)
 // @route   POST /api/products/:id/inquiry
 // @access  Private
-router.post('/:id/inquiry', [
-  body('message').isLength({ min: 10 }).withMessage('Message must be at least 10 characters'),
-  body('quantity').optional().isInt({ min: 1 })
-], asyncHandler(async (req, res) => {
+router.post('/:id/inquiry', validateCreateRfq, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const product = await Product.findById(req.params.id).populate('seller');
-
-  if (!product) {
-    return res.status(404).json({ success: false, message: 'Product not found' });
-  }
-
-  // Increment inquiry count
-  product.analytics.inquiries += 1;
-  await product.save();
+  const { message, quantity, targetPrice, deliveryCity } = req.body;
 
-  // TODO: Create notification for seller
-  // TODO: Send email to seller
+  const rfq = await rfqService.createRfq(req.userId, req.params.id, {
+    message,
+    quantity,
+    targetPrice,
+    deliveryCity
+  });
 
-  res.json({
+  res.status(201).json({
     success: true,
-    message: 'Inquiry sent successfully'
+    message: 'Inquiry sent successfully',
+    rfq
   });
 }));
 
@@ -0,0 +1,119 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import rfqService from '../services/rfqService.js';
+import {
+  validateGetRfqs,
+  validateRfqId,
+  validateSubmitQuote,
+  validateCloseRfq
+} from '../validators/rfqValidator.js';
+
+const router = express.Router();
+
+// @desc    Get RFQ inbox (received as seller, sent as buyer, or both)
+// @route   GET /api/rfqs
+// @access  Private
+router.get('/', validateGetRfqs, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { box, status, page, limit } = req.query;
+  const result = await rfqService.getInbox(req.userId, { box, status, page, limit });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+// @desc    Get single RFQ with negotiation history
+// @route   GET /api/rfqs/:rfqId
+// @access  Private
+router.get('/:rfqId', validateRfqId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { rfq, role } = await rfqService.getRfq(req.userId, req.params.rfqId);
+
+  res.json({ success: true, rfq, role });
+}));
+
+// @desc    Send a quotation or counter-offer
+// @route   POST /api/rfqs/:rfqId/quotes
+// @access  Private
+router.post('/:rfqId/quotes', validateSubmitQuote, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const rfq = await rfqService.submitQuote(req.userId, req.params.rfqId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Quotation sent',
+    rfq
+  });
+}));
+
+// @desc    Accept the current quotation and place an order
+// @route   POST /api/rfqs/:rfqId/accept
+// @access  Private
+router.post('/:rfqId/accept', validateRfqId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { rfq, order } = await rfqService.acceptQuote(req.userId, req.params.rfqId);
+
+  res.json({
+    success: true,
+    message: 'Quotation accepted and order placed',
+    rfq,
+    order
+  });
+}));
+
+// @desc    Decline the current quotation
+// @route   POST /api/rfqs/:rfqId/reject
+// @access  Private
+router.post('/:rfqId/reject', validateCloseRfq, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const rfq = await rfqService.rejectQuote(req.userId, req.params.rfqId, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Quotation declined',
+    rfq
+  });
+}));
+
+// @desc    Withdraw an RFQ
+// @route   POST /api/rfqs/:rfqId/cancel
+// @access  Private (buyer)
+router.post('/:rfqId/cancel', validateCloseRfq, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const rfq = await rfqService.cancelRfq(req.userId, req.params.rfqId, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'RFQ withdrawn',
+    rfq
+  });
+}));
+
+export default router;
@@ -1,8 +1,13 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import multer from 'multer';
-import axios from 'axios';
-import { Message } from '../models/Chat.js';
+import { Message, Conversation } from '../models/Chat.js';
+import { storeFile, signMessageMedia } from '../services/storage/index.js';
+import { analyzeAudio } from '../services/audio/index.js';
+import { sarvamRequest } from '../services/sarvamClient.js';
+import { LANGUAGE_CODES, LANGUAGE_NAMES, SUPPORTED_LANGUAGES } from '../services/translation/languages.js';
+import { resolveLanguage, translateText } from '../services/translationService.js';
+import { parseVoiceCommand } from '../services/voiceCommandService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { createRateLimit } from '../middleware/auth.js';
 
@@ -36,24 +41,6 @@ const upload = multer({
   }
 });
 
-// Sarvam API configuration
-const SARVAM_API_KEY = process.env.SARVAM_API_KEY || 'sk_bft65l75_5qpRDksNcpt238yQLEqnjzLk';
-const SARVAM_BASE_URL = 'https://api.sarvam.ai';
-
-// Language mapping for Sarvam API
-const LANGUAGE_CODES = {
-  'hindi': 'hi-IN',
-  'english': 'en-IN',
-  'tamil': 'ta-IN',
-  'telugu': 'te-IN',
-  'kannada': 'kn-IN',
-  'malayalam': 'ml-IN',
-  'marathi': 'mr-IN',
-  'gujarati': 'gu-IN',
-  'bengali': 'bn-IN',
-  'punjabi': 'pa-IN'
-};
-
 // @desc    Speech to text conversion
 // @route   POST /api/speech/transcribe
 // @access  Private
@@ -83,6 +70,14 @@ router.post('/transcribe', speechLimit, upload.single('audio'), [
   const { language = 'auto' } = req.body;
   const audioBuffer = req.file.buffer;
   
+  const audio = await analyzeAudio(audioBuffer);
+  if (!audio) {
+    return res.status(400).json({
+      success: false,
+      message: 'Audio file could not be read. Supported formats are WAV, OGG, WebM, MP3 and M4A'
+    });
+  }
+  
   try {
     // Convert audio buffer to base64 for API call
     const audioBase64 = audioBuffer.toString('base64');
@@ -94,22 +89,16 @@ router.post('/transcribe', speechLimit, upload.single('audio'), [
     
     try {
       // Call Sarvam Speech-to-Text API
-      const response = await axios.post(`${SARVAM_BASE_URL}/speech-to-text`, {
+      const data = await sarvamRequest('/speech-to-text', {
         audio: audioBase64,
         language_code: languageCode,
         model: 'saarika:v1' // Sarvam's speech model
-      }, {
-        headers: {
-          'Authorization': `Bearer ${SARVAM_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout for audio processing
-      });
+      }, { timeout: 30000 });
       
-      if (response.data && response.data.transcript) {
-        transcription = response.data.transcript;
-        confidence = response.data.confidence || 0.9;
-        detectedLanguage = getLanguageFromCode(response.data.language_code) || language;
+      if (data && data.transcript) {
+        transcription = data.transcript;
+        confidence = data.confidence || 0.9;
+        detectedLanguage = LANGUAGE_NAMES[data.language_code] || language;
       } else {
         throw new Error('Invalid API response');
       }
@@ -132,7 +121,9 @@ router.post('/transcribe', speechLimit, upload.single('audio'), [
       transcription,
       detectedLanguage,
       confidence,
-      duration: await getAudioDuration(audioBuffer),
+      duration: audio.duration,
+      waveform: audio.waveform,
+      waveformRms: audio.waveformRms,
       fileSize: audioBuffer.length,
       provider: 'sarvam'
     });
@@ -188,7 +179,7 @@ router.post('/synthesize', speechLimit, [
     
     try {
       // Call Sarvam Text-to-Speech API
-      const response = await axios.post(`${SARVAM_BASE_URL}/text-to-speech`, {
+      const data = await sarvamRequest('/text-to-speech', {
         inputs: [text],
         target_language_code: languageCode,
         speaker: voice === 'male' ? 'meera' : 'meera', // Use available speaker
@@ -198,16 +189,10 @@ router.post('/synthesize', speechLimit, [
         speech_sample_rate: 8000,
         enable_preprocessing: true,
         model: 'bulbul:v1' // Sarvam's TTS model
-      }, {
-        headers: {
-          'Authorization': `Bearer ${SARVAM_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+      }, { timeout: 30000 });
       
-      if (response.data && response.data.audios && response.data.audios[0]) {
-        const audioBase64 = response.data.audios[0];
+      if (data && data.audios && data.audios[0]) {
+        const audioBase64 = data.audios[0];
         
         // In a production environment, you'd want to save this to cloud storage
         // For now, we'll return the base64 data
@@ -289,17 +274,47 @@ router.post('/voice-message', speechLimit, upload.single('audio'), [
   const { conversationId, language = 'auto', replyTo } = req.body;
   const audioBuffer = req.file.buffer;
   
+  const conversation = await Conversation.findById(conversationId);
+  
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+  }
+  
+  if (!conversation.isParticipant(req.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to send messages in this conversation'
+    });
+  }
+  
+  if (conversation.encryption?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only text messages can be sent in end-to-end encrypted conversations'
+    });
+  }
+  
+  const audio = await analyzeAudio(audioBuffer);
+  if (!audio) {
+    return res.status(400).json({
+      success: false,
+      message: 'Audio file could not be read. Supported formats are WAV, OGG, WebM, MP3 and M4A'
+    });
+  }
+  
   try {
     // First, transcribe the audio
     const transcriptionResult = await transcribeAudio(audioBuffer, language);
     
-    // Get audio duration and generate waveform
-    const duration = await getAudioDuration(audioBuffer);
-    const waveform = generateWaveform(audioBuffer);
-    
-    // In production, you'd upload the audio file to cloud storage
-    // For now, we'll store as base64 (not recommended for production)
-    const audioUrl = `data:${req.file.mimetype};base64,${audioBuffer.toString('base64')}`;
+    // The message keeps a storage reference; clients get a signed URL for it
+    const audioUrl = await storeFile(audioBuffer, {
+      folder: 'voice',
+      owner: req.userId,
+      contentType: req.file.mimetype
+    });
     
     // Create voice message
     const message = new Message({
@@ -314,13 +329,14 @@ router.post('/voice-message', speechLimit, upload.single('audio'), [
       type: 'voice',
       voice: {
         audioUrl,
-        duration,
+        duration: audio.duration,
         transcription: {
           text: transcriptionResult.transcription,
           language: transcriptionResult.detectedLanguage,
           confidence: transcriptionResult.confidence
         },
-        waveform
+        waveform: audio.waveform,
+        waveformRms: audio.waveformRms
       },
       replyTo
     });
@@ -328,7 +344,6 @@ router.post('/voice-message', speechLimit, upload.single('audio'), [
     await message.save();
     
     // Update conversation
-    const { Conversation } = await import('../models/Chat.js');
     await Conversation.findByIdAndUpdate(conversationId, {
       lastMessage: {
         content: transcriptionResult.transcription,
@@ -348,7 +363,7 @@ router.post('/voice-message', speechLimit, upload.single('audio'), [
         sender: message.sender,
         content: message.content,
         type: message.type,
-        voice: message.voice,
+        voice: signMessageMedia(message).voice,
         replyTo: message.replyTo,
         createdAt: message.createdAt
       }
@@ -492,6 +507,78 @@ router.get('/analytics', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Turn a spoken catalog command into product search filters or a draft listing
+// @route   POST /api/speech/command
+// @access  Private
+router.post('/command', speechLimit, upload.single('audio'), [
+  body('text')
+    .optional()
+    .isLength({ min: 1, max: 500 })
+    .trim()
+    .withMessage('Text must be 1-500 characters long'),
+  body('language')
+    .optional()
+    .isIn([...SUPPORTED_LANGUAGES, 'auto'])
+    .withMessage('Invalid language code')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  // A recording, or text the app already transcribed on the device
+  if (!req.file && !req.body.text) {
+    return res.status(400).json({
+      success: false,
+      message: 'Audio file or text is required'
+    });
+  }
+  
+  const { language = 'auto' } = req.body;
+  let transcription = req.body.text;
+  let detectedLanguage = language;
+  
+  if (req.file) {
+    const audio = await analyzeAudio(req.file.buffer);
+    if (!audio) {
+      return res.status(400).json({
+        success: false,
+        message: 'Audio file could not be read. Supported formats are WAV, OGG, WebM, MP3 and M4A'
+      });
+    }
+    
+    const transcriptionResult = await transcribeAudio(req.file.buffer, language);
+    transcription = transcriptionResult.transcription;
+    detectedLanguage = transcriptionResult.detectedLanguage;
+  }
+  
+  // Commands are understood in English; glossary terms like MOQ and pcs survive translation
+  detectedLanguage = resolveLanguage(detectedLanguage, transcription);
+  let text = transcription;
+  try {
+    text = (await translateText(transcription, { sourceLanguage: detectedLanguage, targetLanguage: 'english' })).text;
+  } catch (error) {
+    console.error('Voice command translation error:', error.message);
+  }
+  
+  const command = parseVoiceCommand(text, {
+    defaults: { city: req.user.shopLocation?.city }
+  });
+  
+  res.json({
+    success: true,
+    transcription,
+    language: detectedLanguage,
+    text,
+    ...command
+  });
+}));
+
 // Helper functions
 
 async function transcribeAudio(audioBuffer, language) {
@@ -499,23 +586,17 @@ async function transcribeAudio(audioBuffer, language) {
   const languageCode = language === 'auto' ? 'hi-IN' : LANGUAGE_CODES[language];
   
   try {
-    const response = await axios.post(`${SARVAM_BASE_URL}/speech-to-text`, {
+    const data = await sarvamRequest('/speech-to-text', {
       audio: audioBase64,
       language_code: languageCode,
       model: 'saarika:v1'
-    }, {
-      headers: {
-        'Authorization': `Bearer ${SARVAM_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
+    }, { timeout: 30000 });
     
-    if (response.data && response.data.transcript) {
+    if (data && data.transcript) {
       return {
-        transcription: response.data.transcript,
-        confidence: response.data.confidence || 0.9,
-        detectedLanguage: getLanguageFromCode(response.data.language_code) || (language === 'auto' ? 'english' : language)
+        transcription: data.transcript,
+        confidence: data.confidence || 0.9,
+        detectedLanguage: LANGUAGE_NAMES[data.language_code] || (language === 'auto' ? 'english' : language)
       };
     } else {
       throw new Error('Invalid API response');
@@ -552,40 +633,4 @@ function generateMockAudio() {
   return silentWav;
 }
 
-async function getAudioDuration(audioBuffer) {
-  // Mock duration calculation - in production use actual audio analysis
-  return Math.max(1, Math.floor(audioBuffer.length / 8000)); // Rough estimate
-}
-
-function generateWaveform(audioBuffer) {
-  // Generate mock waveform data
-  const samples = 100;
-  const waveform = [];
-  
-  for (let i = 0; i < samples; i++) {
-    // Generate pseudo-random waveform based on buffer content
-    const value = Math.sin(i / 10) * 0.5 + Math.random() * 0.5;
-    waveform.push(Math.max(0, Math.min(1, value)));
-  }
-  
-  return waveform;
-}
-
-function getLanguageFromCode(code) {
-  const codeToLanguage = {
-    'hi-IN': 'hindi',
-    'en-IN': 'english',
-    'ta-IN': 'tamil',
-    'te-IN': 'telugu',
-    'kn-IN': 'kannada',
-    'ml-IN': 'malayalam',
-    'mr-IN': 'marathi',
-    'gu-IN': 'gujarati',
-    'bn-IN': 'bengali',
-    'pa-IN': 'punjabi'
-  };
-  
-  return codeToLanguage[code];
-}
-
 export default router;
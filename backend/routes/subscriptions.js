@@ -1,14 +1,21 @@
 import express from 'express';
-import { body, param } from 'express-validator';
+import { param, validationResult } from 'express-validator';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { auth } from '../middleware/auth.js';
+import { auth, adminOnly } from '../middleware/auth.js';
 import subscriptionService from '../services/subscriptionService.js';
+import couponService from '../services/couponService.js';
+import paymentService from '../services/paymentService.js';
+import invoiceService from '../services/invoiceService.js';
 import Subscription from '../models/Subscription.js';
 import User from '../models/User.js';
 import {
   validateSubscriptionUpgrade,
+  validateCreatePaymentOrder,
   validatePayment,
-  validateCancellation
+  validateCancellation,
+  validateApplyDiscount,
+  validateCreateCoupon,
+  validateCouponId
 } from '../validators/subscriptionValidator.js';
 
 const router = express.Router();
@@ -95,41 +102,48 @@ router.post('/upgrade', validateSubscriptionUpgrade, asyncHandler(async (req, re
   });
 }));
 
-// @desc    Process subscription payment
-// @route   POST /api/subscriptions/payment
+// @desc    Create a gateway payment order for a pending subscription
+// @route   POST /api/subscriptions/payment/order
 // @access  Private
-router.post('/payment', validatePayment, asyncHandler(async (req, res) => {
-  const { subscriptionId, amount, paymentMethod, gatewayTransactionId } = req.body;
-
-  const subscription = await Subscription.findById(subscriptionId);
-
-  if (!subscription) {
-    return res.status(404).json({
-      success: false,
-      message: 'Subscription not found'
-    });
+router.post('/payment/order', validateCreatePaymentOrder, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  // Check ownership - fix authorization comparison
-  const userIdString = subscription.user.toString();
-  const reqUserIdString = req.userId ? req.userId.toString() : null;
+  const { transaction, checkout } = await paymentService.createSubscriptionPaymentOrder(
+    req.userId,
+    req.body.subscriptionId
+  );
 
-  if (!req.userId || userIdString !== reqUserIdString) {
-    return res.status(403).json({
-      success: false,
-      message: 'Unauthorized'
-    });
+  res.status(201).json({
+    success: true,
+    transactionId: transaction.transactionId,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    checkout
+  });
+}));
+
+// @desc    Verify a completed checkout and activate the subscription
+// @route   POST /api/subscriptions/payment
+// @access  Private
+router.post('/payment', validatePayment, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const paymentData = {
-    amount,
-    paymentMethod,
-    gatewayTransactionId,
-    status: 'success', // In production, verify with payment gateway
-    currency: 'INR'
-  };
+  const { subscriptionId, gatewayOrderId, gatewayPaymentId, signature, paymentMethod } = req.body;
 
-  const result = await subscriptionService.processPayment(subscriptionId, paymentData);
+  // Amount comes from the gateway order we created, never from the client
+  const result = await paymentService.verifySubscriptionPayment(req.userId, {
+    subscriptionId,
+    gatewayOrderId,
+    gatewayPaymentId,
+    signature,
+    paymentMethod
+  });
 
   res.json({
     success: true,
@@ -218,83 +232,115 @@ router.post('/:subscriptionId/renew', [
 // @desc    Apply discount code
 // @route   POST /api/subscriptions/apply-discount
 // @access  Private
-router.post('/apply-discount', [
-  body('subscriptionId').isMongoId().withMessage('Invalid subscription ID'),
-  body('discountCode').trim().notEmpty().withMessage('Discount code is required')
-], asyncHandler(async (req, res) => {
+router.post('/apply-discount', validateApplyDiscount, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
   const { subscriptionId, discountCode } = req.body;
 
-  const subscription = await Subscription.findById(subscriptionId);
+  const subscription = await couponService.applyCoupon(req.userId, subscriptionId, discountCode);
 
-  if (!subscription) {
-    return res.status(404).json({
-      success: false,
-      message: 'Subscription not found'
-    });
+  res.json({
+    success: true,
+    message: 'Discount applied successfully',
+    subscription
+  });
+}));
+
+// @desc    Get GST invoice for a payment (PDF, or JSON with ?format=json)
+// @route   GET /api/subscriptions/invoice/:paymentId
+// @access  Private
+router.get('/invoice/:paymentId', [
+  param('paymentId').isMongoId().withMessage('Invalid payment ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  // Check ownership - fix authorization comparison
-  const userIdString = subscription.user.toString();
-  const reqUserIdString = req.userId ? req.userId.toString() : null;
+  const invoice = await invoiceService.getSubscriptionInvoice(req.userId, req.params.paymentId);
 
-  if (!req.userId || userIdString !== reqUserIdString) {
-    return res.status(403).json({
-      success: false,
-      message: 'Unauthorized'
+  if (req.query.format === 'json') {
+    return res.json({
+      success: true,
+      invoice
     });
   }
 
-  // TODO: Implement discount code validation
-  // For now, apply a dummy 10% discount
-  const discountPercentage = 10;
-  const discountAmount = (subscription.amount * discountPercentage) / 100;
+  const pdf = await invoiceService.renderInvoicePdf(invoice);
 
-  subscription.discountApplied = {
-    code: discountCode,
-    percentage: discountPercentage,
-    amount: discountAmount
-  };
-  subscription.amount -= discountAmount;
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`
+  });
+  res.send(pdf);
+}));
 
-  await subscription.save();
+// @desc    List coupons (Admin only)
+// @route   GET /api/subscriptions/admin/coupons
+// @access  Private + Admin
+router.get('/admin/coupons', adminOnly, asyncHandler(async (req, res) => {
+  const { active, page, limit } = req.query;
+  const result = await couponService.listCoupons({ active, page, limit });
 
   res.json({
     success: true,
-    message: 'Discount applied successfully',
-    subscription
+    ...result
   });
 }));
 
-// @desc    Get invoice for a payment
-// @route   GET /api/subscriptions/invoice/:paymentId
-// @access  Private
-router.get('/invoice/:paymentId', asyncHandler(async (req, res) => {
-  const { paymentId } = req.params;
+// @desc    Create coupon (Admin only)
+// @route   POST /api/subscriptions/admin/coupons
+// @access  Private + Admin
+router.post('/admin/coupons', adminOnly, validateCreateCoupon, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
 
-  const subscription = await Subscription.findOne({
-    user: req.userId,
-    'paymentHistory._id': paymentId
-  }).populate('user', 'displayName email businessName shopLocation');
+  const coupon = await couponService.createCoupon(req.body, req.userId);
 
-  if (!subscription) {
-    return res.status(404).json({
-      success: false,
-      message: 'Payment not found'
-    });
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    coupon
+  });
+}));
+
+// @desc    Deactivate coupon (Admin only)
+// @route   PUT /api/subscriptions/admin/coupons/:couponId/deactivate
+// @access  Private + Admin
+router.put('/admin/coupons/:couponId/deactivate', adminOnly, validateCouponId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const payment = subscription.paymentHistory.id(paymentId);
+  const coupon = await couponService.deactivateCoupon(req.params.couponId);
 
   res.json({
     success: true,
-    invoice: {
-      subscription: {
-        tier: subscription.tier,
-        billingCycle: subscription.billingCycle
-      },
-      payment,
-      user: subscription.user
-    }
+    message: 'Coupon deactivated',
+    coupon
+  });
+}));
+
+// @desc    Get coupon usage report (Admin only)
+// @route   GET /api/subscriptions/admin/coupons/:couponId/usage
+// @access  Private + Admin
+router.get('/admin/coupons/:couponId/usage', adminOnly, validateCouponId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const report = await couponService.getUsageReport(req.params.couponId);
+
+  res.json({
+    success: true,
+    report
   });
 }));
 
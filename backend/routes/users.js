@@ -7,7 +7,9 @@ import Post from '../models/Post.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { createRateLimit } from '../middleware/auth.js';
 import verificationService from '../services/verificationService.js';
+import { OTP_CHANNELS } from '../services/otp/index.js';
 import analyticsService from '../services/analyticsService.js';
+import suggestionService from '../services/suggestionService.js';
 import {
   validateBusinessInfo,
   validateBusinessHours,
@@ -21,6 +23,7 @@ import {
   validatePaymentMethods,
   validateReturnPolicy
 } from '../validators/financialValidator.js';
+import { uploadedFileOrUrl } from '../validators/mediaValidator.js';
 
 const router = express.Router();
 
@@ -125,56 +128,28 @@ router.get('/friend-requests', [
 // @desc    Get user suggestions
 // @route   GET /api/users/suggestions
 // @access  Private
-router.get('/suggestions', asyncHandler(async (req, res) => {
-  const currentUser = await User.findById(req.userId)
-    .populate('friends.user communities.community');
-
-  // Get users from same location
-  const locationSuggestions = await User.find({
-    'shopLocation.city': currentUser.shopLocation.city,
-    _id: { $ne: req.userId },
-    isActive: true,
-    onboardingCompleted: true
-  })
-  .select('displayName businessName profilePicture shopLocation categories isVerified')
-  .limit(5);
-
-  // Get users with similar categories
-  const categorySuggestions = await User.find({
-    categories: { $in: currentUser.categories },
-    _id: { $ne: req.userId },
-    isActive: true,
-    onboardingCompleted: true
-  })
-  .select('displayName businessName profilePicture shopLocation categories isVerified')
-  .limit(5);
-
-  // Combine and remove duplicates
-  const allSuggestions = [...locationSuggestions, ...categorySuggestions];
-  const uniqueSuggestions = allSuggestions.filter((user, index, self) =>
-    index === self.findIndex(u => u._id.toString() === user._id.toString())
-  );
-
-  // Add suggestion reasons
-  const suggestions = uniqueSuggestions.map(user => {
-    const reasons = [];
-    if (user.shopLocation.city === currentUser.shopLocation.city) {
-      reasons.push(`Same location: ${user.shopLocation.city}`);
-    }
-    const commonCategories = user.categories.filter(cat => currentUser.categories.includes(cat));
-    if (commonCategories.length > 0) {
-      reasons.push(`Similar business: ${commonCategories.join(', ')}`);
-    }
+router.get('/suggestions', [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: suggestionService.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${suggestionService.MAX_LIMIT}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
 
-    return {
-      ...user.toObject(),
-      suggestionReasons: reasons
-    };
+  const suggestions = await suggestionService.getSuggestions(req.userId, {
+    limit: req.query.limit ? parseInt(req.query.limit) : suggestionService.DEFAULT_LIMIT
   });
 
   res.json({
     success: true,
-    suggestions: suggestions.slice(0, 10)
+    suggestions
   });
 }));
 
@@ -852,7 +827,7 @@ router.post('/certifications', validateCertification, asyncHandler(async (req, r
   res.json({
     success: true,
     message: 'Certification added successfully',
-    certification: user.certifications[user.certifications.length - 1]
+    certification: user.toJSON().certifications[user.certifications.length - 1]
   });
 }));
 
@@ -974,10 +949,24 @@ router.post('/verify-email', [
 // @route   POST /api/users/verify-phone/send
 // @access  Private
 router.post('/verify-phone/send', [
-  body('phone').matches(/^[6-9]\d{9}$/).withMessage('Invalid phone number')
+  body('phone').matches(/^[6-9]\d{9}$/).withMessage('Invalid phone number'),
+  body('channel').optional().isIn(OTP_CHANNELS).withMessage('Channel must be sms or whatsapp')
 ], asyncHandler(async (req, res) => {
-  const { phone } = req.body;
-  const result = await verificationService.sendPhoneVerification(req.userId, phone);
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
+  const { phone, channel } = req.body;
+  const result = await verificationService.sendPhoneVerification(req.userId, phone, {
+    channel,
+    ip: req.ip
+  });
   res.json(result);
 }));
 
@@ -985,8 +974,18 @@ router.post('/verify-phone/send', [
 // @route   POST /api/users/verify-phone
 // @access  Private
 router.post('/verify-phone', [
-  body('code').isLength({ min: 6, max: 6 }).withMessage('Invalid verification code')
+  body('code').matches(/^\d{6}$/).withMessage('Invalid verification code')
 ], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+  
   const { code } = req.body;
   const result = await verificationService.verifyPhone(req.userId, code);
   res.json(result);
@@ -997,8 +996,13 @@ router.post('/verify-phone', [
 // @access  Private
 router.post('/documents', [
   body('type').isIn(['gst', 'pan', 'business_license', 'address_proof']).withMessage('Invalid document type'),
-  body('url').isURL().withMessage('Invalid document URL')
+  uploadedFileOrUrl('url', 'verification', 'Invalid document URL')
 ], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
   const documentData = req.body;
   const result = await verificationService.submitVerificationDocument(req.userId, documentData);
   res.json(result);
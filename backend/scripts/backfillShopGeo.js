@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { toGeoPoint } from '../utils/geo.js';
+
+dotenv.config();
+
+// Fill shopLocation.geo for users saved before it existed, and replace the old
+// 2dsphere index on shopLocation.coordinates with the one on shopLocation.geo
+async function backfillShopGeo() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/b2b-textile');
+    console.log('Connected to MongoDB');
+
+    const indexes = await User.collection.indexes();
+    if (indexes.some(index => index.name === 'shopLocation.coordinates_2dsphere')) {
+      await User.collection.dropIndex('shopLocation.coordinates_2dsphere');
+      console.log('Dropped old shopLocation.coordinates_2dsphere index');
+    }
+
+    const users = await User.find({
+      'shopLocation.coordinates.latitude': { $ne: null },
+      'shopLocation.coordinates.longitude': { $ne: null },
+      'shopLocation.geo': { $exists: false }
+    }).select('shopLocation.coordinates').lean();
+
+    console.log(`Found ${users.length} users without a shop point`);
+
+    for (const user of users) {
+      const geo = toGeoPoint(user.shopLocation.coordinates);
+      if (geo) {
+        await User.updateOne({ _id: user._id }, { 'shopLocation.geo': geo });
+      }
+    }
+
+    await User.createIndexes();
+    console.log('Shop point backfill completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling shop points:', error);
+    process.exit(1);
+  }
+}
+
+backfillShopGeo();
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Ad from '../models/Ad.js';
+
+dotenv.config();
+
+// CPC and CPM ads created before bids existed were charged budget.total / 1000 per event.
+// Give them that rate as an explicit bid so they keep running at it; advertisers can change it
+// like any other bid. Run with --dry-run to only count the ads. Ads still without a bid are not
+// served and can't be resumed until one is set.
+async function migrateAdBids() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/b2b-textile');
+    console.log('Connected to MongoDB');
+
+    const filter = {
+      'pricing.model': { $in: ['cpc', 'cpm'] },
+      'pricing.bid': null,
+      'pricing.budget.total': { $gt: 0 }
+    };
+
+    const total = await Ad.countDocuments(filter);
+    console.log(`Found ${total} CPC/CPM ads without a bid${dryRun ? ' (dry run)' : ''}`);
+
+    if (!dryRun && total > 0) {
+      const result = await Ad.updateMany(filter, [
+        { $set: { 'pricing.bid': { $divide: ['$pricing.budget.total', 1000] } } }
+      ]);
+      console.log(`Set the legacy bid on ${result.modifiedCount} ads`);
+    }
+
+    console.log('Ad bid migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating ad bids:', error);
+    process.exit(1);
+  }
+}
+
+migrateAdBids();
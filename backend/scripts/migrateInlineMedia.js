@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Message } from '../models/Chat.js';
+import { storeFile } from '../services/storage/index.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 100;
+const DATA_URL = /^data:([^;,]+)?(?:;[^,]*)?;base64,/;
+
+// Fields that used to hold inline base64 data URLs, and the storage folder each moves to
+const FIELDS = [
+  { path: 'voice.audioUrl', folder: 'voice', get: message => message.voice?.audioUrl },
+  { path: 'media.url', folder: 'chat', get: message => message.media?.url },
+  { path: 'media.thumbnail', folder: 'chat', get: message => message.media?.thumbnail }
+];
+
+// Move base64 audio and attachments out of chat messages into the configured storage backend.
+// Run with --dry-run to only count what would be moved.
+async function migrateInlineMedia() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/b2b-textile');
+    console.log('Connected to MongoDB');
+
+    const filter = { $or: FIELDS.map(field => ({ [field.path]: { $regex: '^data:' } })) };
+    const total = await Message.countDocuments(filter);
+    console.log(`Found ${total} messages with inline media${dryRun ? ' (dry run)' : ''}`);
+
+    let movedFiles = 0;
+    let movedBytes = 0;
+    let failed = 0;
+    let lastId = null;
+
+    for (;;) {
+      const batch = await Message.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .select('sender voice.audioUrl media.url media.thumbnail')
+        .lean();
+
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      for (const message of batch) {
+        for (const field of FIELDS) {
+          const value = field.get(message);
+          const match = value && DATA_URL.exec(value);
+          if (!match) continue;
+
+          const buffer = Buffer.from(value.slice(match[0].length), 'base64');
+
+          if (dryRun) {
+            movedFiles++;
+            movedBytes += buffer.length;
+            continue;
+          }
+
+          try {
+            const ref = await storeFile(buffer, {
+              folder: field.folder,
+              owner: message.sender,
+              contentType: match[1] || 'application/octet-stream'
+            });
+
+            // Only replace the value we read, in case the message changed meanwhile
+            await Message.updateOne({ _id: message._id, [field.path]: value }, { $set: { [field.path]: ref } });
+            movedFiles++;
+            movedBytes += buffer.length;
+          } catch (error) {
+            failed++;
+            console.error(`Failed to move ${field.path} of message ${message._id}:`, error.message);
+          }
+        }
+      }
+
+      console.log(`Processed messages up to ${lastId}`);
+    }
+
+    const megabytes = (movedBytes / (1024 * 1024)).toFixed(1);
+    console.log(`${dryRun ? 'Would move' : 'Moved'} ${movedFiles} files (${megabytes} MB), ${failed} failed`);
+    console.log('Inline media migration completed');
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error migrating inline media:', error);
+    process.exit(1);
+  }
+}
+
+migrateInlineMedia();
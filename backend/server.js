@@ -16,6 +16,7 @@ import communityRoutes from './routes/communities.js';
 import communityChatRoutes from './routes/communityChat.js';
 import postRoutes from './routes/posts.js';
 import chatRoutes from './routes/chat.js';
+import keyRoutes from './routes/keys.js';
 import adRoutes from './routes/ads.js';
 import searchRoutes from './routes/search.js';
 import translationRoutes from './routes/translation.js';
@@ -24,13 +25,23 @@ import productRoutes from './routes/products.js';
 import notificationRoutes from './routes/notifications.js';
 import subscriptionRoutes from './routes/subscriptions.js';
 import reviewRoutes from './routes/reviews.js';
+import orderRoutes from './routes/orders.js';
+import rfqRoutes from './routes/rfqs.js';
+import paymentRoutes from './routes/payments.js';
+import jobRoutes from './routes/jobs.js';
+import mediaRoutes from './routes/media.js';
 
 // Import middleware
-import { auth } from './middleware/auth.js';
+import { auth, adminOnly } from './middleware/auth.js';
 import { errorHandler } from './middleware/errorHandler.js';
 
 // Import socket handlers
 import { initializeSocket } from './socket/socketHandlers.js';
+import { configureSocketAdapter } from './socket/adapter.js';
+
+// Import background jobs
+import { registerJobs } from './jobs/index.js';
+import { startScheduler } from './services/jobScheduler.js';
 
 dotenv.config();
 
@@ -87,16 +98,23 @@ app.use('/api/', limiter);
 // Middleware
 app.use(compression());
 app.use(morgan('combined'));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Keep the raw body so payment webhooks can verify their signatures
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/b2b-textile')
-  .then(() => console.log('MongoDB connected successfully'))
-  .catch(err => console.error('MongoDB connection error:', err));
+  .then(() => {
+    console.log('MongoDB connected successfully');
 
-// Initialize Socket.io
-initializeSocket(io);
+    // Background jobs need the database; handlers get io for socket delivery
+    registerJobs();
+    startScheduler({ io }).catch(err => console.error('Job scheduler error:', err));
+  })
+  .catch(err => console.error('MongoDB connection error:', err));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -110,6 +128,7 @@ app.use('/api/communities', auth, communityRoutes);
 app.use('/api/community-chat', auth, communityChatRoutes);
 app.use('/api/posts', auth, postRoutes);
 app.use('/api/chat', auth, chatRoutes);
+app.use('/api/keys', auth, keyRoutes);
 app.use('/api/ads', auth, adRoutes);
 app.use('/api/search', auth, searchRoutes);
 app.use('/api/translation', auth, translationRoutes);
@@ -118,6 +137,11 @@ app.use('/api/products', auth, productRoutes);
 app.use('/api/notifications', auth, notificationRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/orders', auth, orderRoutes);
+app.use('/api/rfqs', auth, rfqRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/admin/jobs', auth, adminOnly, jobRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -129,11 +153,22 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-server.listen(PORT, () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
-  console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || "http://localhost:5173"}`);
-  console.log(`💾 Database: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/b2b-textile'}`);
-});
+// Initialize Socket.io on its adapter before accepting connections
+configureSocketAdapter(io)
+  .then((presence) => {
+    initializeSocket(io, { presence });
+    console.log(`🔌 Socket.IO adapter: ${presence.driver}`);
+
+    server.listen(PORT, () => {
+      console.log(`🚀 Server is running on port ${PORT}`);
+      console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || "http://localhost:5173"}`);
+      console.log(`💾 Database: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/b2b-textile'}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Socket.IO adapter error:', error);
+    process.exit(1);
+  });
 
 export { io };
 
@@ -0,0 +1,202 @@
+import AdBillingEvent from '../models/AdBillingEvent.js';
+import AdImpressionCount from '../models/AdImpressionCount.js';
+import adCreditService from './adCreditService.js';
+import { roundMoney } from '../utils/gst.js';
+
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Charge one event and record it. Resolves to the amount charged.
+const bill = async (ad, type, bid, { user, usage = {}, key } = {}) => {
+  const charged = bid > 0 ? await ad.updateSpent(bid, usage) : 0;
+
+  await AdBillingEvent.create({
+    ad: ad._id,
+    owner: ad.owner,
+    type,
+    user,
+    bid,
+    amount: charged,
+    day: startOfDay(),
+    key
+  });
+
+  return charged;
+};
+
+// Charge the flat-rate fee once for the day the ad is first served
+const billFlatFee = async (ad, user) => {
+  const day = startOfDay();
+  const key = `flat:${ad._id}:${day.getTime()}`;
+
+  const alreadyBilled = await AdBillingEvent.exists({ key });
+  if (alreadyBilled) return 0;
+
+  try {
+    return await bill(ad, 'flat_fee', ad.getFlatDailyFee(), { user, key });
+  } catch (error) {
+    // Another request billed the day first
+    if (error.code === 11000) return 0;
+    throw error;
+  }
+};
+
+// Ads that may be shown right now under their schedule, daily cap and pacing
+export const filterServable = (ads, now = new Date()) => {
+  return ads.filter(ad => ad.getPacing(now).canServe);
+};
+
+// Record that ads were shown to a user and bill CPM impressions and flat-rate days.
+// Per-user daily counts feed frequency caps and click screening.
+export const recordImpressions = async (ads, userId) => {
+  const today = startOfDay();
+
+  for (const ad of ads) {
+    await ad.recordImpression();
+    await AdImpressionCount.increment(ad._id, userId, today);
+
+    if (ad.pricing.model === 'cpm') {
+      await bill(ad, 'impression', ad.getEventCost('impression'), { user: userId, usage: { impressions: 1 } });
+    } else if (ad.pricing.model === 'flat_rate') {
+      await billFlatFee(ad, userId);
+    }
+  }
+};
+
+// Bill a click on a CPC ad (the click itself is recorded by the caller)
+export const recordClick = async (ad, userId) => {
+  if (ad.pricing.model !== 'cpc') return 0;
+
+  return bill(ad, 'click', ad.getEventCost('click'), { user: userId, usage: { clicks: 1 } });
+};
+
+// Take back a click that was billed before it was found invalid: out of the ad's clicks and spend,
+// and its charge back to the owner's ad credits
+export const refundClick = async (ad, click) => {
+  await ad.reverseClick(click.createdAt, click.charged);
+  if (!click.charged) return 0;
+
+  await AdBillingEvent.create({
+    ad: ad._id,
+    owner: ad.owner,
+    type: 'click_refund',
+    user: click.user,
+    amount: -click.charged,
+    day: startOfDay(click.createdAt)
+  });
+  await adCreditService.refundAdSpend(ad, click.charged, 'Refund for invalid click');
+
+  return click.charged;
+};
+
+// Per-day billing for an ad, side by side with its analytics.dailyStats.
+// `difference` is stats spend minus billed spend and should be zero on every day.
+export const getBillingSummary = async (ad, { from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? startOfDay(new Date(from)) : startOfDay(ad.campaign.startDate);
+
+  const billed = await AdBillingEvent.aggregate([
+    { $match: { ad: ad._id, day: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { day: '$day', type: '$type' },
+        events: { $sum: 1 },
+        chargedEvents: { $sum: { $cond: [{ $gt: ['$amount', 0] }, 1, 0] } },
+        amount: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  const days = new Map();
+  const getDay = (date) => {
+    const key = date.getTime();
+    if (!days.has(key)) {
+      days.set(key, {
+        date,
+        impressions: 0,
+        clicks: 0,
+        invalidClicks: 0,
+        statsSpent: 0,
+        billedImpressions: 0,
+        billedClicks: 0,
+        flatFee: 0,
+        billedSpent: 0
+      });
+    }
+    return days.get(key);
+  };
+
+  ad.analytics.dailyStats
+    .filter(stat => stat.date >= start && stat.date <= end)
+    .forEach(stat => {
+      const day = getDay(stat.date);
+      day.impressions = stat.impressions;
+      day.clicks = stat.clicks;
+      day.invalidClicks = stat.invalidClicks || 0;
+      day.statsSpent = stat.spent;
+    });
+
+  billed.forEach(row => {
+    const day = getDay(row._id.day);
+    if (row._id.type === 'impression') day.billedImpressions = row.chargedEvents;
+    if (row._id.type === 'click') day.billedClicks += row.chargedEvents;
+    if (row._id.type === 'click_refund') day.billedClicks -= row.events;
+    if (row._id.type === 'flat_fee') day.flatFee = roundMoney(row.amount);
+    day.billedSpent += row.amount;
+  });
+
+  const daily = [...days.values()]
+    .sort((a, b) => a.date - b.date)
+    .map(day => ({
+      ...day,
+      statsSpent: roundMoney(day.statsSpent),
+      billedSpent: roundMoney(day.billedSpent),
+      difference: roundMoney(day.statsSpent - day.billedSpent)
+    }));
+
+  const totals = daily.reduce((acc, day) => {
+    acc.impressions += day.impressions;
+    acc.clicks += day.clicks;
+    acc.invalidClicks += day.invalidClicks;
+    acc.billedImpressions += day.billedImpressions;
+    acc.billedClicks += day.billedClicks;
+    acc.statsSpent = roundMoney(acc.statsSpent + day.statsSpent);
+    acc.billedSpent = roundMoney(acc.billedSpent + day.billedSpent);
+    return acc;
+  }, { impressions: 0, clicks: 0, invalidClicks: 0, billedImpressions: 0, billedClicks: 0, statsSpent: 0, billedSpent: 0 });
+
+  const pacing = ad.getPacing();
+
+  return {
+    period: { from: start, to: end },
+    pricing: {
+      model: ad.pricing.model,
+      bid: ad.pricing.bid,
+      dailyBudget: ad.pricing.budget.daily,
+      totalBudget: ad.pricing.budget.total,
+      actualSpent: roundMoney(ad.pricing.actualSpent),
+      remaining: roundMoney(pacing.budgetRemaining)
+    },
+    pacing: {
+      dailyCap: roundMoney(pacing.dailyCap),
+      spentToday: roundMoney(pacing.spentToday),
+      pacedLimit: roundMoney(pacing.pacedLimit),
+      inWindow: pacing.inWindow,
+      canServe: pacing.canServe
+    },
+    daily,
+    totals,
+    reconciled: daily.every(day => day.difference === 0)
+  };
+};
+
+export default {
+  filterServable,
+  recordImpressions,
+  recordClick,
+  refundClick,
+  getBillingSummary
+};
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import AdCreditEntry, { ENTRY_TYPES } from '../models/AdCreditEntry.js';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import Ad from '../models/Ad.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { roundMoney } from '../utils/gst.js';
+
+// Ad credits are granted in 30-day periods from the subscription start,
+// whatever the billing cycle, and lapse at the end of their period.
+const CREDIT_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Grant a subscription's monthly credits for one period (idempotent)
+export const grantSubscriptionCredits = async (subscription, periodIndex = 0) => {
+  const amount = subscription.features?.adCreditsPerMonth || 0;
+  if (amount <= 0) return null;
+
+  const periodStart = new Date(subscription.startDate.getTime() + periodIndex * CREDIT_PERIOD_MS);
+  if (periodStart >= subscription.endDate) return null;
+
+  const periodEnd = new Date(Math.min(
+    periodStart.getTime() + CREDIT_PERIOD_MS,
+    subscription.endDate.getTime()
+  ));
+
+  return AdCreditEntry.addCredits(subscription.user, amount, {
+    type: 'grant',
+    key: `grant:${subscription._id}:${periodIndex}`,
+    subscription: subscription._id,
+    periodStart,
+    periodEnd,
+    expiresAt: periodEnd,
+    reason: `${subscription.tier} plan monthly ad credits`
+  });
+};
+
+// Grant the credits for the period a subscription is currently in.
+// Renewals that haven't started yet are picked up by the monthly job later.
+export const grantCurrentPeriodCredits = async (subscription) => {
+  const now = new Date();
+  if (subscription.startDate > now || subscription.endDate <= now) return null;
+
+  const periodIndex = Math.floor((now - subscription.startDate) / CREDIT_PERIOD_MS);
+  return grantSubscriptionCredits(subscription, periodIndex);
+};
+
+// Grant the current period's credits for every active subscription (run as scheduled job)
+export const grantDueCredits = async () => {
+  const now = new Date();
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+    'features.adCreditsPerMonth': { $gt: 0 }
+  });
+
+  let grantsCreated = 0;
+  for (const subscription of subscriptions) {
+    const grant = await grantCurrentPeriodCredits(subscription);
+    if (grant) grantsCreated++;
+  }
+
+  return { subscriptionsChecked: subscriptions.length, grantsCreated };
+};
+
+// Take back what is left of the credits a subscription granted (e.g. when it is refunded).
+// Only that subscription's grants are touched; credits from other grants and refunds stay.
+export const revokeSubscriptionCredits = async (subscription, reason = 'Subscription refunded') => {
+  const grants = await AdCreditEntry.find({
+    subscription: subscription._id,
+    type: 'grant',
+    remaining: { $gt: 0 }
+  });
+
+  let revoked = 0;
+  for (const grant of grants) {
+    const taken = await AdCreditEntry.expireCredit(grant, reason);
+    revoked = roundMoney(revoked + taken);
+  }
+
+  return revoked > 0 ? { revoked } : null;
+};
+
+// Give back credits charged for an ad (e.g. for a click later found invalid).
+// The ad's own spend figures are corrected by the caller (see adBillingService.refundClick).
+export const refundAdSpend = async (ad, amount, reason) => {
+  if (amount <= 0) return null;
+
+  return AdCreditEntry.addCredits(ad.owner, amount, {
+    type: 'refund',
+    ad: ad._id,
+    reason
+  });
+};
+
+// Manual correction by an admin
+export const adjustCredits = async (userId, amount, reason, adminId) => {
+  const user = await User.findById(userId).select('adCredits');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (amount === 0) {
+    throw new ValidationError('Adjustment amount cannot be zero');
+  }
+
+  if (amount < 0 && user.adCredits < -amount) {
+    throw new ValidationError(`User only has ${user.adCredits} credits`);
+  }
+
+  const entry = amount > 0
+    ? await AdCreditEntry.addCredits(userId, amount, { type: 'adjust', reason, createdBy: adminId })
+    : await AdCreditEntry.removeCredits(userId, -amount, { type: 'adjust', reason, createdBy: adminId });
+
+  return entry;
+};
+
+// Credit statement for a period, with per-ad spend to reconcile against ad analytics
+export const getStatement = async (userId, { from, to, page = 1, limit = 50 } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - CREDIT_PERIOD_MS);
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+
+  const periodQuery = { user: userObjectId, createdAt: { $gte: start, $lte: end } };
+
+  const [user, openingTotals, typeTotals, entries, totalEntries, adSpend] = await Promise.all([
+    User.findById(userId).select('adCredits'),
+    AdCreditEntry.aggregate([
+      { $match: { user: userObjectId, createdAt: { $lt: start } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]),
+    AdCreditEntry.aggregate([
+      { $match: periodQuery },
+      { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]),
+    AdCreditEntry.find(periodQuery)
+      .populate('ad', 'title')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit)),
+    AdCreditEntry.countDocuments(periodQuery),
+    AdCreditEntry.aggregate([
+      { $match: { ...periodQuery, type: { $in: ['spend', 'refund'] }, ad: { $ne: null } } },
+      {
+        $group: {
+          _id: '$ad',
+          spent: { $sum: { $cond: [{ $eq: ['$type', 'spend'] }, { $multiply: ['$amount', -1] }, 0] } },
+          refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+          clicks: { $sum: '$usage.clicks' },
+          impressions: { $sum: '$usage.impressions' }
+        }
+      }
+    ])
+  ]);
+
+  const totals = ENTRY_TYPES.reduce((acc, type) => {
+    const row = typeTotals.find(t => t._id === type);
+    acc[type] = row ? roundMoney(row.total) : 0;
+    return acc;
+  }, {});
+
+  const openingBalance = roundMoney(openingTotals[0]?.total || 0);
+  const netChange = Object.values(totals).reduce((sum, value) => sum + value, 0);
+
+  // Compare ledger spend with what each ad's daily stats say it spent in the same period
+  const ads = await Ad.find({ _id: { $in: adSpend.map(row => row._id) } })
+    .select('title pricing.actualSpent analytics.dailyStats');
+
+  const adBreakdown = adSpend.map(row => {
+    const ad = ads.find(a => a._id.equals(row._id));
+    const statsSpent = ad
+      ? ad.analytics.dailyStats
+        .filter(stat => stat.date >= start && stat.date <= end)
+        .reduce((sum, stat) => sum + (stat.spent || 0), 0)
+      : 0;
+
+    return {
+      ad: row._id,
+      title: ad?.title,
+      spent: roundMoney(row.spent),
+      refunded: roundMoney(row.refunded),
+      clicks: row.clicks,
+      impressions: row.impressions,
+      analyticsSpent: roundMoney(statsSpent),
+      lifetimeSpent: ad?.pricing.actualSpent
+    };
+  });
+
+  return {
+    period: { from: start, to: end },
+    balance: user?.adCredits || 0,
+    openingBalance,
+    closingBalance: roundMoney(openingBalance + netChange),
+    totals,
+    adBreakdown,
+    entries,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalEntries / limit),
+      totalEntries
+    }
+  };
+};
+
+export default {
+  grantSubscriptionCredits,
+  grantCurrentPeriodCredits,
+  grantDueCredits,
+  revokeSubscriptionCredits,
+  refundAdSpend,
+  adjustCredits,
+  getStatement
+};
@@ -0,0 +1,148 @@
+import Ad from '../models/Ad.js';
+import User from '../models/User.js';
+import AdImpressionCount from '../models/AdImpressionCount.js';
+import adBillingService from './adBillingService.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { distanceKm, hasCoordinates } from '../utils/geo.js';
+
+export const PLACEMENTS = ['feed', 'search', 'community'];
+
+// Ads are scored on a handful of candidates at most; keep the candidate query bounded
+const MAX_CANDIDATES = 200;
+
+// Predicted CTR is the ad's own CTR smoothed towards a 1% prior worth 200 impressions,
+// so new ads are neither buried nor ranked on a lucky first click
+const PRIOR_CTR = 0.01;
+const PRIOR_IMPRESSIONS = 200;
+
+const sameCity = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Within radius of any target location; falls back to the city name when either side has no coordinates
+const matchesLocation = (ad, user) => {
+  const locations = ad.targeting.locations || [];
+  if (locations.length === 0) return true;
+
+  const userLocation = user.shopLocation || {};
+  return locations.some(location => {
+    if (hasCoordinates(location.coordinates) && hasCoordinates(userLocation.coordinates)) {
+      return distanceKm(location.coordinates, userLocation.coordinates) <= (location.radius || 50);
+    }
+    return sameCity(location.city, userLocation.city);
+  });
+};
+
+// Empty targeting lists match everyone
+const overlaps = (targets = [], values = []) => {
+  if (targets.length === 0) return true;
+  const wanted = new Set(targets.map(String));
+  return values.some(value => wanted.has(String(value)));
+};
+
+export const matchesUser = (ad, user) => {
+  const demographics = ad.targeting.demographics || {};
+  const languages = [...(user.languages || []), user.preferredLanguage].filter(Boolean);
+  const communities = (user.communities || []).map(membership => membership.community);
+
+  return matchesLocation(ad, user) &&
+    overlaps(ad.targeting.categories, user.categories) &&
+    overlaps(demographics.businessType, [user.businessType]) &&
+    overlaps(demographics.languages, languages) &&
+    overlaps(ad.targeting.communities, communities);
+};
+
+export const predictCtr = (ad) => {
+  const { clicks = 0, impressions = 0 } = ad.analytics;
+  return (clicks + PRIOR_CTR * PRIOR_IMPRESSIONS) / (impressions + PRIOR_IMPRESSIONS);
+};
+
+// Expected value of one impression (₹ per 1000 impressions). CPC bids are weighted by predicted CTR;
+// flat-rate ads rank by their daily fee as if it were a CPM bid.
+export const getRankScore = (ad) => {
+  let ecpm;
+  if (ad.pricing.model === 'cpc') {
+    ecpm = (ad.pricing.bid || 0) * predictCtr(ad) * 1000;
+  } else if (ad.pricing.model === 'cpm') {
+    ecpm = ad.pricing.bid || 0;
+  } else {
+    ecpm = ad.getFlatDailyFee();
+  }
+
+  const boost = ad.boost?.isBoosted && (!ad.boost.boostUntil || ad.boost.boostUntil > new Date())
+    ? ad.boost.boostMultiplier || 1
+    : 1;
+
+  return ecpm * boost;
+};
+
+// Pick and serve the best ads for a user at a placement, recording impressions and billing them
+export const serveAds = async (userId, { placement = 'feed', limit = 1, communityId, query } = {}) => {
+  const user = await User.findById(userId)
+    .select('shopLocation categories businessType languages preferredLanguage communities');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const now = new Date();
+  const filter = {
+    status: 'active',
+    owner: { $ne: user._id },
+    'campaign.startDate': { $lte: now },
+    'campaign.endDate': { $gte: now },
+    $and: [{
+      $or: [
+        { 'targeting.placements': placement },
+        { 'targeting.placements': { $size: 0 } },
+        { 'targeting.placements': { $exists: false } }
+      ]
+    }]
+  };
+
+  // On a community page, only ads aimed at that community or at no community in particular
+  if (placement === 'community' && communityId) {
+    filter.$and.push({
+      $or: [
+        { 'targeting.communities': communityId },
+        { 'targeting.communities': { $size: 0 } },
+        { 'targeting.communities': { $exists: false } }
+      ]
+    });
+  }
+
+  // In search results, only ads relevant to what was searched
+  if (placement === 'search' && query) {
+    filter.$text = { $search: query };
+  }
+
+  const candidates = await Ad.find(filter)
+    .populate('owner', 'displayName businessName profilePicture')
+    .limit(MAX_CANDIDATES);
+
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const servedToday = await AdImpressionCount.getCountsForDay(user._id, today);
+
+  const ranked = candidates
+    .filter(ad => matchesUser(ad, user))
+    .filter(ad => (servedToday.get(ad._id.toString()) || 0) < (ad.targeting.frequencyCap || 3))
+    .filter(ad => ad.getPacing(now).canServe)
+    .map(ad => ({ ad, score: getRankScore(ad) }))
+    .sort((a, b) =>
+      Number(b.ad.featured?.isFeatured || false) - Number(a.ad.featured?.isFeatured || false) ||
+      b.score - a.score
+    )
+    .slice(0, limit);
+
+  const ads = ranked.map(entry => entry.ad);
+
+  await adBillingService.recordImpressions(ads, user._id);
+
+  return ranked.map(({ ad, score }) => ({ ad, score }));
+};
+
+export default {
+  PLACEMENTS,
+  matchesUser,
+  predictCtr,
+  getRankScore,
+  serveAds
+};
@@ -0,0 +1,66 @@
+import { spawn } from 'child_process';
+
+// Waveforms don't need more than this many samples per second
+export const DECODE_SAMPLE_RATE = 8000;
+
+const DECODE_TIMEOUT_MS = 15000;
+
+// Set once ffmpeg turns out not to be installed, so later uploads don't try again
+let unavailable = false;
+
+/**
+ * Decode compressed audio (Opus, Vorbis, MP3, AAC, ...) to mono float samples with ffmpeg
+ * FFMPEG_PATH points at the binary (default: `ffmpeg` on the PATH). Resolves to
+ * { samples, sampleRate }, or null when ffmpeg is missing or can't read the file.
+ */
+export const decodeWithFfmpeg = (buffer, { sampleRate = DECODE_SAMPLE_RATE } = {}) => {
+  if (unavailable || process.env.AUDIO_DECODER === 'none') return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const chunks = [];
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    const child = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-vn', '-ac', '1', '-ar', String(sampleRate),
+      '-f', 'f32le', 'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'ignore'] });
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish(null);
+    }, DECODE_TIMEOUT_MS);
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        unavailable = true;
+        console.warn('ffmpeg not found; voice waveforms will be estimated from the compressed stream');
+      }
+      finish(null);
+    });
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.on('close', (code) => {
+      if (code !== 0) return finish(null);
+
+      const output = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(output.length / 4));
+      for (let i = 0; i < samples.length; i++) samples[i] = output.readFloatLE(i * 4);
+      finish(samples.length > 0 ? { samples, sampleRate } : null);
+    });
+
+    // ffmpeg may stop reading early (unreadable input); that surfaces through the exit code
+    child.stdin.on('error', () => {});
+    child.stdin.end(buffer);
+  });
+};
+
+export default decodeWithFfmpeg;
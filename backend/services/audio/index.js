@@ -0,0 +1,74 @@
+import { isWav, parseWav } from './wav.js';
+import { isOgg, parseOgg } from './ogg.js';
+import { isWebm, parseWebm } from './webm.js';
+import { isMp4, parseMp4 } from './mp4.js';
+import { isMp3, parseMp3 } from './mp3.js';
+import { DEFAULT_BUCKETS, computeWaveform, estimateWaveform } from './waveform.js';
+import { decodeWithFfmpeg } from './ffmpegDecoder.js';
+
+// Container parsers, tried by the file's signature (MP3 last: its frame sync is the loosest match)
+const PARSERS = [
+  { matches: isWav, parse: parseWav },
+  { matches: isOgg, parse: parseOgg },
+  { matches: isWebm, parse: parseWebm },
+  { matches: isMp4, parse: parseMp4 },
+  { matches: isMp3, parse: parseMp3 }
+];
+
+const roundDuration = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Container details of an audio file, or null when it isn't one we can read
+export const parseAudio = (buffer) => {
+  const parser = PARSERS.find(candidate => candidate.matches(buffer));
+  if (!parser) return null;
+
+  try {
+    return parser.parse(buffer);
+  } catch (error) {
+    // Truncated or corrupt files run off the end of the buffer
+    return null;
+  }
+};
+
+/**
+ * Duration and waveform of an uploaded voice recording (WAV, Ogg, WebM, MP3 or MP4/M4A)
+ *
+ * The duration is read from the container. The waveform is `buckets` slices of peak and RMS
+ * amplitude from the decoded audio: WAV is decoded here, compressed audio with ffmpeg. When ffmpeg
+ * isn't available the waveform is estimated from packet sizes and `decoded` is false.
+ *
+ * Resolves to { format, codec, sampleRate, channels, duration, waveform, waveformRms, decoded },
+ * or null when the file can't be read as audio.
+ */
+export const analyzeAudio = async (buffer, { buckets = DEFAULT_BUCKETS } = {}) => {
+  const parsed = parseAudio(buffer);
+  if (!parsed) return null;
+
+  let decoded = parsed.decode ? { samples: parsed.decode(), sampleRate: parsed.sampleRate } : null;
+  if (!decoded) {
+    decoded = await decodeWithFfmpeg(buffer);
+  }
+
+  const duration = parsed.duration || (decoded ? decoded.samples.length / decoded.sampleRate : null);
+  if (!duration) return null;
+
+  const { peaks, rms } = decoded
+    ? computeWaveform(decoded.samples, buckets)
+    : estimateWaveform(parsed.packets, duration, buckets);
+
+  return {
+    format: parsed.format,
+    codec: parsed.codec,
+    sampleRate: parsed.sampleRate,
+    channels: parsed.channels,
+    duration: roundDuration(duration),
+    waveform: peaks,
+    waveformRms: rms,
+    decoded: Boolean(decoded)
+  };
+};
+
+export default {
+  parseAudio,
+  analyzeAudio
+};
@@ -0,0 +1,145 @@
+// Bitrates in kbps by [MPEG-1 ? 'v1' : 'v2'][layer]
+const BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// Sample rates by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+// Skip an ID3v2 tag at the start of the file
+const skipId3 = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+// Frame header at offset, or null when there isn't a valid one
+export const readFrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = buffer[offset + 3] >> 6;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isV1 = versionBits === 3;
+  const layer = 4 - layerBits;
+  const bitrate = BITRATES[isV1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && !isV1 ? 576 : 1152;
+    length = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+  }
+
+  return {
+    isV1,
+    layer,
+    sampleRate,
+    channels: channelMode === 3 ? 1 : 2,
+    samples,
+    length
+  };
+};
+
+// Frame count from a Xing/Info or VBRI header in the first frame, if the encoder wrote one
+const readVbrFrameCount = (buffer, offset, header) => {
+  const sideInfo = header.isV1 ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+
+  if (xing + 12 <= buffer.length) {
+    const tag = buffer.toString('latin1', xing, xing + 4);
+    if ((tag === 'Xing' || tag === 'Info') && (buffer.readUInt32BE(xing + 4) & 0x01)) {
+      return buffer.readUInt32BE(xing + 8);
+    }
+  }
+
+  const vbri = offset + 36;
+  if (vbri + 18 <= buffer.length && buffer.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+    return buffer.readUInt32BE(vbri + 14);
+  }
+
+  return null;
+};
+
+/**
+ * Parse an MPEG audio (MP3) stream
+ * Walks the frame headers: the duration is the number of frames times the samples per frame,
+ * and every frame's size is kept for an envelope when the audio can't be decoded.
+ */
+export const parseMp3 = (buffer) => {
+  let offset = skipId3(buffer);
+
+  // Find the first frame that is followed by another one, so stray sync bytes aren't mistaken for audio
+  let first = null;
+  for (; offset + 4 <= buffer.length; offset++) {
+    const header = readFrameHeader(buffer, offset);
+    if (!header) continue;
+
+    const next = offset + header.length;
+    if (next === buffer.length || readFrameHeader(buffer, next)) {
+      first = header;
+      break;
+    }
+  }
+
+  if (!first) return null;
+
+  const vbrFrames = readVbrFrameCount(buffer, offset, first);
+  const packets = [];
+  let sampleCount = 0;
+
+  // The Xing/Info frame itself holds no audio
+  const audioStart = vbrFrames !== null ? offset + first.length : offset;
+
+  for (let position = audioStart; position + 4 <= buffer.length;) {
+    const header = readFrameHeader(buffer, position);
+    if (!header) break;
+
+    packets.push({ time: sampleCount / first.sampleRate, size: header.length });
+    sampleCount += header.samples;
+    position += header.length;
+  }
+
+  return {
+    format: 'mp3',
+    codec: `mp${first.layer}`,
+    sampleRate: first.sampleRate,
+    channels: first.channels,
+    duration: (vbrFrames !== null ? vbrFrames * first.samples : sampleCount) / first.sampleRate,
+    packets
+  };
+};
+
+export const isMp3 = (buffer) => {
+  const offset = skipId3(buffer);
+  return offset > 0 || Boolean(readFrameHeader(buffer, 0));
+};
+
+export default parseMp3;
@@ -0,0 +1,94 @@
+// Boxes whose children are read; everything else is skipped
+const CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl']);
+
+export const isMp4 = (buffer) => buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp';
+
+// Walk the boxes between start and end, calling visit(type, start, end) for each body
+const walkBoxes = (buffer, start, end, visit) => {
+  for (let offset = start; offset + 8 <= end;) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    const boxEnd = Math.min(end, offset + size);
+    if (CONTAINERS.has(type)) {
+      walkBoxes(buffer, offset + headerSize, boxEnd, visit);
+    } else {
+      visit(type, offset + headerSize, boxEnd);
+    }
+    offset += size;
+  }
+};
+
+// Timescale and duration from an mvhd or mdhd body
+const readTimes = (buffer, start) => {
+  const version = buffer[start];
+  return version === 1
+    ? { timescale: buffer.readUInt32BE(start + 20), duration: Number(buffer.readBigUInt64BE(start + 24)) }
+    : { timescale: buffer.readUInt32BE(start + 12), duration: buffer.readUInt32BE(start + 16) };
+};
+
+/**
+ * Parse an MP4/M4A file
+ * The duration comes from the audio track's media header (or the movie header), and sample sizes
+ * from its sample table for an envelope when the audio can't be decoded.
+ */
+export const parseMp4 = (buffer) => {
+  let movie = null;
+  let track = null;
+  let audio = null;
+
+  walkBoxes(buffer, 0, buffer.length, (type, start, end) => {
+    if (end - start < 4) return;
+
+    if (type === 'mvhd') {
+      movie = readTimes(buffer, start);
+    } else if (type === 'mdhd') {
+      // A new track starts with its media header
+      track = { ...readTimes(buffer, start) };
+    } else if (type === 'hdlr' && track && end - start >= 12) {
+      track.handler = buffer.toString('latin1', start + 8, start + 12);
+      if (track.handler === 'soun' && !audio) audio = track;
+    } else if (type === 'stsd' && track === audio && audio && end - start >= 16) {
+      // First sample entry: mp4a, Opus, ...; sample rate is a 16.16 fixed-point value
+      audio.codec = buffer.toString('latin1', start + 12, start + 16).trim();
+      const entry = start + 8;
+      if (end - entry >= 36) {
+        audio.channels = buffer.readUInt16BE(entry + 24);
+        audio.sampleRate = buffer.readUInt32BE(entry + 32) >>> 16;
+      }
+    } else if (type === 'stsz' && track === audio && audio && end - start >= 12) {
+      const uniformSize = buffer.readUInt32BE(start + 4);
+      const count = buffer.readUInt32BE(start + 8);
+      audio.sampleSizes = uniformSize
+        ? new Array(count).fill(uniformSize)
+        : Array.from({ length: Math.min(count, (end - start - 12) / 4) }, (_, i) => buffer.readUInt32BE(start + 12 + i * 4));
+    }
+  });
+
+  const times = audio?.timescale ? audio : movie;
+  if (!times?.timescale) return null;
+
+  const duration = times.duration / times.timescale;
+  const sizes = audio?.sampleSizes || [];
+
+  return {
+    format: 'mp4',
+    codec: audio?.codec || null,
+    sampleRate: audio?.sampleRate || null,
+    channels: audio?.channels || null,
+    duration,
+    // AAC frames all hold the same number of samples, so they are spread evenly
+    packets: sizes.map((size, index) => ({ time: (duration * index) / sizes.length, size }))
+  };
+};
+
+export default parseMp4;
@@ -0,0 +1,104 @@
+export const isOgg = (buffer) => buffer.length >= 4 && buffer.toString('latin1', 0, 4) === 'OggS';
+
+// Codec of a logical stream from its first packet
+const readCodecHeader = (packet) => {
+  if (packet.length >= 19 && packet.toString('latin1', 0, 8) === 'OpusHead') {
+    // Opus granule positions always count 48 kHz samples
+    return { codec: 'opus', channels: packet[9], preSkip: packet.readUInt16LE(10), granuleRate: 48000 };
+  }
+
+  if (packet.length >= 16 && packet[0] === 0x01 && packet.toString('latin1', 1, 7) === 'vorbis') {
+    const sampleRate = packet.readUInt32LE(12);
+    return { codec: 'vorbis', channels: packet[11], preSkip: 0, granuleRate: sampleRate };
+  }
+
+  if (packet.length >= 29 && packet.toString('latin1', 0, 5) === '\x7fFLAC') {
+    const sampleRate = packet.readUIntBE(27, 3) >> 4;
+    return { codec: 'flac', channels: ((packet[29] >> 1) & 0x07) + 1, preSkip: 0, granuleRate: sampleRate };
+  }
+
+  return null;
+};
+
+/**
+ * Parse an Ogg file (Opus, Vorbis or FLAC)
+ * The duration is the last page's granule position (samples) of the first audio stream, less
+ * Opus pre-skip. Packet sizes are kept, timed between page granules, for an envelope when the
+ * audio can't be decoded.
+ */
+export const parseOgg = (buffer) => {
+  let serial = null;
+  let header = null;
+  let lastGranule = null;
+  let previousGranule = 0;
+  let carry = 0;
+  const packets = [];
+
+  for (let offset = 0; offset + 27 <= buffer.length;) {
+    if (buffer.toString('latin1', offset, offset + 4) !== 'OggS') break;
+
+    const headerType = buffer[offset + 5];
+    const granule = buffer.readBigInt64LE(offset + 6);
+    const pageSerial = buffer.readUInt32LE(offset + 14);
+    const segmentCount = buffer[offset + 26];
+    const bodyStart = offset + 27 + segmentCount;
+    if (bodyStart > buffer.length) break;
+
+    // Split the page into packets with its lacing values (255 means the packet goes on)
+    const sizes = [];
+    let size = 0;
+    let bodyLength = 0;
+    for (let i = 0; i < segmentCount; i++) {
+      const lacing = buffer[offset + 27 + i];
+      size += lacing;
+      bodyLength += lacing;
+      if (lacing < 255) {
+        sizes.push(size);
+        size = 0;
+      }
+    }
+
+    if (serial === null && (headerType & 0x02)) {
+      const codec = readCodecHeader(buffer.subarray(bodyStart, bodyStart + (sizes[0] ?? size)));
+      if (codec) {
+        serial = pageSerial;
+        header = codec;
+      }
+    } else if (pageSerial === serial) {
+      // A packet left unfinished on the previous page ends on this one
+      if (sizes.length > 0) {
+        sizes[0] += carry;
+        carry = size;
+      } else {
+        carry += size;
+      }
+
+      // Header pages (tags, Vorbis codebooks) have granule 0; audio pages spread the packets
+      // that end on them between the previous granule and their own (-1 when none ends there)
+      if (granule > 0n) {
+        const end = Number(granule);
+        sizes.forEach((packetSize, index) => {
+          const time = previousGranule + ((end - previousGranule) * index) / sizes.length;
+          packets.push({ time: Math.max(0, time - header.preSkip) / header.granuleRate, size: packetSize });
+        });
+        previousGranule = end;
+        lastGranule = end;
+      }
+    }
+
+    offset = bodyStart + bodyLength;
+  }
+
+  if (!header || lastGranule === null || !header.granuleRate) return null;
+
+  return {
+    format: 'ogg',
+    codec: header.codec,
+    sampleRate: header.codec === 'opus' ? 48000 : header.granuleRate,
+    channels: header.channels,
+    duration: Math.max(0, lastGranule - header.preSkip) / header.granuleRate,
+    packets
+  };
+};
+
+export default parseOgg;
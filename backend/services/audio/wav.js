@@ -0,0 +1,99 @@
+// RIFF/WAVE format tags
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+export const isWav = (buffer) => buffer.length >= 12
+  && buffer.toString('latin1', 0, 4) === 'RIFF'
+  && buffer.toString('latin1', 8, 12) === 'WAVE';
+
+// Reader for one sample of the given format, scaled to -1..1
+const sampleReader = (buffer, format, bits) => {
+  if (format === FORMAT_FLOAT && bits === 32) return offset => buffer.readFloatLE(offset);
+  if (format === FORMAT_FLOAT && bits === 64) return offset => buffer.readDoubleLE(offset);
+  if (format !== FORMAT_PCM) return null;
+
+  switch (bits) {
+    case 8: return offset => (buffer[offset] - 128) / 128;
+    case 16: return offset => buffer.readInt16LE(offset) / 32768;
+    case 24: return offset => buffer.readIntLE(offset, 3) / 8388608;
+    case 32: return offset => buffer.readInt32LE(offset) / 2147483648;
+    default: return null;
+  }
+};
+
+/**
+ * Parse a WAV file
+ * Duration comes from the data chunk size; PCM and float data can be decoded directly
+ * (other encodings such as ADPCM or μ-law only get a duration).
+ */
+export const parseWav = (buffer) => {
+  let fmt = null;
+  let data = null;
+
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ' && size >= 16) {
+      let format = buffer.readUInt16LE(start);
+      if (format === FORMAT_EXTENSIBLE && size >= 26) {
+        format = buffer.readUInt16LE(start + 24);
+      }
+
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        byteRate: buffer.readUInt32LE(start + 8),
+        blockAlign: buffer.readUInt16LE(start + 12),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; the data then runs to the end of the file
+      const end = size === 0 || size === 0xffffffff ? buffer.length : Math.min(buffer.length, start + size);
+      data = { start, end };
+      break;
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  if (!fmt || !data || !fmt.sampleRate || !fmt.channels) return null;
+
+  const byteCount = data.end - data.start;
+  const frameCount = fmt.blockAlign ? Math.floor(byteCount / fmt.blockAlign) : 0;
+  const duration = fmt.format === FORMAT_PCM || fmt.format === FORMAT_FLOAT
+    ? frameCount / fmt.sampleRate
+    : fmt.byteRate ? byteCount / fmt.byteRate : null;
+
+  const read = sampleReader(buffer, fmt.format, fmt.bitsPerSample);
+  const bytesPerSample = fmt.bitsPerSample / 8;
+
+  return {
+    format: 'wav',
+    codec: fmt.format === FORMAT_FLOAT ? 'pcm_float' : fmt.format === FORMAT_PCM ? 'pcm' : `wav_${fmt.format}`,
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    duration,
+
+    // Mono samples (channels averaged), or null when the encoding can't be decoded here
+    decode: read && fmt.blockAlign >= fmt.channels * bytesPerSample
+      ? () => {
+        const samples = new Float32Array(frameCount);
+        for (let frame = 0; frame < frameCount; frame++) {
+          const frameStart = data.start + frame * fmt.blockAlign;
+          let sum = 0;
+          for (let channel = 0; channel < fmt.channels; channel++) {
+            sum += read(frameStart + channel * bytesPerSample);
+          }
+          samples[frame] = sum / fmt.channels;
+        }
+        return samples;
+      }
+      : null
+  };
+};
+
+export default parseWav;
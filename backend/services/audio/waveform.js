@@ -0,0 +1,69 @@
+export const DEFAULT_BUCKETS = 100;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Scale so the loudest bucket peaks at 1, keeping peaks and RMS comparable
+const normalize = (peaks, rms) => {
+  const max = Math.max(0, ...peaks);
+  if (max === 0) return { peaks: peaks.map(() => 0), rms: rms.map(() => 0) };
+  return { peaks: peaks.map(value => round(value / max)), rms: rms.map(value => round(value / max)) };
+};
+
+/**
+ * Peak and RMS amplitude of decoded mono samples in `buckets` equal slices of time
+ * Both arrays are scaled to the loudest peak, so 1 is the loudest point of the recording.
+ */
+export const computeWaveform = (samples, buckets = DEFAULT_BUCKETS) => {
+  const count = Math.min(buckets, samples.length);
+  const peaks = [];
+  const rms = [];
+
+  for (let bucket = 0; bucket < count; bucket++) {
+    const start = Math.floor((bucket * samples.length) / count);
+    const end = Math.floor(((bucket + 1) * samples.length) / count);
+    let peak = 0;
+    let sumSquares = 0;
+
+    for (let i = start; i < end; i++) {
+      const value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+      sumSquares += value * value;
+    }
+
+    peaks.push(peak);
+    rms.push(end > start ? Math.sqrt(sumSquares / (end - start)) : 0);
+  }
+
+  return normalize(peaks, rms);
+};
+
+/**
+ * Loudness estimate from compressed packet sizes, for when the audio can't be decoded
+ * Variable-bitrate codecs (Opus, Vorbis, VBR MP3, AAC) spend more bytes on louder, busier sound,
+ * so the largest packet in a slice stands in for its peak and the RMS of packet sizes for its RMS.
+ * Constant-bitrate streams come out flat.
+ */
+export const estimateWaveform = (packets, duration, buckets = DEFAULT_BUCKETS) => {
+  if (!packets?.length || !duration) return { peaks: [], rms: [] };
+
+  const count = Math.min(buckets, packets.length);
+  const peaks = new Array(count).fill(0);
+  const sumSquares = new Array(count).fill(0);
+  const counts = new Array(count).fill(0);
+
+  for (const { time, size } of packets) {
+    const bucket = Math.min(count - 1, Math.max(0, Math.floor((time / duration) * count)));
+    peaks[bucket] = Math.max(peaks[bucket], size);
+    sumSquares[bucket] += size * size;
+    counts[bucket]++;
+  }
+
+  const rms = sumSquares.map((sum, bucket) => (counts[bucket] ? Math.sqrt(sum / counts[bucket]) : 0));
+  return normalize(peaks, rms);
+};
+
+export default {
+  DEFAULT_BUCKETS,
+  computeWaveform,
+  estimateWaveform
+};
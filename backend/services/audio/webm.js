@@ -0,0 +1,233 @@
+// Matroska/WebM element IDs used here
+const ID = {
+  EBML: 0x1a45dfa3,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_NUMBER: 0xd7,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  AUDIO: 0xe1,
+  SAMPLING_FREQUENCY: 0xb5,
+  CHANNELS: 0x9f,
+  CLUSTER: 0x1f43b675,
+  CLUSTER_TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1
+};
+
+// Master elements whose children are read in place; every other element is skipped or read as a value
+const CONTAINERS = new Set([ID.SEGMENT, ID.INFO, ID.TRACKS, ID.TRACK_ENTRY, ID.AUDIO, ID.CLUSTER, ID.BLOCK_GROUP]);
+
+const TRACK_TYPE_AUDIO = 2;
+const DEFAULT_TIMECODE_SCALE = 1000000; // nanoseconds per timecode tick (1 ms)
+
+export const isWebm = (buffer) => buffer.length >= 4 && buffer.readUInt32BE(0) === ID.EBML;
+
+// Variable-length integer at offset: { value, length }. IDs keep their marker bit; sizes drop it.
+// `unknown` is set for the all-ones size that live recorders (MediaRecorder) write for open-ended elements.
+const readVint = (buffer, offset, keepMarker = false) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xff;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+};
+
+const readUnsigned = (buffer, start, size) => {
+  let value = 0;
+  for (let i = 0; i < size; i++) value = value * 256 + buffer[start + i];
+  return value;
+};
+
+const readFloat = (buffer, start, size) => {
+  if (size === 4) return buffer.readFloatBE(start);
+  if (size === 8) return buffer.readDoubleBE(start);
+  return null;
+};
+
+// Opus packet duration in seconds from its TOC byte (RFC 6716 section 3.1)
+export const opusPacketDuration = (packet) => {
+  if (!packet || packet.length === 0) return 0;
+
+  const config = packet[0] >> 3;
+  let frameMs;
+  if (config < 12) frameMs = [10, 20, 40, 60][config % 4];
+  else if (config < 16) frameMs = [10, 20][config % 2];
+  else frameMs = [2.5, 5, 10, 20][config % 4];
+
+  const code = packet[0] & 0x03;
+  const frames = code === 0 ? 1 : code < 3 ? 2 : (packet[1] ?? 0) & 0x3f;
+  return (frameMs * frames) / 1000;
+};
+
+// Sizes of the frames in a block's payload after its lacing header (Xiph, EBML or fixed-size)
+const readLacedFrames = (buffer, start, end, lacing) => {
+  if (lacing === 0) return [{ start, size: end - start }];
+
+  const count = buffer[start] + 1;
+  let offset = start + 1;
+  const sizes = [];
+
+  if (lacing === 1) {
+    for (let i = 0; i < count - 1; i++) {
+      let size = 0;
+      let byte;
+      do {
+        byte = buffer[offset++];
+        size += byte;
+      } while (byte === 255 && offset < end);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    const first = readVint(buffer, offset);
+    if (!first) return [];
+    offset += first.length;
+    sizes.push(first.value);
+
+    for (let i = 1; i < count - 1; i++) {
+      const delta = readVint(buffer, offset);
+      if (!delta) return [];
+      offset += delta.length;
+      // Signed difference from the previous size
+      const bias = 2 ** (7 * delta.length - 1) - 1;
+      sizes.push(sizes[i - 1] + delta.value - bias);
+    }
+  } else {
+    const size = Math.floor((end - offset) / count);
+    for (let i = 0; i < count - 1; i++) sizes.push(size);
+  }
+
+  const used = sizes.reduce((sum, size) => sum + size, 0);
+  sizes.push(end - offset - used);
+
+  const frames = [];
+  for (const size of sizes) {
+    frames.push({ start: offset, size });
+    offset += size;
+  }
+  return frames;
+};
+
+/**
+ * Parse a WebM/Matroska file
+ * Uses the Segment duration when the muxer wrote one. Browsers recording with MediaRecorder don't,
+ * so otherwise the duration is the last audio block's timestamp plus that block's length.
+ * Block sizes are kept for an envelope when the audio can't be decoded.
+ */
+export const parseWebm = (buffer) => {
+  let timecodeScale = DEFAULT_TIMECODE_SCALE;
+  let declaredDuration = null;
+  let clusterTimecode = 0;
+  let track = null;
+  let current = null;
+  let lastBlockEnd = 0;
+  const packets = [];
+
+  for (let offset = 0; offset < buffer.length;) {
+    const id = readVint(buffer, offset, true);
+    if (!id) break;
+    const size = readVint(buffer, offset + id.length);
+    if (!size) break;
+
+    const start = offset + id.length + size.length;
+    const end = size.unknown ? buffer.length : Math.min(buffer.length, start + size.value);
+
+    if (CONTAINERS.has(id.value)) {
+      if (id.value === ID.TRACK_ENTRY) current = {};
+      offset = start;
+      continue;
+    }
+
+    if (size.unknown) break;
+
+    switch (id.value) {
+      case ID.TIMECODE_SCALE:
+        timecodeScale = readUnsigned(buffer, start, size.value) || DEFAULT_TIMECODE_SCALE;
+        break;
+      case ID.DURATION:
+        declaredDuration = readFloat(buffer, start, size.value);
+        break;
+      case ID.TRACK_NUMBER:
+        if (current) current.number = readUnsigned(buffer, start, size.value);
+        break;
+      case ID.TRACK_TYPE:
+        if (current) current.type = readUnsigned(buffer, start, size.value);
+        break;
+      case ID.CODEC_ID:
+        if (current) current.codecId = buffer.toString('latin1', start, end).replace(/\0+$/, '');
+        break;
+      case ID.SAMPLING_FREQUENCY:
+        if (current) current.sampleRate = readFloat(buffer, start, size.value);
+        break;
+      case ID.CHANNELS:
+        if (current) current.channels = readUnsigned(buffer, start, size.value);
+        break;
+      case ID.CLUSTER_TIMECODE:
+        clusterTimecode = readUnsigned(buffer, start, size.value);
+        break;
+      case ID.SIMPLE_BLOCK:
+      case ID.BLOCK: {
+        const blockTrack = readVint(buffer, start);
+        if (!blockTrack || start + blockTrack.length + 3 > end) break;
+        if (!track || blockTrack.value !== track.number) break;
+
+        const headerEnd = start + blockTrack.length + 3;
+        const time = ((clusterTimecode + buffer.readInt16BE(start + blockTrack.length)) * timecodeScale) / 1e9;
+        const lacing = (buffer[start + blockTrack.length + 2] >> 1) & 0x03;
+
+        let blockTime = time;
+        for (const frame of readLacedFrames(buffer, headerEnd, end, lacing)) {
+          packets.push({ time: blockTime, size: frame.size });
+          blockTime += track.codecId === 'A_OPUS'
+            ? opusPacketDuration(buffer.subarray(frame.start, frame.start + frame.size))
+            : 0;
+        }
+        lastBlockEnd = Math.max(lastBlockEnd, blockTime);
+        break;
+      }
+      default:
+        break;
+    }
+
+    // The audio track is known once its entry has been read
+    if (current && current.type === TRACK_TYPE_AUDIO && current.number && current.codecId && !track) {
+      track = current;
+    }
+
+    offset = end;
+  }
+
+  if (!track) return null;
+
+  // Without per-packet lengths (Vorbis), extend the last block by the average gap between blocks
+  if (track.codecId !== 'A_OPUS' && packets.length > 1) {
+    lastBlockEnd += packets[packets.length - 1].time / (packets.length - 1);
+  }
+
+  const duration = declaredDuration ? (declaredDuration * timecodeScale) / 1e9 : lastBlockEnd;
+
+  return {
+    format: 'webm',
+    codec: track.codecId.replace(/^A_/, '').toLowerCase(),
+    sampleRate: track.sampleRate || null,
+    channels: track.channels || null,
+    duration: duration || null,
+    packets
+  };
+};
+
+export default parseWebm;
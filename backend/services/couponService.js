@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import Subscription from '../models/Subscription.js';
+import {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+  ConflictError
+} from '../middleware/errorHandler.js';
+
+// How long an unpaid subscription keeps a coupon redemption before it goes back to the pool
+const COUPON_HOLD_HOURS = 24;
+
+// Check per-user eligibility for a coupon on a subscription
+// Returns a reason string when the coupon cannot be used, otherwise null
+const checkEligibility = async (coupon, userId, subscription) => {
+  if (!coupon.isCurrentlyValid()) {
+    return 'This discount code is not valid at the moment';
+  }
+
+  if (coupon.validTiers.length > 0 && !coupon.validTiers.includes(subscription.tier)) {
+    return `This discount code is only valid for ${coupon.validTiers.join(', ')} plans`;
+  }
+
+  if (coupon.validBillingCycles.length > 0 && !coupon.validBillingCycles.includes(subscription.billingCycle)) {
+    return `This discount code is only valid for ${coupon.validBillingCycles.join(', ')} billing`;
+  }
+
+  // Only paid (or fully discounted, active) subscriptions count; a failed or abandoned checkout doesn't
+  const userRedemptions = await Subscription.countDocuments({
+    user: userId,
+    'discountApplied.coupon': coupon._id,
+    $or: [{ 'paymentHistory.status': 'success' }, { status: 'active' }]
+  });
+  if (userRedemptions >= coupon.maxRedemptionsPerUser) {
+    return 'You have already used this discount code';
+  }
+
+  if (coupon.firstPurchaseOnly) {
+    const hasPaidBefore = await Subscription.exists({
+      user: userId,
+      'paymentHistory.status': 'success'
+    });
+    if (hasPaidBefore) {
+      return 'This discount code is only valid on your first purchase';
+    }
+  }
+
+  return null;
+};
+
+// Apply a coupon to a pending subscription
+export const applyCoupon = async (userId, subscriptionId, code) => {
+  try {
+    const subscription = await Subscription.findById(subscriptionId);
+
+    if (!subscription) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    if (subscription.user.toString() !== userId.toString()) {
+      throw new AuthorizationError('Unauthorized');
+    }
+
+    if (subscription.status !== 'pending') {
+      throw new ValidationError('Discounts can only be applied before payment');
+    }
+
+    if (subscription.discountApplied?.code) {
+      throw new ConflictError('A discount has already been applied to this subscription');
+    }
+
+    const coupon = await Coupon.findByCode(code);
+    if (!coupon) {
+      throw new NotFoundError('Invalid discount code');
+    }
+
+    const reason = await checkEligibility(coupon, userId, subscription);
+    if (reason) {
+      throw new ValidationError(reason);
+    }
+
+    // Claim atomically so concurrent redemptions can't exceed the global limit
+    const claimed = await Coupon.claimRedemption(coupon._id);
+    if (!claimed) {
+      throw new ValidationError('This discount code has reached its redemption limit');
+    }
+
+    const originalAmount = subscription.amount;
+    const discountAmount = coupon.calculateDiscount(originalAmount);
+
+    subscription.discountApplied = {
+      coupon: coupon._id,
+      code: coupon.code,
+      percentage: originalAmount > 0
+        ? Math.round((discountAmount / originalAmount) * 10000) / 100
+        : 0,
+      amount: discountAmount,
+      originalAmount,
+      appliedAt: new Date()
+    };
+    subscription.amount = Math.max(0, originalAmount - discountAmount);
+
+    try {
+      await subscription.save();
+    } catch (error) {
+      await Coupon.releaseRedemption(coupon._id);
+      throw error;
+    }
+
+    return subscription;
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Take the discount off a subscription that was never paid for and give its redemption back
+ * Only pending subscriptions are touched, so a discount that was paid for stays counted. The buyer
+ * can apply the code again when they retry. Resolves to true when a redemption was released.
+ */
+export const releaseCoupon = async (subscriptionId) => {
+  const subscription = await Subscription.findOne({
+    _id: subscriptionId,
+    status: 'pending',
+    'discountApplied.coupon': { $exists: true }
+  });
+  if (!subscription) return false;
+
+  const { coupon, appliedAt, originalAmount } = subscription.discountApplied;
+
+  // Matching on appliedAt makes sure a concurrent release (or a re-applied code) isn't undone twice
+  const released = await Subscription.updateOne(
+    { _id: subscription._id, status: 'pending', 'discountApplied.appliedAt': appliedAt },
+    { $set: { amount: originalAmount }, $unset: { discountApplied: 1 } }
+  );
+  if (!released.modifiedCount) return false;
+
+  await Coupon.releaseRedemption(coupon);
+
+  return true;
+};
+
+// Release the coupons held by pending subscriptions nobody has paid for within the hold period (run as cron job)
+export const releaseAbandonedCoupons = async (holdHours = COUPON_HOLD_HOURS) => {
+  const abandoned = await Subscription.find({
+    status: 'pending',
+    'discountApplied.coupon': { $exists: true },
+    'discountApplied.appliedAt': { $lt: new Date(Date.now() - holdHours * 60 * 60 * 1000) }
+  }).select('_id');
+
+  let releasedCount = 0;
+  for (const { _id } of abandoned) {
+    if (await releaseCoupon(_id)) releasedCount++;
+  }
+
+  return { abandonedCount: abandoned.length, releasedCount };
+};
+
+// Create a coupon (admin)
+export const createCoupon = async (data, adminId) => {
+  const existing = await Coupon.findByCode(data.code);
+  if (existing) {
+    throw new ConflictError('A coupon with this code already exists');
+  }
+
+  if (data.startsAt && data.endsAt && new Date(data.endsAt) <= new Date(data.startsAt)) {
+    throw new ValidationError('End date must be after start date');
+  }
+
+  const coupon = new Coupon({
+    code: data.code,
+    description: data.description,
+    partner: data.partner,
+    discountType: data.discountType,
+    discountValue: data.discountValue,
+    maxDiscountAmount: data.maxDiscountAmount,
+    validTiers: data.validTiers || [],
+    validBillingCycles: data.validBillingCycles || [],
+    firstPurchaseOnly: data.firstPurchaseOnly || false,
+    startsAt: data.startsAt || new Date(),
+    endsAt: data.endsAt,
+    maxRedemptions: data.maxRedemptions,
+    maxRedemptionsPerUser: data.maxRedemptionsPerUser || 1,
+    createdBy: adminId
+  });
+
+  await coupon.save();
+
+  return coupon;
+};
+
+// Deactivate a coupon (admin)
+export const deactivateCoupon = async (couponId) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  if (!coupon.isActive) {
+    throw new ValidationError('Coupon is already inactive');
+  }
+
+  await coupon.deactivate();
+
+  return coupon;
+};
+
+// List coupons (admin)
+export const listCoupons = async ({ active, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (active !== undefined) query.isActive = active === true || active === 'true';
+
+  const skip = (page - 1) * limit;
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)),
+    Coupon.countDocuments(query)
+  ]);
+
+  return {
+    coupons,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Usage report for a coupon (admin)
+export const getUsageReport = async (couponId) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  const match = { 'discountApplied.coupon': new mongoose.Types.ObjectId(couponId) };
+
+  const [summary, byTier, recent] = await Promise.all([
+    Subscription.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          uniqueUsers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discountApplied.amount' },
+          paidRedemptions: {
+            $sum: { $cond: [{ $in: ['success', { $ifNull: ['$paymentHistory.status', []] }] }, 1, 0] }
+          },
+          revenue: {
+            $sum: { $cond: [{ $in: ['success', { $ifNull: ['$paymentHistory.status', []] }] }, '$amount', 0] }
+          }
+        }
+      }
+    ]),
+    Subscription.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { tier: '$tier', billingCycle: '$billingCycle' },
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discountApplied.amount' }
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]),
+    Subscription.find(match)
+      .populate('user', 'displayName businessName email')
+      .select('user tier billingCycle status amount discountApplied createdAt')
+      .sort({ 'discountApplied.appliedAt': -1 })
+      .limit(20)
+  ]);
+
+  const totals = summary[0] || {};
+
+  return {
+    coupon,
+    usage: {
+      redemptions: totals.redemptions || 0,
+      uniqueUsers: totals.uniqueUsers ? totals.uniqueUsers.length : 0,
+      paidRedemptions: totals.paidRedemptions || 0,
+      totalDiscount: totals.totalDiscount || 0,
+      revenue: totals.revenue || 0,
+      remaining: coupon.maxRedemptions
+        ? Math.max(0, coupon.maxRedemptions - coupon.redemptionCount)
+        : null
+    },
+    byTier: byTier.map(row => ({
+      tier: row._id.tier,
+      billingCycle: row._id.billingCycle,
+      redemptions: row.redemptions,
+      totalDiscount: row.totalDiscount
+    })),
+    recentRedemptions: recent
+  };
+};
+
+export default {
+  applyCoupon,
+  releaseCoupon,
+  releaseAbandonedCoupons,
+  createCoupon,
+  deactivateCoupon,
+  listCoupons,
+  getUsageReport
+};
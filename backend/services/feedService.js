@@ -0,0 +1,413 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { Conversation } from '../models/Chat.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { distanceKm, hasCoordinates } from '../utils/geo.js';
+
+// Home feed. Recent posts are ranked for the viewer: how close they are to the author (friends, chats,
+// likes, orders), freshness, how fast the post is gathering engagement, category match and distance.
+// Pinned posts and announcements of the viewer's communities stay on top, and consecutive posts by the
+// same author are spread out. Past the ranked window the feed continues newest first.
+//
+// Pages are fetched with an opaque cursor. It carries the time the first page was ranked at, so later
+// pages are ranked against the same clock and posts don't jump between pages as they age.
+
+export const FEED_TYPES = ['all', 'community', 'friends'];
+export const FEED_SORTS = ['ranked', 'newest'];
+
+// Sort orders from the old feed, still sent by older clients
+const LEGACY_FEED_SORTS = { popular: 'ranked', trending: 'ranked' };
+
+export const normalizeFeedSort = (sortBy) => LEGACY_FEED_SORTS[sortBy] || sortBy;
+
+// Posts considered for ranking: the newest MAX_CANDIDATES of the last FEED_WINDOW_DAYS
+const FEED_WINDOW_DAYS = 14;
+const MAX_CANDIDATES = 300;
+
+// Pinned posts shown above the feed at most
+const MAX_PINNED = 10;
+
+// Interactions older than this no longer count towards author affinity
+const AFFINITY_LOOKBACK_DAYS = 90;
+
+// A post's score halves every FRESHNESS_HALF_LIFE_HOURS
+const FRESHNESS_HALF_LIFE_HOURS = 24;
+
+// Each further post by an author already ranked higher keeps this share of its score
+const AUTHOR_REPEAT_DECAY = 0.6;
+
+// Shops further apart than this get no distance score
+const NEARBY_RADIUS_KM = 200;
+
+const WEIGHTS = {
+  friend: 1,
+  chat: 1.5,
+  like: 0.25,
+  maxLikes: 8,
+  order: 1,
+  maxOrders: 3,
+  community: 0.5,
+  velocity: 1,
+  maxVelocity: 3,
+  category: 1,
+  nearby: 1.5,
+  sameCity: 1
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const AUTHOR_FIELDS = 'displayName businessName profilePicture isVerified onlineStatus';
+
+// Fields needed to rank a post; the full posts are only loaded for the page being returned
+const RANKING_PROJECTION = {
+  author: 1,
+  community: 1,
+  createdAt: 1,
+  isPinned: 1,
+  pinnedUntil: 1,
+  isAnnouncement: 1,
+  'content.type': 1,
+  'product.category': 1,
+  location: 1,
+  likeCount: { $size: { $ifNull: ['$likes', []] } },
+  commentCount: { $size: { $ifNull: ['$comments', []] } },
+  shareCount: { $size: { $ifNull: ['$shares', []] } }
+};
+
+export const encodeFeedCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Throws a ValidationError when the cursor wasn't produced by encodeFeedCursor
+export const decodeFeedCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const validTime = Number.isFinite(cursor.t);
+    const validRanked = cursor.m === 'ranked' && Array.isArray(cursor.k) && cursor.k.length === 3 &&
+      Number.isFinite(cursor.k[0]) && Number.isFinite(cursor.k[1]) && mongoose.Types.ObjectId.isValid(cursor.k[2]);
+    const validOlder = cursor.m === 'older' && Number.isFinite(cursor.c) &&
+      (cursor.id === null || mongoose.Types.ObjectId.isValid(cursor.id));
+
+    if (validTime && (validRanked || validOlder)) return cursor;
+  } catch (error) {
+    // Fall through to the validation error
+  }
+  throw new ValidationError('Invalid cursor');
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Whether a post belongs above the ranked feed: pinned (and not expired) or an announcement,
+// posted outside any community or in one of the viewer's communities
+export const isPinnedForViewer = (post, communityIds, now = Date.now()) => {
+  const pinned = post.isPinned && (!post.pinnedUntil || new Date(post.pinnedUntil).getTime() > now);
+  const announcement = post.isAnnouncement || post.content?.type === 'announcement';
+  return Boolean(pinned || announcement) && (!post.community || communityIds.has(idOf(post.community)));
+};
+
+// Affinity of the viewer for one author, from the interactions collected by getAffinities
+export const scoreAffinity = ({ friend = false, chat = false, likes = 0, orders = 0 } = {}) => (
+  (friend ? WEIGHTS.friend : 0) +
+  (chat ? WEIGHTS.chat : 0) +
+  Math.min(likes, WEIGHTS.maxLikes) * WEIGHTS.like +
+  Math.min(orders, WEIGHTS.maxOrders) * WEIGHTS.order
+);
+
+// Ranking score of one post for the viewer at `now`, before author diversification.
+// `context` holds the viewer's affinities, categories, communities, location and the authors' locations.
+export const scoreFeedPost = (post, context, now) => {
+  const ageHours = Math.max(0, (now - new Date(post.createdAt).getTime()) / HOUR_MS);
+  const freshness = 0.5 ** (ageHours / FRESHNESS_HALF_LIFE_HOURS);
+
+  const authorId = idOf(post.author);
+  let relevance = scoreAffinity(context.affinities.get(authorId));
+
+  if (post.community && context.communityIds.has(idOf(post.community))) {
+    relevance += WEIGHTS.community;
+  }
+
+  // Engagement per hour since posting, damped so a viral post can't outweigh everything else
+  const engagement = (post.likeCount || 0) + 2 * (post.commentCount || 0) + 3 * (post.shareCount || 0);
+  relevance += Math.min(Math.log1p(engagement / (ageHours + 2)) * WEIGHTS.velocity, WEIGHTS.maxVelocity);
+
+  if (post.product?.category && context.categories.has(post.product.category)) {
+    relevance += WEIGHTS.category;
+  }
+
+  const authorLocation = context.authorLocations.get(authorId) || {};
+  const postPoint = hasCoordinates(post.location?.coordinates) ? post.location.coordinates : authorLocation.coordinates;
+  const postCity = post.location?.city || authorLocation.city;
+  const viewerLocation = context.location || {};
+
+  if (hasCoordinates(viewerLocation.coordinates) && hasCoordinates(postPoint)) {
+    const distance = distanceKm(viewerLocation.coordinates, postPoint);
+    if (distance <= NEARBY_RADIUS_KM) {
+      relevance += WEIGHTS.nearby * (1 - distance / NEARBY_RADIUS_KM);
+    }
+  } else if (postCity && viewerLocation.city &&
+      postCity.trim().toLowerCase() === viewerLocation.city.trim().toLowerCase()) {
+    relevance += WEIGHTS.sameCity;
+  }
+
+  return freshness * (1 + relevance);
+};
+
+// Highest rank first: tier (pinned above the rest), then score, then newest ID
+const compareRank = (a, b) => (b.tier - a.tier) || (b.score - a.score) || (b.id > a.id ? 1 : b.id < a.id ? -1 : 0);
+
+const rankKey = (entry) => [entry.tier, entry.score, entry.id];
+
+// Score and order ranking candidates. Each further post of an author keeps AUTHOR_REPEAT_DECAY of its
+// score per post of theirs ranked above it, so one busy account can't fill the screen.
+export const rankPosts = (posts, context, now) => {
+  const scored = posts
+    .map(post => ({ post, id: idOf(post), tier: 0, score: scoreFeedPost(post, context, now) }))
+    .sort(compareRank);
+
+  const seenAuthors = new Map();
+  for (const entry of scored) {
+    const authorId = idOf(entry.post.author);
+    const repeats = seenAuthors.get(authorId) || 0;
+    entry.score *= AUTHOR_REPEAT_DECAY ** repeats;
+    seenAuthors.set(authorId, repeats + 1);
+  }
+
+  return scored.sort(compareRank);
+};
+
+// The viewer's interactions with other users, by user ID: { friend, chat, likes, orders }
+const getAffinities = async (viewer, now) => {
+  const since = new Date(now - AFFINITY_LOOKBACK_DAYS * DAY_MS);
+  const affinities = new Map();
+  const entry = (userId) => {
+    const key = userId.toString();
+    if (!affinities.has(key)) affinities.set(key, {});
+    return affinities.get(key);
+  };
+
+  for (const friend of viewer.friends || []) {
+    if (friend.user && friend.status === 'accepted') entry(friend.user).friend = true;
+  }
+
+  const [conversations, likedAuthors, orderPartners] = await Promise.all([
+    Conversation.find({
+      type: 'direct',
+      'participants.user': viewer._id,
+      'lastMessage.timestamp': { $gte: since }
+    }).select('participants.user').lean(),
+    Post.aggregate([
+      { $match: { 'likes.user': viewer._id, createdAt: { $gte: since } } },
+      { $group: { _id: '$author', count: { $sum: 1 } } }
+    ]),
+    Order.aggregate([
+      {
+        $match: {
+          $or: [{ buyer: viewer._id }, { seller: viewer._id }],
+          status: { $ne: 'cancelled' },
+          createdAt: { $gte: since }
+        }
+      },
+      { $project: { partner: { $cond: [{ $eq: ['$buyer', viewer._id] }, '$seller', '$buyer'] } } },
+      { $group: { _id: '$partner', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  for (const conversation of conversations) {
+    for (const participant of conversation.participants) {
+      if (!participant.user.equals(viewer._id)) entry(participant.user).chat = true;
+    }
+  }
+  for (const row of likedAuthors) entry(row._id).likes = row.count;
+  for (const row of orderPartners) entry(row._id).orders = row.count;
+
+  return affinities;
+};
+
+// Posts the feed type covers, before time and ranking
+const getScopeFilter = (viewer, type, { location, categories = [] }) => {
+  const filter = { status: 'active' };
+
+  if (type === 'community') {
+    filter.community = { $in: (viewer.communities || []).map(membership => membership.community) };
+  } else if (type === 'friends') {
+    filter.author = {
+      $in: (viewer.friends || []).filter(friend => friend.status === 'accepted').map(friend => friend.user)
+    };
+  } else {
+    // Filter by location and categories if provided
+    if (location) {
+      filter['location.city'] = new RegExp(location.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    if (categories.length > 0) {
+      filter['product.category'] = { $in: categories };
+    }
+  }
+
+  return filter;
+};
+
+// Posts strictly older than a boundary position in newest-first order
+const olderThan = ({ c, id }) => (id
+  ? { $or: [{ createdAt: { $lt: new Date(c) } }, { createdAt: new Date(c), _id: { $lt: new mongoose.Types.ObjectId(id) } }] }
+  : { createdAt: { $lt: new Date(c) } });
+
+// Pinned posts and announcements shown above the feed; pinned posts count regardless of age
+const findPinned = async (scope, communityIds, windowStart, now) => {
+  const posts = await Post.find({
+    ...scope,
+    createdAt: { $lte: new Date(now) },
+    $and: [
+      {
+        $or: [
+          { isPinned: true, $or: [{ pinnedUntil: null }, { pinnedUntil: { $gt: new Date(now) } }] },
+          { isAnnouncement: true, createdAt: { $gte: windowStart } },
+          { 'content.type': 'announcement', createdAt: { $gte: windowStart } }
+        ]
+      },
+      { $or: [{ community: null }, { community: { $in: [...communityIds] } }] }
+    ]
+  })
+    .sort({ createdAt: -1 })
+    .select('author community createdAt isPinned pinnedUntil isAnnouncement content.type')
+    .limit(MAX_PINNED)
+    .lean();
+
+  return posts
+    .filter(post => isPinnedForViewer(post, communityIds, now))
+    .map(post => ({ post, id: idOf(post), tier: 1, score: new Date(post.createdAt).getTime() }));
+};
+
+// Newest-first posts below a boundary, skipping the pinned ones already shown
+const findOlder = (scope, boundary, excludedIds, limit) => Post.find({
+  ...scope,
+  ...olderThan(boundary),
+  _id: { $nin: excludedIds }
+})
+  .sort({ createdAt: -1, _id: -1 })
+  .select('_id createdAt')
+  .limit(limit)
+  .lean();
+
+// A page of the viewer's feed.
+// Resolves to { posts, nextCursor, hasMore }; posts are lean with author and community populated.
+export const getFeed = async (userId, {
+  type = 'all',
+  sortBy = 'ranked',
+  cursor,
+  limit = 20,
+  location,
+  categories = []
+} = {}) => {
+  const viewer = await User.findById(userId)
+    .select('friends communities categories shopLocation.city shopLocation.coordinates')
+    .lean();
+
+  if (!viewer) {
+    throw new NotFoundError('User not found');
+  }
+
+  const position = cursor ? decodeFeedCursor(cursor) : null;
+  const now = position ? position.t : Date.now();
+  const windowStart = new Date(now - FEED_WINDOW_DAYS * DAY_MS);
+  const scope = getScopeFilter(viewer, type, { location, categories });
+  const communityIds = new Set((viewer.communities || []).map(membership => idOf(membership.community)));
+
+  const pinned = await findPinned(scope, communityIds, windowStart, now);
+  const pinnedIds = pinned.map(entry => entry.post._id);
+
+  let pageIds = [];
+  let nextCursor = null;
+  let olderBoundary = null;
+
+  if (sortBy === 'newest') {
+    pageIds = position ? [] : pinned.slice(0, limit).map(entry => entry.id);
+    olderBoundary = position?.m === 'older' ? position : { c: now + 1, id: null };
+  } else if (position?.m === 'older') {
+    olderBoundary = position;
+  } else {
+    const candidates = await Post.aggregate([
+      {
+        $match: {
+          ...scope,
+          createdAt: { $gte: windowStart, $lte: new Date(now) },
+          _id: { $nin: pinnedIds }
+        }
+      },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $limit: MAX_CANDIDATES },
+      { $project: RANKING_PROJECTION }
+    ]);
+
+    const authorIds = [...new Set(candidates.map(post => idOf(post.author)))];
+    const [affinities, authors] = await Promise.all([
+      getAffinities(viewer, now),
+      User.find({ _id: { $in: authorIds } }).select('shopLocation.city shopLocation.coordinates').lean()
+    ]);
+
+    const ranked = [...pinned, ...rankPosts(candidates, {
+      affinities,
+      communityIds,
+      categories: new Set(viewer.categories || []),
+      location: viewer.shopLocation,
+      authorLocations: new Map(authors.map(author => [idOf(author), author.shopLocation || {}]))
+    }, now)];
+
+    const after = position
+      ? { tier: position.k[0], score: position.k[1], id: position.k[2] }
+      : null;
+    const remaining = after ? ranked.filter(entry => compareRank(after, entry) < 0) : ranked;
+    const page = remaining.slice(0, limit);
+    pageIds = page.map(entry => entry.id);
+
+    if (remaining.length > limit) {
+      nextCursor = encodeFeedCursor({ t: now, m: 'ranked', k: rankKey(page[page.length - 1]) });
+    } else {
+      // The ranked window runs out on this page; carry on with whatever is older than it
+      const oldest = candidates[candidates.length - 1];
+      olderBoundary = candidates.length === MAX_CANDIDATES
+        ? { c: new Date(oldest.createdAt).getTime(), id: idOf(oldest) }
+        : { c: windowStart.getTime(), id: null };
+    }
+  }
+
+  if (olderBoundary) {
+    const room = limit - pageIds.length;
+    // One extra row tells whether another page follows
+    const older = await findOlder(scope, olderBoundary, pinnedIds, room + 1);
+    const taken = older.slice(0, room);
+    pageIds.push(...taken.map(post => idOf(post)));
+
+    const last = taken[taken.length - 1];
+    if (older.length > room) {
+      nextCursor = encodeFeedCursor(last
+        ? { t: now, m: 'older', c: new Date(last.createdAt).getTime(), id: idOf(last) }
+        : { t: now, m: 'older', c: olderBoundary.c, id: olderBoundary.id });
+    }
+  }
+
+  const posts = await Post.find({ _id: { $in: pageIds } })
+    .populate('author', AUTHOR_FIELDS)
+    .populate('community', 'name')
+    .lean();
+  const byId = new Map(posts.map(post => [idOf(post), post]));
+
+  return {
+    posts: pageIds.map(id => byId.get(id)).filter(Boolean),
+    nextCursor,
+    hasMore: Boolean(nextCursor)
+  };
+};
+
+export default {
+  FEED_TYPES,
+  FEED_SORTS,
+  normalizeFeedSort,
+  encodeFeedCursor,
+  decodeFeedCursor,
+  isPinnedForViewer,
+  scoreAffinity,
+  scoreFeedPost,
+  rankPosts,
+  getFeed
+};
@@ -0,0 +1,55 @@
+import { createRazorpayGateway } from './razorpayGateway.js';
+import { createMockGateway } from './mockGateway.js';
+
+/**
+ * Payment gateway registry
+ *
+ * Every adapter exposes the same interface:
+ *   createOrder({ amount, currency, receipt, notes })        -> { gatewayOrderId, amount, currency, checkout }
+ *   verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) -> boolean
+ *   verifyWebhookSignature(rawBody, headers)                 -> boolean
+ *   parseWebhookEvent(body, headers)                         -> normalised event
+ *   refund({ gatewayPaymentId, amount, reason })             -> { refundId, amount, status }
+ *
+ * Normalised webhook event types: payment.captured, payment.failed, refund.processed
+ */
+const factories = {
+  razorpay: createRazorpayGateway,
+  mock: createMockGateway
+};
+
+const instances = new Map();
+
+// Register an additional gateway adapter (e.g. stripe, paytm, phonepe)
+export const registerPaymentGateway = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// Gateway used for new payments
+export const getDefaultGatewayName = () => {
+  return process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'production' ? 'razorpay' : 'mock');
+};
+
+// Get a gateway adapter by name
+export const getPaymentGateway = (name = getDefaultGatewayName()) => {
+  if (!factories[name]) {
+    throw new Error(`Unsupported payment gateway: ${name}`);
+  }
+
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('Mock payment gateway is disabled in production');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+export default {
+  registerPaymentGateway,
+  getDefaultGatewayName,
+  getPaymentGateway
+};
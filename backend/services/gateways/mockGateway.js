@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const safeCompare = (expected, actual) => {
+  if (!expected || !actual) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Local mock payment gateway
+ * Behaves like a real gateway (orders, signatures, signed webhooks, refunds)
+ * without any network calls, so the full payment flow can be run offline.
+ */
+export const createMockGateway = ({
+  secret = process.env.MOCK_GATEWAY_SECRET || 'mock_gateway_secret'
+} = {}) => ({
+  name: 'mock',
+
+  async createOrder({ amount, currency = 'INR', receipt }) {
+    const gatewayOrderId = randomId('mock_order');
+    return {
+      gatewayOrderId,
+      amount,
+      currency,
+      checkout: {
+        gateway: 'mock',
+        orderId: gatewayOrderId,
+        amount,
+        currency,
+        receipt
+      }
+    };
+  },
+
+  verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) {
+    return safeCompare(sign(secret, `${gatewayOrderId}|${gatewayPaymentId}`), signature);
+  },
+
+  verifyWebhookSignature(rawBody, headers = {}) {
+    return safeCompare(sign(secret, rawBody), headers['x-mock-signature']);
+  },
+
+  parseWebhookEvent(body) {
+    const data = body.data || {};
+    return {
+      eventId: body.id,
+      type: body.type,
+      gatewayOrderId: data.orderId,
+      gatewayPaymentId: data.paymentId,
+      refundId: data.refundId,
+      amount: data.amount || 0,
+      method: data.method,
+      errorDescription: data.error
+    };
+  },
+
+  async refund({ gatewayPaymentId, amount }) {
+    return {
+      refundId: randomId('mock_refund'),
+      gatewayPaymentId,
+      amount,
+      status: 'processed'
+    };
+  },
+
+  // --- Helpers standing in for the customer's side of the checkout ---
+
+  // What the checkout widget would hand back to the client after paying
+  simulateCheckout(gatewayOrderId) {
+    const gatewayPaymentId = randomId('mock_pay');
+    return {
+      gatewayOrderId,
+      gatewayPaymentId,
+      signature: sign(secret, `${gatewayOrderId}|${gatewayPaymentId}`)
+    };
+  },
+
+  // A signed webhook request as the gateway would send it
+  buildWebhook(type, data) {
+    const rawBody = JSON.stringify({ id: randomId('mock_evt'), type, data });
+    return {
+      rawBody,
+      headers: { 'x-mock-signature': sign(secret, rawBody) }
+    };
+  }
+});
+
+export default createMockGateway;
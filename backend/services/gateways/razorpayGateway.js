@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+// Constant-time comparison of two hex signatures
+const safeCompare = (expected, actual) => {
+  if (!expected || !actual) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Razorpay payment gateway adapter
+ * Amounts are passed in and returned in rupees; Razorpay works in paise.
+ */
+export const createRazorpayGateway = ({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+} = {}) => {
+  const client = axios.create({
+    baseURL: RAZORPAY_API_URL,
+    auth: { username: keyId, password: keySecret },
+    timeout: 15000
+  });
+
+  return {
+    name: 'razorpay',
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      const { data } = await client.post('/orders', {
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes
+      });
+
+      return {
+        gatewayOrderId: data.id,
+        amount: data.amount / 100,
+        currency: data.currency,
+        // What the client needs to open Razorpay Checkout
+        checkout: {
+          gateway: 'razorpay',
+          key: keyId,
+          orderId: data.id,
+          amount: data.amount,
+          currency: data.currency
+        }
+      };
+    },
+
+    verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) {
+      const expected = crypto
+        .createHmac('sha256', keySecret)
+        .update(`${gatewayOrderId}|${gatewayPaymentId}`)
+        .digest('hex');
+      return safeCompare(expected, signature);
+    },
+
+    verifyWebhookSignature(rawBody, headers = {}) {
+      if (!webhookSecret) return false;
+      const expected = crypto
+        .createHmac('sha256', webhookSecret)
+        .update(rawBody)
+        .digest('hex');
+      return safeCompare(expected, headers['x-razorpay-signature']);
+    },
+
+    parseWebhookEvent(body, headers = {}) {
+      const typeMap = {
+        'payment.captured': 'payment.captured',
+        'order.paid': 'payment.captured',
+        'payment.failed': 'payment.failed',
+        'refund.processed': 'refund.processed'
+      };
+
+      const payment = body.payload?.payment?.entity || {};
+      const refund = body.payload?.refund?.entity || {};
+
+      return {
+        eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment.id || refund.id}`,
+        type: typeMap[body.event] || body.event,
+        gatewayOrderId: payment.order_id,
+        gatewayPaymentId: payment.id || refund.payment_id,
+        refundId: refund.id,
+        amount: (refund.amount || payment.amount || 0) / 100,
+        method: payment.method,
+        errorDescription: payment.error_description
+      };
+    },
+
+    async refund({ gatewayPaymentId, amount, reason }) {
+      const { data } = await client.post(`/payments/${gatewayPaymentId}/refund`, {
+        amount: amount ? Math.round(amount * 100) : undefined,
+        notes: reason ? { reason } : undefined
+      });
+
+      return {
+        refundId: data.id,
+        amount: data.amount / 100,
+        status: data.status === 'processed' ? 'processed' : 'pending'
+      };
+    }
+  };
+};
+
+export default createRazorpayGateway;
@@ -0,0 +1,138 @@
+import AdClick, { INVALID_CLICK_REASONS } from '../models/AdClick.js';
+import Ad from '../models/Ad.js';
+import AdImpressionCount from '../models/AdImpressionCount.js';
+import adBillingService from './adBillingService.js';
+
+// A second click on the same ad from the same user, IP or device within this window is a duplicate
+const DUPLICATE_WINDOW_MS = 30 * 60 * 1000;
+
+// More clicks than this on any ads from one user or IP within the window is a burst
+const BURST_WINDOW_MS = 60 * 1000;
+const BURST_LIMIT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A burst is counted per user and per IP, across all ads
+const getBurstSources = ({ userId, ip }) => (ip ? [{ user: userId }, { ip }] : [{ user: userId }]);
+
+// Reasons a click is invalid; an empty list means the click is valid
+export const screenClick = async (ad, { userId, ip, deviceId }) => {
+  const now = Date.now();
+  const reasons = [];
+
+  const sameSource = [{ user: userId }];
+  if (ip) sameSource.push({ ip });
+  if (deviceId) sameSource.push({ deviceId });
+
+  const burstSources = getBurstSources({ userId, ip });
+
+  // Impressions are counted per day, so the user must have been served the ad today or yesterday
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const yesterday = new Date(today.getTime() - DAY_MS);
+
+  const [duplicate, recentClicks, impression] = await Promise.all([
+    AdClick.exists({
+      ad: ad._id,
+      $or: sameSource,
+      createdAt: { $gte: new Date(now - DUPLICATE_WINDOW_MS) }
+    }),
+    AdClick.countDocuments({
+      $or: burstSources,
+      createdAt: { $gte: new Date(now - BURST_WINDOW_MS) }
+    }),
+    AdImpressionCount.exists({
+      ad: ad._id,
+      user: userId,
+      day: { $in: [today, yesterday] }
+    })
+  ]);
+
+  if (duplicate) reasons.push('duplicate');
+  if (!impression) reasons.push('no_impression');
+  if (recentClicks >= BURST_LIMIT) reasons.push('burst');
+
+  return reasons;
+};
+
+// The clicks of a burst that came in before it reached BURST_LIMIT passed screening; once the burst
+// is detected they are marked invalid too and their charges refunded to the advertisers.
+// Resolves to the number of clicks invalidated.
+export const invalidateBurstClicks = async ({ userId, ip }) => {
+  const clicks = await AdClick.find({
+    valid: true,
+    $or: getBurstSources({ userId, ip }),
+    createdAt: { $gte: new Date(Date.now() - BURST_WINDOW_MS) }
+  });
+
+  let invalidated = 0;
+  for (const click of clicks) {
+    // Claim the click so concurrent bursts don't refund it twice
+    const claimed = await AdClick.findOneAndUpdate(
+      { _id: click._id, valid: true },
+      { $set: { valid: false, reasons: ['burst'] } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const ad = await Ad.findById(claimed.ad);
+    if (ad) await adBillingService.refundClick(ad, claimed);
+    invalidated++;
+  }
+
+  return invalidated;
+};
+
+// Screen a click, then count and bill it only if it is valid.
+// Resolves to the stored AdClick with the verdict.
+export const processClick = async (ad, { userId, ip, deviceId, userAgent, metadata = {} }) => {
+  const reasons = await screenClick(ad, { userId, ip, deviceId });
+  const valid = reasons.length === 0;
+
+  const click = await AdClick.create({
+    ad: ad._id,
+    user: userId,
+    ip,
+    deviceId,
+    userAgent: userAgent?.slice(0, 500),
+    valid,
+    reasons
+  });
+
+  if (!valid) {
+    await ad.recordInvalidClick();
+    if (reasons.includes('burst')) await invalidateBurstClicks({ userId, ip });
+    return click;
+  }
+
+  await ad.recordInteraction(userId, 'click', metadata);
+
+  const charged = await adBillingService.recordClick(ad, userId);
+  if (charged > 0) {
+    click.charged = charged;
+    await click.save();
+  }
+
+  return click;
+};
+
+// Invalid clicks on an ad since a date, by reason
+export const getInvalidClickBreakdown = async (adId, since) => {
+  const rows = await AdClick.aggregate([
+    { $match: { ad: adId, valid: false, createdAt: { $gte: since } } },
+    { $unwind: '$reasons' },
+    { $group: { _id: '$reasons', count: { $sum: 1 } } }
+  ]);
+
+  return INVALID_CLICK_REASONS.reduce((breakdown, reason) => {
+    breakdown[reason] = rows.find(row => row._id === reason)?.count || 0;
+    return breakdown;
+  }, {});
+};
+
+export default {
+  screenClick,
+  invalidateBurstClicks,
+  processClick,
+  getInvalidClickBreakdown
+};
@@ -0,0 +1,392 @@
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import Subscription from '../models/Subscription.js';
+import Transaction from '../models/Transaction.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { SUBSCRIPTION_PLANS } from './subscriptionService.js';
+import {
+  GST_STATE_CODES,
+  stateCodeFromGstin,
+  stateCodeFromName,
+  getFinancialYear,
+  roundMoney,
+  amountInWords,
+  getSupplyType,
+  buildTaxLine,
+  buildInclusiveTaxLine
+} from '../utils/gst.js';
+import { ValidationError, AuthorizationError, NotFoundError } from '../middleware/errorHandler.js';
+
+const SELLER_RECEIPT_PREFIX = 'RCT';
+
+// Our own details as the supplier of subscriptions
+const getPlatformParty = () => {
+  const gstin = process.env.PLATFORM_GSTIN || undefined;
+  const stateCode = stateCodeFromGstin(gstin) || stateCodeFromName(process.env.PLATFORM_STATE);
+
+  return {
+    name: process.env.PLATFORM_LEGAL_NAME || 'WholeSale Connect',
+    gstin,
+    address: process.env.PLATFORM_ADDRESS,
+    state: stateCode ? GST_STATE_CODES[stateCode] : process.env.PLATFORM_STATE,
+    stateCode,
+    email: process.env.EMAIL_FROM
+  };
+};
+
+// Invoice party details for a user
+const toParty = (user) => {
+  const stateCode = stateCodeFromGstin(user.gst) || stateCodeFromName(user.shopLocation?.state);
+
+  return {
+    user: user._id,
+    name: user.businessName || user.displayName,
+    gstin: user.gst || undefined,
+    address: user.shopLocation?.address,
+    city: user.shopLocation?.city,
+    state: stateCode ? GST_STATE_CODES[stateCode] : user.shopLocation?.state,
+    stateCode,
+    pincode: user.shopLocation?.pincode,
+    email: user.email
+  };
+};
+
+const sumLines = (items, field) => roundMoney(items.reduce((sum, item) => sum + (item[field] || 0), 0));
+
+// Reserve a number and store the invoice; a concurrent request for the same payment wins the race
+const issueInvoice = async (issuerKey, prefix, data, existingQuery) => {
+  const issuedAt = new Date();
+  const numbering = await Invoice.nextInvoiceNumber(issuerKey, prefix, getFinancialYear(issuedAt));
+
+  try {
+    return await Invoice.create({ ...data, ...numbering, issuerKey, issuedAt });
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await Invoice.findOne(existingQuery);
+      if (existing) return existing;
+    }
+    throw error;
+  }
+};
+
+// Tax invoice for a subscription payment (issued by the platform)
+export const getSubscriptionInvoice = async (userId, paymentId) => {
+  const existing = await Invoice.findOne({ subscriptionPayment: paymentId });
+  if (existing) {
+    if (existing.recipient.user.toString() !== userId.toString()) {
+      throw new NotFoundError('Payment not found');
+    }
+    return existing;
+  }
+
+  const subscription = await Subscription.findOne({
+    user: userId,
+    'paymentHistory._id': paymentId
+  });
+
+  if (!subscription) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const payment = subscription.paymentHistory.id(paymentId);
+  if (!['success', 'refunded'].includes(payment.status)) {
+    throw new ValidationError('Invoices are only issued for successful payments');
+  }
+
+  const user = await User.findById(userId);
+  const issuer = getPlatformParty();
+  const recipient = toParty(user);
+
+  // Plan prices are GST inclusive
+  const gstRate = parseFloat(process.env.SUBSCRIPTION_GST_RATE || '18');
+  const placeOfSupplyCode = recipient.stateCode || issuer.stateCode;
+  const supplyType = getSupplyType(issuer.stateCode, placeOfSupplyCode);
+
+  const line = buildInclusiveTaxLine({
+    description: `${SUBSCRIPTION_PLANS[subscription.tier]?.name || subscription.tier} plan subscription (${subscription.billingCycle}), ` +
+      `${subscription.startDate.toLocaleDateString('en-IN')} to ${subscription.endDate.toLocaleDateString('en-IN')}`,
+    hsnSac: process.env.PLATFORM_SAC_CODE || '997331',
+    quantity: 1,
+    gstRate
+  }, payment.amount, supplyType);
+
+  const items = [line];
+  const totalTax = roundMoney(sumLines(items, 'cgst') + sumLines(items, 'sgst') + sumLines(items, 'igst'));
+
+  const invoice = await issueInvoice('platform', process.env.PLATFORM_INVOICE_PREFIX || 'WSC', {
+    documentType: 'tax_invoice',
+    source: 'subscription',
+    subscription: subscription._id,
+    subscriptionPayment: payment._id,
+    issuer,
+    recipient,
+    placeOfSupply: {
+      state: GST_STATE_CODES[placeOfSupplyCode] || recipient.state,
+      stateCode: placeOfSupplyCode
+    },
+    supplyType,
+    items,
+    totals: {
+      taxableValue: sumLines(items, 'taxableValue'),
+      cgst: sumLines(items, 'cgst'),
+      sgst: sumLines(items, 'sgst'),
+      igst: sumLines(items, 'igst'),
+      totalTax,
+      grandTotal: payment.amount
+    },
+    amountPaid: payment.amount,
+    amountInWords: amountInWords(payment.amount),
+    currency: payment.currency,
+    paymentReference: payment.transactionId,
+    paymentMethod: payment.paymentMethod,
+    paidAt: payment.paidAt
+  }, { subscriptionPayment: payment._id });
+
+  payment.invoiceUrl = `/api/subscriptions/invoice/${payment._id}`;
+  await subscription.save();
+
+  await Transaction.updateOne(
+    { type: 'subscription', gatewayTransactionId: payment.transactionId, invoiceNumber: { $exists: false } },
+    { $set: { invoiceNumber: invoice.invoiceNumber, invoiceUrl: payment.invoiceUrl } }
+  );
+
+  return invoice;
+};
+
+// Payment receipt for an order transaction (issued by the seller), with the order's GST breakdown
+const getOrderReceipt = async (transaction) => {
+  const order = await Order.findById(transaction.orderId);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const [seller, buyer] = await Promise.all([
+    User.findById(order.seller),
+    User.findById(order.buyer)
+  ]);
+
+  const issuer = toParty(seller);
+  const recipient = toParty(buyer);
+
+  // Goods are supplied where they are delivered
+  const placeOfSupplyCode = stateCodeFromName(order.shippingAddress?.state) || recipient.stateCode;
+  const supplyType = getSupplyType(issuer.stateCode, placeOfSupplyCode);
+
+  const items = order.items.map(item => buildTaxLine({
+    description: item.name,
+    hsnSac: item.hsnCode,
+    quantity: item.quantity,
+    unit: item.unit,
+    rate: item.unitPrice,
+    taxableValue: item.lineTotal,
+    gstRate: item.gstRate || 0
+  }, supplyType));
+
+  const receiptUrl = `/api/payments/transactions/${transaction._id}/invoice`;
+
+  const invoice = await issueInvoice(order.seller.toString(), SELLER_RECEIPT_PREFIX, {
+    documentType: 'receipt',
+    source: 'transaction',
+    transaction: transaction._id,
+    order: order._id,
+    issuer,
+    recipient,
+    placeOfSupply: {
+      state: GST_STATE_CODES[placeOfSupplyCode] || order.shippingAddress?.state || recipient.state,
+      stateCode: placeOfSupplyCode
+    },
+    supplyType,
+    items,
+    totals: {
+      taxableValue: sumLines(items, 'taxableValue'),
+      cgst: sumLines(items, 'cgst'),
+      sgst: sumLines(items, 'sgst'),
+      igst: sumLines(items, 'igst'),
+      totalTax: roundMoney(sumLines(items, 'cgst') + sumLines(items, 'sgst') + sumLines(items, 'igst')),
+      shippingCharges: order.shippingCharges,
+      discount: order.discount,
+      grandTotal: order.totalAmount
+    },
+    amountPaid: transaction.amount,
+    amountInWords: amountInWords(transaction.amount),
+    currency: transaction.currency,
+    paymentReference: transaction.transactionId,
+    paymentMethod: transaction.paymentMethod,
+    paidAt: transaction.completedAt
+  }, { transaction: transaction._id });
+
+  // Seller receipt numbers are only unique per seller, so they don't go in Transaction.invoiceNumber
+  transaction.receiptUrl = receiptUrl;
+  await transaction.save();
+
+  return invoice;
+};
+
+// Invoice or receipt for a transaction, for either party
+export const getTransactionInvoice = async (userId, transactionId) => {
+  const transaction = await Transaction.findById(transactionId);
+
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  const isParty = [transaction.buyer, transaction.seller]
+    .filter(Boolean)
+    .some(id => id.toString() === userId.toString());
+
+  if (!isParty) {
+    throw new AuthorizationError('Not authorized to view this transaction');
+  }
+
+  if (!['completed', 'refunded'].includes(transaction.status)) {
+    throw new ValidationError('Receipts are only issued for completed payments');
+  }
+
+  if (transaction.type === 'subscription') {
+    const subscription = await Subscription.findById(transaction.subscription);
+    const payment = subscription?.paymentHistory.find(p => p.transactionId === transaction.gatewayTransactionId);
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+    return getSubscriptionInvoice(transaction.buyer, payment._id);
+  }
+
+  const existing = await Invoice.findOne({ transaction: transaction._id });
+  if (existing) return existing;
+
+  return getOrderReceipt(transaction);
+};
+
+const formatMoney = (value) => {
+  return `Rs. ${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '-');
+
+const partyLines = (party) => [
+  party.name,
+  party.address,
+  [party.city, party.pincode].filter(Boolean).join(' - '),
+  party.state ? `State: ${party.state}${party.stateCode ? ` (${party.stateCode})` : ''}` : null,
+  `GSTIN: ${party.gstin || 'Unregistered'}`
+].filter(Boolean);
+
+// Render an invoice as a PDF buffer
+export const renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const interState = invoice.supplyType === 'inter_state';
+
+    // Header
+    doc.fontSize(16).font('Helvetica-Bold')
+      .text(invoice.documentType === 'tax_invoice' ? 'TAX INVOICE' : 'PAYMENT RECEIPT', { align: 'center' });
+    doc.moveDown(0.8);
+
+    const headerTop = doc.y;
+    doc.fontSize(9).font('Helvetica-Bold').text('From', left, headerTop);
+    doc.font('Helvetica').text(partyLines(invoice.issuer).join('\n'), left, doc.y, { width: width / 2 - 10 });
+    const issuerBottom = doc.y;
+
+    const metaLeft = left + width / 2;
+    doc.font('Helvetica-Bold').text(invoice.documentType === 'tax_invoice' ? 'Invoice No.' : 'Receipt No.', metaLeft, headerTop);
+    doc.font('Helvetica').text([
+      invoice.invoiceNumber,
+      `Date: ${formatDate(invoice.issuedAt)}`,
+      `Place of supply: ${invoice.placeOfSupply?.state || '-'}${invoice.placeOfSupply?.stateCode ? ` (${invoice.placeOfSupply.stateCode})` : ''}`,
+      `Payment ref: ${invoice.paymentReference || '-'}`,
+      `Paid on: ${formatDate(invoice.paidAt)}`
+    ].join('\n'), metaLeft, doc.y, { width: width / 2 });
+
+    doc.y = Math.max(issuerBottom, doc.y) + 12;
+    doc.font('Helvetica-Bold').text('Bill To', left);
+    doc.font('Helvetica').text(partyLines(invoice.recipient).join('\n'), left, doc.y, { width });
+    doc.moveDown();
+
+    // Line items
+    const columns = interState
+      ? [['#', 20], ['Description', 170], ['HSN/SAC', 50], ['Qty', 40], ['Rate', 55], ['Taxable', 60], ['IGST', 60], ['Total', 60]]
+      : [['#', 20], ['Description', 140], ['HSN/SAC', 50], ['Qty', 35], ['Rate', 50], ['Taxable', 55], ['CGST', 55], ['SGST', 55], ['Total', 55]];
+
+    const drawRow = (cells, bold = false) => {
+      const top = doc.y;
+      let x = left;
+      let rowHeight = 0;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      cells.forEach((cell, i) => {
+        const [, colWidth] = columns[i];
+        doc.text(String(cell ?? ''), x + 2, top, { width: colWidth - 4, align: i > 2 ? 'right' : 'left' });
+        rowHeight = Math.max(rowHeight, doc.y - top);
+        x += colWidth;
+      });
+      doc.y = top + rowHeight + 4;
+      doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).strokeColor('#cccccc').stroke();
+    };
+
+    drawRow(columns.map(([title]) => title), true);
+    invoice.items.forEach((item, index) => {
+      const taxCells = interState
+        ? [`${formatMoney(item.igst)}\n@${item.gstRate}%`]
+        : [`${formatMoney(item.cgst)}\n@${item.gstRate / 2}%`, `${formatMoney(item.sgst)}\n@${item.gstRate / 2}%`];
+      drawRow([
+        index + 1,
+        item.description,
+        item.hsnSac || '-',
+        `${item.quantity}${item.unit ? ` ${item.unit}` : ''}`,
+        formatMoney(item.rate),
+        formatMoney(item.taxableValue),
+        ...taxCells,
+        formatMoney(item.total)
+      ]);
+    });
+
+    // Totals
+    doc.moveDown(0.5);
+    const totals = [
+      ['Taxable value', invoice.totals.taxableValue],
+      ...(interState
+        ? [['IGST', invoice.totals.igst]]
+        : [['CGST', invoice.totals.cgst], ['SGST', invoice.totals.sgst]]),
+      ...(invoice.totals.shippingCharges ? [['Shipping charges', invoice.totals.shippingCharges]] : []),
+      ...(invoice.totals.discount ? [['Less: Discount', invoice.totals.discount]] : []),
+      ['Total', invoice.totals.grandTotal],
+      ...(invoice.documentType === 'receipt' ? [['Amount received', invoice.amountPaid]] : [])
+    ];
+
+    const labelLeft = left + width - 220;
+    totals.forEach(([label, value], index) => {
+      const bold = index >= totals.length - (invoice.documentType === 'receipt' ? 2 : 1);
+      const top = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      doc.text(label, labelLeft, top, { width: 110 });
+      doc.text(formatMoney(value), labelLeft + 110, top, { width: 110, align: 'right' });
+    });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(`${invoice.documentType === 'receipt' ? 'Amount received' : 'Amount'} in words: `, left, doc.y, { continued: true })
+      .font('Helvetica').text(invoice.amountInWords);
+
+    if (!invoice.issuer.gstin) {
+      doc.moveDown(0.5).text('Supplier is not registered under GST.');
+    }
+
+    doc.moveDown(2).fontSize(8).fillColor('#666666')
+      .text('This is a computer generated document and does not require a signature.', left, doc.y, { width, align: 'center' });
+
+    doc.end();
+  });
+};
+
+export default {
+  getSubscriptionInvoice,
+  getTransactionInvoice,
+  renderInvoicePdf
+};
@@ -0,0 +1,241 @@
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import { NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+
+const MINUTE = 60 * 1000;
+const RECENT_RUNS_KEPT = 20;
+
+// Identifies this process when it holds a job lock
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const definitions = new Map();
+let pollTimer = null;
+let ticking = false;
+let context = {};
+
+/**
+ * Register a recurring job.
+ *
+ * @param {string} name - Unique job name, e.g. 'subscriptions.expire'
+ * @param {Object} options
+ * @param {number} options.interval - Milliseconds between successful runs
+ * @param {Function} options.handler - async (context) => result; the result is stored on the job
+ * @param {string} [options.description]
+ * @param {number} [options.maxAttempts=3] - Attempts per run before waiting for the next interval
+ * @param {number} [options.retryDelay=1 minute] - First retry delay; doubles on each failure
+ * @param {number} [options.lockTimeout=10 minutes] - How long a crashed run keeps the lock
+ */
+export const defineJob = (name, {
+  interval,
+  handler,
+  description,
+  maxAttempts = 3,
+  retryDelay = MINUTE,
+  lockTimeout = 10 * MINUTE
+}) => {
+  if (!interval || typeof handler !== 'function') {
+    throw new Error(`Job ${name} needs an interval and a handler`);
+  }
+
+  definitions.set(name, { name, interval, handler, description, maxAttempts, retryDelay, lockTimeout });
+};
+
+// Make sure a registered job has a document, without touching its schedule
+const syncDefinition = (definition) => {
+  return Job.updateOne(
+    { name: definition.name },
+    {
+      $set: {
+        description: definition.description,
+        intervalMs: definition.interval,
+        maxAttempts: definition.maxAttempts
+      },
+      $setOnInsert: { nextRunAt: new Date() }
+    },
+    { upsert: true }
+  );
+};
+
+// Atomically take the lock on a job. Scheduled runs also require the job to be enabled and due.
+const acquireLock = (definition, { force = false } = {}) => {
+  const now = new Date();
+  const filter = {
+    name: definition.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+
+  if (!force) {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return Job.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + definition.lockTimeout),
+        lastRunAt: now,
+        lastStatus: 'running'
+      }
+    },
+    { new: true }
+  );
+};
+
+// Run a job we hold the lock for and record the outcome
+const runLockedJob = async (definition, job, trigger) => {
+  const startedAt = new Date();
+  let status = 'success';
+  let result;
+  let error;
+
+  try {
+    result = await definition.handler(context);
+  } catch (err) {
+    status = 'failed';
+    error = err;
+    console.error(`Job ${definition.name} failed:`, err);
+  }
+
+  const finishedAt = new Date();
+  const update = {
+    $set: {
+      lockedBy: null,
+      lockedUntil: null,
+      lastFinishedAt: finishedAt,
+      lastStatus: status,
+      lastDurationMs: finishedAt - startedAt
+    },
+    $inc: { runCount: 1 },
+    $push: {
+      recentRuns: {
+        $each: [{
+          startedAt,
+          finishedAt,
+          status,
+          trigger,
+          instance: instanceId,
+          error: error?.message,
+          result
+        }],
+        $position: 0,
+        $slice: RECENT_RUNS_KEPT
+      }
+    }
+  };
+
+  if (status === 'success') {
+    update.$set.attempts = 0;
+    update.$set.lastResult = result;
+    update.$set.lastError = null;
+    update.$set.nextRunAt = new Date(finishedAt.getTime() + definition.interval);
+  } else {
+    const attempts = job.attempts + 1;
+    update.$inc.failCount = 1;
+    update.$set.lastError = error.message;
+
+    if (attempts < definition.maxAttempts) {
+      // Exponential backoff, but never later than the regular schedule
+      const delay = Math.min(definition.retryDelay * 2 ** (attempts - 1), definition.interval);
+      update.$set.attempts = attempts;
+      update.$set.nextRunAt = new Date(finishedAt.getTime() + delay);
+    } else {
+      update.$set.attempts = 0;
+      update.$set.nextRunAt = new Date(finishedAt.getTime() + definition.interval);
+    }
+  }
+
+  // Only record the outcome if the lock is still ours (it may have timed out and been taken over)
+  return Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: instanceId },
+    update,
+    { new: true }
+  );
+};
+
+// Run every due job once
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const definition of definitions.values()) {
+      const job = await acquireLock(definition);
+      if (job) {
+        await runLockedJob(definition, job, 'schedule');
+      }
+    }
+  } catch (error) {
+    console.error('Job scheduler tick error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start polling for due jobs. Call once the database connection is open.
+export const startScheduler = async (ctx = {}) => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('Job scheduler disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  if (pollTimer) return;
+
+  context = ctx;
+  for (const definition of definitions.values()) {
+    await syncDefinition(definition);
+  }
+
+  const pollInterval = parseInt(process.env.JOBS_POLL_INTERVAL_MS) || 30 * 1000;
+  pollTimer = setInterval(tick, pollInterval);
+  pollTimer.unref();
+
+  console.log(`Job scheduler started (${definitions.size} jobs, instance ${instanceId})`);
+  tick();
+};
+
+// Stop polling (running jobs are left to finish)
+export const stopScheduler = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// List all jobs with their persisted state
+export const listJobs = async () => {
+  const jobs = await Job.find().sort({ name: 1 });
+
+  return jobs.map(job => ({
+    ...job.toJSON(),
+    registered: definitions.has(job.name)
+  }));
+};
+
+// Run a job now, regardless of its schedule
+export const triggerJob = async (name) => {
+  const definition = definitions.get(name);
+
+  if (!definition) {
+    throw new NotFoundError('Job not found');
+  }
+
+  await syncDefinition(definition);
+
+  const job = await acquireLock(definition, { force: true });
+  if (!job) {
+    throw new ConflictError('Job is already running');
+  }
+
+  return runLockedJob(definition, job, 'manual');
+};
+
+export default {
+  defineJob,
+  startScheduler,
+  stopScheduler,
+  listJobs,
+  triggerJob
+};
@@ -0,0 +1,60 @@
+import { createSmsProvider } from './smsProvider.js';
+import { createWhatsAppProvider } from './whatsappProvider.js';
+import { createLocalOtpProvider } from './localProvider.js';
+
+/**
+ * OTP delivery provider registry
+ *
+ * Every adapter exposes the same interface:
+ *   send({ to, code, expiresInMinutes })  -> { providerMessageId }
+ *
+ * `to` is an E.164 phone number (+919876543210). Adapters throw when the provider rejects the message.
+ */
+export const OTP_CHANNELS = ['sms', 'whatsapp'];
+
+const factories = {
+  sms: createSmsProvider,
+  whatsapp: createWhatsAppProvider,
+  local: createLocalOtpProvider
+};
+
+const instances = new Map();
+
+// Register an additional provider adapter (e.g. msg91, gupshup)
+export const registerOtpProvider = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// Provider that delivers a channel: OTP_PROVIDER=local sends every channel to the local stand-in,
+// which is also the default outside production
+export const getOtpProviderName = (channel) => {
+  const override = process.env.OTP_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'local');
+  return override || channel;
+};
+
+// Get the provider adapter for a delivery channel
+export const getOtpProvider = (channel = 'sms') => {
+  const name = getOtpProviderName(channel);
+
+  if (!factories[name]) {
+    throw new Error(`Unsupported OTP provider: ${name}`);
+  }
+
+  if (name === 'local' && process.env.NODE_ENV === 'production') {
+    throw new Error('Local OTP provider is disabled in production');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+export default {
+  OTP_CHANNELS,
+  registerOtpProvider,
+  getOtpProviderName,
+  getOtpProvider
+};
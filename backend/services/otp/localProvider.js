@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local OTP stand-in for development and tests
+ * Prints each code to the console and, when OTP_LOCAL_FILE is set, appends it to that file
+ * as a JSON line. Nothing leaves the machine.
+ */
+export const createLocalOtpProvider = ({
+  file = process.env.OTP_LOCAL_FILE,
+  silent = process.env.NODE_ENV === 'test'
+} = {}) => {
+  const sent = [];
+
+  return {
+    name: 'local',
+
+    async send({ to, code, expiresInMinutes }) {
+      const message = {
+        providerMessageId: `local_${crypto.randomBytes(8).toString('hex')}`,
+        to,
+        code,
+        expiresInMinutes,
+        sentAt: new Date().toISOString()
+      };
+      sent.push(message);
+
+      if (!silent) {
+        console.log(`OTP for ${to}: ${code} (expires in ${expiresInMinutes} minutes)`);
+      }
+
+      if (file) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify(message)}\n`);
+      }
+
+      return { providerMessageId: message.providerMessageId };
+    },
+
+    // --- Helpers for tests ---
+
+    // Most recent code sent to a number
+    getLastCode(to) {
+      return [...sent].reverse().find(message => message.to === to)?.code;
+    },
+
+    get sent() {
+      return [...sent];
+    }
+  };
+};
+
+export default createLocalOtpProvider;
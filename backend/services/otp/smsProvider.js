@@ -0,0 +1,46 @@
+import axios from 'axios';
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+/**
+ * SMS adapter (Twilio Messages API)
+ * Sends from a Messaging Service when TWILIO_MESSAGING_SERVICE_SID is set, otherwise from TWILIO_FROM_NUMBER.
+ */
+export const createSmsProvider = ({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID,
+  from = process.env.TWILIO_FROM_NUMBER,
+  appName = process.env.OTP_APP_NAME || 'WholeSale Connect'
+} = {}) => {
+  const client = axios.create({
+    baseURL: `${TWILIO_API_URL}/Accounts/${accountSid}`,
+    auth: { username: accountSid, password: authToken },
+    timeout: 15000
+  });
+
+  return {
+    name: 'sms',
+
+    async send({ to, code, expiresInMinutes }) {
+      if (!accountSid || !authToken || (!messagingServiceSid && !from)) {
+        throw new Error('SMS provider is not configured');
+      }
+
+      const params = new URLSearchParams({
+        To: to,
+        Body: `${code} is your ${appName} verification code. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`
+      });
+      if (messagingServiceSid) {
+        params.append('MessagingServiceSid', messagingServiceSid);
+      } else {
+        params.append('From', from);
+      }
+
+      const { data } = await client.post('/Messages.json', params);
+      return { providerMessageId: data.sid };
+    }
+  };
+};
+
+export default createSmsProvider;
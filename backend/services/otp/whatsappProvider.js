@@ -0,0 +1,49 @@
+import axios from 'axios';
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+
+/**
+ * WhatsApp Business adapter (WhatsApp Cloud API)
+ * Sends an approved authentication template whose body takes the code as its only parameter
+ * and which has a copy-code button, as Meta requires for OTP templates.
+ */
+export const createWhatsAppProvider = ({
+  accessToken = process.env.WHATSAPP_ACCESS_TOKEN,
+  phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID,
+  templateName = process.env.WHATSAPP_OTP_TEMPLATE || 'verification_code',
+  languageCode = process.env.WHATSAPP_OTP_LANGUAGE || 'en'
+} = {}) => {
+  const client = axios.create({
+    baseURL: GRAPH_API_URL,
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 15000
+  });
+
+  return {
+    name: 'whatsapp',
+
+    async send({ to, code }) {
+      if (!accessToken || !phoneNumberId) {
+        throw new Error('WhatsApp provider is not configured');
+      }
+
+      const { data } = await client.post(`/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        to: to.replace(/^\+/, ''),
+        type: 'template',
+        template: {
+          name: templateName,
+          language: { code: languageCode },
+          components: [
+            { type: 'body', parameters: [{ type: 'text', text: code }] },
+            { type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: code }] }
+          ]
+        }
+      });
+
+      return { providerMessageId: data.messages?.[0]?.id };
+    }
+  };
+};
+
+export default createWhatsAppProvider;
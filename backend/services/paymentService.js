@@ -0,0 +1,408 @@
+import Transaction from '../models/Transaction.js';
+import Subscription from '../models/Subscription.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import subscriptionService from './subscriptionService.js';
+import adCreditService from './adCreditService.js';
+import couponService from './couponService.js';
+import { getPaymentGateway, getDefaultGatewayName } from './gateways/index.js';
+import {
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError
+} from '../middleware/errorHandler.js';
+
+const OPEN_STATUSES = ['initiated', 'pending', 'processing'];
+
+// Map gateway payment methods onto the ones our models know about
+const normalizeMethod = (method) => {
+  return ['card', 'upi', 'netbanking', 'wallet'].includes(method) ? method : undefined;
+};
+
+// Create a gateway order for a pending subscription
+export const createSubscriptionPaymentOrder = async (userId, subscriptionId, gatewayName = getDefaultGatewayName()) => {
+  try {
+    const subscription = await Subscription.findById(subscriptionId);
+
+    if (!subscription) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    if (subscription.user.toString() !== userId.toString()) {
+      throw new AuthorizationError('Unauthorized');
+    }
+
+    if (subscription.status !== 'pending') {
+      throw new ValidationError('This subscription does not require payment');
+    }
+
+    if (subscription.amount <= 0) {
+      throw new ValidationError('Nothing to pay for this subscription');
+    }
+
+    const gateway = getPaymentGateway(gatewayName);
+    const gatewayOrder = await gateway.createOrder({
+      amount: subscription.amount,
+      currency: subscription.currency,
+      receipt: subscription._id.toString(),
+      notes: { subscriptionId: subscription._id.toString(), tier: subscription.tier }
+    });
+
+    const transaction = new Transaction({
+      type: 'subscription',
+      buyer: userId,
+      subscription: subscription._id,
+      amount: subscription.amount,
+      currency: subscription.currency,
+      breakdown: {
+        subtotal: subscription.discountApplied?.originalAmount || subscription.amount,
+        discount: subscription.discountApplied?.amount || 0
+      },
+      paymentGateway: gateway.name,
+      gatewayOrderId: gatewayOrder.gatewayOrderId,
+      status: 'initiated'
+    });
+
+    await transaction.save();
+
+    return { transaction, checkout: gatewayOrder.checkout };
+  } catch (error) {
+    console.error('Create payment order error:', error);
+    throw error;
+  }
+};
+
+// Move a transaction to completed exactly once and apply its side effects
+export const completeTransaction = async (transaction, { gatewayPaymentId, method, note } = {}) => {
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: [...OPEN_STATUSES, 'failed'] } },
+    {
+      $set: {
+        status: 'completed',
+        completedAt: new Date(),
+        gatewayTransactionId: gatewayPaymentId || transaction.gatewayTransactionId,
+        paymentMethod: normalizeMethod(method) || transaction.paymentMethod
+      },
+      $push: { statusHistory: { status: 'completed', timestamp: new Date(), note } }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Already completed (or refunded) by an earlier webhook or verification
+    return { transaction: await Transaction.findById(transaction._id), alreadyProcessed: true };
+  }
+
+  let result = {};
+  if (claimed.type === 'subscription') {
+    result = await subscriptionService.processPayment(claimed.subscription, {
+      amount: claimed.amount,
+      currency: claimed.currency,
+      paymentMethod: normalizeMethod(method),
+      gatewayTransactionId: claimed.gatewayTransactionId,
+      status: 'success'
+    });
+  } else if (claimed.orderId) {
+    const order = await Order.findById(claimed.orderId);
+    if (order) await order.refreshPaymentStatus();
+  }
+
+  return { transaction: claimed, alreadyProcessed: false, ...result };
+};
+
+// Move a transaction to failed unless it has already settled
+export const failTransaction = async (transaction, { gatewayPaymentId, reason } = {}) => {
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: OPEN_STATUSES } },
+    {
+      $set: { status: 'failed', gatewayTransactionId: gatewayPaymentId || transaction.gatewayTransactionId },
+      $push: { statusHistory: { status: 'failed', timestamp: new Date(), note: reason } }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { transaction: await Transaction.findById(transaction._id), alreadyProcessed: true };
+  }
+
+  if (claimed.type === 'subscription' && gatewayPaymentId) {
+    const subscription = await Subscription.findById(claimed.subscription);
+    if (subscription) {
+      await subscription.addPayment({
+        transactionId: gatewayPaymentId,
+        amount: claimed.amount,
+        currency: claimed.currency,
+        status: 'failed'
+      });
+    }
+  }
+
+  if (claimed.type === 'subscription') {
+    await couponService.releaseCoupon(claimed.subscription);
+  }
+
+  return { transaction: claimed, alreadyProcessed: false };
+};
+
+// Amounts are compared in paise so repeated partial refunds don't drift
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+
+// What is left to refund on a transaction
+export const getRefundableAmount = (transaction) => {
+  return Math.max(0, toPaise(transaction.amount) - toPaise(transaction.refund?.amount)) / 100;
+};
+
+/**
+ * Record a refund against a completed transaction, once per refund ID
+ * Partial refunds are added to refund.amount and leave the transaction completed. Once the total
+ * reaches the transaction amount it moves to refunded, and a subscription it paid for is cancelled
+ * along with the ad credits it granted.
+ */
+export const applyRefund = async (transaction, { refundId, amount, reason } = {}) => {
+  const refundTransactionId = refundId || `REFUND-${transaction.transactionId}`;
+  const refundAmount = Math.min(amount || getRefundableAmount(transaction), getRefundableAmount(transaction));
+  const refundedAt = new Date();
+
+  const claimed = refundAmount > 0 && await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: 'completed',
+      'refunds.refundTransactionId': { $ne: refundTransactionId }
+    },
+    {
+      $inc: { 'refund.amount': refundAmount },
+      $set: {
+        'refund.reason': reason,
+        'refund.refundedAt': refundedAt,
+        'refund.refundTransactionId': refundTransactionId
+      },
+      $push: { refunds: { amount: refundAmount, reason, refundedAt, refundTransactionId } }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { transaction: await Transaction.findById(transaction._id), alreadyProcessed: true };
+  }
+
+  if (getRefundableAmount(claimed) > 0) {
+    return { transaction: claimed, alreadyProcessed: false, fullyRefunded: false };
+  }
+
+  // Only the refund that completes the total moves the transaction on
+  const refunded = await Transaction.findOneAndUpdate(
+    { _id: claimed._id, status: 'completed' },
+    {
+      $set: { status: 'refunded' },
+      $push: { statusHistory: { status: 'refunded', timestamp: refundedAt, note: reason } }
+    },
+    { new: true }
+  );
+
+  if (!refunded) {
+    return { transaction: claimed, alreadyProcessed: false, fullyRefunded: true };
+  }
+
+  if (refunded.type === 'subscription') {
+    const subscription = await Subscription.findById(refunded.subscription);
+    if (subscription) {
+      const payment = subscription.paymentHistory.find(p => p.transactionId === refunded.gatewayTransactionId);
+      if (payment) payment.status = 'refunded';
+
+      if (subscription.status === 'active') {
+        await subscription.cancel(reason || 'Payment refunded');
+        await adCreditService.revokeSubscriptionCredits(subscription, reason || 'Payment refunded');
+
+        await User.findByIdAndUpdate(subscription.user, {
+          subscriptionTier: 'free',
+          subscriptionExpiry: null
+        });
+      } else {
+        await subscription.save();
+      }
+    }
+  }
+
+  return { transaction: refunded, alreadyProcessed: false, fullyRefunded: true };
+};
+
+// Verify the checkout result the client received from the gateway
+export const verifySubscriptionPayment = async (userId, { subscriptionId, gatewayOrderId, gatewayPaymentId, signature, paymentMethod }) => {
+  try {
+    const transaction = await Transaction.findOne({
+      type: 'subscription',
+      subscription: subscriptionId,
+      gatewayOrderId
+    });
+
+    if (!transaction) {
+      throw new NotFoundError('Payment order not found');
+    }
+
+    if (transaction.buyer.toString() !== userId.toString()) {
+      throw new AuthorizationError('Unauthorized');
+    }
+
+    const gateway = getPaymentGateway(transaction.paymentGateway);
+    const valid = gateway.verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature });
+
+    if (!valid) {
+      throw new ValidationError('Payment verification failed');
+    }
+
+    const result = await completeTransaction(transaction, {
+      gatewayPaymentId,
+      method: paymentMethod,
+      note: 'Verified checkout signature'
+    });
+
+    const subscription = result.subscription || await Subscription.findById(subscriptionId);
+    const user = result.user || await User.findById(userId);
+
+    return { transaction: result.transaction, subscription, user };
+  } catch (error) {
+    console.error('Verify payment error:', error);
+    throw error;
+  }
+};
+
+// Handle a signed webhook from a gateway
+export const handleWebhook = async (gatewayName, rawBody, headers) => {
+  const gateway = getPaymentGateway(gatewayName);
+
+  if (!rawBody || !gateway.verifyWebhookSignature(rawBody, headers)) {
+    throw new AuthenticationError('Invalid webhook signature');
+  }
+
+  const body = JSON.parse(rawBody.toString());
+  const event = gateway.parseWebhookEvent(body, headers);
+
+  if (!event.eventId) {
+    throw new ValidationError('Webhook event has no ID');
+  }
+
+  let record;
+  try {
+    record = await WebhookEvent.create({
+      gateway: gatewayName,
+      eventId: event.eventId,
+      type: event.type,
+      payload: body
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Seen before: only reprocess if the earlier attempt failed
+    record = await WebhookEvent.findOne({ gateway: gatewayName, eventId: event.eventId });
+    if (record.status !== 'failed') {
+      return { duplicate: true, status: record.status };
+    }
+  }
+
+  try {
+    const transaction = event.gatewayOrderId
+      ? await Transaction.findOne({ paymentGateway: gatewayName, gatewayOrderId: event.gatewayOrderId })
+      : await Transaction.findOne({ paymentGateway: gatewayName, gatewayTransactionId: event.gatewayPaymentId });
+
+    if (!transaction) {
+      await record.markOutcome('ignored', { error: 'No matching transaction' });
+      return { duplicate: false, status: 'ignored' };
+    }
+
+    switch (event.type) {
+      case 'payment.captured':
+        await completeTransaction(transaction, {
+          gatewayPaymentId: event.gatewayPaymentId,
+          method: event.method,
+          note: `Webhook ${event.eventId}`
+        });
+        break;
+      case 'payment.failed':
+        await failTransaction(transaction, {
+          gatewayPaymentId: event.gatewayPaymentId,
+          reason: event.errorDescription || 'Payment failed at gateway'
+        });
+        break;
+      case 'refund.processed':
+        await applyRefund(transaction, {
+          refundId: event.refundId,
+          amount: event.amount,
+          reason: 'Refund processed by gateway'
+        });
+        break;
+      default:
+        await record.markOutcome('ignored', { transaction: transaction._id });
+        return { duplicate: false, status: 'ignored' };
+    }
+
+    await record.markOutcome('processed', { transaction: transaction._id });
+    return { duplicate: false, status: 'processed' };
+  } catch (error) {
+    await record.markOutcome('failed', { error: error.message });
+    throw error;
+  }
+};
+
+// Refund a completed transaction through its gateway (admin)
+export const refundTransaction = async (transactionId, { amount, reason } = {}) => {
+  try {
+    const transaction = await Transaction.findById(transactionId);
+
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (transaction.status !== 'completed') {
+      throw new ValidationError('Only completed transactions can be refunded');
+    }
+
+    if (!transaction.paymentGateway || transaction.paymentGateway === 'manual') {
+      throw new ValidationError('Manual payments must be refunded outside the platform');
+    }
+
+    const refundable = getRefundableAmount(transaction);
+    if (refundable <= 0) {
+      throw new ValidationError('This transaction has already been refunded in full');
+    }
+
+    if (amount && amount > refundable) {
+      throw new ValidationError(`Refund amount exceeds the ₹${refundable} left to refund`);
+    }
+
+    const gateway = getPaymentGateway(transaction.paymentGateway);
+    const refund = await gateway.refund({
+      gatewayPaymentId: transaction.gatewayTransactionId,
+      amount: amount || refundable,
+      reason
+    });
+
+    // Some gateways settle refunds asynchronously and confirm via webhook
+    if (refund.status !== 'processed') {
+      return { transaction, refund, pending: true };
+    }
+
+    const result = await applyRefund(transaction, {
+      refundId: refund.refundId,
+      amount: refund.amount || amount || refundable,
+      reason
+    });
+
+    return { transaction: result.transaction, refund, pending: false, fullyRefunded: result.fullyRefunded };
+  } catch (error) {
+    console.error('Refund transaction error:', error);
+    throw error;
+  }
+};
+
+export default {
+  createSubscriptionPaymentOrder,
+  verifySubscriptionPayment,
+  completeTransaction,
+  failTransaction,
+  getRefundableAmount,
+  applyRefund,
+  handleWebhook,
+  refundTransaction
+};
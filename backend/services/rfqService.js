@@ -0,0 +1,349 @@
+import Rfq from '../models/Rfq.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import emailService from './emailService.js';
+import {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError
+} from '../middleware/errorHandler.js';
+
+// Notify the other party about a step in the negotiation
+const notifyParty = async (rfq, recipient, sender, title, message) => {
+  try {
+    await Notification.createNotification({
+      recipient,
+      sender,
+      type: 'product_inquiry',
+      title,
+      message,
+      link: `/rfqs/${rfq._id}`,
+      relatedModel: 'Rfq',
+      relatedId: rfq._id,
+      metadata: {
+        rfqNumber: rfq.rfqNumber,
+        status: rfq.status,
+        product: rfq.product._id || rfq.product
+      }
+    });
+  } catch (error) {
+    console.error('RFQ notification error:', error);
+  }
+};
+
+// Load an RFQ and make sure the user is one of the parties
+const loadRfqForParty = async (userId, rfqId) => {
+  const rfq = await Rfq.findById(rfqId).populate('product', 'name price minOrderQuantity images');
+
+  if (!rfq) {
+    throw new NotFoundError('RFQ not found');
+  }
+
+  const role = rfq.getPartyRole(userId);
+  if (!role) {
+    throw new AuthorizationError('Not authorized to access this RFQ');
+  }
+
+  return { rfq, role };
+};
+
+// Resolve the unit price for a quantity from quoted tiers
+const resolveTierPrice = (tiers = [], quantity) => {
+  const tier = tiers
+    .filter(t => quantity >= t.minQuantity && (!t.maxQuantity || quantity <= t.maxQuantity))
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+  return tier ? tier.price : null;
+};
+
+// Create an RFQ from a product inquiry
+export const createRfq = async (buyerId, productId, data) => {
+  try {
+    const product = await Product.findById(productId).populate('seller', 'displayName email');
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    if (product.seller._id.toString() === buyerId.toString()) {
+      throw new ValidationError('You cannot send an inquiry for your own product');
+    }
+
+    const quantity = data.quantity ? Number(data.quantity) : product.minOrderQuantity;
+
+    const rfq = new Rfq({
+      buyer: buyerId,
+      seller: product.seller._id,
+      product: product._id,
+      quantity,
+      targetPrice: data.targetPrice,
+      deliveryCity: data.deliveryCity,
+      message: data.message
+    });
+
+    await rfq.save();
+
+    product.analytics.inquiries += 1;
+    await product.save();
+
+    const buyer = await User.findById(buyerId).select('displayName businessName');
+    const buyerName = buyer?.businessName || buyer?.displayName || 'A buyer';
+
+    await notifyParty(
+      rfq,
+      product.seller._id,
+      buyerId,
+      'New quotation request',
+      `${buyerName} requested a quote for ${quantity} ${product.price.unit} of ${product.name}`
+    );
+
+    emailService.sendProductInquiryEmail(product.seller, product, {
+      message: data.message,
+      quantity
+    }).catch(error => console.error('RFQ email error:', error));
+
+    return rfq;
+  } catch (error) {
+    console.error('Create RFQ error:', error);
+    throw error;
+  }
+};
+
+// List RFQs for a user's inbox
+export const getInbox = async (userId, { box = 'all', status = 'open', page = 1, limit = 20 } = {}) => {
+  const filters = {};
+  if (status === 'open') {
+    filters.status = { $in: ['open', 'quoted', 'countered'] };
+  } else if (status && status !== 'all') {
+    filters.status = status;
+  }
+
+  const countQuery = { ...filters };
+  if (box === 'received') {
+    countQuery.seller = userId;
+  } else if (box === 'sent') {
+    countQuery.buyer = userId;
+  } else {
+    countQuery.$or = [{ buyer: userId }, { seller: userId }];
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [rfqs, total] = await Promise.all([
+    Rfq.getInbox(userId, box, filters).skip(skip).limit(Number(limit)),
+    Rfq.countDocuments(countQuery)
+  ]);
+
+  return {
+    rfqs,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Get a single RFQ with its quotes
+export const getRfq = async (userId, rfqId) => {
+  const { rfq, role } = await loadRfqForParty(userId, rfqId);
+
+  await rfq.populate([
+    { path: 'buyer', select: 'displayName businessName profilePicture shopLocation.city' },
+    { path: 'seller', select: 'displayName businessName profilePicture shopLocation.city' },
+    { path: 'quotes.by', select: 'displayName businessName' }
+  ]);
+
+  return { rfq, role };
+};
+
+// Submit a quotation (seller) or a counter-offer (either side)
+export const submitQuote = async (userId, rfqId, data) => {
+  try {
+    const { rfq, role } = await loadRfqForParty(userId, rfqId);
+
+    if (!rfq.isOpen()) {
+      throw new ValidationError(`This RFQ is already ${rfq.status}`);
+    }
+
+    if (role === 'buyer' && !rfq.activeQuote) {
+      throw new ValidationError('Wait for the seller to quote before countering');
+    }
+
+    const lastQuote = rfq.activeQuote;
+    if (lastQuote && lastQuote.role === role) {
+      throw new ValidationError('Wait for the other party to respond to your last offer');
+    }
+
+    const quantity = data.quantity ? Number(data.quantity) : (lastQuote?.quantity || rfq.quantity);
+    const pricingTiers = data.pricingTiers || [];
+    const unitPrice = data.unitPrice !== undefined
+      ? Number(data.unitPrice)
+      : resolveTierPrice(pricingTiers, quantity);
+
+    if (unitPrice === null || unitPrice === undefined) {
+      throw new ValidationError('Unit price is required, or a pricing tier must cover the quoted quantity');
+    }
+
+    if (role === 'seller' && !data.validUntil) {
+      throw new ValidationError('Quotation expiry date is required');
+    }
+
+    if (data.validUntil && new Date(data.validUntil) <= new Date()) {
+      throw new ValidationError('Quotation expiry must be in the future');
+    }
+
+    await rfq.addQuote({
+      by: userId,
+      role,
+      quantity,
+      unitPrice,
+      pricingTiers,
+      leadTimeDays: data.leadTimeDays !== undefined ? data.leadTimeDays : lastQuote?.leadTimeDays,
+      terms: data.terms !== undefined ? data.terms : lastQuote?.terms,
+      message: data.message,
+      validUntil: data.validUntil || lastQuote?.validUntil
+    });
+
+    const isCounter = !!lastQuote;
+    await notifyParty(
+      rfq,
+      role === 'seller' ? rfq.buyer : rfq.seller,
+      userId,
+      isCounter ? 'New counter-offer' : 'Quotation received',
+      `${rfq.rfqNumber}: ${quantity} ${rfq.product.price?.unit || 'units'} of ${rfq.product.name} at ₹${unitPrice} per unit`
+    );
+
+    return rfq;
+  } catch (error) {
+    console.error('Submit quote error:', error);
+    throw error;
+  }
+};
+
+// Accept the quote currently on the table and turn it into an order
+export const acceptQuote = async (userId, rfqId) => {
+  try {
+    const { rfq, role } = await loadRfqForParty(userId, rfqId);
+
+    if (!rfq.isOpen()) {
+      throw new ValidationError(`This RFQ is already ${rfq.status}`);
+    }
+
+    const quote = rfq.activeQuote;
+    if (!quote) {
+      throw new ValidationError('There is no quotation to accept yet');
+    }
+
+    if (quote.role === role) {
+      throw new ValidationError('You cannot accept your own offer');
+    }
+
+    if (rfq.isQuoteExpired()) {
+      await rfq.close('expired', 'Quotation expired');
+      throw new ValidationError('This quotation has expired');
+    }
+
+    const product = await Product.findById(rfq.product._id);
+    if (!product || product.status !== 'active') {
+      throw new ValidationError('This product is no longer available');
+    }
+
+    const order = new Order({
+      buyer: rfq.buyer,
+      seller: rfq.seller,
+      rfq: rfq._id,
+      items: [{
+        product: product._id,
+        name: product.name,
+        image: product.primaryImage?.url,
+        unit: product.price.unit,
+        quantity: quote.quantity,
+        unitPrice: quote.unitPrice,
+        hsnCode: product.hsnCode,
+        gstRate: product.gstRate || 0,
+        lineTotal: quote.unitPrice * quote.quantity
+      }],
+      currency: product.price.currency,
+      shippingAddress: rfq.deliveryCity ? { city: rfq.deliveryCity } : undefined,
+      buyerNotes: rfq.message ? rfq.message.substring(0, 500) : undefined,
+      sellerNotes: quote.terms ? quote.terms.substring(0, 500) : undefined
+    });
+
+    await order.save();
+
+    rfq.order = order._id;
+    await rfq.close('accepted');
+
+    await notifyParty(
+      rfq,
+      role === 'seller' ? rfq.buyer : rfq.seller,
+      userId,
+      'Quotation accepted',
+      `${rfq.rfqNumber} was accepted and order ${order.orderNumber} has been placed`
+    );
+
+    return { rfq, order };
+  } catch (error) {
+    console.error('Accept quote error:', error);
+    throw error;
+  }
+};
+
+// Reject the quote on the table and close the RFQ
+export const rejectQuote = async (userId, rfqId, reason) => {
+  const { rfq, role } = await loadRfqForParty(userId, rfqId);
+
+  if (!rfq.isOpen()) {
+    throw new ValidationError(`This RFQ is already ${rfq.status}`);
+  }
+
+  await rfq.close('rejected', reason);
+
+  await notifyParty(
+    rfq,
+    role === 'seller' ? rfq.buyer : rfq.seller,
+    userId,
+    'Quotation declined',
+    `${rfq.rfqNumber} for ${rfq.product.name} was declined${reason ? `: ${reason}` : ''}`
+  );
+
+  return rfq;
+};
+
+// Withdraw an RFQ (buyer only)
+export const cancelRfq = async (userId, rfqId, reason) => {
+  const { rfq, role } = await loadRfqForParty(userId, rfqId);
+
+  if (role !== 'buyer') {
+    throw new AuthorizationError('Only the buyer can withdraw an RFQ');
+  }
+
+  if (!rfq.isOpen()) {
+    throw new ValidationError(`This RFQ is already ${rfq.status}`);
+  }
+
+  await rfq.close('cancelled', reason);
+
+  await notifyParty(
+    rfq,
+    rfq.seller,
+    userId,
+    'Quotation request withdrawn',
+    `${rfq.rfqNumber} for ${rfq.product.name} was withdrawn by the buyer`
+  );
+
+  return rfq;
+};
+
+export default {
+  createRfq,
+  getInbox,
+  getRfq,
+  submitQuote,
+  acceptQuote,
+  rejectQuote,
+  cancelRfq
+};
@@ -0,0 +1,34 @@
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://api.sarvam.ai';
+
+export const isSarvamConfigured = () => Boolean(process.env.SARVAM_API_KEY);
+
+/**
+ * POST to a Sarvam AI endpoint (translation, speech-to-text, text-to-speech) and return the response body
+ * Reads SARVAM_API_KEY and SARVAM_BASE_URL; throws when no key is configured.
+ */
+export const sarvamRequest = async (path, payload, {
+  timeout = 10000,
+  apiKey = process.env.SARVAM_API_KEY,
+  baseUrl = process.env.SARVAM_BASE_URL || DEFAULT_BASE_URL
+} = {}) => {
+  if (!apiKey) {
+    throw new Error('Sarvam API key is not configured');
+  }
+
+  const { data } = await axios.post(`${baseUrl.replace(/\/+$/, '')}${path}`, payload, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    timeout
+  });
+
+  return data;
+};
+
+export default {
+  isSarvamConfigured,
+  sarvamRequest
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { AuthenticationError } from '../middleware/errorHandler.js';
+import { signAccessToken, getAccessError, getAccessTokenTtl } from './tokenService.js';
+
+// Sessions: one per signed-in device. Each holds a refresh token that is replaced on every use.
+// Presenting a refresh token that was already replaced means it leaked (or a client misbehaved),
+// so the whole session is revoked.
+
+// A session not refreshed for this long (REFRESH_TOKEN_TTL_DAYS) expires
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Tabs of one device can refresh at the same moment; the loser of that race
+// is told to retry with the stored token instead of being treated as a replay
+const REUSE_GRACE_MS = 30 * 1000;
+
+// Rotated-out token hashes remembered per session for reuse detection
+const MAX_PREVIOUS_HASHES = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are `<sessionId>.<secret>` so the session can be found without scanning
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return sessionId;
+};
+
+const getExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Where a request comes from, as stored on its session
+const getClientInfo = (req) => ({
+  device: {
+    name: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+    userAgent: req.get('user-agent')?.slice(0, 500)
+  },
+  ipAddress: req.ip
+});
+
+// Tokens handed to the client after sign-in or refresh
+const buildTokens = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: getAccessTokenTtl(),
+  sessionId: session._id
+});
+
+// Start a session for a user who just signed in.
+// Resolves to { token, refreshToken, expiresIn, sessionId }.
+export const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: getExpiry(),
+    ...getClientInfo(req)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return buildTokens(user, session, refreshToken);
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Resolves to { user, token, refreshToken, expiresIn, sessionId }; rejects with an AuthenticationError,
+// which carries `revokedSessionId` when the token was a replay and its session has been revoked.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    throw new AuthenticationError('Invalid refresh token.');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHashes');
+  if (!session) {
+    throw new AuthenticationError('Invalid refresh token.');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  if (session.revokedAt) {
+    throw new AuthenticationError('Session has been signed out.');
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw new AuthenticationError('Session expired.');
+  }
+
+  if (tokenHash !== session.refreshTokenHash) {
+    if (!session.previousTokenHashes.includes(tokenHash)) {
+      throw new AuthenticationError('Invalid refresh token.');
+    }
+
+    const isLatestRotation = session.previousTokenHashes[session.previousTokenHashes.length - 1] === tokenHash;
+    if (isLatestRotation && Date.now() - session.rotatedAt?.getTime() < REUSE_GRACE_MS) {
+      throw new AuthenticationError('Refresh token already used.');
+    }
+
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+    console.warn(`Refresh token reuse detected; revoked session ${session._id} of user ${session.user}`);
+
+    const error = new AuthenticationError('Refresh token reuse detected. Please sign in again.');
+    error.revokedSessionId = session._id.toString();
+    throw error;
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  const accessError = getAccessError(user);
+  if (accessError) throw accessError;
+
+  // Only one request can rotate a given token; a concurrent one finds the hash already changed
+  const nextToken = generateRefreshToken(session._id);
+  const { ipAddress } = getClientInfo(req);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        rotatedAt: new Date(),
+        lastSeenAt: new Date(),
+        expiresAt: getExpiry(),
+        ipAddress
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new AuthenticationError('Refresh token already used.');
+  }
+
+  return { user, ...buildTokens(user, rotated, nextToken) };
+};
+
+// Sign out one of a user's sessions; resolves to false when it was not found or already signed out
+export const revokeSession = async (userId, sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  revokeSession
+};
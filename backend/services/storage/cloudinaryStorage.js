@@ -0,0 +1,85 @@
+import { Readable } from 'stream';
+import path from 'path';
+import { configureCloudinary } from '../../utils/cloudinary.js';
+
+// Cloudinary files audio under its video resource type; anything else that isn't an image is raw
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+const VIDEO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'webm', 'm4a', 'mp4'];
+
+const FOLDER = 'b2b-platform/private';
+
+// Where Cloudinary keeps a key: resource type, public ID and format.
+// Raw files keep their extension in the public ID.
+const locate = (key) => {
+  const extension = path.extname(key).slice(1).toLowerCase();
+  const resourceType = IMAGE_EXTENSIONS.includes(extension)
+    ? 'image'
+    : VIDEO_EXTENSIONS.includes(extension) ? 'video' : 'raw';
+
+  return {
+    resourceType,
+    publicId: `${FOLDER}/${resourceType === 'raw' ? key : key.slice(0, -(extension.length + 1))}`,
+    format: resourceType === 'raw' ? '' : extension
+  };
+};
+
+/**
+ * Cloudinary backend
+ * Uploads as `authenticated` assets, which are only reachable through signed, expiring download URLs.
+ * Uses the account configured in utils/cloudinary.js (CLOUDINARY_*).
+ */
+export const createCloudinaryStorage = ({ client = configureCloudinary() } = {}) => {
+  const assertConfigured = () => {
+    if (!client.config().cloud_name || !client.config().api_secret) {
+      throw new Error('Cloudinary storage is not configured');
+    }
+  };
+
+  return {
+    name: 'cloudinary',
+
+    put(key, buffer) {
+      assertConfigured();
+      const { resourceType, publicId } = locate(key);
+
+      return new Promise((resolve, reject) => {
+        const uploadStream = client.uploader.upload_stream(
+          {
+            public_id: publicId,
+            resource_type: resourceType,
+            type: 'authenticated',
+            overwrite: false
+          },
+          (error, result) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve({ key, size: result.bytes });
+            }
+          }
+        );
+
+        Readable.from(buffer).pipe(uploadStream);
+      });
+    },
+
+    getSignedUrl(key, { expiresIn }) {
+      assertConfigured();
+      const { resourceType, publicId, format } = locate(key);
+
+      return client.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        type: 'authenticated',
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+      });
+    },
+
+    async remove(key) {
+      assertConfigured();
+      const { resourceType, publicId } = locate(key);
+      await client.uploader.destroy(publicId, { resource_type: resourceType, type: 'authenticated' });
+    }
+  };
+};
+
+export default createCloudinaryStorage;
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { createLocalStorage } from './localStorage.js';
+import { createS3Storage } from './s3Storage.js';
+import { createCloudinaryStorage } from './cloudinaryStorage.js';
+
+/**
+ * File storage backend registry
+ *
+ * Every backend exposes the same interface:
+ *   put(key, buffer, { contentType })      -> { key, size }
+ *   getSignedUrl(key, { expiresIn })       -> download URL valid for expiresIn seconds
+ *   remove(key)
+ *
+ * Stored files are recorded in documents as storage references, `storage://<backend>/<key>`, in the
+ * field that used to hold the URL. References are turned into signed URLs whenever they are sent to
+ * a client, so a file can only be fetched by someone the API showed it to, and only for a while.
+ * Keys are `<folder>/<owner user ID>/<random>.<ext>`.
+ */
+export const STORAGE_FOLDERS = ['voice', 'chat', 'verification', 'certifications', 'reviews'];
+
+const REF_PREFIX = 'storage://';
+const KEY_PATTERN = /^[a-z]+\/[a-f0-9]{24}\/[a-z0-9-]+\.[a-z0-9]+$/;
+
+// Download URLs live this long unless STORAGE_URL_TTL_SECONDS says otherwise
+const DEFAULT_URL_TTL_SECONDS = 60 * 60;
+
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/mp4': 'm4a',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'application/pdf': 'pdf'
+};
+
+const factories = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+  cloudinary: createCloudinaryStorage
+};
+
+const instances = new Map();
+
+// Register an additional storage backend (e.g. gcs, azure)
+export const registerStorageBackend = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// Backend new files go to: STORAGE_BACKEND, or local disk when unset
+export const getStorageBackendName = () => process.env.STORAGE_BACKEND || 'local';
+
+// Get a storage backend by name (the configured one by default)
+export const getStorage = (name = getStorageBackendName()) => {
+  if (!factories[name]) {
+    throw new Error(`Unsupported storage backend: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+const getUrlTtl = () => Number(process.env.STORAGE_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+
+export const isStorageRef = (value) => typeof value === 'string' && value.startsWith(REF_PREFIX);
+
+// { backend, key } of a storage reference, or null when it isn't a valid one
+export const parseStorageRef = (value) => {
+  if (!isStorageRef(value)) return null;
+
+  const rest = value.slice(REF_PREFIX.length);
+  const slash = rest.indexOf('/');
+  const backend = rest.slice(0, slash);
+  const key = rest.slice(slash + 1);
+
+  if (slash <= 0 || !KEY_PATTERN.test(key)) return null;
+  return { backend, key };
+};
+
+// Whether a reference points at a file `userId` uploaded into `folder`.
+// References sent by clients must pass this, so nobody can attach someone else's file.
+export const isOwnStorageRef = (value, userId, folder) => {
+  const parsed = parseStorageRef(value);
+  return Boolean(parsed && userId) && parsed.key.startsWith(`${folder}/${userId.toString()}/`);
+};
+
+export const getExtension = (contentType) => EXTENSIONS[String(contentType).split(';')[0].trim().toLowerCase()];
+
+// Store a file on the configured backend; resolves to its storage reference
+export const storeFile = async (buffer, { folder, owner, contentType }) => {
+  if (!STORAGE_FOLDERS.includes(folder)) {
+    throw new Error(`Unknown storage folder: ${folder}`);
+  }
+
+  const extension = getExtension(contentType) || 'bin';
+  const name = `${Date.now().toString(36)}-${crypto.randomBytes(8).toString('hex')}`;
+  const key = `${folder}/${owner.toString()}/${name}.${extension}`;
+  const backend = getStorageBackendName();
+
+  await getStorage(backend).put(key, buffer, { contentType });
+  return `${REF_PREFIX}${backend}/${key}`;
+};
+
+// Signed, expiring download URL for a storage reference.
+// Anything else (external URLs, data URLs, empty values) is returned unchanged.
+export const resolveMediaUrl = (value, { expiresIn = getUrlTtl() } = {}) => {
+  const parsed = parseStorageRef(value);
+  if (!parsed) return value;
+
+  try {
+    return getStorage(parsed.backend).getSignedUrl(parsed.key, { expiresIn });
+  } catch (error) {
+    console.error(`Failed to sign download URL for ${value}:`, error.message);
+    return null;
+  }
+};
+
+// Delete a stored file; other values are ignored
+export const deleteFile = async (value) => {
+  const parsed = parseStorageRef(value);
+  if (!parsed) return;
+  await getStorage(parsed.backend).remove(parsed.key);
+};
+
+const toPlain = (value) => (typeof value?.toObject === 'function' ? value.toObject() : value);
+
+// A chat message's voice and media with download URLs in place of storage references
+export const signMessageMedia = ({ voice, media }) => {
+  const plainVoice = toPlain(voice);
+  const plainMedia = toPlain(media);
+
+  return {
+    voice: plainVoice?.audioUrl ? { ...plainVoice, audioUrl: resolveMediaUrl(plainVoice.audioUrl) } : plainVoice,
+    media: plainMedia?.url
+      ? { ...plainMedia, url: resolveMediaUrl(plainMedia.url), thumbnail: resolveMediaUrl(plainMedia.thumbnail) }
+      : plainMedia
+  };
+};
+
+export default {
+  STORAGE_FOLDERS,
+  registerStorageBackend,
+  getStorageBackendName,
+  getStorage,
+  isStorageRef,
+  parseStorageRef,
+  isOwnStorageRef,
+  getExtension,
+  storeFile,
+  resolveMediaUrl,
+  deleteFile,
+  signMessageMedia
+};
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local disk backend for development and single-server installs
+ * Files live under STORAGE_LOCAL_DIR and are served by GET /api/media/local/<key>,
+ * which only answers URLs signed by this backend that haven't expired.
+ */
+export const createLocalStorage = ({
+  directory = process.env.STORAGE_LOCAL_DIR || path.resolve('uploads'),
+  publicUrl = process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`,
+  secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'fallback_secret_key'
+} = {}) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the storage service, but never let one point outside the root
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(`${root}${path.sep}`)) {
+      throw new Error('Invalid storage key');
+    }
+    return resolved;
+  };
+
+  const signature = (key, expires) => crypto
+    .createHmac('sha256', secret)
+    .update(`${key}:${expires}`)
+    .digest('base64url');
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer, { flag: 'wx' });
+      return { key, size: buffer.length };
+    },
+
+    getSignedUrl(key, { expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ expires: String(expires), signature: signature(key, expires) });
+      return `${publicUrl.replace(/\/+$/, '')}/api/media/local/${key}?${query}`;
+    },
+
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+
+    // --- Used by the download route ---
+
+    // Whether a download URL's expiry and signature are valid for a key
+    verifySignature(key, expires, candidate) {
+      if (!/^\d+$/.test(String(expires)) || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+      const expected = Buffer.from(signature(key, expires));
+      const given = Buffer.from(String(candidate || ''));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    filePath
+  };
+};
+
+export default createLocalStorage;
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { signRequest, presignUrl, encodePath } from './s3Signer.js';
+
+// S3 caps presigned URLs at 7 days
+const MAX_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * S3-compatible backend (AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces, ...)
+ * Objects are private; downloads go through presigned URLs. Set S3_ENDPOINT for non-AWS stores,
+ * which are addressed path-style (<endpoint>/<bucket>/<key>).
+ */
+export const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+} = {}) => {
+  const credentials = { accessKeyId, secretAccessKey, region };
+
+  const objectUrl = (key) => {
+    if (endpoint || forcePathStyle) {
+      const base = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+      return new URL(`${base}/${bucket}/${encodePath(key)}`);
+    }
+    return new URL(`https://${bucket}.s3.${region}.amazonaws.com/${encodePath(key)}`);
+  };
+
+  const assertConfigured = () => {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage is not configured');
+    }
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+      assertConfigured();
+      const url = objectUrl(key);
+      const headers = signRequest({
+        method: 'PUT',
+        url,
+        headers: { 'content-type': contentType },
+        payloadHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+        ...credentials
+      });
+      delete headers.host;
+
+      await axios.put(url.toString(), buffer, { headers, maxBodyLength: Infinity, timeout: 60000 });
+      return { key, size: buffer.length };
+    },
+
+    getSignedUrl(key, { expiresIn }) {
+      assertConfigured();
+      return presignUrl({
+        url: objectUrl(key),
+        expiresIn: Math.min(expiresIn, MAX_URL_TTL_SECONDS),
+        ...credentials
+      });
+    },
+
+    async remove(key) {
+      assertConfigured();
+      const url = objectUrl(key);
+      const headers = signRequest({ method: 'DELETE', url, ...credentials });
+      delete headers.host;
+
+      await axios.delete(url.toString(), { headers, timeout: 15000 });
+    }
+  };
+};
+
+export default createS3Storage;
@@ -1,6 +1,8 @@
 import User from '../models/User.js';
 import Subscription from '../models/Subscription.js';
+import Notification from '../models/Notification.js';
 import emailService from './emailService.js';
+import adCreditService from './adCreditService.js';
 
 // Subscription plans configuration
 export const SUBSCRIPTION_PLANS = {
@@ -119,6 +121,15 @@ export const processPayment = async (subscriptionId, paymentData) => {
     const subscription = await Subscription.findById(subscriptionId);
     if (!subscription) throw new Error('Subscription not found');
 
+    // The same gateway payment can arrive via checkout verification and webhook
+    const alreadyRecorded = subscription.paymentHistory.some(
+      p => p.transactionId && p.transactionId === paymentData.gatewayTransactionId && p.status === 'success'
+    );
+    if (alreadyRecorded) {
+      const user = await User.findById(subscription.user);
+      return { success: true, subscription, user };
+    }
+
     const payment = {
       transactionId: paymentData.gatewayTransactionId,
       amount: paymentData.amount,
@@ -137,15 +148,13 @@ export const processPayment = async (subscriptionId, paymentData) => {
     user.subscriptionTier = subscription.tier;
     user.subscriptionExpiry = subscription.endDate;
 
-    // Add ad credits based on plan
-    const plan = SUBSCRIPTION_PLANS[subscription.tier];
-    if (plan.features.adCreditsPerMonth) {
-      user.adCredits += plan.features.adCreditsPerMonth;
-    }
-
     await user.save();
 
-    // Send confirmation email
+    // Grant this month's ad credits through the ledger (the monthly job grants the rest)
+    const plan = SUBSCRIPTION_PLANS[subscription.tier];
+    await adCreditService.grantCurrentPeriodCredits(subscription);
+
+    // Send confirmation email (payment is already recorded, so don't fail on email errors)
     await emailService.sendEmail({
       to: user.email,
       subject: 'Subscription Activated - WholeSale Connect',
@@ -162,7 +171,7 @@ export const processPayment = async (subscriptionId, paymentData) => {
         </ul>
         <p>Thank you for choosing WholeSale Connect!</p>
       `
-    });
+    }).catch(emailError => console.error('Subscription confirmation email error:', emailError));
 
     return { success: true, subscription, user };
   } catch (error) {
@@ -218,6 +227,15 @@ export const checkExpiredSubscriptions = async () => {
 
       const user = await User.findById(subscription.user);
       if (user) {
+        // A paid renewal (or another plan) takes over instead of dropping to free
+        const nextSubscription = await Subscription.getActiveSubscription(user._id);
+        if (nextSubscription) {
+          user.subscriptionTier = nextSubscription.tier;
+          user.subscriptionExpiry = nextSubscription.endDate;
+          await user.save();
+          continue;
+        }
+
         user.subscriptionTier = 'free';
         user.subscriptionExpiry = null;
         await user.save();
@@ -233,7 +251,7 @@ export const checkExpiredSubscriptions = async () => {
             <p>Renew now to continue enjoying premium features!</p>
             <a href="${process.env.FRONTEND_URL}/subscription">Renew Subscription</a>
           `
-        });
+        }).catch(emailError => console.error('Subscription expiry email error:', emailError));
       }
     }
 
@@ -244,11 +262,74 @@ export const checkExpiredSubscriptions = async () => {
   }
 };
 
+// Create pending renewals for auto-renewing subscriptions that end soon (run as cron job).
+// The user is asked to pay for the renewal; it starts where the current period ends.
+export const processAutoRenewals = async (noticeDays = 3) => {
+  try {
+    const now = new Date();
+    const dueSubscriptions = await Subscription.find({
+      status: 'active',
+      autoRenew: true,
+      tier: { $ne: 'free' },
+      endDate: { $gt: now, $lte: new Date(now.getTime() + noticeDays * 24 * 60 * 60 * 1000) }
+    });
+
+    let renewalsCreated = 0;
+
+    for (const subscription of dueSubscriptions) {
+      const existingRenewal = await Subscription.exists({ renewalOf: subscription._id });
+      if (existingRenewal) continue;
+
+      const renewal = await createSubscription(subscription.user, subscription.tier, subscription.billingCycle);
+      const duration = renewal.endDate.getTime() - renewal.startDate.getTime();
+
+      renewal.startDate = subscription.endDate;
+      renewal.endDate = new Date(subscription.endDate.getTime() + duration);
+      renewal.renewalOf = subscription._id;
+      renewal.autoRenew = true;
+      await renewal.save();
+      renewalsCreated++;
+
+      const plan = SUBSCRIPTION_PLANS[subscription.tier];
+
+      await Notification.createNotification({
+        recipient: subscription.user,
+        type: 'system',
+        title: 'Subscription renewal due',
+        message: `Your ${plan.name} plan renews on ${subscription.endDate.toLocaleDateString()}. Complete the payment of ₹${renewal.amount} to keep your benefits.`,
+        link: '/subscription',
+        priority: 'high'
+      });
+
+      const user = await User.findById(subscription.user);
+      if (user) {
+        await emailService.sendEmail({
+          to: user.email,
+          subject: 'Subscription Renewal Due - WholeSale Connect',
+          html: `
+            <h2>Your subscription renews soon</h2>
+            <p>Hi ${user.displayName},</p>
+            <p>Your ${plan.name} plan ends on ${subscription.endDate.toLocaleDateString()}.</p>
+            <p>We've prepared your renewal of ₹${renewal.amount}. Complete the payment to continue without interruption.</p>
+            <a href="${process.env.FRONTEND_URL}/subscription">Renew Now</a>
+          `
+        }).catch(emailError => console.error('Subscription renewal email error:', emailError));
+      }
+    }
+
+    return { dueCount: dueSubscriptions.length, renewalsCreated };
+  } catch (error) {
+    console.error('Process auto renewals error:', error);
+    throw error;
+  }
+};
+
 export default {
   getPlans,
   createSubscription,
   processPayment,
   cancelSubscription,
   checkExpiredSubscriptions,
+  processAutoRenewals,
   SUBSCRIPTION_PLANS
 };
@@ -0,0 +1,285 @@
+import User from '../models/User.js';
+import FriendRequest from '../models/FriendRequest.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { distanceKm, hasCoordinates } from '../utils/geo.js';
+
+// "People you may know": candidates come from friends of friends, shared communities, nearby shops
+// and trade partners, then are scored on every signal at once so one strong signal doesn't hide the rest.
+
+export const DEFAULT_LIMIT = 10;
+export const MAX_LIMIT = 30;
+
+// Candidates taken from each source before scoring
+const POOL_SIZE = 50;
+
+// Shops further apart than this get no distance score
+const NEARBY_RADIUS_KM = 100;
+
+// Business types that buy from or sell to each other along the supply chain
+const TRADE_PARTNERS = [
+  ['manufacturer', 'wholesaler'],
+  ['manufacturer', 'distributor'],
+  ['manufacturer', 'supplier'],
+  ['manufacturer', 'trader'],
+  ['wholesaler', 'distributor'],
+  ['wholesaler', 'retailer'],
+  ['distributor', 'retailer'],
+  ['trader', 'retailer']
+];
+
+// Points per signal; counted signals are capped so one of them can't decide the ranking alone
+const WEIGHTS = {
+  mutualConnection: 3,
+  maxMutualConnections: 5,
+  sharedCommunity: 2,
+  maxSharedCommunities: 3,
+  nearby: 4,
+  sameCity: 2,
+  tradePartner: 3,
+  commonCategory: 1,
+  maxCommonCategories: 3
+};
+
+// Request statuses that rule a user out: already connected, waiting on an answer, or turned down
+const EXCLUDED_REQUEST_STATUSES = ['pending', 'accepted', 'rejected'];
+
+const SUGGESTION_FIELDS = 'displayName businessName profilePicture businessType categories isVerified trustScore ' +
+  'shopLocation.city shopLocation.state shopLocation.coordinates communities.community privacySettings.showLocation';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Business types that trade with `businessType`
+export const getTradePartnerTypes = (businessType) => TRADE_PARTNERS
+  .filter(pair => pair.includes(businessType))
+  .map(([a, b]) => (a === businessType ? b : a));
+
+// Score one candidate from its signals.
+// Returns { score, reasons }, with the reasons in the order shown to the user.
+export const scoreSuggestion = ({
+  mutualConnections = 0,
+  sharedCommunities = 0,
+  distance = null,
+  showDistance = true,
+  sameCity = false,
+  city,
+  businessType,
+  viewerBusinessType,
+  commonCategories = []
+}) => {
+  let score = 0;
+  const reasons = [];
+
+  if (mutualConnections > 0) {
+    score += Math.min(mutualConnections, WEIGHTS.maxMutualConnections) * WEIGHTS.mutualConnection;
+    reasons.push(plural(mutualConnections, 'mutual connection'));
+  }
+
+  if (sharedCommunities > 0) {
+    score += Math.min(sharedCommunities, WEIGHTS.maxSharedCommunities) * WEIGHTS.sharedCommunity;
+    reasons.push(sharedCommunities === 1
+      ? 'Member of one of your communities'
+      : `Member of ${sharedCommunities} of your communities`);
+  }
+
+  if (distance !== null && distance <= NEARBY_RADIUS_KM) {
+    score += WEIGHTS.nearby * (1 - distance / NEARBY_RADIUS_KM);
+    if (!showDistance) {
+      reasons.push('Near you');
+    } else {
+      reasons.push(distance < 1 ? 'Less than 1 km away' : `${Math.round(distance)} km away`);
+    }
+  } else if (distance === null && sameCity) {
+    score += WEIGHTS.sameCity;
+    reasons.push(`Same location: ${city}`);
+  }
+
+  if (businessType && getTradePartnerTypes(viewerBusinessType).includes(businessType)) {
+    score += WEIGHTS.tradePartner;
+    reasons.push(`${capitalize(businessType)} — trades with ${viewerBusinessType}s like you`);
+  }
+
+  if (commonCategories.length > 0) {
+    score += Math.min(commonCategories.length, WEIGHTS.maxCommonCategories) * WEIGHTS.commonCategory;
+    reasons.push(`Similar business: ${commonCategories.join(', ')}`);
+  }
+
+  return { score, reasons };
+};
+
+// Users never suggested: the viewer, their connections, and anyone with an open, accepted or rejected request either way
+const getExcludedIds = async (user) => {
+  const requests = await FriendRequest.find({
+    $or: [{ from: user._id }, { to: user._id }],
+    status: { $in: EXCLUDED_REQUEST_STATUSES }
+  }).select('from to').lean();
+
+  const ids = new Map([[user._id.toString(), user._id]]);
+  for (const friend of user.friends || []) {
+    if (friend.user) ids.set(friend.user.toString(), friend.user);
+  }
+  for (const request of requests) {
+    const other = request.from.equals(user._id) ? request.to : request.from;
+    ids.set(other.toString(), other);
+  }
+  return [...ids.values()];
+};
+
+// Mutual connection counts for friends of the viewer's friends, by user ID.
+// Same definition as FriendRequest.getMutualConnections, computed for every candidate in one query.
+const countMutualConnections = async (friendIds, excludedIds) => {
+  if (friendIds.length === 0) return new Map();
+
+  const rows = await User.aggregate([
+    { $match: { _id: { $in: friendIds } } },
+    { $unwind: '$friends' },
+    { $match: { 'friends.user': { $nin: excludedIds } } },
+    { $group: { _id: '$friends.user', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// Members of the viewer's communities, those sharing the most communities first
+const findCommunityPeers = (communityIds, filter) => {
+  if (communityIds.length === 0) return [];
+
+  return User.aggregate([
+    { $match: { ...filter, 'communities.community': { $in: communityIds } } },
+    { $project: { shared: { $size: { $setIntersection: ['$communities.community', communityIds] } } } },
+    { $sort: { shared: -1 } },
+    { $limit: POOL_SIZE }
+  ]);
+};
+
+// Shops near the viewer's shop by the 2dsphere index, or in the same city when the viewer has no coordinates
+const findNearby = (user, filter) => {
+  const { geo, city } = user.shopLocation || {};
+
+  if (geo?.coordinates?.length === 2) {
+    return User.aggregate([
+      {
+        $geoNear: {
+          near: geo,
+          key: 'shopLocation.geo',
+          distanceField: 'distance',
+          maxDistance: NEARBY_RADIUS_KM * 1000,
+          spherical: true,
+          query: filter
+        }
+      },
+      { $limit: POOL_SIZE },
+      { $project: { _id: 1 } }
+    ]);
+  }
+
+  if (!city) return [];
+  return User.find({ ...filter, 'shopLocation.city': city }).select('_id').limit(POOL_SIZE).lean();
+};
+
+// Trade partners and businesses dealing in the same categories, most trusted first
+const findBusinessMatches = (user, filter) => {
+  const partnerTypes = getTradePartnerTypes(user.businessType);
+  const clauses = [];
+  if (partnerTypes.length > 0) clauses.push({ businessType: { $in: partnerTypes } });
+  if (user.categories?.length > 0) clauses.push({ categories: { $in: user.categories } });
+  if (clauses.length === 0) return [];
+
+  return User.find({ ...filter, $or: clauses })
+    .sort({ trustScore: -1 })
+    .select('_id')
+    .limit(POOL_SIZE)
+    .lean();
+};
+
+// Ranked friend suggestions for a user, each with the `suggestionReasons` behind it
+export const getSuggestions = async (userId, { limit = DEFAULT_LIMIT } = {}) => {
+  const user = await User.findById(userId)
+    .select('friends communities categories businessType shopLocation')
+    .lean();
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const excludedIds = await getExcludedIds(user);
+  const filter = {
+    _id: { $nin: excludedIds },
+    isActive: true,
+    isBanned: { $ne: true },
+    onboardingCompleted: true
+  };
+
+  const friendIds = (user.friends || []).map(friend => friend.user).filter(Boolean);
+  const communityIds = (user.communities || []).map(membership => membership.community).filter(Boolean);
+
+  const [mutualCounts, communityPeers, nearby, businessMatches] = await Promise.all([
+    countMutualConnections(friendIds, excludedIds),
+    findCommunityPeers(communityIds, filter),
+    findNearby(user, filter),
+    findBusinessMatches(user, filter)
+  ]);
+
+  const candidateIds = new Set([
+    ...[...mutualCounts.keys()].slice(0, POOL_SIZE),
+    ...[...communityPeers, ...nearby, ...businessMatches].map(candidate => candidate._id.toString())
+  ]);
+  if (candidateIds.size === 0) return [];
+
+  const candidates = await User.find({ ...filter, _id: { $in: [...candidateIds] } })
+    .select(SUGGESTION_FIELDS)
+    .lean();
+
+  const viewerCommunities = new Set(communityIds.map(String));
+  const viewerCategories = new Set(user.categories || []);
+  const viewerLocation = user.shopLocation || {};
+
+  const ranked = candidates.map(candidate => {
+    const location = candidate.shopLocation || {};
+    const hasDistance = hasCoordinates(viewerLocation.coordinates) && hasCoordinates(location.coordinates);
+    const mutualConnections = mutualCounts.get(candidate._id.toString()) || 0;
+
+    const { score, reasons } = scoreSuggestion({
+      mutualConnections,
+      sharedCommunities: (candidate.communities || [])
+        .filter(membership => viewerCommunities.has(String(membership.community))).length,
+      distance: hasDistance ? distanceKm(viewerLocation.coordinates, location.coordinates) : null,
+      showDistance: (candidate.privacySettings?.showLocation || 'public') === 'public',
+      sameCity: Boolean(location.city) && location.city === viewerLocation.city,
+      city: location.city,
+      businessType: candidate.businessType,
+      viewerBusinessType: user.businessType,
+      commonCategories: (candidate.categories || []).filter(category => viewerCategories.has(category))
+    });
+
+    return {
+      _id: candidate._id,
+      displayName: candidate.displayName,
+      businessName: candidate.businessName,
+      profilePicture: candidate.profilePicture,
+      businessType: candidate.businessType,
+      categories: candidate.categories,
+      isVerified: candidate.isVerified,
+      shopLocation: { city: location.city, state: location.state },
+      mutualConnectionsCount: mutualConnections,
+      suggestionScore: Math.round(score * 100) / 100,
+      suggestionReasons: reasons,
+      trustScore: candidate.trustScore || 0
+    };
+  });
+
+  return ranked
+    .filter(suggestion => suggestion.suggestionScore > 0)
+    .sort((a, b) => b.suggestionScore - a.suggestionScore || b.trustScore - a.trustScore)
+    .slice(0, limit)
+    .map(({ trustScore, ...suggestion }) => suggestion);
+};
+
+export default {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getTradePartnerTypes,
+  scoreSuggestion,
+  getSuggestions
+};
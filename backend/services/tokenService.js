@@ -0,0 +1,216 @@
+import jwt from 'jsonwebtoken';
+import admin from 'firebase-admin';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { AuthenticationError } from '../middleware/errorHandler.js';
+
+// Token verification shared by the REST `auth` middleware and the Socket.IO handshake.
+// Firebase ID tokens are accepted when Firebase Admin is configured (production);
+// our own JWTs are accepted everywhere.
+
+// Initialize Firebase Admin SDK
+const serviceAccount = {
+  // This would normally be loaded from environment variables
+  type: "service_account",
+  project_id: process.env.FIREBASE_PROJECT_ID,
+  private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
+  private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  client_email: process.env.FIREBASE_CLIENT_EMAIL,
+  client_id: process.env.FIREBASE_CLIENT_ID,
+  auth_uri: "https://accounts.google.com/o/oauth2/auth",
+  token_uri: "https://oauth2.googleapis.com/token",
+  auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
+  client_x509_cert_url: process.env.FIREBASE_CLIENT_CERT_URL
+};
+
+if (!admin.apps.length && process.env.NODE_ENV === 'production') {
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: process.env.FIREBASE_DATABASE_URL
+  });
+}
+
+export const TOKEN_PROVIDERS = ['firebase', 'jwt'];
+
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens (see sessionService)
+export const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Lifetime of the interim token between the password step and the second-factor step of a login
+const TWO_FACTOR_TOKEN_TTL = '5m';
+
+// How often a session's lastSeenAt is written while its access tokens are in use
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback_secret_key';
+
+// Sign an access token for a user, tied to the session it was issued for
+export const signAccessToken = (user, sessionId, { secret = getJwtSecret(), expiresIn = getAccessTokenTtl() } = {}) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, sid: sessionId },
+    secret,
+    { expiresIn }
+  );
+};
+
+// Firebase Auth, or null when Firebase isn't set up for this environment
+const getFirebaseAuth = () => {
+  if (process.env.NODE_ENV !== 'production' || admin.apps.length === 0) return null;
+  return admin.auth();
+};
+
+// Interim token proving the first login step passed; it is not an access token
+export const signTwoFactorToken = (user, { secret = getJwtSecret() } = {}) => {
+  return jwt.sign(
+    { userId: user._id, purpose: 'two_factor' },
+    secret,
+    { expiresIn: TWO_FACTOR_TOKEN_TTL }
+  );
+};
+
+// Resolves to the user ID an interim token was issued for; rejects with an AuthenticationError
+export const verifyTwoFactorToken = async (token, { secret = getJwtSecret() } = {}) => {
+  try {
+    const claims = jwt.verify(token, secret);
+    if (claims.purpose !== 'two_factor') throw new Error('Wrong token purpose');
+    return claims.userId;
+  } catch (error) {
+    throw new AuthenticationError(
+      error.name === 'TokenExpiredError' ? 'Verification timed out. Please sign in again.' : 'Invalid verification token.'
+    );
+  }
+};
+
+// Verify a token's signature and expiry.
+// Resolves to { provider, subject, expiresAt, claims }; subject is the Firebase UID or our user ID.
+export const verifyToken = async (token, { firebaseAuth = getFirebaseAuth(), secret = getJwtSecret() } = {}) => {
+  if (!token) {
+    throw new AuthenticationError('Access denied. No token provided.');
+  }
+
+  // First try to verify as Firebase token
+  if (firebaseAuth) {
+    try {
+      const claims = await firebaseAuth.verifyIdToken(token);
+      return {
+        provider: 'firebase',
+        subject: claims.uid,
+        expiresAt: new Date(claims.exp * 1000),
+        claims
+      };
+    } catch (firebaseError) {
+      // Not a Firebase token; fall through to JWT
+    }
+  }
+
+  try {
+    // Fallback to JWT token for development or email auth
+    const claims = jwt.verify(token, secret);
+    // Purpose-bound tokens (such as the interim login token) never grant access
+    if (claims.purpose) throw new jwt.JsonWebTokenError('Not an access token');
+    return {
+      provider: 'jwt',
+      subject: claims.userId,
+      expiresAt: claims.exp ? new Date(claims.exp * 1000) : null,
+      claims
+    };
+  } catch (jwtError) {
+    throw new AuthenticationError(
+      jwtError.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.'
+    );
+  }
+};
+
+// Load the account a verified token belongs to
+export const findTokenUser = ({ provider, subject }) => {
+  const query = provider === 'firebase'
+    ? User.findOne({ firebaseUid: subject })
+    : User.findById(subject);
+  return query.select('-password');
+};
+
+// Load the session an access token was issued for, marking it as recently used
+export const findTokenSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+
+  if (session?.isActive() && Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_MS) {
+    Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() })
+      .catch(error => console.error('Failed to update session activity:', error));
+  }
+
+  return session;
+};
+
+// Why an account may not sign in, or null when it may.
+// accountBlocked marks errors that should also end the user's open sessions.
+export const getAccessError = (user) => {
+  if (!user) {
+    return new AuthenticationError('User not found.');
+  }
+
+  if (!user.isActive) {
+    const error = new AuthenticationError('Account is deactivated.');
+    error.accountBlocked = true;
+    return error;
+  }
+
+  if (user.isBanned) {
+    const error = new AuthenticationError('Account is banned.');
+    error.reason = user.banReason;
+    error.accountBlocked = true;
+    return error;
+  }
+
+  return null;
+};
+
+// Verify a token and load its active, unbanned user. Tokens issued for a session stop working once
+// that session is signed out, even before they expire. Firebase tokens are refused for 2FA accounts.
+// Resolves to { user, provider, expiresAt, sessionId }; rejects with an AuthenticationError.
+export const authenticateToken = async (token, {
+  findUser = findTokenUser,
+  findSession = findTokenSession,
+  ...verifyOptions
+} = {}) => {
+  const verified = await verifyToken(token, verifyOptions);
+  const sessionId = verified.provider === 'jwt' ? verified.claims.sid : undefined;
+
+  if (sessionId) {
+    const session = await findSession(sessionId);
+    if (!session || !session.isActive()) {
+      const error = new AuthenticationError('Session has been signed out.');
+      error.sessionRevoked = true;
+      throw error;
+    }
+  }
+
+  const user = await findUser(verified);
+
+  const accessError = getAccessError(user);
+  if (accessError) throw accessError;
+
+  // A Firebase ID token only proves the first factor; accounts with 2FA must use the session
+  // tokens issued by /login/2fa
+  if (verified.provider === 'firebase' && user.twoFactorEnabled) {
+    throw new AuthenticationError('Two-factor verification required.');
+  }
+
+  return {
+    user,
+    provider: verified.provider,
+    expiresAt: verified.expiresAt,
+    sessionId: sessionId?.toString()
+  };
+};
+
+export default {
+  TOKEN_PROVIDERS,
+  getAccessTokenTtl,
+  signAccessToken,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  verifyToken,
+  findTokenUser,
+  findTokenSession,
+  getAccessError,
+  authenticateToken
+};
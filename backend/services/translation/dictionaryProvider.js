@@ -0,0 +1,72 @@
+import { detectLanguage } from './languages.js';
+
+// Phrases the offline provider knows, by language pair
+const DEFAULT_PHRASES = {
+  'english-hindi': {
+    'hello': 'नमस्ते',
+    'good morning': 'शुभ प्रभात',
+    'thank you': 'धन्यवाद',
+    'how are you': 'आप कैसे हैं',
+    'what is your name': 'आपका नाम क्या है',
+    'price': 'कीमत',
+    'available': 'उपलब्ध',
+    'delivery': 'डिलीवरी'
+  },
+  'hindi-english': {
+    'नमस्ते': 'hello',
+    'शुभ प्रभात': 'good morning',
+    'धन्यवाद': 'thank you',
+    'आप कैसे हैं': 'how are you',
+    'आपका नाम क्या है': 'what is your name',
+    'कीमत': 'price',
+    'उपलब्ध': 'available',
+    'डिलीवरी': 'delivery'
+  }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Offline dictionary translator for development and tests
+ * Replaces the phrases it knows and marks everything else with the target language,
+ * e.g. "[HINDI] MOQ 100 pcs". Never calls out, never costs anything.
+ */
+export const createDictionaryTranslationProvider = ({ phrases = DEFAULT_PHRASES } = {}) => {
+  const calls = [];
+
+  return {
+    name: 'dictionary',
+
+    async translate({ text, sourceLanguage, targetLanguage }) {
+      const source = sourceLanguage === 'auto' ? detectLanguage(text) : sourceLanguage;
+      calls.push({ text, sourceLanguage, targetLanguage });
+
+      // Longest phrases first so "good morning" wins over "morning"
+      const known = Object.entries(phrases[`${source}-${targetLanguage}`] || {})
+        .sort(([a], [b]) => b.length - a.length);
+
+      let translated = text;
+      let matched = false;
+      for (const [phrase, replacement] of known) {
+        const pattern = new RegExp(escapeRegExp(phrase), 'gi');
+        if (pattern.test(translated)) {
+          translated = translated.replace(pattern, replacement);
+          matched = true;
+        }
+      }
+
+      return matched
+        ? { text: translated, sourceLanguage: source, confidence: 0.8 }
+        : { text: `[${targetLanguage.toUpperCase()}] ${text}`, sourceLanguage: source, confidence: 0.5 };
+    },
+
+    // --- Helpers for tests ---
+
+    // Texts sent to the provider, oldest first
+    get calls() {
+      return [...calls];
+    }
+  };
+};
+
+export default createDictionaryTranslationProvider;
@@ -0,0 +1,53 @@
+import { createSarvamTranslationProvider } from './sarvamProvider.js';
+import { createDictionaryTranslationProvider } from './dictionaryProvider.js';
+
+/**
+ * Translation provider registry
+ *
+ * Every adapter exposes the same interface:
+ *   translate({ text, sourceLanguage, targetLanguage })  -> { text, sourceLanguage, confidence }
+ *
+ * Languages are names from ./languages.js; sourceLanguage may be 'auto', in which case the adapter
+ * returns the language it detected. Adapters throw when the provider fails.
+ */
+const factories = {
+  sarvam: createSarvamTranslationProvider,
+  dictionary: createDictionaryTranslationProvider
+};
+
+const instances = new Map();
+
+// Register an additional provider adapter (e.g. google, bhashini)
+export const registerTranslationProvider = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// TRANSLATION_PROVIDER, else Sarvam when it has a key, else the offline dictionary
+export const getTranslationProviderName = () => {
+  if (process.env.TRANSLATION_PROVIDER) return process.env.TRANSLATION_PROVIDER;
+  return (process.env.SARVAM_API_KEY || process.env.NODE_ENV === 'production') ? 'sarvam' : 'dictionary';
+};
+
+// Get the configured provider adapter
+export const getTranslationProvider = (name = getTranslationProviderName()) => {
+  if (!factories[name]) {
+    throw new Error(`Unsupported translation provider: ${name}`);
+  }
+
+  if (name === 'dictionary' && process.env.NODE_ENV === 'production') {
+    throw new Error('Dictionary translation provider is disabled in production');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+export default {
+  registerTranslationProvider,
+  getTranslationProviderName,
+  getTranslationProvider
+};
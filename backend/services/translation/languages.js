@@ -0,0 +1,57 @@
+// Languages the platform translates between, with their BCP-47 codes
+export const LANGUAGE_CODES = {
+  'hindi': 'hi-IN',
+  'english': 'en-IN',
+  'tamil': 'ta-IN',
+  'telugu': 'te-IN',
+  'kannada': 'kn-IN',
+  'malayalam': 'ml-IN',
+  'marathi': 'mr-IN',
+  'gujarati': 'gu-IN',
+  'bengali': 'bn-IN',
+  'punjabi': 'pa-IN'
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_CODES);
+
+// Reverse mapping
+export const LANGUAGE_NAMES = Object.fromEntries(
+  Object.entries(LANGUAGE_CODES).map(([name, code]) => [code, name])
+);
+
+const NATIVE_NAMES = {
+  'hindi': 'हिंदी',
+  'english': 'English',
+  'tamil': 'தமிழ்',
+  'telugu': 'తెలుగు',
+  'kannada': 'ಕನ್ನಡ',
+  'malayalam': 'മലയാളം',
+  'marathi': 'मराठी',
+  'gujarati': 'ગુજરાતી',
+  'bengali': 'বাংলা',
+  'punjabi': 'ਪੰਜਾਬੀ'
+};
+
+export const getNativeName = (language) => NATIVE_NAMES[language] || language;
+
+// Language from the script the text is written in; Latin script counts as English
+export const detectLanguage = (text) => {
+  if (/[\u0900-\u097F]/.test(text)) return 'hindi';
+  if (/[\u0B80-\u0BFF]/.test(text)) return 'tamil';
+  if (/[\u0C00-\u0C7F]/.test(text)) return 'telugu';
+  if (/[\u0C80-\u0CFF]/.test(text)) return 'kannada';
+  if (/[\u0D00-\u0D7F]/.test(text)) return 'malayalam';
+  if (/[\u0A80-\u0AFF]/.test(text)) return 'gujarati';
+  if (/[\u0980-\u09FF]/.test(text)) return 'bengali';
+  if (/[\u0A00-\u0A7F]/.test(text)) return 'punjabi';
+
+  return 'english';
+};
+
+export default {
+  LANGUAGE_CODES,
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_NAMES,
+  getNativeName,
+  detectLanguage
+};
@@ -0,0 +1,32 @@
+import { sarvamRequest } from '../sarvamClient.js';
+import { LANGUAGE_CODES, LANGUAGE_NAMES } from './languages.js';
+
+/**
+ * Sarvam AI translation adapter (POST /translate)
+ * Uses the key and base URL from services/sarvamClient.js (SARVAM_API_KEY, SARVAM_BASE_URL).
+ */
+export const createSarvamTranslationProvider = ({ mode = process.env.SARVAM_TRANSLATION_MODE || 'formal' } = {}) => ({
+  name: 'sarvam',
+
+  async translate({ text, sourceLanguage, targetLanguage }) {
+    const data = await sarvamRequest('/translate', {
+      input: text,
+      source_language_code: sourceLanguage === 'auto' ? 'auto' : LANGUAGE_CODES[sourceLanguage],
+      target_language_code: LANGUAGE_CODES[targetLanguage],
+      speaker_gender: 'Male',
+      mode
+    });
+
+    if (!data?.translated_text) {
+      throw new Error('Invalid Sarvam translation response');
+    }
+
+    return {
+      text: data.translated_text,
+      sourceLanguage: LANGUAGE_NAMES[data.source_language_code] || LANGUAGE_NAMES[data.detected_language_code] || sourceLanguage,
+      confidence: data.confidence || 0.9
+    };
+  }
+});
+
+export default createSarvamTranslationProvider;
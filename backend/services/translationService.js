@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import TranslationMemory from '../models/TranslationMemory.js';
+import GlossaryTerm from '../models/GlossaryTerm.js';
+import { ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { getTranslationProvider } from './translation/index.js';
+import { SUPPORTED_LANGUAGES, detectLanguage } from './translation/languages.js';
+
+// Translation goes glossary -> translation memory -> provider. Glossary terms are swapped for
+// numbered placeholders before anything else, so "MOQ 100 pcs" and "MOQ 250 pcs" stay distinct
+// but "GST extra" and "gst  extra" share one memory entry and are only ever billed once.
+
+// Textile and trade terms kept as written in every language; admins add more as GlossaryTerm documents
+export const DEFAULT_GLOSSARY = [
+  'MOQ', 'GST', 'GSM', 'HSN', 'FOB', 'COD', 'pcs', 'kg',
+  'Lycra', 'Spandex', 'Tencel', 'Modal', 'denier', 'rayon', 'viscose',
+  'khadi', 'zari', 'ikat', 'bandhani', 'chikankari', 'kalamkari', 'jacquard', 'dobby',
+  'Banarasi', 'Kanjivaram', 'Kanjeevaram', 'Chanderi', 'Paithani', 'Patola', 'Pochampally',
+  'georgette', 'chiffon', 'organza'
+];
+
+// Cache misses translated at once when a reader opens a page of messages or comments
+const BATCH_CONCURRENCY = 5;
+
+// How long admin-added glossary terms are reused before the collection is read again
+const GLOSSARY_CACHE_MS = 5 * 60 * 1000;
+
+const PLACEHOLDER = /\{\{\s*([0-9०-९০-৯੦-੯૦-૯௦-௯౦-౯೦-೯൦-൯]+)\s*\}\}/g;
+
+let glossaryCache = null;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Providers sometimes write the placeholder number in the target script (e.g. {{१}}); every
+// Indic digit block starts at ...6, so the digit is the offset from there
+const parseDigits = (digits) => Number([...digits]
+  .map(ch => (/[0-9]/.test(ch) ? ch : String(ch.charCodeAt(0) - ((ch.charCodeAt(0) & 0xfff0) + 6))))
+  .join(''));
+
+// Memory key text: Unicode-normalised, whitespace collapsed, case folded
+export const normalizeText = (text) => text.normalize('NFC').replace(/\s+/g, ' ').trim().toLowerCase();
+
+export const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Replace glossary terms in `text` with {{0}}, {{1}}, ... placeholders
+ * Terms match whole words, case-insensitively, longest first so a longer term wins over one it contains.
+ * Returns { text, terms } where terms[i] is the original spelling behind {{i}}.
+ */
+export const protectTerms = (text, glossary = DEFAULT_GLOSSARY) => {
+  const sorted = [...new Set(glossary.filter(Boolean))].sort((a, b) => b.length - a.length);
+  if (!sorted.length) return { text, terms: [] };
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${sorted.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  const terms = [];
+  const masked = text.replace(pattern, (match) => {
+    terms.push(match);
+    return `{{${terms.length - 1}}}`;
+  });
+
+  return { text: masked, terms };
+};
+
+// Put the protected terms back; a placeholder the provider mangled beyond recognition is dropped
+export const restoreTerms = (text, terms) => {
+  if (!terms.length) return text;
+  return text.replace(PLACEHOLDER, (match, digits) => terms[parseDigits(digits)] ?? '');
+};
+
+// Nothing left to translate once terms, numbers and punctuation are taken out ("MOQ 100", "GST 5%")
+const isUntranslatable = (masked) => !masked
+  .replace(PLACEHOLDER, '')
+  .replace(/[\s\p{N}\p{P}\p{S}]/gu, '');
+
+// Built-in terms plus the ones admins have added
+export const getGlossary = async () => {
+  if (glossaryCache && glossaryCache.expiresAt > Date.now()) {
+    return glossaryCache.terms;
+  }
+
+  let custom;
+  try {
+    custom = await GlossaryTerm.find().select('term').lean();
+  } catch (error) {
+    console.error('Glossary lookup failed:', error.message);
+    return DEFAULT_GLOSSARY;
+  }
+
+  const terms = [...DEFAULT_GLOSSARY, ...custom.map(entry => entry.term)];
+  glossaryCache = { terms, expiresAt: Date.now() + GLOSSARY_CACHE_MS };
+
+  return terms;
+};
+
+export const listGlossaryTerms = async () => {
+  const custom = await GlossaryTerm.find().sort({ term: 1 }).lean();
+
+  return [
+    ...DEFAULT_GLOSSARY.map(term => ({ term, builtIn: true })),
+    ...custom.map(entry => ({ _id: entry._id, term: entry.term, note: entry.note, builtIn: false }))
+  ];
+};
+
+export const addGlossaryTerm = async ({ term, note, createdBy }) => {
+  const normalized = term.trim().toLowerCase();
+  if (DEFAULT_GLOSSARY.some(builtIn => builtIn.toLowerCase() === normalized) ||
+      await GlossaryTerm.exists({ normalizedTerm: normalized })) {
+    throw new ConflictError('This term is already in the glossary');
+  }
+
+  const entry = await GlossaryTerm.create({ term: term.trim(), note, createdBy });
+  glossaryCache = null;
+
+  return entry;
+};
+
+export const removeGlossaryTerm = async (termId) => {
+  const entry = await GlossaryTerm.findByIdAndDelete(termId);
+  if (!entry) {
+    throw new NotFoundError('Glossary term not found');
+  }
+  glossaryCache = null;
+
+  return entry;
+};
+
+const lookupMemory = async (key) => {
+  try {
+    return await TranslationMemory.findOneAndUpdate(
+      key,
+      { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    console.error('Translation memory lookup failed:', error.message);
+    return null;
+  }
+};
+
+const saveMemory = async (key, sourceText, result) => {
+  try {
+    // Two users translating the same phrase at once both get here; the first write wins
+    await TranslationMemory.updateOne(key, {
+      $setOnInsert: {
+        sourceText,
+        translatedText: result.text,
+        detectedLanguage: result.sourceLanguage,
+        confidence: result.confidence
+      }
+    }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Translation memory save failed:', error.message);
+    }
+  }
+};
+
+/**
+ * Translate text, reusing earlier translations of the same phrase
+ * Returns { text, sourceLanguage, targetLanguage, confidence, provider, cached }.
+ * Throws when the provider fails; callers decide whether to fall back to the original text.
+ */
+export const translateText = async (text, { sourceLanguage = 'auto', targetLanguage } = {}) => {
+  const unchanged = (language = sourceLanguage) => ({
+    text,
+    sourceLanguage: language,
+    targetLanguage,
+    confidence: 1.0,
+    provider: null,
+    cached: false
+  });
+
+  if (sourceLanguage !== 'auto' && sourceLanguage === targetLanguage) {
+    return unchanged();
+  }
+
+  const { text: masked, terms } = protectTerms(text, await getGlossary());
+  if (isUntranslatable(masked)) {
+    return unchanged();
+  }
+
+  const provider = getTranslationProvider();
+  const sourceText = normalizeText(masked);
+  const key = { sourceHash: hashText(sourceText), sourceLanguage, targetLanguage, provider: provider.name };
+
+  const remembered = await lookupMemory(key);
+  if (remembered) {
+    return {
+      text: restoreTerms(remembered.translatedText, terms),
+      sourceLanguage: remembered.detectedLanguage || sourceLanguage,
+      targetLanguage,
+      confidence: remembered.confidence,
+      provider: remembered.provider,
+      cached: true
+    };
+  }
+
+  const result = await provider.translate({ text: masked, sourceLanguage, targetLanguage });
+  await saveMemory(key, sourceText, result);
+
+  return {
+    text: restoreTerms(result.text, terms),
+    sourceLanguage: result.sourceLanguage,
+    targetLanguage,
+    confidence: result.confidence,
+    provider: provider.name,
+    cached: false
+  };
+};
+
+// The language a text was written in: what the sender declared, else a guess from its script
+export const resolveLanguage = (declared, text = '') => (
+  SUPPORTED_LANGUAGES.includes(declared) ? declared : detectLanguage(text)
+);
+
+/**
+ * Translate one text into each reader language other than its own
+ * Returns [{ language, text, confidence }]; a language the provider fails on is left out so the
+ * readers of that language see the original.
+ */
+export const translateForReaders = async (text, { sourceLanguage, languages }) => {
+  const targets = [...new Set(languages)]
+    .filter(language => SUPPORTED_LANGUAGES.includes(language) && language !== sourceLanguage);
+
+  const results = await Promise.all(targets.map(async (targetLanguage) => {
+    try {
+      const result = await translateText(text, { sourceLanguage, targetLanguage });
+      return { language: targetLanguage, text: result.text, confidence: result.confidence };
+    } catch (error) {
+      console.error(`Translation to ${targetLanguage} failed:`, error.message);
+      return null;
+    }
+  }));
+
+  return results.filter(Boolean);
+};
+
+/**
+ * Translate the items a reader can't read yet into their language
+ * Items are { text, language, translations }. Returns [{ index, translation }] for the items that
+ * were translated, so the caller can store them next to the content.
+ */
+export const translateMissing = async (items, readerLanguage) => {
+  const pending = items
+    .map((item, index) => ({ ...item, index }))
+    .filter(item => item.text &&
+      item.language !== readerLanguage &&
+      !(item.translations || []).some(translation => translation.language === readerLanguage));
+
+  const added = [];
+  for (let i = 0; i < pending.length; i += BATCH_CONCURRENCY) {
+    const batch = pending.slice(i, i + BATCH_CONCURRENCY);
+    const results = await Promise.all(batch.map(item => translateForReaders(item.text, {
+      sourceLanguage: item.language,
+      languages: [readerLanguage]
+    })));
+    batch.forEach((item, j) => {
+      if (results[j].length) added.push({ index: item.index, translation: results[j][0] });
+    });
+  }
+
+  return added;
+};
+
+/**
+ * What one reader sees of a message or comment
+ * Their language's translation when there is one (unless they asked for the original), else the
+ * original. `original` is always included so clients can switch between the two.
+ */
+export const localizeContent = ({ text, language }, translations = [], readerLanguage, { showOriginal = false } = {}) => {
+  const translation = !showOriginal && language !== readerLanguage
+    ? translations.find(entry => entry.language === readerLanguage)
+    : null;
+
+  return {
+    text: translation ? translation.text : text,
+    original: { text, language },
+    translatedTo: translation ? translation.language : null,
+    hasTranslation: translations.length > 0
+  };
+};
+
+export default {
+  DEFAULT_GLOSSARY,
+  normalizeText,
+  hashText,
+  protectTerms,
+  restoreTerms,
+  getGlossary,
+  listGlossaryTerms,
+  addGlossaryTerm,
+  removeGlossaryTerm,
+  translateText,
+  resolveLanguage,
+  translateForReaders,
+  translateMissing,
+  localizeContent
+};
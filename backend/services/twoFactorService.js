@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { AuthenticationError, RateLimitError } from '../middleware/errorHandler.js';
+
+// Time-based one-time passwords (RFC 6238, the scheme authenticator apps use) and recovery codes.
+// Codes are 6 digits over 30-second steps with HMAC-SHA1; one step of clock drift is tolerated.
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'WholeSale Connect';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Wrong codes in a row before second-factor checks are locked for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// New shared secret, base32 as authenticator apps expect
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI an authenticator app can scan as a QR code
+export const buildProvisioningUri = (secret, accountName) => {
+  const issuer = getIssuer();
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Some authenticator apps misread '+' as a space, so encode with %20 rather than URLSearchParams
+  const query = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${DIGITS}`,
+    `period=${STEP_SECONDS}`
+  ].join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for a secret at a given time step
+export const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and its neighbours.
+// Resolves to the matching step, or null. Steps at or before `lastUsedStep` are refused so a code works once.
+export const verifyCode = (secret, code, { lastUsedStep = null, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getStep(time);
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+export const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// Fresh single-use recovery codes: the plain codes to show once, and the hashes to store
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+const recordFailedAttempt = async (user) => {
+  const attempts = (user.twoFactorFailedAttempts || 0) + 1;
+  const update = attempts >= MAX_FAILED_ATTEMPTS
+    ? { twoFactorFailedAttempts: 0, twoFactorLockedUntil: new Date(Date.now() + LOCKOUT_MS) }
+    : { twoFactorFailedAttempts: attempts };
+  await User.updateOne({ _id: user._id }, update);
+};
+
+// Check an enrolled user's second factor: a TOTP code, or one of their recovery codes (used up on success).
+// Resolves to { method, recoveryCodesRemaining }; rejects with an AuthenticationError for a wrong code,
+// or a RateLimitError while checks are locked after repeated failures.
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId)
+    .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes +twoFactorFailedAttempts +twoFactorLockedUntil');
+
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+    throw new AuthenticationError('Two-factor authentication is not enabled.');
+  }
+
+  if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date()) {
+    throw new RateLimitError('Too many incorrect codes. Try again in a few minutes.');
+  }
+
+  const unusedCodes = () => user.twoFactorRecoveryCodes.filter(entry => !entry.usedAt).length;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    // Matching only an unused code makes each one single-use even under concurrent requests
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+      {
+        $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date(), twoFactorFailedAttempts: 0 },
+        $unset: { twoFactorLockedUntil: 1 }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      await recordFailedAttempt(user);
+      throw new AuthenticationError('Invalid recovery code.');
+    }
+
+    return { method: 'recovery', recoveryCodesRemaining: unusedCodes() - 1 };
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code, { lastUsedStep: user.twoFactorLastUsedStep ?? null });
+  const accepted = step !== null && (await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }]
+    },
+    {
+      $set: { twoFactorLastUsedStep: step, twoFactorFailedAttempts: 0 },
+      $unset: { twoFactorLockedUntil: 1 }
+    }
+  )).modifiedCount > 0;
+
+  if (!accepted) {
+    await recordFailedAttempt(user);
+    throw new AuthenticationError('Invalid verification code.');
+  }
+
+  return { method: 'totp', recoveryCodesRemaining: unusedCodes() };
+};
+
+export default {
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  buildProvisioningUri,
+  generateCode,
+  verifyCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
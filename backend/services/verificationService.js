@@ -1,6 +1,18 @@
 import crypto from 'crypto';
 import User from '../models/User.js';
+import OtpDelivery from '../models/OtpDelivery.js';
 import emailService from './emailService.js';
+import { getOtpProvider, OTP_CHANNELS } from './otp/index.js';
+import { resolveMediaUrl } from './storage/index.js';
+import { AppError, ValidationError, RateLimitError } from '../middleware/errorHandler.js';
+
+// Phone verification limits
+const OTP_EXPIRY_MINUTES = 10;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const OTP_MAX_SENDS_PER_PHONE_HOUR = 5;
+const OTP_MAX_SENDS_PER_IP_HOUR = 20;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_LOCKOUT_MS = 30 * 60 * 1000;
 
 // Generate verification token
 const generateVerificationToken = () => {
@@ -9,9 +21,18 @@ const generateVerificationToken = () => {
 
 // Generate verification code (6 digits)
 const generateVerificationCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
+// Phone codes are kept as an HMAC bound to the number, so a leaked hash can't be brute-forced offline
+export const hashPhoneCode = (phone, code) => crypto
+  .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'fallback_secret_key')
+  .update(`${phone}:${code}`)
+  .digest('hex');
+
+// Providers take E.164; the app stores Indian numbers without the country code
+const toE164 = (phone) => (phone.startsWith('+') ? phone : `+91${phone}`);
+
 // Send email verification
 export const sendEmailVerification = async (userId) => {
   try {
@@ -80,63 +101,142 @@ export const verifyEmail = async (token) => {
   }
 };
 
-// Send phone verification code
-export const sendPhoneVerification = async (userId, phone) => {
+// Why another code may not be sent yet, or null when it may: the resend cooldown since the last
+// code to this number, then the hourly limits per number and per IP
+export const getSendLimitError = ({ lastDelivery, phoneCount, ipCount }, now = Date.now()) => {
+  const cooldownLeft = lastDelivery
+    ? Math.ceil((lastDelivery.createdAt.getTime() + OTP_RESEND_COOLDOWN_MS - now) / 1000)
+    : 0;
+  if (cooldownLeft > 0) {
+    return new RateLimitError(`Please wait ${cooldownLeft} seconds before requesting another code`);
+  }
+
+  if (phoneCount >= OTP_MAX_SENDS_PER_PHONE_HOUR || ipCount >= OTP_MAX_SENDS_PER_IP_HOUR) {
+    return new RateLimitError('Too many verification codes requested. Please try again in an hour.');
+  }
+
+  return null;
+};
+
+// Send phone verification code over SMS or WhatsApp.
+// Sends are rate limited per number and per IP, with a cooldown before a resend.
+export const sendPhoneVerification = async (userId, phone, { channel = 'sms', ip } = {}) => {
   try {
-    const user = await User.findById(userId);
+    if (!OTP_CHANNELS.includes(channel)) {
+      throw new ValidationError(`Unsupported delivery channel: ${channel}`);
+    }
+
+    const user = await User.findById(userId).select('+phoneVerificationLockedUntil');
 
     if (!user) {
       throw new Error('User not found');
     }
 
+    if (user.phoneVerificationLockedUntil && user.phoneVerificationLockedUntil > new Date()) {
+      throw new RateLimitError('Too many incorrect codes. Please try again later.');
+    }
+
+    const now = Date.now();
+    const hourAgo = new Date(now - 60 * 60 * 1000);
+    const [lastDelivery, phoneCount, ipCount] = await Promise.all([
+      OtpDelivery.findOne({ user: user._id, phone }).sort({ createdAt: -1 }),
+      OtpDelivery.countDocuments({ phone, createdAt: { $gte: hourAgo } }),
+      ip ? OtpDelivery.countDocuments({ ip, createdAt: { $gte: hourAgo } }) : 0
+    ]);
+
+    const limitError = getSendLimitError({ lastDelivery, phoneCount, ipCount }, now);
+    if (limitError) throw limitError;
+
     const code = generateVerificationCode();
-    const expiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    const expiry = new Date(now + OTP_EXPIRY_MINUTES * 60 * 1000);
 
-    user.phoneVerificationCode = code;
+    user.phoneVerificationCode = hashPhoneCode(phone, code);
     user.phoneVerificationExpiry = expiry;
+    user.phoneVerificationAttempts = 0;
     user.phoneToVerify = phone;
     await user.save();
 
-    // TODO: Integrate with SMS service (Twilio, AWS SNS, etc.)
-    console.log(`SMS Verification Code for ${phone}: ${code}`);
+    const provider = getOtpProvider(channel);
+    const delivery = {
+      user: user._id,
+      phone,
+      ip,
+      channel,
+      provider: provider.name
+    };
 
-    // For development, you can send via email
-    if (process.env.NODE_ENV === 'development') {
-      await emailService.sendEmail({
-        to: user.email,
-        subject: 'Phone Verification Code',
-        html: `
-          <h2>Phone Verification</h2>
-          <p>Your verification code is: <strong>${code}</strong></p>
-          <p>This code will expire in 10 minutes.</p>
-        `
+    try {
+      const { providerMessageId } = await provider.send({
+        to: toE164(phone),
+        code,
+        expiresInMinutes: OTP_EXPIRY_MINUTES
       });
+      await OtpDelivery.create({ ...delivery, status: 'sent', providerMessageId });
+    } catch (sendError) {
+      // Failed sends still count towards the limits, so a broken number can't be retried endlessly
+      await OtpDelivery.create({ ...delivery, status: 'failed', error: sendError.message?.slice(0, 500) });
+      throw new AppError(`Could not send the code by ${channel}. Please try again or use another channel.`, 502, 'OTP_DELIVERY_FAILED');
     }
 
-    return { success: true, message: 'Verification code sent' };
+    return {
+      success: true,
+      message: 'Verification code sent',
+      channel,
+      expiresAt: expiry,
+      resendAfter: OTP_RESEND_COOLDOWN_MS / 1000
+    };
   } catch (error) {
     console.error('Send phone verification error:', error);
     throw error;
   }
 };
 
-// Verify phone with code
+// Verify phone with code; too many wrong codes discard the code and lock verification for a while
 export const verifyPhone = async (userId, code) => {
   try {
-    const user = await User.findOne({
-      _id: userId,
-      phoneVerificationCode: code,
-      phoneVerificationExpiry: { $gt: new Date() }
-    });
+    const user = await User.findById(userId)
+      .select('+phoneVerificationCode +phoneVerificationAttempts +phoneVerificationLockedUntil');
 
     if (!user) {
-      throw new Error('Invalid or expired verification code');
+      throw new Error('User not found');
+    }
+
+    if (user.phoneVerificationLockedUntil && user.phoneVerificationLockedUntil > new Date()) {
+      throw new RateLimitError('Too many incorrect codes. Please try again later.');
+    }
+
+    if (!user.phoneVerificationCode || !user.phoneToVerify || user.phoneVerificationExpiry <= new Date()) {
+      throw new ValidationError('Invalid or expired verification code');
+    }
+
+    const expected = Buffer.from(user.phoneVerificationCode, 'hex');
+    const actual = Buffer.from(hashPhoneCode(user.phoneToVerify, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      // Counted atomically so parallel guesses can't slip past the limit
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { phoneVerificationAttempts: 1 } },
+        { new: true }
+      ).select('+phoneVerificationAttempts');
+
+      if (updated.phoneVerificationAttempts >= OTP_MAX_ATTEMPTS) {
+        await User.updateOne({ _id: user._id }, {
+          phoneVerificationLockedUntil: new Date(Date.now() + OTP_LOCKOUT_MS),
+          $unset: { phoneVerificationCode: 1, phoneVerificationExpiry: 1, phoneVerificationAttempts: 1 }
+        });
+        throw new RateLimitError('Too many incorrect codes. Please request a new code later.');
+      }
+
+      throw new ValidationError('Invalid or expired verification code');
     }
 
     user.phoneVerified = true;
     user.phone = user.phoneToVerify;
     user.phoneVerificationCode = undefined;
     user.phoneVerificationExpiry = undefined;
+    user.phoneVerificationAttempts = undefined;
+    user.phoneVerificationLockedUntil = undefined;
     user.phoneToVerify = undefined;
     await user.save();
 
@@ -169,7 +269,11 @@ export const submitVerificationDocument = async (userId, documentData) => {
     // Notify admin for verification
     // TODO: Implement admin notification
 
-    return { success: true, message: 'Document submitted for verification', document };
+    return {
+      success: true,
+      message: 'Document submitted for verification',
+      document: { ...document, url: resolveMediaUrl(document.url) }
+    };
   } catch (error) {
     console.error('Submit verification document error:', error);
     throw error;
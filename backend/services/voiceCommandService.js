@@ -0,0 +1,301 @@
+// Spoken catalog commands, already transcribed and translated to English, turned into either
+// /api/products search filters ("cotton saree under 500 in Surat") or a draft listing for the
+// seller to confirm ("new kurti, 250 rupees per piece, minimum 50"). Rule-based on purpose:
+// the vocabulary is small, and a wrong guess only pre-fills a form the user still checks.
+
+export const INTENTS = ['search', 'listing', 'unknown'];
+
+// Spoken words for each product category, most specific first within a category
+const CATEGORY_KEYWORDS = {
+  'dress-materials': ['dress material', 'suit piece', 'suit material', 'unstitched suit', 'salwar suit', 'suit'],
+  'home-textiles': ['bed sheet', 'bedsheet', 'pillow cover', 'cushion cover', 'curtain', 'towel', 'blanket', 'quilt', 'home textile'],
+  sarees: ['saree', 'sari'],
+  garments: ['t-shirt', 'tshirt', 'kurti', 'kurta', 'shirt', 'jeans', 'lehenga', 'legging', 'trouser', 'nightwear', 'garment', 'dress'],
+  accessories: ['button', 'zipper', 'zip', 'lace', 'thread', 'accessory', 'accessories'],
+  yarns: ['yarn'],
+  fabrics: ['fabric', 'cloth', 'suiting', 'shirting', 'denim']
+};
+
+const MATERIALS = [
+  'cotton', 'silk', 'polyester', 'rayon', 'viscose', 'linen', 'wool', 'khadi', 'georgette', 'chiffon',
+  'crepe', 'satin', 'velvet', 'net', 'organza', 'chanderi', 'lycra', 'nylon', 'jute', 'muslin', 'modal'
+];
+
+const COLORS = [
+  'red', 'blue', 'green', 'yellow', 'black', 'white', 'pink', 'orange', 'purple', 'maroon', 'grey', 'gray',
+  'brown', 'beige', 'cream', 'navy', 'golden', 'gold', 'silver', 'multicolour', 'multicolor'
+];
+
+// Textile hubs recognised even without "in"/"from" in front of them
+const KNOWN_CITIES = [
+  'Surat', 'Tirupur', 'Ludhiana', 'Jaipur', 'Mumbai', 'Delhi', 'Ahmedabad', 'Kolkata', 'Chennai', 'Bengaluru',
+  'Bangalore', 'Varanasi', 'Kanchipuram', 'Erode', 'Coimbatore', 'Panipat', 'Bhiwandi', 'Ichalkaranji',
+  'Indore', 'Hyderabad', 'Pune', 'Karur', 'Salem', 'Madurai', 'Lucknow', 'Kanpur', 'Amritsar', 'Bhilwara',
+  'Mysuru', 'Mysore', 'Chanderi', 'Maheshwar', 'Kolhapur', 'Nagpur', 'Rajkot', 'Vadodara', 'Jodhpur', 'Agra'
+];
+
+const UNITS = {
+  piece: ['piece', 'pieces', 'pc', 'pcs'],
+  meter: ['meter', 'meters', 'metre', 'metres', 'mtr', 'mtrs'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  set: ['set', 'sets'],
+  dozen: ['dozen', 'dozens'],
+  box: ['box', 'boxes']
+};
+
+// Default selling unit when the seller doesn't say one
+const CATEGORY_UNITS = {
+  fabrics: 'meter',
+  yarns: 'kg'
+};
+
+// Words that carry no product meaning in a spoken command
+const FILLER_WORDS = new Set([
+  'show', 'me', 'find', 'search', 'for', 'looking', 'need', 'want', 'to', 'buy', 'get', 'i', 'we', 'am', 'are',
+  'a', 'an', 'the', 'some', 'any', 'please', 'of', 'with', 'and', 'in', 'from', 'near', 'at', 'is', 'it',
+  'rs', 'rupee', 'rupees', 'inr', 'price', 'priced', 'cost', 'costing', 'only', 'all', 'available', 'stock',
+  'new', 'add', 'list', 'listing', 'sell', 'selling', 'upload', 'post', 'create', 'my', 'product', 'products',
+  'bulk', 'wholesale', 'retail', 'india'
+]);
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)(?:\\s*(k|thousand|lakh|lac)\\b)?';
+const CURRENCY_BEFORE = '(?:rs\\.?\\s*|inr\\s*)?';
+const CURRENCY_AFTER = '(?:\\s*(?:rs\\.?|rupees?|inr|\\/-))?';
+const UNIT_WORDS = Object.values(UNITS).flat().join('|');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words, optionally plural ("sarees", "kurtis")
+const wordPattern = (words, { plural = true } = {}) =>
+  new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})${plural ? 's?' : ''}\\b`, 'i');
+
+const toNumber = (digits, multiplier) => {
+  const value = parseFloat(digits);
+  switch (multiplier) {
+    case 'k':
+    case 'thousand':
+      return value * 1000;
+    case 'lakh':
+    case 'lac':
+      return value * 100000;
+    default:
+      return value;
+  }
+};
+
+const toUnit = (word) => Object.keys(UNITS).find(unit => UNITS[unit].includes(word?.toLowerCase()));
+
+const titleCase = (text) => text
+  .split(' ')
+  .map((word, index) => (index > 0 && ['in', 'of', 'with', 'and'].includes(word)
+    ? word
+    : word.charAt(0).toUpperCase() + word.slice(1)))
+  .join(' ');
+
+// Lowercase, with "₹" spelt out, digit grouping removed (1,00,000 and 1,500) and clause breaks kept as commas
+export const normalizeCommand = (text) => text
+  .toLowerCase()
+  .replace(/₹\s*/g, 'rs ')
+  .replace(/(\d),(?=\d{2,3}\b)/g, '$1')
+  .replace(/(\d),(?=\d{2},?\d)/g, '$1')
+  .replace(/[;!?।]/g, ',')
+  .replace(/\s*,\s*/g, ', ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Cut the first match of `pattern` out of `text`; returns { match, rest } (match is null when absent)
+const extract = (text, pattern) => {
+  const match = text.match(pattern);
+  if (!match) return { match: null, rest: text };
+  return { match, rest: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}` };
+};
+
+export const detectCategory = (text) => {
+  let best = null;
+  Object.entries(CATEGORY_KEYWORDS).forEach(([category, keywords]) => {
+    keywords.forEach(keyword => {
+      const match = text.match(wordPattern([keyword]));
+      if (match && (!best || keyword.length > best.keyword.length)) {
+        best = { category, keyword, match: match[0] };
+      }
+    });
+  });
+  return best;
+};
+
+export const detectCity = (text) => {
+  const known = text.match(wordPattern(KNOWN_CITIES, { plural: false }));
+  if (known) {
+    return { city: KNOWN_CITIES.find(city => city.toLowerCase() === known[0].toLowerCase()), match: known[0] };
+  }
+
+  // "in Bhagalpur", "from Dhule": any word that isn't a product, material, colour or number
+  const pattern = /\b(?:in|from|near)\s+([a-z][a-z]+)\b/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const word = match[1].toLowerCase();
+    if (!FILLER_WORDS.has(word) && !MATERIALS.includes(word) && !COLORS.includes(word) &&
+        !toUnit(word) && !detectCategory(word)) {
+      return { city: titleCase(word), match: match[0] };
+    }
+  }
+  return null;
+};
+
+// Price limits in a search: "under 500", "above 1k", "between 200 and 400", "300 to 600 rupees"
+export const parsePriceRange = (text) => {
+  let rest = text;
+  const filters = {};
+
+  const between = extract(rest, new RegExp(`\\b(?:between|from)\\s+${CURRENCY_BEFORE}${NUMBER}${CURRENCY_AFTER}\\s*(?:and|to|-)\\s*${CURRENCY_BEFORE}${NUMBER}${CURRENCY_AFTER}`, 'i'));
+  const range = between.match ? between : extract(rest, new RegExp(`${CURRENCY_BEFORE}${NUMBER}\\s*(?:to|-)\\s*${CURRENCY_BEFORE}${NUMBER}\\s*(?:rs\\.?|rupees?|inr)`, 'i'));
+  if (range.match) {
+    const [, low, lowMultiplier, high, highMultiplier] = range.match;
+    filters.minPrice = Math.min(toNumber(low, lowMultiplier), toNumber(high, highMultiplier));
+    filters.maxPrice = Math.max(toNumber(low, lowMultiplier), toNumber(high, highMultiplier));
+    return { filters, rest: range.rest };
+  }
+
+  const max = extract(rest, new RegExp(`\\b(?:under|below|less than|lesser than|within|upto|up to|max(?:imum)?|not more than|cheaper than|budget(?: of)?)\\s+${CURRENCY_BEFORE}${NUMBER}${CURRENCY_AFTER}`, 'i'));
+  if (max.match) {
+    filters.maxPrice = toNumber(max.match[1], max.match[2]);
+    rest = max.rest;
+  }
+
+  const min = extract(rest, new RegExp(`\\b(?:above|over|more than|at least|starting(?: from| at)?)\\s+${CURRENCY_BEFORE}${NUMBER}${CURRENCY_AFTER}`, 'i'));
+  if (min.match) {
+    filters.minPrice = toNumber(min.match[1], min.match[2]);
+    rest = min.rest;
+  }
+
+  return { filters, rest };
+};
+
+// What a listing says about price and minimum order: "250 rupees per piece", "minimum 50", "MOQ 100 pcs"
+export const parseListingTerms = (text) => {
+  let rest = text;
+  const terms = {};
+
+  const moq = extract(rest, new RegExp(`\\b(?:minimum|min\\.?|moq)(?:\\s+order)?(?:\\s+quantity)?\\s*(?:of|is|:)?\\s*${NUMBER}\\s*(${UNIT_WORDS})?\\b`, 'i'));
+  const moqAfter = moq.match ? moq : extract(rest, new RegExp(`\\b${NUMBER}\\s*(${UNIT_WORDS})?\\s+minimum\\b`, 'i'));
+  if (moqAfter.match) {
+    terms.minOrderQuantity = Math.round(toNumber(moqAfter.match[1], moqAfter.match[2]));
+    if (moqAfter.match[3]) terms.unit = toUnit(moqAfter.match[3]);
+    rest = moqAfter.rest;
+  }
+
+  const perUnit = extract(rest, new RegExp(`(?:\\bat\\s+)?${CURRENCY_BEFORE}${NUMBER}${CURRENCY_AFTER}\\s*(?:per|a|an|each|\\/|for one|for 1)\\s*(${UNIT_WORDS})\\b`, 'i'));
+  if (perUnit.match) {
+    terms.price = toNumber(perUnit.match[1], perUnit.match[2]);
+    terms.unit = toUnit(perUnit.match[3]);
+    terms.pricedPerUnit = true;
+    rest = perUnit.rest;
+  } else {
+    const price = extract(rest, new RegExp(`(?:\\bat\\s+)?(?:(?:rs\\.?\\s*|inr\\s*)${NUMBER}|${NUMBER}\\s*(?:rs\\.?|rupees?|inr|\\/-))`, 'i'));
+    if (price.match) {
+      terms.price = price.match[1] !== undefined
+        ? toNumber(price.match[1], price.match[2])
+        : toNumber(price.match[3], price.match[4]);
+      rest = price.rest;
+    }
+  }
+
+  return { terms, rest };
+};
+
+const LISTING_START = /^(?:new|add|list|listing|sell|selling|upload|post|create)\b|\b(?:i (?:want to |would like to )?sell|i am selling|we are selling|add (?:a |new )?product|new (?:stock|arrival|design|product))\b/;
+const SEARCH_WORDS = /\b(?:show|find|search|looking for|need|want to buy|buy|get me|cheap|cheapest|sellers? of|suppliers? of)\b/;
+
+const removeWords = (text, words) => words.reduce((result, word) => result.replace(word, ' '), text);
+
+// The words that describe the product once prices, places and filler are removed
+const describe = (text) => text
+  .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+  .split(/\s+/)
+  .filter(word => word && !FILLER_WORDS.has(word) && !/^\d/.test(word))
+  .join(' ');
+
+/**
+ * Parse an English voice command
+ * Returns { intent: 'search', filters } with filters named like the GET /api/products query,
+ * { intent: 'listing', draft, missing } with the draft shaped like the POST /api/products body, or
+ * { intent: 'unknown' }. `defaults.city` fills the draft's location when the seller doesn't say one.
+ */
+export const parseVoiceCommand = (text, { defaults = {} } = {}) => {
+  const normalized = normalizeCommand(text || '');
+  if (!normalized) return { intent: 'unknown' };
+
+  const category = detectCategory(normalized);
+  const city = detectCity(normalized);
+  const priceRange = parsePriceRange(normalized);
+  const listing = parseListingTerms(normalized);
+
+  const listingScore = (LISTING_START.test(normalized) ? 2 : 0) +
+    (listing.terms.minOrderQuantity ? 1 : 0) +
+    (listing.terms.pricedPerUnit ? 1 : 0);
+  const searchScore = (SEARCH_WORDS.test(normalized) ? 2 : 0) +
+    (Object.keys(priceRange.filters).length ? 1 : 0) +
+    (city ? 1 : 0);
+
+  if (listingScore > searchScore) {
+    const rest = removeWords(listing.rest, city ? [city.match] : []);
+    // The product is named in the first clause: "new kurti, 250 rupees per piece" -> "kurti"
+    const name = describe(rest.split(/,|\bat\b|\bfor\b|\bwith\b/)[0]) || category?.keyword || '';
+    const material = MATERIALS.find(word => new RegExp(`\\b${word}\\b`).test(normalized));
+    const color = COLORS.find(word => new RegExp(`\\b${word}\\b`).test(normalized));
+    const unit = listing.terms.unit || CATEGORY_UNITS[category?.category] || 'piece';
+
+    const draft = {
+      name: name ? titleCase(name) : '',
+      category: category?.category || '',
+      price: { amount: listing.terms.price, unit, currency: 'INR' },
+      minOrderQuantity: listing.terms.minOrderQuantity,
+      specifications: {
+        ...(material && { material }),
+        ...(color && { color })
+      },
+      location: { city: city?.city || defaults.city || '' }
+    };
+    if (draft.name && draft.price.amount) {
+      draft.description = `${draft.name} at ₹${draft.price.amount} per ${unit}` +
+        (draft.minOrderQuantity ? `. Minimum order ${draft.minOrderQuantity} ${unit}${draft.minOrderQuantity === 1 ? '' : 's'}.` : '.');
+    }
+
+    const missing = [
+      !draft.name && 'name',
+      !draft.description && 'description',
+      !draft.category && 'category',
+      !draft.price.amount && 'price.amount',
+      !draft.minOrderQuantity && 'minOrderQuantity'
+    ].filter(Boolean);
+
+    return { intent: 'listing', draft, missing };
+  }
+
+  if (searchScore > 0 || category) {
+    const rest = removeWords(priceRange.rest, [category?.match, city?.match].filter(Boolean));
+    const search = describe(rest);
+
+    return {
+      intent: 'search',
+      filters: {
+        ...(category && { category: category.category }),
+        ...priceRange.filters,
+        ...(city && { city: city.city }),
+        ...(search && { search })
+      }
+    };
+  }
+
+  return { intent: 'unknown' };
+};
+
+export default {
+  INTENTS,
+  normalizeCommand,
+  detectCategory,
+  detectCity,
+  parsePriceRange,
+  parseListingTerms,
+  parseVoiceCommand
+};
@@ -0,0 +1,56 @@
+import { createMemoryPresenceStore, createRedisPresenceStore } from './presence.js';
+
+// SOCKET_ADAPTER picks how Socket.IO rooms and presence are shared:
+// - 'memory' (default): Socket.IO's built-in adapter and an in-process presence store, for a single instance
+// - 'redis': the Redis adapter, so rooms and emits reach sockets on every instance, with presence kept in Redis
+export const SOCKET_ADAPTERS = ['memory', 'redis'];
+
+const getRedisUrl = () => {
+  if (process.env.REDIS_URL) return process.env.REDIS_URL;
+
+  const host = process.env.REDIS_HOST || 'localhost';
+  const port = process.env.REDIS_PORT || 6379;
+  const password = process.env.REDIS_PASSWORD;
+  return password
+    ? `redis://:${encodeURIComponent(password)}@${host}:${port}`
+    : `redis://${host}:${port}`;
+};
+
+// Redis packages are only loaded when the Redis adapter is selected
+const configureRedisAdapter = async (io) => {
+  const [{ createClient }, { createAdapter }] = await Promise.all([
+    import('redis'),
+    import('@socket.io/redis-adapter')
+  ]);
+
+  const pubClient = createClient({ url: getRedisUrl() });
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach(client => {
+    client.on('error', (error) => console.error('Redis client error:', error));
+  });
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient, {
+    key: process.env.SOCKET_ADAPTER_KEY || 'socket.io'
+  }));
+
+  return createRedisPresenceStore(pubClient);
+};
+
+// Attach the configured adapter to io and resolve to the matching presence store
+export const configureSocketAdapter = async (io) => {
+  const driver = process.env.SOCKET_ADAPTER || 'memory';
+
+  if (!SOCKET_ADAPTERS.includes(driver)) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${driver}" (expected ${SOCKET_ADAPTERS.join(' or ')})`);
+  }
+
+  if (driver === 'redis') {
+    return configureRedisAdapter(io);
+  }
+
+  return createMemoryPresenceStore();
+};
+
+export default { SOCKET_ADAPTERS, configureSocketAdapter };
@@ -0,0 +1,176 @@
+// Presence: which users are connected, on how many sockets, across every server instance.
+// Each socket is stored with the time it was last confirmed alive, so sockets of a crashed
+// instance age out instead of keeping their user online forever.
+
+// Sockets not refreshed for this long are treated as gone
+export const SOCKET_STALE_MS = 2 * 60 * 1000;
+
+// Single-process store; only correct when one instance serves all sockets
+export const createMemoryPresenceStore = () => {
+  const sockets = new Map(); // userId -> Map(socketId -> lastSeen)
+  const statuses = new Map(); // userId -> 'online' | 'away' | 'busy'
+
+  return {
+    driver: 'memory',
+
+    // Resolves to the user's socket count including this one
+    async addSocket(userId, socketId) {
+      if (!sockets.has(userId)) sockets.set(userId, new Map());
+      sockets.get(userId).set(socketId, Date.now());
+      return sockets.get(userId).size;
+    },
+
+    // Resolves to the user's socket count left after removing this one
+    async removeSocket(userId, socketId) {
+      const userSockets = sockets.get(userId);
+      if (!userSockets) return 0;
+
+      userSockets.delete(socketId);
+      if (userSockets.size === 0) {
+        sockets.delete(userId);
+        statuses.delete(userId);
+      }
+      return userSockets.size;
+    },
+
+    async touchSockets(entries) {
+      const now = Date.now();
+      entries.forEach(({ userId, socketId }) => {
+        const userSockets = sockets.get(userId);
+        if (userSockets?.has(socketId)) userSockets.set(socketId, now);
+      });
+    },
+
+    async getSocketCount(userId) {
+      return sockets.get(userId)?.size || 0;
+    },
+
+    async setStatus(userId, status) {
+      statuses.set(userId, status);
+    },
+
+    async getStatus(userId) {
+      if (!sockets.has(userId)) return 'offline';
+      return statuses.get(userId) || 'online';
+    },
+
+    async countOnlineUsers() {
+      return sockets.size;
+    },
+
+    // Drop stale sockets; resolves to the users who have no socket left
+    async sweep() {
+      const cutoff = Date.now() - SOCKET_STALE_MS;
+      const wentOffline = [];
+
+      for (const [userId, userSockets] of sockets.entries()) {
+        for (const [socketId, lastSeen] of userSockets.entries()) {
+          if (lastSeen < cutoff) userSockets.delete(socketId);
+        }
+        if (userSockets.size === 0) {
+          sockets.delete(userId);
+          statuses.delete(userId);
+          wentOffline.push(userId);
+        }
+      }
+
+      return wentOffline;
+    }
+  };
+};
+
+// Drop a user's stale sockets and, if none are left, the user; atomic so a concurrent connect is never dropped.
+// Returns how many stale sockets were removed when the user is gone, -1 while the user still has sockets.
+const SWEEP_USER_SCRIPT = `
+local removed = redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZCARD', KEYS[1]) > 0 then
+  return -1
+end
+redis.call('SREM', KEYS[2], ARGV[2])
+redis.call('HDEL', KEYS[3], ARGV[2])
+return removed
+`;
+
+// Shared store on a node-redis client: a sorted set of socket IDs (scored by last seen) per user,
+// plus the set of users that have any socket at all
+export const createRedisPresenceStore = (client, prefix = 'presence') => {
+  const socketsKey = (userId) => `${prefix}:sockets:${userId}`;
+  const usersKey = `${prefix}:users`;
+  const statusKey = `${prefix}:status`;
+
+  return {
+    driver: 'redis',
+
+    async addSocket(userId, socketId) {
+      const [, , count] = await client.multi()
+        .zAdd(socketsKey(userId), { score: Date.now(), value: socketId })
+        .sAdd(usersKey, userId)
+        .zCard(socketsKey(userId))
+        .exec();
+      return Number(count);
+    },
+
+    // The user stays in the users set until the next sweep, so a reconnect racing this cannot be lost
+    async removeSocket(userId, socketId) {
+      const [, count] = await client.multi()
+        .zRem(socketsKey(userId), socketId)
+        .zCard(socketsKey(userId))
+        .exec();
+      return Number(count);
+    },
+
+    async touchSockets(entries) {
+      if (entries.length === 0) return;
+
+      const now = Date.now();
+      const multi = client.multi();
+      entries.forEach(({ userId, socketId }) => {
+        multi.zAdd(socketsKey(userId), { score: now, value: socketId }, { XX: true });
+      });
+      await multi.exec();
+    },
+
+    async getSocketCount(userId) {
+      return client.zCount(socketsKey(userId), Date.now() - SOCKET_STALE_MS, '+inf');
+    },
+
+    async setStatus(userId, status) {
+      await client.hSet(statusKey, userId, status);
+    },
+
+    async getStatus(userId) {
+      const count = await this.getSocketCount(userId);
+      if (count === 0) return 'offline';
+      return (await client.hGet(statusKey, userId)) || 'online';
+    },
+
+    // Users who just disconnected are still counted until the next sweep
+    async countOnlineUsers() {
+      return client.sCard(usersKey);
+    },
+
+    async sweep() {
+      const cutoff = Date.now() - SOCKET_STALE_MS;
+      const userIds = await client.sMembers(usersKey);
+      const wentOffline = [];
+
+      for (const userId of userIds) {
+        const removed = await client.eval(SWEEP_USER_SCRIPT, {
+          keys: [socketsKey(userId), usersKey, statusKey],
+          arguments: [String(cutoff), userId]
+        });
+
+        // Users who disconnected cleanly were already reported offline; only stale ones are new
+        if (Number(removed) > 0) wentOffline.push(userId);
+      }
+
+      return wentOffline;
+    }
+  };
+};
+
+export default {
+  SOCKET_STALE_MS,
+  createMemoryPresenceStore,
+  createRedisPresenceStore
+};
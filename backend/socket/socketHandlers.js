@@ -1,61 +1,136 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { Conversation, Message } from '../models/Chat.js';
 import Community from '../models/Community.js';
 import CommunityMessage from '../models/CommunityMessage.js';
+import { createMemoryPresenceStore } from './presence.js';
+import { authenticateToken } from '../services/tokenService.js';
+import { resolveLanguage, translateForReaders } from '../services/translationService.js';
 
-// Store active users and their socket connections
-const activeUsers = new Map();
-const userSockets = new Map();
+// Warn a client this long before its token expires so it can send a fresh one
+const TOKEN_REFRESH_NOTICE_MS = 2 * 60 * 1000;
 
-export const initializeSocket = (io) => {
-  // Authentication middleware for Socket.IO
+// Longest delay setTimeout supports
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Disconnect every socket of a user, on every instance, telling the client why
+export const revokeUserSockets = (io, userId, reason = 'Session revoked') => {
+  const room = `user_${userId}`;
+  io.to(room).emit('session_revoked', { reason });
+  io.in(room).disconnectSockets(true);
+};
+
+// Disconnect the sockets opened with one session's tokens, e.g. after a remote sign-out
+export const revokeSessionSockets = (io, sessionId, reason = 'Session revoked') => {
+  const room = `session_${sessionId}`;
+  io.to(room).emit('session_revoked', { reason });
+  io.in(room).disconnectSockets(true);
+};
+
+// A user can be connected from several tabs and devices at once, possibly on different
+// server instances. Every socket joins its user's `user_<id>` room, emits to a user go to
+// that room (the Socket.IO adapter fans them out across instances), and the presence store
+// counts sockets per user so online/offline only flips on the first connect and last disconnect.
+export const initializeSocket = (io, { presence = createMemoryPresenceStore() } = {}) => {
+  // Warn the client before its token runs out and drop the socket once it has. This is not a
+  // sign-out: the client refreshes its session and reconnects with the new token.
+  const scheduleTokenExpiry = (socket) => {
+    clearTimeout(socket.tokenNoticeTimer);
+    clearTimeout(socket.tokenExpiryTimer);
+    if (!socket.tokenExpiresAt) return;
+    
+    const remaining = socket.tokenExpiresAt.getTime() - Date.now();
+    
+    socket.tokenNoticeTimer = setTimeout(() => {
+      socket.emit('token_expiring', { expiresAt: socket.tokenExpiresAt });
+    }, Math.min(Math.max(remaining - TOKEN_REFRESH_NOTICE_MS, 0), MAX_TIMER_MS));
+    
+    if (remaining <= MAX_TIMER_MS) {
+      socket.tokenExpiryTimer = setTimeout(() => {
+        socket.emit('token_expired', { expiresAt: socket.tokenExpiresAt });
+        socket.disconnect(true);
+      }, Math.max(remaining, 0));
+    }
+  };
+  
+  // Authentication middleware for Socket.IO (same token rules as the REST API)
   io.use(async (socket, next) => {
     try {
-      const token = socket.handshake.auth.token;
-      
-      if (!token) {
-        return next(new Error('Authentication error'));
-      }
-      
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user || !user.isActive) {
-        return next(new Error('User not found or inactive'));
-      }
+      const { user, provider, expiresAt, sessionId } = await authenticateToken(socket.handshake.auth.token);
       
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.data.userId = socket.userId; // Visible to other instances via fetchSockets()
+      socket.authProvider = provider;
+      socket.tokenExpiresAt = expiresAt;
+      socket.sessionId = sessionId;
       next();
     } catch (error) {
-      console.error('Socket authentication error:', error);
-      next(new Error('Authentication failed'));
+      if (error.statusCode !== 401) {
+        console.error('Socket authentication error:', error);
+      }
+      const authError = new Error(error.statusCode === 401 ? error.message : 'Authentication failed');
+      authError.data = { reason: error.reason };
+      next(authError);
     }
   });
   
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.user.displayName} (${socket.userId})`);
     
-    // Store user connection
-    activeUsers.set(socket.userId, {
-      user: socket.user,
-      socketId: socket.id,
-      lastSeen: new Date(),
-      status: 'online'
-    });
+    // Join user to their personal room, shared by all of their devices
+    socket.join(`user_${socket.userId}`);
     
-    userSockets.set(socket.userId, socket);
+    // ...and to its session's room, so signing that session out reaches this socket
+    if (socket.sessionId) {
+      socket.join(`session_${socket.sessionId}`);
+    }
     
-    // Join user to their personal room
-    socket.join(`user_${socket.userId}`);
+    scheduleTokenExpiry(socket);
     
-    // Update user online status
-    updateUserOnlineStatus(socket.userId, 'online');
+    // Swap in a fresh token on a long-lived connection instead of reconnecting
+    socket.on('refresh_token', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      
+      try {
+        const { user, provider, expiresAt, sessionId } = await authenticateToken(data?.token);
+        
+        if (user._id.toString() !== socket.userId) {
+          reply({ success: false, message: 'Token belongs to a different user' });
+          return;
+        }
+        
+        if (sessionId !== socket.sessionId) {
+          if (socket.sessionId) socket.leave(`session_${socket.sessionId}`);
+          if (sessionId) socket.join(`session_${sessionId}`);
+          socket.sessionId = sessionId;
+        }
+        
+        socket.user = user;
+        socket.authProvider = provider;
+        socket.tokenExpiresAt = expiresAt;
+        scheduleTokenExpiry(socket);
+        
+        reply({ success: true, expiresAt });
+      } catch (error) {
+        reply({ success: false, message: error.statusCode === 401 ? error.message : 'Token refresh failed' });
+        
+        // A banned or deactivated account loses the connection straight away
+        if (error.accountBlocked) {
+          revokeUserSockets(io, socket.userId, error.message);
+        }
+      }
+    });
     
-    // Emit user online status to friends
-    emitUserStatusToFriends(socket.userId, 'online');
+    // Online once the first device connects
+    presence.addSocket(socket.userId, socket.id)
+      .then(async (socketCount) => {
+        if (socketCount !== 1) return;
+        
+        await presence.setStatus(socket.userId, 'online');
+        await updateUserOnlineStatus(socket.userId, 'online');
+        emitUserStatusToFriends(socket.userId, 'online');
+      })
+      .catch(error => console.error('Error recording user presence:', error));
     
     // Handle user joining conversations
     socket.on('join_conversation', async (data) => {
@@ -158,9 +233,14 @@ export const initializeSocket = (io) => {
           return;
         }
         
+        if (conversation.type === 'group') {
+          socket.emit('error', { message: 'Voice calls are only available in direct conversations' });
+          return;
+        }
+        
         // Find the other participant
         const otherParticipant = conversation.participants.find(p => 
-          p.user._id.toString() !== socket.userId
+          p.user._id.toString() !== socket.userId && !p.leftAt
         );
         
         if (!otherParticipant) {
@@ -170,9 +250,9 @@ export const initializeSocket = (io) => {
         
         const otherUserId = otherParticipant.user._id.toString();
         
-        // Check if other user is online
-        const otherUserSocket = userSockets.get(otherUserId);
-        if (!otherUserSocket) {
+        // Check if other user is online on any device and any instance
+        const otherUserSockets = await presence.getSocketCount(otherUserId);
+        if (otherUserSockets === 0) {
           socket.emit('voice_call_failed', { 
             reason: 'User is offline',
             conversationId 
@@ -183,8 +263,8 @@ export const initializeSocket = (io) => {
         // Generate call ID
         const callId = `call_${Date.now()}_${socket.userId}`;
         
-        // Send call request to other user
-        otherUserSocket.emit('voice_call_incoming', {
+        // Ring every device of the other user
+        io.to(`user_${otherUserId}`).emit('voice_call_incoming', {
           callId,
           conversationId,
           from: {
@@ -212,11 +292,19 @@ export const initializeSocket = (io) => {
     socket.on('voice_call_accept', (data) => {
       const { callId, conversationId } = data;
       
-      // Find the caller and notify them
+      // Find the caller and notify them; acceptedBySocket is where WebRTC signaling should go
       io.to(`conversation_${conversationId}`).emit('voice_call_accepted', {
         callId,
         conversationId,
-        acceptedBy: socket.userId
+        acceptedBy: socket.userId,
+        acceptedBySocket: socket.id
+      });
+      
+      // Stop the call ringing on this user's other devices
+      socket.to(`user_${socket.userId}`).emit('voice_call_answered_elsewhere', {
+        callId,
+        conversationId,
+        action: 'accepted'
       });
     });
     
@@ -229,6 +317,12 @@ export const initializeSocket = (io) => {
         conversationId,
         declinedBy: socket.userId
       });
+      
+      socket.to(`user_${socket.userId}`).emit('voice_call_answered_elsewhere', {
+        callId,
+        conversationId,
+        action: 'declined'
+      });
     });
     
     socket.on('voice_call_end', (data) => {
@@ -242,45 +336,52 @@ export const initializeSocket = (io) => {
       });
     });
     
-    // Handle WebRTC signaling
-    socket.on('webrtc_offer', (data) => {
-      const { conversationId, offer, targetUserId } = data;
-      const targetSocket = userSockets.get(targetUserId);
+    // Handle WebRTC signaling. Signals only pass between current participants of the conversation.
+    // They go to the device in the call (targetSocketId, from acceptedBySocket / fromSocketId) once
+    // that socket is confirmed to be the target user's, or else to every device of the target user.
+    const resolveSignalTarget = async ({ conversationId, targetUserId, targetSocketId }) => {
+      if (!conversationId || !targetUserId) return null;
       
-      if (targetSocket) {
-        targetSocket.emit('webrtc_offer', {
-          conversationId,
-          offer,
-          fromUserId: socket.userId
-        });
+      const conversation = await Conversation.findById(conversationId);
+      if (!conversation || !conversation.isParticipant(socket.userId) || !conversation.isParticipant(targetUserId)) {
+        return null;
       }
-    });
-    
-    socket.on('webrtc_answer', (data) => {
-      const { conversationId, answer, targetUserId } = data;
-      const targetSocket = userSockets.get(targetUserId);
       
-      if (targetSocket) {
-        targetSocket.emit('webrtc_answer', {
-          conversationId,
-          answer,
-          fromUserId: socket.userId
-        });
+      if (targetSocketId) {
+        // A socket's own room holds just that socket; anything else (a user or conversation room) is refused
+        const [targetSocket] = await io.in(targetSocketId).fetchSockets();
+        if (targetSocket?.id === targetSocketId && targetSocket.data.userId === targetUserId.toString()) {
+          return targetSocketId;
+        }
       }
-    });
-    
-    socket.on('webrtc_ice_candidate', (data) => {
-      const { conversationId, candidate, targetUserId } = data;
-      const targetSocket = userSockets.get(targetUserId);
       
-      if (targetSocket) {
-        targetSocket.emit('webrtc_ice_candidate', {
-          conversationId,
-          candidate,
-          fromUserId: socket.userId
-        });
-      }
-    });
+      return `user_${targetUserId}`;
+    };
+    
+    const relaySignal = (event, field) => {
+      socket.on(event, async (data) => {
+        try {
+          const target = await resolveSignalTarget(data || {});
+          if (!target) {
+            socket.emit('error', { message: 'Not authorized to signal this user' });
+            return;
+          }
+          
+          io.to(target).emit(event, {
+            conversationId: data.conversationId,
+            [field]: data[field],
+            fromUserId: socket.userId,
+            fromSocketId: socket.id
+          });
+        } catch (error) {
+          console.error(`Error relaying ${event}:`, error);
+        }
+      });
+    };
+    
+    relaySignal('webrtc_offer', 'offer');
+    relaySignal('webrtc_answer', 'answer');
+    relaySignal('webrtc_ice_candidate', 'candidate');
     
     // Handle user status updates
     socket.on('update_status', async (data) => {
@@ -294,10 +395,8 @@ export const initializeSocket = (io) => {
         // Update in database
         await updateUserOnlineStatus(socket.userId, status);
         
-        // Update in memory
-        if (activeUsers.has(socket.userId)) {
-          activeUsers.get(socket.userId).status = status;
-        }
+        // Update shared presence (cleared again when the last device disconnects)
+        await presence.setStatus(socket.userId, status);
         
         // Emit to friends
         emitUserStatusToFriends(socket.userId, status);
@@ -453,15 +552,15 @@ export const initializeSocket = (io) => {
           return;
         }
 
+        const text = content?.text || '';
+        const language = resolveLanguage(content?.language, text);
+
         // Create message
         const message = new CommunityMessage({
           community: communityId,
           sender: socket.userId,
           content: {
-            original: {
-              text: content?.text || '',
-              language: content?.language || 'en'
-            }
+            original: { text, language }
           },
           type,
           voice,
@@ -477,12 +576,17 @@ export const initializeSocket = (io) => {
         community.lastActivity = new Date();
         await community.save();
 
-        // Broadcast message to all community members
+        // Broadcast the original straight away; translations follow once the provider answers
         io.to(`community_${communityId}`).emit('new_community_message', {
           communityId,
-          message: message.toObject()
+          message: message.toReaderObject(language)
         });
 
+        if (text) {
+          translateCommunityMessage(communityId, message)
+            .catch(error => console.error('Error translating community message:', error));
+        }
+
       } catch (error) {
         console.error('Error sending community message:', error);
         socket.emit('error', { message: 'Failed to send message' });
@@ -550,17 +654,20 @@ export const initializeSocket = (io) => {
     socket.on('disconnect', async (reason) => {
       console.log(`User disconnected: ${socket.user.displayName} (${reason})`);
       
+      clearTimeout(socket.tokenNoticeTimer);
+      clearTimeout(socket.tokenExpiryTimer);
+      
       try {
-        // Remove from active users
-        activeUsers.delete(socket.userId);
-        userSockets.delete(socket.userId);
+        // Still online while another device is connected
+        const remainingSockets = await presence.removeSocket(socket.userId, socket.id);
+        if (remainingSockets > 0) return;
         
         // Update user status to offline
         await updateUserOnlineStatus(socket.userId, 'offline');
         
         // Stop all typing indicators
         const userConversations = await Conversation.find({
-          'participants.user': socket.userId,
+          participants: { $elemMatch: { user: socket.userId, leftAt: { $exists: false } } },
           isActive: true
         });
         
@@ -612,15 +719,12 @@ export const initializeSocket = (io) => {
       user.friends.forEach(friendship => {
         if (friendship.status === 'accepted') {
           const friendId = friendship.user._id.toString();
-          const friendSocket = userSockets.get(friendId);
           
-          if (friendSocket) {
-            friendSocket.emit('friend_status_changed', {
-              userId: userId,
-              status: status,
-              lastActive: new Date()
-            });
-          }
+          io.to(`user_${friendId}`).emit('friend_status_changed', {
+            userId: userId,
+            status: status,
+            lastActive: new Date()
+          });
         }
       });
       
@@ -629,41 +733,87 @@ export const initializeSocket = (io) => {
     }
   }
   
-  // Helper function to emit to user
-  function emitToUser(userId, event, data) {
-    const socket = userSockets.get(userId);
-    if (socket) {
-      socket.emit(event, data);
-      return true;
-    }
-    return false;
+  // Helper function to emit to every device of a user, on any instance.
+  // Resolves to whether the user had a connected device.
+  async function emitToUser(userId, event, data) {
+    io.to(`user_${userId}`).emit(event, data);
+    return (await presence.getSocketCount(userId.toString())) > 0;
   }
   
   // Helper function to get active users count
   function getActiveUsersCount() {
-    return activeUsers.size;
+    return presence.countOnlineUsers();
   }
   
-  // Helper function to get active users in a community
-  function getActiveUsersInCommunity(communityId) {
-    const sockets = io.sockets.adapter.rooms.get(`community_${communityId}`);
-    return sockets ? sockets.size : 0;
+  // Helper function to get connected sockets in a community, across instances
+  async function getActiveUsersInCommunity(communityId) {
+    const sockets = await io.in(`community_${communityId}`).fetchSockets();
+    return sockets.length;
   }
   
-  // Periodic cleanup of inactive users
-  setInterval(() => {
-    const now = new Date();
-    const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
+  // Sockets in a community room, across instances, grouped by their user's preferred language
+  // (read fresh so a language changed in the profile applies to the next message)
+  async function getCommunityReaders(communityId) {
+    const sockets = await io.in(`community_${communityId}`).fetchSockets();
+    const users = await User.find({ _id: { $in: [...new Set(sockets.map(roomSocket => roomSocket.data.userId))] } })
+      .select('preferredLanguage')
+      .lean();
+    const languages = new Map(users.map(user => [user._id.toString(), user.preferredLanguage || 'english']));
     
-    for (const [userId, userData] of activeUsers.entries()) {
-      if (userData.lastSeen < fiveMinutesAgo) {
-        activeUsers.delete(userId);
-        userSockets.delete(userId);
-        
-        // Update database status to offline
-        updateUserOnlineStatus(userId, 'offline');
+    const readers = new Map();
+    sockets.forEach(roomSocket => {
+      const language = languages.get(roomSocket.data.userId) || 'english';
+      readers.set(language, [...(readers.get(language) || []), roomSocket.id]);
+    });
+    return readers;
+  }
+  
+  // Translate a sent message into the languages of the members reading the community right now and
+  // push each translation to its readers; members who open the community later get theirs when
+  // they load the messages
+  async function translateCommunityMessage(communityId, message) {
+    const { text, language } = message.content.original;
+    const readers = await getCommunityReaders(communityId);
+    const translations = await translateForReaders(text, { sourceLanguage: language, languages: [...readers.keys()] });
+    if (!translations.length) return;
+
+    await CommunityMessage.addTranslations(message._id, translations);
+    message.content.translated.push(...translations);
+
+    translations.forEach(translation => {
+      io.to(readers.get(translation.language)).emit('community_message_translated', {
+        communityId,
+        messageId: message._id,
+        content: message.toReaderObject(translation.language).content
+      });
+    });
+  }
+  
+  // Every minute, confirm this instance's sockets are alive, disconnect users who were
+  // banned or deactivated since they connected, and take users whose sockets went stale
+  // (e.g. their instance crashed) offline
+  setInterval(async () => {
+    try {
+      const localSockets = [...io.sockets.sockets.values()]
+        .map(localSocket => ({ userId: localSocket.userId, socketId: localSocket.id }));
+      await presence.touchSockets(localSockets);
+      
+      const connectedUserIds = [...new Set(localSockets.map(entry => entry.userId))];
+      const blockedUsers = await User.find({
+        _id: { $in: connectedUserIds },
+        $or: [{ isActive: false }, { isBanned: true }]
+      }).select('isActive isBanned');
+      blockedUsers.forEach(user => {
+        revokeUserSockets(io, user._id, user.isBanned ? 'Account is banned.' : 'Account is deactivated.');
+      });
+      
+      const wentOffline = await presence.sweep();
+      for (const userId of wentOffline) {
+        await updateUserOnlineStatus(userId, 'offline');
         emitUserStatusToFriends(userId, 'offline');
       }
+    } catch (error) {
+      console.error('Error sweeping presence:', error);
     }
   }, 60000); // Run every minute
   
@@ -671,8 +821,11 @@ export const initializeSocket = (io) => {
   io.emitToUser = emitToUser;
   io.getActiveUsersCount = getActiveUsersCount;
   io.getActiveUsersInCommunity = getActiveUsersInCommunity;
+  io.presence = presence;
+  io.revokeUser = (userId, reason) => revokeUserSockets(io, userId, reason);
+  io.revokeSession = (sessionId, reason) => revokeSessionSockets(io, sessionId, reason);
   
   console.log('Socket.IO initialized with real-time features');
 };
 
-export default { initializeSocket };
+export default { initializeSocket, revokeUserSockets, revokeSessionSockets };
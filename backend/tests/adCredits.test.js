@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import AdCreditEntry from '../models/AdCreditEntry.js';
+import AdClick from '../models/AdClick.js';
+import Ad from '../models/Ad.js';
+import adBillingService from '../services/adBillingService.js';
+import { revokeSubscriptionCredits } from '../services/adCreditService.js';
+import { invalidateBurstClicks } from '../services/invalidTrafficService.js';
+
+describe('revokeSubscriptionCredits', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('removes only what is left of the subscription\'s own grants', async () => {
+    const grants = [
+      { _id: 'grant-1', user: 'user-1', subscription: 'sub-1', remaining: 300 },
+      { _id: 'grant-2', user: 'user-1', subscription: 'sub-1', remaining: 50.5 }
+    ];
+    const find = jest.spyOn(AdCreditEntry, 'find').mockResolvedValue(grants);
+    const expireCredit = jest.spyOn(AdCreditEntry, 'expireCredit').mockImplementation(async (grant) => grant.remaining);
+
+    const result = await revokeSubscriptionCredits({ _id: 'sub-1', user: 'user-1' }, 'Payment refunded');
+
+    expect(find).toHaveBeenCalledWith({ subscription: 'sub-1', type: 'grant', remaining: { $gt: 0 } });
+    expect(expireCredit.mock.calls).toEqual([[grants[0], 'Payment refunded'], [grants[1], 'Payment refunded']]);
+    expect(result).toEqual({ revoked: 350.5 });
+  });
+
+  it('returns null when nothing is left to revoke', async () => {
+    jest.spyOn(AdCreditEntry, 'find').mockResolvedValue([]);
+
+    await expect(revokeSubscriptionCredits({ _id: 'sub-1', user: 'user-1' })).resolves.toBeNull();
+  });
+});
+
+describe('invalidateBurstClicks', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('marks the burst\'s earlier clicks invalid and refunds each once', async () => {
+    const clicks = [
+      { _id: 'click-1', ad: 'ad-1', charged: 4 },
+      { _id: 'click-2', ad: 'ad-2', charged: 6 }
+    ];
+    const find = jest.spyOn(AdClick, 'find').mockResolvedValue(clicks);
+    // click-2 was already taken by a concurrent burst
+    jest.spyOn(AdClick, 'findOneAndUpdate').mockImplementation(async ({ _id }) => (
+      _id === 'click-1' ? { ...clicks[0], valid: false, reasons: ['burst'] } : null
+    ));
+    jest.spyOn(Ad, 'findById').mockImplementation(async (id) => ({ _id: id }));
+    const refundClick = jest.spyOn(adBillingService, 'refundClick').mockResolvedValue(4);
+
+    const invalidated = await invalidateBurstClicks({ userId: 'user-1', ip: '10.0.0.1' });
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      valid: true,
+      $or: [{ user: 'user-1' }, { ip: '10.0.0.1' }]
+    }));
+    expect(invalidated).toBe(1);
+    expect(refundClick).toHaveBeenCalledTimes(1);
+    expect(refundClick).toHaveBeenCalledWith({ _id: 'ad-1' }, expect.objectContaining({ _id: 'click-1', valid: false }));
+  });
+});
@@ -0,0 +1,91 @@
+import Ad from '../models/Ad.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Monday 5 January 2026, 12:00 in India
+const noon = new Date('2026-01-05T06:30:00Z');
+
+const buildAd = ({ pricing = {}, schedule, spentToday = 0, now = noon } = {}) => new Ad({
+  status: 'active',
+  pricing: { model: 'cpc', bid: 5, actualSpent: spentToday, ...pricing, budget: { total: 1000, ...pricing.budget } },
+  campaign: {
+    startDate: new Date(startOfDay(now).getTime() - DAY_MS),
+    endDate: new Date(startOfDay(now).getTime() + 10 * DAY_MS),
+    timezone: 'Asia/Kolkata',
+    schedule
+  },
+  analytics: {
+    dailyStats: spentToday ? [{ date: startOfDay(now), spent: spentToday }] : []
+  }
+});
+
+describe('Ad delivery window', () => {
+  const schedule = { hours: { start: '10:00', end: '18:00' } };
+
+  it('reports how much of the window has passed in the campaign time zone', () => {
+    const window = buildAd({ schedule }).getDeliveryWindow(noon);
+
+    expect(window.inWindow).toBe(true);
+    expect(window.elapsed).toBeCloseTo(121 / 480, 5);
+  });
+
+  it('is outside the window before it opens and on days it does not run', () => {
+    expect(buildAd({ schedule }).getDeliveryWindow(new Date('2026-01-05T03:00:00Z')))
+      .toMatchObject({ inWindow: false, elapsed: 0 });
+    expect(buildAd({ schedule: { ...schedule, days: ['tuesday'] } }).getDeliveryWindow(noon))
+      .toMatchObject({ runsToday: false, inWindow: false });
+  });
+
+  it('runs all day when the window ends before it starts', () => {
+    const window = buildAd({ schedule: { hours: { start: '18:00', end: '10:00' } } }).getDeliveryWindow(noon);
+
+    expect(window.inWindow).toBe(true);
+    expect(window.elapsed).toBeCloseTo(721 / 1440, 5);
+  });
+});
+
+describe('Ad budget pacing', () => {
+  it('caps the day at the daily budget, or what is left of the total', () => {
+    expect(buildAd({ pricing: { budget: { daily: 300 } } }).getDailyCap(noon)).toBe(300);
+    expect(buildAd({ pricing: { budget: { daily: 300 }, actualSpent: 900 } }).getDailyCap(noon)).toBe(100);
+  });
+
+  it('spreads the rest of the total budget over the remaining days without a daily budget', () => {
+    expect(buildAd().getDailyCap(noon)).toBe(100);
+  });
+
+  it('holds an ad back once it is ahead of its pace', () => {
+    const schedule = { hours: { start: '10:00', end: '18:00' } };
+
+    // A quarter of the window has passed, so about 120 of the 480 cap may be spent
+    const behind = buildAd({ pricing: { budget: { daily: 480 } }, schedule, spentToday: 100 }).getPacing(noon);
+    const ahead = buildAd({ pricing: { budget: { daily: 480 } }, schedule, spentToday: 200 }).getPacing(noon);
+
+    expect(behind.pacedLimit).toBeCloseTo(121, 5);
+    expect(behind.canServe).toBe(true);
+    expect(ahead.canServe).toBe(false);
+  });
+
+  it('does not serve CPC and CPM ads without a bid or with the budget spent', () => {
+    expect(buildAd({ pricing: { bid: undefined } }).getPacing(noon).canServe).toBe(false);
+    expect(buildAd({ pricing: { actualSpent: 1000 } }).getPacing(noon).canServe).toBe(false);
+    expect(buildAd({ pricing: { model: 'flat_rate', bid: undefined } }).getPacing(noon).canServe).toBe(true);
+  });
+
+  it('spreads a flat-rate budget evenly over the campaign days', () => {
+    expect(buildAd({ pricing: { model: 'flat_rate' } }).getFlatDailyFee()).toBe(1000 / 11);
+    expect(buildAd().getFlatDailyFee()).toBe(0);
+  });
+
+  it('charges a CPM bid per thousand impressions', () => {
+    expect(buildAd({ pricing: { model: 'cpm', bid: 40 } }).getEventCost('impression')).toBe(0.04);
+    expect(buildAd({ pricing: { model: 'cpm', bid: 40 } }).getEventCost('click')).toBe(0);
+    expect(buildAd().getEventCost('click')).toBe(5);
+  });
+});
@@ -0,0 +1,184 @@
+import { analyzeAudio, parseAudio } from '../services/audio/index.js';
+import { computeWaveform } from '../services/audio/waveform.js';
+import { opusPacketDuration } from '../services/audio/webm.js';
+
+// --- Fixture builders ---
+
+const wav = (samples, sampleRate = 8000) => {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((value, i) => data.writeInt16LE(Math.round(value * 32767), i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames of 1152 samples
+const mp3Frame = () => {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+  return frame;
+};
+
+const oggPage = ({ granule, serial = 7, sequence, headerType = 0, packets }) => {
+  const lacing = packets.flatMap(packet => [
+    ...new Array(Math.floor(packet.length / 255)).fill(255),
+    packet.length % 255
+  ]);
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header[5] = headerType;
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = lacing.length;
+  return Buffer.concat([header, Buffer.from(lacing), ...packets]);
+};
+
+const opusHead = () => {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'latin1');
+  head[8] = 1;
+  head[9] = 1;
+  head.writeUInt16LE(312, 10);
+  head.writeUInt32LE(48000, 12);
+  return head;
+};
+
+// 20 ms fullband CELT frame, size standing in for loudness
+const opusPacket = (size) => {
+  const packet = Buffer.alloc(size);
+  packet[0] = 0xf8;
+  return packet;
+};
+
+const ebml = (id, body, unknownSize = false) => {
+  const idBytes = Buffer.from(id.toString(16).padStart(2, '0').match(/../g).map(byte => parseInt(byte, 16)));
+  const size = unknownSize
+    ? Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff])
+    : Buffer.from([0x10 | (body.length >> 24), (body.length >> 16) & 0xff, (body.length >> 8) & 0xff, body.length & 0xff]);
+  return Buffer.concat([idBytes, size, body]);
+};
+
+const uint = (value) => Buffer.from([value >> 8, value & 0xff]);
+const float64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(value);
+  return buffer;
+};
+
+const simpleBlock = (timecode, payload) => {
+  const header = Buffer.alloc(4);
+  header[0] = 0x81;
+  header.writeInt16BE(timecode, 1);
+  header[3] = 0x80;
+  return ebml(0xa3, Buffer.concat([header, payload]));
+};
+
+// What MediaRecorder writes: no Segment duration, open-ended Segment and Clusters
+const webm = (packetSizes) => {
+  const track = ebml(0xae, Buffer.concat([
+    ebml(0xd7, uint(1)),
+    ebml(0x83, uint(2)),
+    ebml(0x86, Buffer.from('A_OPUS')),
+    ebml(0xe1, Buffer.concat([ebml(0xb5, float64(48000)), ebml(0x9f, uint(1))]))
+  ]));
+
+  const clusters = [0, 1].map(index => ebml(0x1f43b675, Buffer.concat([
+    ebml(0xe7, uint(index * 1000)),
+    ...packetSizes.slice(index * 50, index * 50 + 50).map((size, i) => simpleBlock(i * 20, opusPacket(size)))
+  ]), true));
+
+  return Buffer.concat([
+    ebml(0x1a45dfa3, ebml(0x4282, Buffer.from('webm'))),
+    ebml(0x18538067, Buffer.concat([
+      ebml(0x1549a966, ebml(0x2ad7b1, Buffer.from([0x0f, 0x42, 0x40]))),
+      ebml(0x1654ae6b, track),
+      ...clusters
+    ]), true)
+  ]);
+};
+
+// Quiet first half, loud second half
+const LOUDNESS = Array.from({ length: 100 }, (_, i) => (i < 50 ? 20 : 120));
+
+describe('audio analysis', () => {
+  beforeAll(() => {
+    process.env.AUDIO_DECODER = 'none';
+  });
+
+  afterAll(() => {
+    delete process.env.AUDIO_DECODER;
+  });
+
+  it('decodes WAV and measures peak and RMS per bucket', async () => {
+    // 1 second: half a second of a quiet tone, then a loud one
+    const samples = Array.from({ length: 8000 }, (_, i) => Math.sin(i / 5) * (i < 4000 ? 0.1 : 0.8));
+    const result = await analyzeAudio(wav(samples), { buckets: 4 });
+
+    expect(result).toMatchObject({ format: 'wav', codec: 'pcm', duration: 1, decoded: true });
+    expect(result.waveform).toHaveLength(4);
+    expect(result.waveform[3]).toBe(1);
+    expect(result.waveform[0]).toBeCloseTo(0.125, 2);
+    expect(result.waveformRms[3]).toBeCloseTo(Math.SQRT1_2, 1);
+  });
+
+  it('reads MP3 duration from frame headers, after an ID3 tag', async () => {
+    const tag = Buffer.alloc(20);
+    tag.write('ID3', 0, 'latin1');
+    tag[9] = 10;
+    const file = Buffer.concat([tag, ...Array.from({ length: 100 }, mp3Frame)]);
+
+    const result = parseAudio(file);
+    expect(result).toMatchObject({ format: 'mp3', codec: 'mp3', sampleRate: 44100, channels: 2 });
+    expect(result.duration).toBeCloseTo((100 * 1152) / 44100, 5);
+  });
+
+  it('reads Ogg Opus duration from the last granule position', async () => {
+    const tags = Buffer.from('OpusTags');
+    const file = Buffer.concat([
+      oggPage({ granule: 0, sequence: 0, headerType: 0x02, packets: [opusHead()] }),
+      oggPage({ granule: 0, sequence: 1, packets: [tags] }),
+      oggPage({ granule: 312 + 50 * 960, sequence: 2, packets: LOUDNESS.slice(0, 50).map(opusPacket) }),
+      oggPage({ granule: 312 + 100 * 960, sequence: 3, headerType: 0x04, packets: LOUDNESS.slice(50).map(opusPacket) })
+    ]);
+
+    const result = await analyzeAudio(file, { buckets: 4 });
+    expect(result).toMatchObject({ format: 'ogg', codec: 'opus', duration: 2, decoded: false });
+    expect(result.waveform).toEqual([expect.any(Number), expect.any(Number), 1, 1]);
+    expect(result.waveform[0]).toBeLessThan(0.2);
+  });
+
+  it('works out WebM duration from block timestamps when the recorder left it out', async () => {
+    const result = await analyzeAudio(webm(LOUDNESS), { buckets: 4 });
+
+    expect(result).toMatchObject({ format: 'webm', codec: 'opus', sampleRate: 48000, channels: 1, duration: 2 });
+    expect(result.waveform[0]).toBeLessThan(result.waveform[3]);
+  });
+
+  it('rejects files that are not audio', async () => {
+    expect(await analyzeAudio(Buffer.from('definitely not audio'))).toBeNull();
+    expect(await analyzeAudio(wav([]).subarray(0, 30))).toBeNull();
+  });
+
+  it('reads Opus packet lengths from the TOC byte', () => {
+    expect(opusPacketDuration(Buffer.from([0xf8]))).toBeCloseTo(0.02);
+    expect(opusPacketDuration(Buffer.from([0x09]))).toBeCloseTo(0.04); // SILK 20 ms, two frames
+    expect(opusPacketDuration(Buffer.from([0x1b, 0x03]))).toBeCloseTo(0.18); // SILK 60 ms, three frames
+  });
+
+  it('keeps fewer buckets than samples', () => {
+    expect(computeWaveform(new Float32Array([0.5, -1]), 100).peaks).toEqual([0.5, 1]);
+  });
+});
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import Coupon from '../models/Coupon.js';
+import Subscription from '../models/Subscription.js';
+import { applyCoupon, releaseCoupon } from '../services/couponService.js';
+
+const appliedAt = new Date('2026-01-01T10:00:00Z');
+
+const pendingSubscription = (overrides = {}) => ({
+  _id: 'sub-1',
+  user: 'user-1',
+  tier: 'premium',
+  billingCycle: 'monthly',
+  status: 'pending',
+  amount: 999,
+  save: jest.fn(async () => {}),
+  ...overrides
+});
+
+describe('applyCoupon', () => {
+  const coupon = {
+    _id: 'coupon-1',
+    code: 'WELCOME10',
+    validTiers: [],
+    validBillingCycles: [],
+    maxRedemptionsPerUser: 1,
+    firstPurchaseOnly: false,
+    isCurrentlyValid: () => true,
+    calculateDiscount: (amount) => Math.round(amount * 0.1)
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Coupon, 'findByCode').mockResolvedValue(coupon);
+    jest.spyOn(Coupon, 'claimRedemption').mockResolvedValue(coupon);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts only paid subscriptions against the per-user limit', async () => {
+    jest.spyOn(Subscription, 'findById').mockResolvedValue(pendingSubscription());
+    const countDocuments = jest.spyOn(Subscription, 'countDocuments').mockResolvedValue(0);
+
+    const subscription = await applyCoupon('user-1', 'sub-1', 'welcome10');
+
+    expect(countDocuments).toHaveBeenCalledWith({
+      user: 'user-1',
+      'discountApplied.coupon': 'coupon-1',
+      $or: [{ 'paymentHistory.status': 'success' }, { status: 'active' }]
+    });
+    expect(subscription.amount).toBe(899);
+  });
+
+  it('refuses a code the buyer has already paid with', async () => {
+    jest.spyOn(Subscription, 'findById').mockResolvedValue(pendingSubscription());
+    jest.spyOn(Subscription, 'countDocuments').mockResolvedValue(1);
+
+    await expect(applyCoupon('user-1', 'sub-1', 'welcome10'))
+      .rejects.toMatchObject({ message: 'You have already used this discount code' });
+    expect(Coupon.claimRedemption).not.toHaveBeenCalled();
+  });
+});
+
+describe('releaseCoupon', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('restores the price of an unpaid subscription and gives the redemption back', async () => {
+    jest.spyOn(Subscription, 'findOne').mockResolvedValue(pendingSubscription({
+      amount: 899,
+      discountApplied: { coupon: 'coupon-1', amount: 100, originalAmount: 999, appliedAt }
+    }));
+    const updateOne = jest.spyOn(Subscription, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const releaseRedemption = jest.spyOn(Coupon, 'releaseRedemption').mockResolvedValue({});
+
+    await expect(releaseCoupon('sub-1')).resolves.toBe(true);
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'sub-1', status: 'pending', 'discountApplied.appliedAt': appliedAt },
+      { $set: { amount: 999 }, $unset: { discountApplied: 1 } }
+    );
+    expect(releaseRedemption).toHaveBeenCalledWith('coupon-1');
+  });
+
+  it('gives a redemption back only once', async () => {
+    jest.spyOn(Subscription, 'findOne').mockResolvedValue(pendingSubscription({
+      discountApplied: { coupon: 'coupon-1', originalAmount: 999, appliedAt }
+    }));
+    jest.spyOn(Subscription, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const releaseRedemption = jest.spyOn(Coupon, 'releaseRedemption');
+
+    await expect(releaseCoupon('sub-1')).resolves.toBe(false);
+    expect(releaseRedemption).not.toHaveBeenCalled();
+  });
+
+  it('leaves subscriptions without a pending discount alone', async () => {
+    jest.spyOn(Subscription, 'findOne').mockResolvedValue(null);
+
+    await expect(releaseCoupon('sub-1')).resolves.toBe(false);
+  });
+});
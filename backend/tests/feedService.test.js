@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import {
+  decodeFeedCursor,
+  encodeFeedCursor,
+  isPinnedForViewer,
+  normalizeFeedSort,
+  rankPosts,
+  scoreFeedPost
+} from '../services/feedService.js';
+
+const now = Date.UTC(2024, 0, 15, 12);
+const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000);
+
+const context = (overrides = {}) => ({
+  affinities: new Map(),
+  communityIds: new Set(),
+  categories: new Set(),
+  location: {},
+  authorLocations: new Map(),
+  ...overrides
+});
+
+const post = (author, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  author,
+  createdAt: hoursAgo(1),
+  ...fields
+});
+
+describe('feed ranking', () => {
+  const partner = new mongoose.Types.ObjectId();
+  const stranger = new mongoose.Types.ObjectId();
+
+  it('prefers authors the viewer trades and talks with', () => {
+    const ctx = context({
+      affinities: new Map([[partner.toString(), { chat: true, orders: 2 }]])
+    });
+
+    expect(scoreFeedPost(post(partner), ctx, now)).toBeGreaterThan(scoreFeedPost(post(stranger), ctx, now));
+  });
+
+  it('decays older posts and rewards fast engagement', () => {
+    const ctx = context();
+    expect(scoreFeedPost(post(stranger), ctx, now))
+      .toBeGreaterThan(scoreFeedPost(post(stranger, { createdAt: hoursAgo(48) }), ctx, now));
+    expect(scoreFeedPost(post(stranger, { likeCount: 30, commentCount: 5 }), ctx, now))
+      .toBeGreaterThan(scoreFeedPost(post(stranger), ctx, now));
+  });
+
+  it('matches categories and nearby shops', () => {
+    const ctx = context({
+      categories: new Set(['sarees']),
+      location: { city: 'Surat', coordinates: { latitude: 21.17, longitude: 72.83 } },
+      authorLocations: new Map([[partner.toString(), { coordinates: { latitude: 21.2, longitude: 72.85 } }]])
+    });
+
+    expect(scoreFeedPost(post(stranger, { product: { category: 'sarees' } }), ctx, now))
+      .toBeGreaterThan(scoreFeedPost(post(stranger, { product: { category: 'jeans' } }), ctx, now));
+    expect(scoreFeedPost(post(partner), ctx, now)).toBeGreaterThan(scoreFeedPost(post(stranger), ctx, now));
+  });
+
+  it('spreads out posts by the same author', () => {
+    const ctx = context({
+      affinities: new Map([[partner.toString(), { friend: true }]])
+    });
+    const posts = [
+      post(partner, { createdAt: hoursAgo(1) }),
+      post(partner, { createdAt: hoursAgo(2) }),
+      post(partner, { createdAt: hoursAgo(3) }),
+      post(stranger, { createdAt: hoursAgo(2) })
+    ];
+
+    const authors = rankPosts(posts, ctx, now).map(entry => entry.post.author);
+    expect(authors[0]).toBe(partner);
+    expect(authors.indexOf(stranger)).toBeLessThan(3);
+  });
+});
+
+describe('pinned posts', () => {
+  const community = new mongoose.Types.ObjectId();
+  const communityIds = new Set([community.toString()]);
+
+  it('keeps pins and announcements of the viewer\'s communities on top', () => {
+    expect(isPinnedForViewer({ isPinned: true, community }, communityIds, now)).toBe(true);
+    expect(isPinnedForViewer({ content: { type: 'announcement' }, community: null }, communityIds, now)).toBe(true);
+    expect(isPinnedForViewer({ isPinned: true, community: new mongoose.Types.ObjectId() }, communityIds, now)).toBe(false);
+  });
+
+  it('ignores expired pins', () => {
+    expect(isPinnedForViewer({ isPinned: true, pinnedUntil: hoursAgo(1), community }, communityIds, now)).toBe(false);
+  });
+});
+
+describe('feed cursors', () => {
+  it('round-trips ranked and chronological positions', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const ranked = { t: now, m: 'ranked', k: [0, 1.2345678901234567, id] };
+    const older = { t: now, m: 'older', c: now - 1000, id };
+
+    expect(decodeFeedCursor(encodeFeedCursor(ranked))).toEqual(ranked);
+    expect(decodeFeedCursor(encodeFeedCursor(older))).toEqual(older);
+  });
+
+  it('rejects made-up cursors', () => {
+    expect(() => decodeFeedCursor('not-a-cursor')).toThrow('Invalid cursor');
+    expect(() => decodeFeedCursor(encodeFeedCursor({ t: now, m: 'ranked', k: [0, 1, 'x'] }))).toThrow('Invalid cursor');
+  });
+});
+
+describe('feed sort orders', () => {
+  it('treats the old popular and trending sorts as ranked', () => {
+    expect(normalizeFeedSort('popular')).toBe('ranked');
+    expect(normalizeFeedSort('trending')).toBe('ranked');
+    expect(normalizeFeedSort('newest')).toBe('newest');
+    expect(normalizeFeedSort('oldest')).toBe('oldest');
+  });
+});
@@ -0,0 +1,80 @@
+import {
+  stateCodeFromGstin,
+  stateCodeFromName,
+  getFinancialYear,
+  getSupplyType,
+  buildTaxLine,
+  buildInclusiveTaxLine,
+  amountInWords
+} from '../utils/gst.js';
+
+describe('GST supply type', () => {
+  it('splits within a state and charges IGST across states', () => {
+    expect(getSupplyType('24', '24')).toBe('intra_state');
+    expect(getSupplyType('24', '27')).toBe('inter_state');
+  });
+
+  it('treats an unknown state as intra-state', () => {
+    expect(getSupplyType(null, '27')).toBe('intra_state');
+    expect(getSupplyType('24', undefined)).toBe('intra_state');
+  });
+
+  it('reads state codes from GSTINs and state names', () => {
+    expect(stateCodeFromGstin('24AAACB1234C1Z5')).toBe('24');
+    expect(stateCodeFromGstin('99AAACB1234C1Z5')).toBeNull();
+    expect(stateCodeFromName('Tamil Nadu')).toBe('33');
+    expect(stateCodeFromName('orissa')).toBe('21');
+    expect(stateCodeFromName('Jammu & Kashmir')).toBe('01');
+  });
+});
+
+describe('GST tax lines', () => {
+  it('halves the tax into CGST and SGST that add up to the rounded tax', () => {
+    const line = buildTaxLine({ taxableValue: 100.05, gstRate: 5 }, 'intra_state');
+
+    // 5% of 100.05 is 5.0025, rounded to 5.00 and split 2.50 + 2.50
+    expect(line).toMatchObject({ cgst: 2.5, sgst: 2.5, igst: 0, total: 105.05 });
+    expect(buildTaxLine({ taxableValue: 100.1, gstRate: 5 }, 'intra_state'))
+      .toMatchObject({ cgst: 2.51, sgst: 2.5, total: 105.11 });
+  });
+
+  it('charges the whole tax as IGST across states', () => {
+    expect(buildTaxLine({ taxableValue: 1000, gstRate: 12 }, 'inter_state'))
+      .toMatchObject({ cgst: 0, sgst: 0, igst: 120, total: 1120 });
+  });
+
+  it('charges nothing without a rate', () => {
+    expect(buildTaxLine({ taxableValue: 250 }, 'intra_state')).toMatchObject({ cgst: 0, sgst: 0, total: 250 });
+  });
+
+  it('backs the taxable value out of an inclusive amount and keeps the total exact', () => {
+    const line = buildInclusiveTaxLine({ gstRate: 18 }, 999, 'intra_state');
+
+    expect(line.taxableValue).toBe(846.61);
+    expect(line.rate).toBe(846.61);
+    expect(line.cgst + line.sgst).toBeCloseTo(152.39, 2);
+    expect(line.total).toBe(999);
+  });
+
+  it('puts the rounding difference on IGST across states', () => {
+    const line = buildInclusiveTaxLine({ gstRate: 18 }, 2499, 'inter_state');
+
+    expect(line.taxableValue).toBe(2117.8);
+    expect(line.igst).toBe(381.2);
+    expect(line.total).toBe(2499);
+  });
+});
+
+describe('GST documents', () => {
+  it('numbers financial years from April', () => {
+    expect(getFinancialYear(new Date(2026, 2, 31))).toBe('2025-26');
+    expect(getFinancialYear(new Date(2026, 3, 1))).toBe('2026-27');
+    expect(getFinancialYear(new Date(2099, 5, 1))).toBe('2099-00');
+  });
+
+  it('writes amounts in words in lakhs and crores', () => {
+    expect(amountInWords(1499.5)).toBe('Rupees One Thousand Four Hundred Ninety Nine and Fifty Paise Only');
+    expect(amountInWords(12500000)).toBe('Rupees One Crore Twenty Five Lakh Only');
+    expect(amountInWords(0)).toBe('Rupees Zero Only');
+  });
+});
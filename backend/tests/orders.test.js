@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Order from '../models/Order.js';
+import Transaction from '../models/Transaction.js';
+import orderRoutes from '../routes/orders.js';
+
+const buyer = new mongoose.Types.ObjectId();
+const seller = new mongoose.Types.ObjectId();
+
+// The orders router as server.js mounts it, with auth replaced by a fixed user
+const createApp = (userId) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.userId = userId.toString();
+    next();
+  });
+  app.use('/api/orders', orderRoutes);
+  return app;
+};
+
+const buildOrder = () => new Order({
+  buyer,
+  seller,
+  status: 'placed',
+  totalAmount: 1000,
+  amountPaid: 200
+});
+
+const pendingPayment = (amount) => new Transaction({ buyer, seller, amount, status: 'pending' });
+
+describe('POST /api/orders/:orderId/transactions', () => {
+  let order;
+
+  beforeEach(() => {
+    order = buildOrder();
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Transaction, 'createFromOrder').mockImplementation(async (_order, data) => ({ ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a buyer payment that, with the ones awaiting confirmation, exceeds the balance due', async () => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue([pendingPayment(500)]);
+
+    const res = await request(createApp(buyer))
+      .post(`/api/orders/${order._id}/transactions`)
+      .send({ amount: 400, paymentMethod: 'upi' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Amount exceeds the balance due of 300 after payments awaiting seller confirmation');
+    expect(Transaction.createFromOrder).not.toHaveBeenCalled();
+  });
+
+  it('refuses a buyer payment once unconfirmed payments cover the balance', async () => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue([pendingPayment(500), pendingPayment(300)]);
+
+    const res = await request(createApp(buyer))
+      .post(`/api/orders/${order._id}/transactions`)
+      .send({ paymentMethod: 'cash' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Payments awaiting seller confirmation already cover the balance due');
+  });
+
+  it('records a buyer payment for what is left, pending confirmation', async () => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue([pendingPayment(500)]);
+
+    const res = await request(createApp(buyer))
+      .post(`/api/orders/${order._id}/transactions`)
+      .send({ paymentMethod: 'upi' });
+
+    expect(res.status).toBe(201);
+    expect(Transaction.createFromOrder).toHaveBeenCalledWith(order, expect.objectContaining({
+      amount: 300,
+      status: 'pending'
+    }));
+  });
+
+  it('lets the seller record a received payment up to the balance due', async () => {
+    const find = jest.spyOn(Transaction, 'find').mockResolvedValue([pendingPayment(500)]);
+
+    const res = await request(createApp(seller))
+      .post(`/api/orders/${order._id}/transactions`)
+      .send({ amount: 800, paymentMethod: 'bank_transfer' });
+
+    expect(res.status).toBe(201);
+    expect(find).not.toHaveBeenCalled();
+    expect(Transaction.createFromOrder).toHaveBeenCalledWith(order, expect.objectContaining({
+      amount: 800,
+      status: 'completed'
+    }));
+  });
+});
@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getOtpProvider, getOtpProviderName } from '../services/otp/index.js';
+import { createLocalOtpProvider } from '../services/otp/localProvider.js';
+import { createSmsProvider } from '../services/otp/smsProvider.js';
+import { createWhatsAppProvider } from '../services/otp/whatsappProvider.js';
+
+describe('OTP provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('uses the local stand-in outside production', () => {
+    delete process.env.OTP_PROVIDER;
+    process.env.NODE_ENV = 'test';
+
+    expect(getOtpProviderName('sms')).toBe('local');
+    expect(getOtpProviderName('whatsapp')).toBe('local');
+    expect(getOtpProvider('whatsapp').name).toBe('local');
+  });
+
+  it('uses the channel adapter in production', () => {
+    delete process.env.OTP_PROVIDER;
+    process.env.NODE_ENV = 'production';
+
+    expect(getOtpProvider('sms').name).toBe('sms');
+    expect(getOtpProvider('whatsapp').name).toBe('whatsapp');
+  });
+
+  it('refuses the local stand-in in production', () => {
+    process.env.OTP_PROVIDER = 'local';
+    process.env.NODE_ENV = 'production';
+
+    expect(() => getOtpProvider('sms')).toThrow('Local OTP provider is disabled in production');
+  });
+});
+
+describe('local OTP provider', () => {
+  it('records codes and appends them to a file', async () => {
+    const file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'otp-')), 'otp.log');
+    const provider = createLocalOtpProvider({ file, silent: true });
+
+    const { providerMessageId } = await provider.send({ to: '+919876543210', code: '123456', expiresInMinutes: 10 });
+    await provider.send({ to: '+919876543210', code: '654321', expiresInMinutes: 10 });
+
+    expect(providerMessageId).toMatch(/^local_/);
+    expect(provider.getLastCode('+919876543210')).toBe('654321');
+
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ to: '+919876543210', code: '123456' });
+  });
+});
+
+describe('remote OTP providers', () => {
+  it('refuse to send without credentials', async () => {
+    const message = { to: '+919876543210', code: '123456', expiresInMinutes: 10 };
+
+    await expect(createSmsProvider({ accountSid: '', authToken: '' }).send(message))
+      .rejects.toThrow('SMS provider is not configured');
+    await expect(createWhatsAppProvider({ accessToken: '', phoneNumberId: '' }).send(message))
+      .rejects.toThrow('WhatsApp provider is not configured');
+  });
+});
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import Transaction from '../models/Transaction.js';
+import Subscription from '../models/Subscription.js';
+import { applyRefund, getRefundableAmount } from '../services/paymentService.js';
+
+describe('Refunds', () => {
+  let stored;
+
+  // Applies the update to an in-memory transaction when it matches the filter's status and refund ID
+  const fakeFindOneAndUpdate = (filter, update) => {
+    const refundId = filter['refunds.refundTransactionId']?.$ne;
+    if (stored.status !== filter.status ||
+        stored.refunds.some(refund => refund.refundTransactionId === refundId)) {
+      return Promise.resolve(null);
+    }
+
+    if (update.$inc) {
+      stored.refund = { ...stored.refund, amount: (stored.refund.amount || 0) + update.$inc['refund.amount'] };
+    }
+    if (update.$set?.status) stored.status = update.$set.status;
+    if (update.$push?.refunds) stored.refunds.push(update.$push.refunds);
+
+    return Promise.resolve({ ...stored, refund: { ...stored.refund }, refunds: [...stored.refunds] });
+  };
+
+  beforeEach(() => {
+    stored = {
+      _id: 'txn-1',
+      transactionId: 'TXN1',
+      type: 'subscription',
+      subscription: 'sub-1',
+      amount: 999,
+      status: 'completed',
+      refund: {},
+      refunds: []
+    };
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(fakeFindOneAndUpdate);
+    jest.spyOn(Transaction, 'findById').mockImplementation(async () => stored);
+    jest.spyOn(Subscription, 'findById').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a partially refunded transaction completed and its subscription untouched', async () => {
+    const result = await applyRefund(stored, { refundId: 'rf_1', amount: 300 });
+
+    expect(result.fullyRefunded).toBe(false);
+    expect(stored.status).toBe('completed');
+    expect(stored.refund.amount).toBe(300);
+    expect(Subscription.findById).not.toHaveBeenCalled();
+  });
+
+  it('refunds in full once partial refunds add up to the amount', async () => {
+    await applyRefund(stored, { refundId: 'rf_1', amount: 499.5 });
+    const result = await applyRefund(stored, { refundId: 'rf_2', amount: 499.5 });
+
+    expect(result.fullyRefunded).toBe(true);
+    expect(stored.status).toBe('refunded');
+    expect(stored.refunds).toHaveLength(2);
+    expect(Subscription.findById).toHaveBeenCalledWith('sub-1');
+  });
+
+  it('records each refund ID once', async () => {
+    await applyRefund(stored, { refundId: 'rf_1', amount: 100 });
+    const repeat = await applyRefund(stored, { refundId: 'rf_1', amount: 100 });
+
+    expect(repeat.alreadyProcessed).toBe(true);
+    expect(stored.refund.amount).toBe(100);
+  });
+
+  it('refunds whatever is left when no amount is given', async () => {
+    stored.refund = { amount: 199.9 };
+
+    expect(getRefundableAmount(stored)).toBe(799.1);
+    await applyRefund(stored, { refundId: 'rf_2' });
+    expect(stored.status).toBe('refunded');
+  });
+});
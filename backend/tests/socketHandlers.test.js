@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Conversation } from '../models/Chat.js';
+import { initializeSocket } from '../socket/socketHandlers.js';
+
+const caller = new mongoose.Types.ObjectId().toString();
+const callee = new mongoose.Types.ObjectId().toString();
+const outsider = new mongoose.Types.ObjectId().toString();
+
+const conversation = new Conversation({
+  type: 'direct',
+  participants: [{ user: caller }, { user: callee }]
+});
+
+const presence = {
+  addSocket: async () => 2,
+  removeSocket: async () => 1,
+  setStatus: async () => {},
+  getSocketCount: async () => 1,
+  countOnlineUsers: async () => 0
+};
+
+// Stand-in for a Socket.IO server: records what is emitted to which room, and looks sockets
+// up by id the way io.in(<socket id>).fetchSockets() does
+const createServer = (remoteSockets = []) => {
+  const emitted = [];
+  const io = {
+    emitted,
+    sockets: { sockets: new Map() },
+    use: () => {},
+    on: (event, handler) => { io.onConnection = handler; },
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    in: (room) => ({
+      fetchSockets: async () => remoteSockets.filter(remote => remote.id === room || remote.rooms.includes(room)),
+      disconnectSockets: () => {}
+    })
+  };
+  initializeSocket(io, { presence });
+  return io;
+};
+
+const connect = (io, userId, { tokenExpiresAt } = {}) => {
+  const handlers = {};
+  const socket = {
+    id: `socket-${userId}`,
+    userId,
+    tokenExpiresAt,
+    user: { displayName: 'Test user' },
+    data: { userId },
+    handlers,
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: jest.fn(),
+    disconnect: jest.fn(),
+    join: () => {},
+    leave: () => {},
+    to: () => ({ emit: () => {} })
+  };
+  io.onConnection(socket);
+  return socket;
+};
+
+describe('WebRTC signaling', () => {
+  // Keep the presence sweep from running
+  beforeAll(() => jest.useFakeTimers());
+  afterAll(() => jest.useRealTimers());
+
+  beforeEach(() => {
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends an offer to the device in the call once it is confirmed to be the target user\'s', async () => {
+    const io = createServer([{ id: 'callee-phone', rooms: [`user_${callee}`], data: { userId: callee } }]);
+    const socket = connect(io, caller);
+
+    await socket.handlers.webrtc_offer({
+      conversationId: conversation._id.toString(),
+      targetUserId: callee,
+      targetSocketId: 'callee-phone',
+      offer: { sdp: 'offer' }
+    });
+
+    expect(io.emitted).toEqual([{
+      room: 'callee-phone',
+      event: 'webrtc_offer',
+      payload: {
+        conversationId: conversation._id.toString(),
+        offer: { sdp: 'offer' },
+        fromUserId: caller,
+        fromSocketId: socket.id
+      }
+    }]);
+  });
+
+  it('sends to the target user\'s devices when the socket id is a room name', async () => {
+    const io = createServer([{ id: 'callee-phone', rooms: [`conversation_${conversation._id}`], data: { userId: callee } }]);
+    const socket = connect(io, caller);
+
+    await socket.handlers.webrtc_ice_candidate({
+      conversationId: conversation._id.toString(),
+      targetUserId: callee,
+      targetSocketId: `conversation_${conversation._id}`,
+      candidate: { candidate: 'forged' }
+    });
+
+    expect(io.emitted.map(({ room }) => room)).toEqual([`user_${callee}`]);
+  });
+
+  it('ignores a socket id that belongs to someone else', async () => {
+    const io = createServer([{ id: 'outsider-laptop', rooms: [], data: { userId: outsider } }]);
+    const socket = connect(io, caller);
+
+    await socket.handlers.webrtc_answer({
+      conversationId: conversation._id.toString(),
+      targetUserId: callee,
+      targetSocketId: 'outsider-laptop',
+      answer: { sdp: 'answer' }
+    });
+
+    expect(io.emitted.map(({ room }) => room)).toEqual([`user_${callee}`]);
+  });
+
+  it('refuses to signal someone outside the conversation', async () => {
+    const io = createServer();
+    const socket = connect(io, caller);
+
+    await socket.handlers.webrtc_offer({
+      conversationId: conversation._id.toString(),
+      targetUserId: outsider,
+      offer: { sdp: 'offer' }
+    });
+
+    expect(io.emitted).toEqual([]);
+    expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Not authorized to signal this user' });
+  });
+
+  it('refuses signals from someone outside the conversation', async () => {
+    const io = createServer();
+    const socket = connect(io, outsider);
+
+    await socket.handlers.webrtc_offer({
+      conversationId: conversation._id.toString(),
+      targetUserId: callee,
+      offer: { sdp: 'offer' }
+    });
+
+    expect(io.emitted).toEqual([]);
+  });
+
+  it('refuses a signal without a conversation', async () => {
+    const io = createServer();
+    const socket = connect(io, caller);
+
+    await socket.handlers.webrtc_offer({ targetUserId: callee, targetSocketId: `user_${callee}`, offer: {} });
+
+    expect(Conversation.findById).not.toHaveBeenCalled();
+    expect(io.emitted).toEqual([]);
+  });
+});
+
+describe('socket token expiry', () => {
+  beforeAll(() => jest.useFakeTimers());
+  afterAll(() => jest.useRealTimers());
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('warns before the token expires and disconnects without revoking the session', () => {
+    const io = createServer();
+    const socket = connect(io, caller, { tokenExpiresAt: new Date(Date.now() + 5 * 60 * 1000) });
+
+    jest.advanceTimersByTime(3 * 60 * 1000);
+    expect(socket.emit).toHaveBeenCalledWith('token_expiring', { expiresAt: socket.tokenExpiresAt });
+    expect(socket.disconnect).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    expect(socket.emit).toHaveBeenCalledWith('token_expired', { expiresAt: socket.tokenExpiresAt });
+    expect(socket.emit).not.toHaveBeenCalledWith('session_revoked', expect.anything());
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+  });
+
+  it('revokes the session when the user is signed out', () => {
+    const io = createServer();
+
+    io.revokeUser(caller, 'Account is banned.');
+
+    expect(io.emitted).toEqual([{ room: `user_${caller}`, event: 'session_revoked', payload: { reason: 'Account is banned.' } }]);
+  });
+});
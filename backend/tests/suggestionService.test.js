@@ -0,0 +1,63 @@
+import { getTradePartnerTypes, scoreSuggestion } from '../services/suggestionService.js';
+import { distanceKm, toGeoPoint } from '../utils/geo.js';
+
+describe('friend suggestion scoring', () => {
+  it('pairs business types along the supply chain both ways', () => {
+    expect(getTradePartnerTypes('retailer')).toEqual(expect.arrayContaining(['wholesaler', 'distributor']));
+    expect(getTradePartnerTypes('wholesaler')).toContain('retailer');
+    expect(getTradePartnerTypes('retailer')).not.toContain('manufacturer');
+    expect(getTradePartnerTypes(undefined)).toEqual([]);
+  });
+
+  it('explains every signal that contributed', () => {
+    const { score, reasons } = scoreSuggestion({
+      mutualConnections: 3,
+      sharedCommunities: 2,
+      distance: 12.4,
+      businessType: 'wholesaler',
+      viewerBusinessType: 'manufacturer',
+      commonCategories: ['sarees']
+    });
+
+    expect(reasons).toEqual([
+      '3 mutual connections',
+      'Member of 2 of your communities',
+      '12 km away',
+      'Wholesaler — trades with manufacturers like you',
+      'Similar business: sarees'
+    ]);
+    expect(score).toBeGreaterThan(20);
+  });
+
+  it('caps counted signals and ranks closer shops higher', () => {
+    const many = scoreSuggestion({ mutualConnections: 40 });
+    const few = scoreSuggestion({ mutualConnections: 5 });
+    expect(many.score).toBe(few.score);
+    expect(many.reasons).toEqual(['40 mutual connections']);
+
+    expect(scoreSuggestion({ distance: 2 }).score).toBeGreaterThan(scoreSuggestion({ distance: 60 }).score);
+    expect(scoreSuggestion({ distance: 150 })).toEqual({ score: 0, reasons: [] });
+  });
+
+  it('hides the distance of users who keep their location private', () => {
+    expect(scoreSuggestion({ distance: 3, showDistance: false }).reasons).toEqual(['Near you']);
+  });
+
+  it('falls back to the city when there are no coordinates', () => {
+    expect(scoreSuggestion({ sameCity: true, city: 'Surat' }).reasons).toEqual(['Same location: Surat']);
+  });
+});
+
+describe('geo helpers', () => {
+  it('builds GeoJSON points longitude first', () => {
+    expect(toGeoPoint({ latitude: 21.17, longitude: 72.83 })).toEqual({ type: 'Point', coordinates: [72.83, 21.17] });
+    expect(toGeoPoint({ latitude: 21.17 })).toBeNull();
+  });
+
+  it('measures great-circle distance in kilometres', () => {
+    const surat = { latitude: 21.1702, longitude: 72.8311 };
+    const mumbai = { latitude: 19.076, longitude: 72.8777 };
+    expect(distanceKm(surat, mumbai)).toBeGreaterThan(230);
+    expect(distanceKm(surat, mumbai)).toBeLessThan(240);
+  });
+});
@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { verifyToken, authenticateToken, signTwoFactorToken, verifyTwoFactorToken } from '../services/tokenService.js';
+
+const secret = 'test_secret';
+
+const activeUser = { _id: 'user-1', isActive: true, isBanned: false };
+
+// Stand-in for firebase-admin's Auth: accepts only the tokens it was given
+const fakeFirebaseAuth = (tokens) => ({
+  verifyIdToken: async (token) => {
+    if (!tokens[token]) throw new Error('Decoding Firebase ID token failed');
+    return tokens[token];
+  }
+});
+
+const firebaseExp = Math.floor(Date.now() / 1000) + 3600;
+
+describe('verifyToken', () => {
+  it('rejects a missing token', async () => {
+    await expect(verifyToken(undefined, { secret, firebaseAuth: null }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Access denied. No token provided.' });
+  });
+
+  it('accepts a valid JWT', async () => {
+    const token = jwt.sign({ userId: 'user-1' }, secret, { expiresIn: '1h' });
+
+    const result = await verifyToken(token, { secret, firebaseAuth: null });
+
+    expect(result.provider).toBe('jwt');
+    expect(result.subject).toBe('user-1');
+    expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('reports an expired JWT', async () => {
+    const token = jwt.sign({ userId: 'user-1', exp: Math.floor(Date.now() / 1000) - 10 }, secret);
+
+    await expect(verifyToken(token, { secret, firebaseAuth: null }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Token expired.' });
+  });
+
+  it('rejects a JWT signed with another secret', async () => {
+    const token = jwt.sign({ userId: 'user-1' }, 'other_secret');
+
+    await expect(verifyToken(token, { secret, firebaseAuth: null }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid token.' });
+  });
+
+  it('does not accept the interim two-factor token as an access token', async () => {
+    const token = signTwoFactorToken({ _id: 'user-1' }, { secret });
+
+    await expect(verifyToken(token, { secret, firebaseAuth: null }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid token.' });
+    await expect(verifyTwoFactorToken(token, { secret })).resolves.toBe('user-1');
+  });
+
+  it('accepts a Firebase ID token', async () => {
+    const firebaseAuth = fakeFirebaseAuth({
+      'firebase-token': { uid: 'firebase-uid', exp: firebaseExp }
+    });
+
+    const result = await verifyToken('firebase-token', { secret, firebaseAuth });
+
+    expect(result.provider).toBe('firebase');
+    expect(result.subject).toBe('firebase-uid');
+    expect(result.expiresAt).toEqual(new Date(firebaseExp * 1000));
+  });
+
+  it('falls back to JWT when Firebase rejects the token', async () => {
+    const token = jwt.sign({ userId: 'user-1' }, secret, { expiresIn: '1h' });
+
+    const result = await verifyToken(token, { secret, firebaseAuth: fakeFirebaseAuth({}) });
+
+    expect(result.provider).toBe('jwt');
+    expect(result.subject).toBe('user-1');
+  });
+
+  it('rejects a token neither provider accepts', async () => {
+    await expect(verifyToken('garbage', { secret, firebaseAuth: fakeFirebaseAuth({}) }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid token.' });
+  });
+});
+
+describe('authenticateToken', () => {
+  const jwtToken = () => jwt.sign({ userId: 'user-1' }, secret, { expiresIn: '1h' });
+
+  it('loads the user of a JWT', async () => {
+    const findUser = jest.fn(async () => activeUser);
+
+    const result = await authenticateToken(jwtToken(), { secret, firebaseAuth: null, findUser });
+
+    expect(findUser).toHaveBeenCalledWith(expect.objectContaining({ provider: 'jwt', subject: 'user-1' }));
+    expect(result.user).toBe(activeUser);
+    expect(result.provider).toBe('jwt');
+  });
+
+  it('loads the user of a Firebase token by UID', async () => {
+    const firebaseAuth = fakeFirebaseAuth({
+      'firebase-token': { uid: 'firebase-uid', exp: firebaseExp }
+    });
+    const findUser = jest.fn(async () => activeUser);
+
+    const result = await authenticateToken('firebase-token', { secret, firebaseAuth, findUser });
+
+    expect(findUser).toHaveBeenCalledWith(expect.objectContaining({ provider: 'firebase', subject: 'firebase-uid' }));
+    expect(result.provider).toBe('firebase');
+  });
+
+  it('refuses a Firebase token for an account with two-factor authentication', async () => {
+    const firebaseAuth = fakeFirebaseAuth({
+      'firebase-token': { uid: 'firebase-uid', exp: firebaseExp }
+    });
+    const findUser = async () => ({ ...activeUser, twoFactorEnabled: true });
+
+    await expect(authenticateToken('firebase-token', { secret, firebaseAuth, findUser }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Two-factor verification required.' });
+  });
+
+  it('accepts a session token for an account with two-factor authentication', async () => {
+    const token = jwt.sign({ userId: 'user-1', sid: 'session-1' }, secret, { expiresIn: '15m' });
+    const findUser = async () => ({ ...activeUser, twoFactorEnabled: true });
+    const findSession = async () => ({ isActive: () => true });
+
+    const result = await authenticateToken(token, { secret, firebaseAuth: null, findUser, findSession });
+
+    expect(result.provider).toBe('jwt');
+  });
+
+  it('accepts a token of an active session', async () => {
+    const token = jwt.sign({ userId: 'user-1', sid: 'session-1' }, secret, { expiresIn: '15m' });
+    const findSession = jest.fn(async () => ({ isActive: () => true }));
+
+    const result = await authenticateToken(token, { secret, firebaseAuth: null, findUser: async () => activeUser, findSession });
+
+    expect(findSession).toHaveBeenCalledWith('session-1');
+    expect(result.sessionId).toBe('session-1');
+  });
+
+  it('rejects a token of a signed-out session', async () => {
+    const token = jwt.sign({ userId: 'user-1', sid: 'session-1' }, secret, { expiresIn: '15m' });
+    const findSession = async () => ({ isActive: () => false });
+
+    await expect(authenticateToken(token, { secret, firebaseAuth: null, findUser: async () => activeUser, findSession }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Session has been signed out.', sessionRevoked: true });
+  });
+
+  it('rejects a token whose user no longer exists', async () => {
+    await expect(authenticateToken(jwtToken(), { secret, firebaseAuth: null, findUser: async () => null }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'User not found.' });
+  });
+
+  it('rejects a deactivated account and marks it blocked', async () => {
+    const findUser = async () => ({ ...activeUser, isActive: false });
+
+    await expect(authenticateToken(jwtToken(), { secret, firebaseAuth: null, findUser }))
+      .rejects.toMatchObject({ message: 'Account is deactivated.', accountBlocked: true });
+  });
+
+  it('rejects a banned account with the ban reason', async () => {
+    const findUser = async () => ({ ...activeUser, isBanned: true, banReason: 'Spam' });
+
+    await expect(authenticateToken(jwtToken(), { secret, firebaseAuth: null, findUser }))
+      .rejects.toMatchObject({ message: 'Account is banned.', reason: 'Spam', accountBlocked: true });
+  });
+});
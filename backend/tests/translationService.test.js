@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+import TranslationMemory from '../models/TranslationMemory.js';
+import GlossaryTerm from '../models/GlossaryTerm.js';
+import {
+  getTranslationProvider,
+  getTranslationProviderName,
+  registerTranslationProvider
+} from '../services/translation/index.js';
+import { createDictionaryTranslationProvider } from '../services/translation/dictionaryProvider.js';
+import {
+  normalizeText,
+  protectTerms,
+  restoreTerms,
+  translateText,
+  resolveLanguage,
+  translateForReaders,
+  translateMissing,
+  localizeContent
+} from '../services/translationService.js';
+
+describe('Translation provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('uses the offline dictionary without a Sarvam key outside production', () => {
+    delete process.env.TRANSLATION_PROVIDER;
+    delete process.env.SARVAM_API_KEY;
+    process.env.NODE_ENV = 'test';
+
+    expect(getTranslationProviderName()).toBe('dictionary');
+  });
+
+  it('uses Sarvam once a key is configured', () => {
+    delete process.env.TRANSLATION_PROVIDER;
+    process.env.SARVAM_API_KEY = 'test-key';
+
+    expect(getTranslationProvider().name).toBe('sarvam');
+  });
+
+  it('refuses the dictionary in production', () => {
+    process.env.TRANSLATION_PROVIDER = 'dictionary';
+    process.env.NODE_ENV = 'production';
+
+    expect(() => getTranslationProvider()).toThrow('Dictionary translation provider is disabled in production');
+  });
+});
+
+describe('Dictionary translation provider', () => {
+  it('translates the phrases it knows and detects the source script', async () => {
+    const provider = createDictionaryTranslationProvider();
+
+    await expect(provider.translate({ text: 'Good morning', sourceLanguage: 'auto', targetLanguage: 'hindi' }))
+      .resolves.toEqual({ text: 'शुभ प्रभात', sourceLanguage: 'english', confidence: 0.8 });
+    await expect(provider.translate({ text: 'धन्यवाद', sourceLanguage: 'auto', targetLanguage: 'english' }))
+      .resolves.toMatchObject({ text: 'thank you', sourceLanguage: 'hindi' });
+  });
+
+  it('marks text it does not know with the target language', async () => {
+    const provider = createDictionaryTranslationProvider();
+    const result = await provider.translate({ text: 'Ready stock', sourceLanguage: 'english', targetLanguage: 'tamil' });
+
+    expect(result).toEqual({ text: '[TAMIL] Ready stock', sourceLanguage: 'english', confidence: 0.5 });
+  });
+});
+
+describe('Glossary protection', () => {
+  it('swaps whole-word terms for placeholders, keeping their spelling', () => {
+    const { text, terms } = protectTerms('Moq 100 pcs, GST extra. Lycra-blend, not lycrasoft');
+
+    expect(text).toBe('{{0}} 100 {{1}}, {{2}} extra. {{3}}-blend, not lycrasoft');
+    expect(terms).toEqual(['Moq', 'pcs', 'GST', 'Lycra']);
+  });
+
+  it('prefers the longest matching term', () => {
+    expect(protectTerms('Banarasi silk saree', ['silk', 'Banarasi silk']).terms).toEqual(['Banarasi silk']);
+  });
+
+  it('restores placeholders, including ones rewritten in Indic digits', () => {
+    const terms = ['MOQ', 'pcs'];
+
+    expect(restoreTerms('{{0}} 100 {{1}} है', terms)).toBe('MOQ 100 pcs है');
+    expect(restoreTerms('{{ ० }} 100 {{१}}', terms)).toBe('MOQ 100 pcs');
+  });
+
+  it('normalises case, spacing and Unicode form for memory keys', () => {
+    expect(normalizeText('  GST   Extra\n')).toBe('gst extra');
+    expect(normalizeText('Cafe\u0301')).toBe(normalizeText('Caf\u00e9'));
+  });
+});
+
+describe('translateText', () => {
+  const env = { ...process.env };
+  let provider;
+  let memory;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.TRANSLATION_PROVIDER = 'dictionary';
+    provider = createDictionaryTranslationProvider();
+    registerTranslationProvider('dictionary', () => provider);
+
+    // In-memory stand-ins for the two collections
+    memory = new Map();
+    const keyOf = ({ sourceHash, sourceLanguage, targetLanguage }) => `${sourceHash}:${sourceLanguage}:${targetLanguage}`;
+
+    jest.spyOn(GlossaryTerm, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [] })
+    });
+    jest.spyOn(TranslationMemory, 'findOneAndUpdate').mockImplementation((key) => ({
+      lean: async () => memory.get(keyOf(key)) || null
+    }));
+    jest.spyOn(TranslationMemory, 'updateOne').mockImplementation(async (key, update) => {
+      memory.set(keyOf(key), { ...key, ...update.$setOnInsert });
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('sends a phrase to the provider once and serves repeats from memory', async () => {
+    const first = await translateText('GST extra', { targetLanguage: 'hindi' });
+    const second = await translateText('gst   EXTRA', { targetLanguage: 'hindi' });
+
+    expect(first).toMatchObject({ text: '[HINDI] GST extra', cached: false, provider: 'dictionary' });
+    expect(second).toMatchObject({ text: '[HINDI] gst extra', cached: true });
+    expect(provider.calls).toEqual([{ text: '{{0}} extra', sourceLanguage: 'auto', targetLanguage: 'hindi' }]);
+  });
+
+  it('keeps separate memory entries per language pair', async () => {
+    await translateText('Ready stock', { targetLanguage: 'hindi' });
+    await translateText('Ready stock', { targetLanguage: 'tamil' });
+
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('never bills text made only of glossary terms and numbers', async () => {
+    const result = await translateText('MOQ 100 pcs', { targetLanguage: 'hindi' });
+
+    expect(result).toMatchObject({ text: 'MOQ 100 pcs', provider: null, cached: false });
+    expect(provider.calls).toHaveLength(0);
+  });
+
+  it('returns the text unchanged when source and target match', async () => {
+    const result = await translateText('Hello', { sourceLanguage: 'english', targetLanguage: 'english' });
+
+    expect(result).toMatchObject({ text: 'Hello', confidence: 1.0 });
+    expect(provider.calls).toHaveLength(0);
+  });
+
+  it('translates for each reader language except the source, skipping failures', async () => {
+    registerTranslationProvider('dictionary', () => ({
+      name: 'dictionary',
+      translate: async ({ text, targetLanguage }) => {
+        if (targetLanguage === 'tamil') throw new Error('Provider timeout');
+        return { text: `[${targetLanguage}] ${text}`, sourceLanguage: 'gujarati', confidence: 0.9 };
+      }
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const translations = await translateForReaders('કેટલા મીટર?', {
+      sourceLanguage: 'gujarati',
+      languages: ['gujarati', 'hindi', 'tamil', 'hindi', 'klingon']
+    });
+
+    expect(translations).toEqual([{ language: 'hindi', text: '[hindi] કેટલા મીટર?', confidence: 0.9 }]);
+  });
+
+  it('translates only the items a reader has no translation for', async () => {
+    const added = await translateMissing([
+      { text: 'Ready stock', language: 'english', translations: [] },
+      { text: 'तैयार माल', language: 'hindi', translations: [] },
+      { text: 'Fresh lot', language: 'english', translations: [{ language: 'hindi', text: 'नया लॉट' }] },
+      { text: '', language: 'english', translations: [] }
+    ], 'hindi');
+
+    expect(added).toEqual([{ index: 0, translation: { language: 'hindi', text: '[HINDI] Ready stock', confidence: 0.5 } }]);
+  });
+});
+
+describe('Reader language', () => {
+  const translations = [{ language: 'hindi', text: 'कितने मीटर?' }];
+
+  it('uses the declared language, else guesses from the script', () => {
+    expect(resolveLanguage('tamil', 'hello')).toBe('tamil');
+    expect(resolveLanguage('en', 'કેટલા મીટર?')).toBe('gujarati');
+    expect(resolveLanguage(undefined, 'How many metres?')).toBe('english');
+  });
+
+  it('shows the translation with the original alongside', () => {
+    expect(localizeContent({ text: 'How many metres?', language: 'english' }, translations, 'hindi')).toEqual({
+      text: 'कितने मीटर?',
+      original: { text: 'How many metres?', language: 'english' },
+      translatedTo: 'hindi',
+      hasTranslation: true
+    });
+  });
+
+  it('shows the original when asked, when untranslated or in the reader\'s language', () => {
+    const original = { text: 'How many metres?', language: 'english' };
+
+    expect(localizeContent(original, translations, 'hindi', { showOriginal: true }).text).toBe('How many metres?');
+    expect(localizeContent(original, translations, 'tamil').translatedTo).toBeNull();
+    expect(localizeContent(original, translations, 'english').text).toBe('How many metres?');
+  });
+});
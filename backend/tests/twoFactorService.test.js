@@ -0,0 +1,62 @@
+import {
+  generateCode,
+  verifyCode,
+  generateSecret,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../services/twoFactorService.js';
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP codes', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateCode(RFC_SECRET, Math.floor(2000000000 / 30))).toBe('279037');
+  });
+
+  it('accepts a code from the previous step but not from further back', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+  });
+
+  it('refuses a code at or before the last used step', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+    const code = generateCode(RFC_SECRET, step);
+
+    expect(verifyCode(RFC_SECRET, code, { time, lastUsedStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, code, { time, lastUsedStep: step - 1 })).toBe(step);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  it('builds a provisioning URI for a new secret', () => {
+    const secret = generateSecret();
+    const uri = buildProvisioningUri(secret, 'buyer@example.com');
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(uri).toMatch(/^otpauth:\/\/totp\/WholeSale%20Connect%3Abuyer%40example\.com\?/);
+    expect(uri).toContain(`secret=${secret}`);
+  });
+});
+
+describe('recovery codes', () => {
+  it('stores hashes that match the codes however they are typed', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(hashes[0]).not.toContain(codes[0]);
+    expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(hashes[0]);
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import OtpDelivery from '../models/OtpDelivery.js';
+import { registerOtpProvider } from '../services/otp/index.js';
+import { createLocalOtpProvider } from '../services/otp/localProvider.js';
+import {
+  hashPhoneCode,
+  getSendLimitError,
+  sendPhoneVerification,
+  verifyPhone
+} from '../services/verificationService.js';
+
+const phone = '9876543210';
+
+// Stand-in for a mongoose query that is only ever .select()ed or .sort()ed
+const query = (result) => ({ select: async () => result, sort: async () => result });
+
+describe('Phone code limits', () => {
+  const now = Date.parse('2026-01-01T10:00:00Z');
+
+  it('asks for the rest of the resend cooldown', () => {
+    const lastDelivery = { createdAt: new Date(now - 20 * 1000) };
+
+    expect(getSendLimitError({ lastDelivery, phoneCount: 1, ipCount: 1 }, now))
+      .toMatchObject({ statusCode: 429, message: 'Please wait 40 seconds before requesting another code' });
+    expect(getSendLimitError({ lastDelivery: { createdAt: new Date(now - 61 * 1000) }, phoneCount: 1, ipCount: 1 }, now))
+      .toBeNull();
+  });
+
+  it('stops at 5 codes per number and 20 per IP an hour', () => {
+    expect(getSendLimitError({ phoneCount: 4, ipCount: 19 }, now)).toBeNull();
+    expect(getSendLimitError({ phoneCount: 5, ipCount: 0 }, now))
+      .toMatchObject({ statusCode: 429, message: 'Too many verification codes requested. Please try again in an hour.' });
+    expect(getSendLimitError({ phoneCount: 0, ipCount: 20 }, now)).toMatchObject({ statusCode: 429 });
+  });
+});
+
+describe('sendPhoneVerification', () => {
+  let user;
+  let provider;
+
+  beforeEach(() => {
+    user = { _id: 'user-1', save: jest.fn(async () => {}) };
+    provider = createLocalOtpProvider({ silent: true });
+    registerOtpProvider('local', () => provider);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(OtpDelivery, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(OtpDelivery, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(OtpDelivery, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only a hash of the code it sends, bound to the number', async () => {
+    await sendPhoneVerification('user-1', phone, { ip: '10.0.0.1' });
+
+    const code = provider.getLastCode(`+91${phone}`);
+    expect(user.phoneVerificationCode).toBe(hashPhoneCode(phone, code));
+    expect(user.phoneVerificationCode).not.toContain(code);
+    expect(hashPhoneCode('9876543211', code)).not.toBe(user.phoneVerificationCode);
+    expect(user.phoneVerificationAttempts).toBe(0);
+    expect(OtpDelivery.create).toHaveBeenCalledWith(expect.objectContaining({ phone, ip: '10.0.0.1', status: 'sent' }));
+  });
+
+  it('counts sends per number and per IP', async () => {
+    await sendPhoneVerification('user-1', phone, { ip: '10.0.0.1' });
+
+    expect(OtpDelivery.countDocuments).toHaveBeenCalledWith({ phone, createdAt: { $gte: expect.any(Date) } });
+    expect(OtpDelivery.countDocuments).toHaveBeenCalledWith({ ip: '10.0.0.1', createdAt: { $gte: expect.any(Date) } });
+  });
+
+  it('sends nothing during the resend cooldown', async () => {
+    OtpDelivery.findOne.mockReturnValue(query({ createdAt: new Date() }));
+
+    await expect(sendPhoneVerification('user-1', phone)).rejects.toMatchObject({ statusCode: 429 });
+    expect(provider.getLastCode(`+91${phone}`)).toBeUndefined();
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing while verification is locked', async () => {
+    user.phoneVerificationLockedUntil = new Date(Date.now() + 60 * 1000);
+
+    await expect(sendPhoneVerification('user-1', phone))
+      .rejects.toMatchObject({ statusCode: 429, message: 'Too many incorrect codes. Please try again later.' });
+    expect(OtpDelivery.countDocuments).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyPhone', () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: 'user-1',
+      phoneToVerify: phone,
+      phoneVerificationCode: hashPhoneCode(phone, '123456'),
+      phoneVerificationExpiry: new Date(Date.now() + 5 * 60 * 1000),
+      phoneVerificationAttempts: 0,
+      save: jest.fn(async () => {})
+    };
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('verifies the number with the right code and clears it', async () => {
+    await expect(verifyPhone('user-1', '123456')).resolves.toMatchObject({ success: true });
+
+    expect(user).toMatchObject({ phoneVerified: true, phone, phoneVerificationCode: undefined });
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('counts a wrong code without locking before the limit', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query({ phoneVerificationAttempts: 4 }));
+
+    await expect(verifyPhone('user-1', '000000'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid or expired verification code' });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith({ _id: 'user-1' }, { $inc: { phoneVerificationAttempts: 1 } }, { new: true });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('discards the code and locks verification on the fifth wrong code', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query({ phoneVerificationAttempts: 5 }));
+
+    await expect(verifyPhone('user-1', '000000')).rejects.toMatchObject({ statusCode: 429 });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user-1' }, {
+      phoneVerificationLockedUntil: expect.any(Date),
+      $unset: { phoneVerificationCode: 1, phoneVerificationExpiry: 1, phoneVerificationAttempts: 1 }
+    });
+  });
+
+  it('refuses even the right code while locked or after expiry', async () => {
+    user.phoneVerificationLockedUntil = new Date(Date.now() + 60 * 1000);
+    await expect(verifyPhone('user-1', '123456')).rejects.toMatchObject({ statusCode: 429 });
+
+    user.phoneVerificationLockedUntil = undefined;
+    user.phoneVerificationExpiry = new Date(Date.now() - 1000);
+    await expect(verifyPhone('user-1', '123456')).rejects.toMatchObject({ statusCode: 400 });
+    expect(user.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  normalizeCommand,
+  parsePriceRange,
+  parseListingTerms,
+  parseVoiceCommand
+} from '../services/voiceCommandService.js';
+
+describe('Voice command search', () => {
+  it('turns a spoken query into product filters', () => {
+    expect(parseVoiceCommand('cotton saree under 500 in Surat')).toEqual({
+      intent: 'search',
+      filters: { category: 'sarees', maxPrice: 500, city: 'Surat', search: 'cotton' }
+    });
+  });
+
+  it('reads price ranges, rupee signs and thousands', () => {
+    expect(parsePriceRange('between rs 300 and 800 rupees').filters).toEqual({ minPrice: 300, maxPrice: 800 });
+    expect(parsePriceRange('600 to 300 rupees').filters).toEqual({ minPrice: 300, maxPrice: 600 });
+    expect(parsePriceRange(normalizeCommand('above ₹1,500 below 2.5k')).filters).toEqual({ minPrice: 1500, maxPrice: 2500 });
+  });
+
+  it('takes a city after "in" or "from" even when it is not a known hub', () => {
+    expect(parseVoiceCommand('kurtis from Bhagalpur').filters).toEqual({ category: 'garments', city: 'Bhagalpur' });
+    expect(parseVoiceCommand('show red sarees in stock').filters).toEqual({ category: 'sarees', search: 'red' });
+  });
+
+  it('does not read "500 kurtis" as a thousands multiplier', () => {
+    expect(parsePriceRange('under 500 kurtis').filters).toEqual({ maxPrice: 500 });
+  });
+});
+
+describe('Voice command listing', () => {
+  it('drafts a product from a spoken listing', () => {
+    const result = parseVoiceCommand('new kurti, 250 rupees per piece, minimum 50', { defaults: { city: 'Tirupur' } });
+
+    expect(result).toEqual({
+      intent: 'listing',
+      draft: {
+        name: 'Kurti',
+        category: 'garments',
+        description: 'Kurti at ₹250 per piece. Minimum order 50 pieces.',
+        price: { amount: 250, unit: 'piece', currency: 'INR' },
+        minOrderQuantity: 50,
+        specifications: {},
+        location: { city: 'Tirupur' }
+      },
+      missing: []
+    });
+  });
+
+  it('reads MOQ, units and materials', () => {
+    const { draft } = parseVoiceCommand('add cotton fabric at Rs 120 per meter MOQ 100 mtrs');
+
+    expect(draft).toMatchObject({
+      name: 'Cotton Fabric',
+      category: 'fabrics',
+      price: { amount: 120, unit: 'meter' },
+      minOrderQuantity: 100,
+      specifications: { material: 'cotton' }
+    });
+    expect(parseListingTerms('minimum order of 20 sets').terms).toEqual({ minOrderQuantity: 20, unit: 'set' });
+  });
+
+  it('lists what the seller still has to fill in', () => {
+    expect(parseVoiceCommand('new stock of lehenga rs 2500').missing).toEqual(['minOrderQuantity']);
+    expect(parseVoiceCommand('selling at 300 per piece minimum 10').missing).toEqual(['name', 'description', 'category']);
+  });
+
+  it('prefers search when a command could be either', () => {
+    expect(parseVoiceCommand('kurti under 250 per piece').intent).toBe('search');
+    expect(parseVoiceCommand('hello how are you').intent).toBe('unknown');
+  });
+});
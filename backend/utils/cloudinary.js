@@ -1,12 +1,21 @@
 import { v2 as cloudinary } from 'cloudinary';
 import { Readable } from 'stream';
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+/**
+ * Configure Cloudinary from the environment on first use
+ * (the .env file is loaded after this module is imported)
+ * @returns {object} Configured Cloudinary client
+ */
+export const configureCloudinary = () => {
+  if (!cloudinary.config().cloud_name) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+  }
+  return cloudinary;
+};
 
 /**
  * Upload buffer to Cloudinary
@@ -15,6 +24,7 @@ cloudinary.config({
  * @returns {Promise<object>} Upload result
  */
 export const uploadToCloudinary = (buffer, folder = 'uploads') => {
+  configureCloudinary();
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -47,6 +57,7 @@ export const uploadToCloudinary = (buffer, folder = 'uploads') => {
  */
 export const deleteFromCloudinary = async (publicId) => {
   try {
+    configureCloudinary();
     const result = await cloudinary.uploader.destroy(publicId);
     return result;
   } catch (error) {
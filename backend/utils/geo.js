@@ -0,0 +1,27 @@
+// Geo helpers for `{ latitude, longitude }` points such as shopLocation.coordinates
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const hasCoordinates = (point) => point?.latitude != null && point?.longitude != null;
+
+// Great-circle distance in kilometres
+export const distanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// GeoJSON point for a 2dsphere index (longitude first), or null when the point is incomplete
+export const toGeoPoint = (point) => (hasCoordinates(point)
+  ? { type: 'Point', coordinates: [Number(point.longitude), Number(point.latitude)] }
+  : null);
+
+export default {
+  hasCoordinates,
+  distanceKm,
+  toGeoPoint
+};
@@ -0,0 +1,176 @@
+// GST helpers: state codes, financial years, tax splits and amounts in words
+
+// GST state codes (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const normalizeStateName = (name) => name.toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const STATE_NAME_TO_CODE = Object.entries(GST_STATE_CODES).reduce((map, [code, name]) => {
+  map[normalizeStateName(name)] = code;
+  return map;
+}, {
+  orissa: '21',
+  pondicherry: '34',
+  newdelhi: '07',
+  nctofdelhi: '07'
+});
+
+// Two-digit state code from a GSTIN, or null
+export const stateCodeFromGstin = (gstin) => {
+  const code = gstin?.substring(0, 2);
+  return code && GST_STATE_CODES[code] ? code : null;
+};
+
+// Two-digit state code from a state name, or null
+export const stateCodeFromName = (stateName) => {
+  if (!stateName) return null;
+  return STATE_NAME_TO_CODE[normalizeStateName(stateName)] || null;
+};
+
+// Indian financial year (April to March) for a date, e.g. '2025-26'
+export const getFinancialYear = (date = new Date()) => {
+  const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// CGST + SGST within a state, IGST across states. Unknown states are treated as intra-state.
+export const getSupplyType = (issuerStateCode, placeOfSupplyCode) => {
+  return issuerStateCode && placeOfSupplyCode && issuerStateCode !== placeOfSupplyCode
+    ? 'inter_state'
+    : 'intra_state';
+};
+
+// Tax on an invoice line at its gstRate, split according to the supply type.
+// The tax is rounded once and SGST is what is left after CGST, so the two always add up to it.
+export const buildTaxLine = (line, supplyType) => {
+  const tax = roundMoney(line.taxableValue * (line.gstRate || 0) / 100);
+  const result = { ...line, cgst: 0, sgst: 0, igst: 0 };
+
+  if (supplyType === 'inter_state') {
+    result.igst = tax;
+  } else {
+    result.cgst = roundMoney(tax / 2);
+    result.sgst = roundMoney(tax - result.cgst);
+  }
+
+  result.total = roundMoney(line.taxableValue + tax);
+  return result;
+};
+
+// Invoice line for a GST-inclusive amount: the taxable value is backed out of it, and any rounding
+// difference goes to the tax so the line total is exactly the amount charged
+export const buildInclusiveTaxLine = (line, amount, supplyType) => {
+  const taxableValue = roundMoney(amount / (1 + (line.gstRate || 0) / 100));
+  const result = buildTaxLine({ ...line, rate: taxableValue, taxableValue }, supplyType);
+
+  const roundingDiff = roundMoney(amount - result.total);
+  if (roundingDiff !== 0) {
+    if (supplyType === 'inter_state') result.igst = roundMoney(result.igst + roundingDiff);
+    else result.sgst = roundMoney(result.sgst + roundingDiff);
+  }
+  result.total = amount;
+
+  return result;
+};
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+};
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : '']
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+const integerToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${integerToWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+
+  return parts.join(' ');
+};
+
+// e.g. 1499.5 -> 'Rupees One Thousand Four Hundred Ninety Nine and Fifty Paise Only'
+export const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  let words = `Rupees ${integerToWords(rupees)}`;
+  if (paise) {
+    words += ` and ${belowHundred(paise)} Paise`;
+  }
+
+  return `${words} Only`;
+};
+
+export default {
+  GST_STATE_CODES,
+  stateCodeFromGstin,
+  stateCodeFromName,
+  getFinancialYear,
+  roundMoney,
+  getSupplyType,
+  buildTaxLine,
+  buildInclusiveTaxLine,
+  amountInWords
+};
@@ -0,0 +1,20 @@
+import { body } from 'express-validator';
+import { isStorageRef, isOwnStorageRef } from '../services/storage/index.js';
+
+// A file field that takes either an external URL or the reference of a file the
+// requesting user uploaded through POST /api/media for `folder`
+export const uploadedFileOrUrl = (field, folder, message) => body(field)
+  .custom((value, { req }) => {
+    if (isStorageRef(value) && !isOwnStorageRef(value, req.userId, folder)) {
+      throw new Error('Uploaded file not found');
+    }
+    return true;
+  })
+  .bail()
+  .if(value => !isStorageRef(value))
+  .isURL()
+  .withMessage(message);
+
+export default {
+  uploadedFileOrUrl
+};
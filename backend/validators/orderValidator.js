@@ -0,0 +1,141 @@
+import { body, param, query } from 'express-validator';
+
+// Place order validation
+export const validateCreateOrder = [
+  body('items')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Order must contain between 1 and 50 items'),
+
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+
+  body('shippingAddress.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot exceed 100 characters'),
+
+  body('shippingAddress.pincode')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Pincode must be 6 digits'),
+
+  body('buyerNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Get orders validation
+export const validateGetOrders = [
+  query('role')
+    .optional()
+    .isIn(['buyer', 'seller', 'both'])
+    .withMessage('Role must be buyer, seller or both'),
+
+  query('status')
+    .optional()
+    .isIn(['placed', 'confirmed', 'packed', 'shipped', 'delivered', 'closed', 'cancelled'])
+    .withMessage('Invalid order status'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// Order ID validation
+export const validateOrderId = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID')
+];
+
+// Status update validation
+export const validateUpdateOrderStatus = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(['confirmed', 'packed', 'shipped', 'delivered', 'closed', 'cancelled'])
+    .withMessage('Invalid order status'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  body('shipment.carrier')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Carrier cannot exceed 100 characters'),
+
+  body('shipment.trackingNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tracking number cannot exceed 100 characters'),
+
+  body('shipment.expectedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected delivery date must be a valid date')
+];
+
+// Record payment validation
+export const validateRecordPayment = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be a positive number'),
+
+  body('paymentMethod')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(['upi', 'cash', 'card', 'netbanking', 'cheque', 'bank_transfer', 'cod', 'wallet'])
+    .withMessage('Invalid payment method'),
+
+  body('gatewayTransactionId')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Gateway transaction ID cannot exceed 100 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Confirm payment validation
+export const validateConfirmPayment = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+
+  param('transactionId')
+    .isMongoId()
+    .withMessage('Invalid transaction ID')
+];
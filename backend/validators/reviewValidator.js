@@ -1,4 +1,5 @@
 import { body, param, query } from 'express-validator';
+import { uploadedFileOrUrl } from './mediaValidator.js';
 
 // Create review validation
 export const validateCreateReview = [
@@ -63,10 +64,7 @@ export const validateCreateReview = [
     .isArray({ max: 5 })
     .withMessage('Maximum 5 images allowed'),
 
-  body('images.*')
-    .optional()
-    .isURL()
-    .withMessage('Each image must be a valid URL')
+  uploadedFileOrUrl('images.*', 'reviews', 'Each image must be a valid URL')
 ];
 
 // Update review validation
@@ -0,0 +1,125 @@
+import { body, param, query } from 'express-validator';
+
+// Product inquiry / RFQ creation validation
+export const validateCreateRfq = [
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Message must be between 10 and 1000 characters'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+
+  body('targetPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Target price must be a positive number'),
+
+  body('deliveryCity')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Delivery city must be between 2 and 100 characters')
+];
+
+// RFQ inbox validation
+export const validateGetRfqs = [
+  query('box')
+    .optional()
+    .isIn(['received', 'sent', 'all'])
+    .withMessage('Box must be received, sent or all'),
+
+  query('status')
+    .optional()
+    .isIn(['open', 'all', 'quoted', 'countered', 'accepted', 'rejected', 'expired', 'cancelled'])
+    .withMessage('Invalid RFQ status'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// RFQ ID validation
+export const validateRfqId = [
+  param('rfqId')
+    .isMongoId()
+    .withMessage('Invalid RFQ ID')
+];
+
+// Quotation / counter-offer validation
+export const validateSubmitQuote = [
+  param('rfqId')
+    .isMongoId()
+    .withMessage('Invalid RFQ ID'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+
+  body('unitPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+
+  body('pricingTiers')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Maximum 10 pricing tiers allowed'),
+
+  body('pricingTiers.*.minQuantity')
+    .isInt({ min: 1 })
+    .withMessage('Tier minimum quantity must be a positive integer'),
+
+  body('pricingTiers.*.maxQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Tier maximum quantity must be a positive integer'),
+
+  body('pricingTiers.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Tier price must be a positive number'),
+
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days'),
+
+  body('terms')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Terms cannot exceed 1000 characters'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+];
+
+// Reject / withdraw validation
+export const validateCloseRfq = [
+  param('rfqId')
+    .isMongoId()
+    .withMessage('Invalid RFQ ID'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
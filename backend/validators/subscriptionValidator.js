@@ -21,6 +21,14 @@ export const validateSubscriptionUpgrade = [
 ];
 
 // Payment validation
+export const validateCreatePaymentOrder = [
+  body('subscriptionId')
+    .notEmpty()
+    .withMessage('Subscription ID is required')
+    .isMongoId()
+    .withMessage('Invalid subscription ID')
+];
+
 export const validatePayment = [
   body('subscriptionId')
     .notEmpty()
@@ -28,23 +36,25 @@ export const validatePayment = [
     .isMongoId()
     .withMessage('Invalid subscription ID'),
 
-  body('amount')
+  body('gatewayOrderId')
+    .trim()
     .notEmpty()
-    .withMessage('Amount is required')
-    .isFloat({ min: 0 })
-    .withMessage('Amount must be a positive number'),
+    .withMessage('Gateway order ID is required'),
 
-  body('paymentMethod')
+  body('gatewayPaymentId')
+    .trim()
     .notEmpty()
-    .withMessage('Payment method is required')
-    .isIn(['card', 'upi', 'netbanking', 'wallet'])
-    .withMessage('Invalid payment method'),
+    .withMessage('Gateway payment ID is required'),
 
-  body('gatewayTransactionId')
-    .optional()
+  body('signature')
     .trim()
     .notEmpty()
-    .withMessage('Gateway transaction ID cannot be empty')
+    .withMessage('Payment signature is required'),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(['card', 'upi', 'netbanking', 'wallet'])
+    .withMessage('Invalid payment method')
 ];
 
 // Cancellation validation
@@ -71,3 +81,101 @@ export const validateDiscountCode = [
     .isAlphanumeric()
     .withMessage('Discount code must be alphanumeric')
 ];
+
+// Apply discount validation
+export const validateApplyDiscount = [
+  body('subscriptionId')
+    .isMongoId()
+    .withMessage('Invalid subscription ID'),
+
+  ...validateDiscountCode
+];
+
+// Create coupon validation (admin)
+export const validateCreateCoupon = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required')
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Coupon code must be between 3 and 20 characters')
+    .isAlphanumeric()
+    .withMessage('Coupon code must be alphanumeric'),
+
+  body('discountType')
+    .isIn(['percentage', 'flat'])
+    .withMessage('Discount type must be percentage or flat'),
+
+  body('discountValue')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number')
+    .custom((value, { req }) => req.body.discountType !== 'percentage' || value <= 100)
+    .withMessage('Percentage discount cannot exceed 100'),
+
+  body('maxDiscountAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum discount must be a positive number'),
+
+  body('validTiers')
+    .optional()
+    .isArray()
+    .withMessage('Valid tiers must be an array'),
+
+  body('validTiers.*')
+    .isIn(['basic', 'premium', 'enterprise'])
+    .withMessage('Invalid subscription tier'),
+
+  body('validBillingCycles')
+    .optional()
+    .isArray()
+    .withMessage('Valid billing cycles must be an array'),
+
+  body('validBillingCycles.*')
+    .isIn(['monthly', 'quarterly', 'yearly'])
+    .withMessage('Invalid billing cycle'),
+
+  body('firstPurchaseOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('First purchase only must be a boolean'),
+
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('endsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  body('maxRedemptions')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum redemptions must be a positive integer'),
+
+  body('maxRedemptionsPerUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum redemptions per user must be a positive integer'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('partner')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Partner cannot exceed 100 characters')
+];
+
+// Coupon ID validation
+export const validateCouponId = [
+  param('couponId')
+    .isMongoId()
+    .withMessage('Invalid coupon ID')
+];
@@ -1,4 +1,5 @@
 import { body, param, query } from 'express-validator';
+import { uploadedFileOrUrl } from './mediaValidator.js';
 
 // Profile validation
 export const validateProfileUpdate = [
@@ -218,10 +219,8 @@ export const validateCertification = [
     .isISO8601()
     .withMessage('Invalid expiry date'),
 
-  body('documentUrl')
+  uploadedFileOrUrl('documentUrl', 'certifications', 'Invalid document URL')
     .optional()
-    .isURL()
-    .withMessage('Invalid document URL')
 ];
 
 // Award validation
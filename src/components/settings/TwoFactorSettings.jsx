@@ -0,0 +1,279 @@
+import React, { useEffect, useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck, Copy, Download, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Button, Input, Badge } from '../ui';
+import { authAPI } from '../../services/api';
+import useAuthStore from '../../store/authStore';
+
+// Two-factor authentication section of the security settings:
+// enrol with an authenticator app, keep recovery codes, or turn 2FA off
+const TwoFactorSettings = () => {
+  const { user } = useAuthStore();
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState('idle'); // idle | setup | disable | regenerate
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to load two-factor status:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode('idle');
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  // Codes typed with a dash are recovery codes, six digits are authenticator codes
+  const secondFactor = () => (/^\d{6}$/.test(code.replace(/\s+/g, ''))
+    ? { code: code.replace(/\s+/g, '') }
+    : { recoveryCode: code.trim() });
+
+  const handleStartSetup = async () => {
+    setIsWorking(true);
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setMode('setup');
+    } catch (error) {
+      toast.error(error.message || 'Failed to start two-factor setup');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      const response = await authAPI.enableTwoFactor(code.replace(/\s+/g, ''));
+      setRecoveryCodes(response.data.recoveryCodes);
+      resetForm();
+      await loadStatus();
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      toast.error(error.message || 'Invalid verification code');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      await authAPI.disableTwoFactor({ password: password || undefined, ...secondFactor() });
+      setRecoveryCodes(null);
+      resetForm();
+      await loadStatus();
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      toast.error(error.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      const response = await authAPI.regenerateRecoveryCodes(secondFactor());
+      setRecoveryCodes(response.data.recoveryCodes);
+      resetForm();
+      await loadStatus();
+      toast.success('New recovery codes generated');
+    } catch (error) {
+      toast.error(error.message || 'Failed to generate recovery codes');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const copyRecoveryCodes = async () => {
+    await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  const downloadRecoveryCodes = () => {
+    const blob = new Blob([`${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'wholesale-connect-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const codeInput = (label, placeholder) => (
+    <Input
+      label={label}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder={placeholder}
+      autoComplete="one-time-code"
+      fullWidth
+      required
+    />
+  );
+
+  return (
+    <div className="pt-8 border-t border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-medium text-gray-900">Two-Factor Authentication</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Ask for a code from an authenticator app whenever you sign in
+          </p>
+        </div>
+        {status && (
+          <Badge variant={status.enabled ? 'success' : 'secondary'}>
+            {status.enabled ? 'Enabled' : 'Off'}
+          </Badge>
+        )}
+      </div>
+
+      {/* Recovery codes are only ever shown right after they are generated */}
+      {recoveryCodes && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-800 mb-3">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone.
+            They will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 mb-4">
+            {recoveryCodes.map(recoveryCode => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex items-center space-x-3">
+            <Button size="sm" variant="outline" icon={Copy} onClick={copyRecoveryCodes}>
+              Copy
+            </Button>
+            <Button size="sm" variant="outline" icon={Download} onClick={downloadRecoveryCodes}>
+              Download
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setRecoveryCodes(null)}>
+              I've saved them
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {status && !status.enabled && mode === 'idle' && (
+        <Button variant="outline" icon={ShieldCheck} loading={isWorking} onClick={handleStartSetup}>
+          Enable 2FA
+        </Button>
+      )}
+
+      {mode === 'setup' && setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with Google Authenticator, Authy or a similar app, then enter the 6-digit code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-6">
+            <div className="p-3 bg-white border border-gray-200 rounded-lg self-start">
+              <QRCodeSVG value={setup.otpauthUrl} size={168} />
+            </div>
+            <div className="text-sm text-gray-600">
+              <p className="mb-1">Can't scan it? Enter this key instead:</p>
+              <code className="block font-mono text-gray-900 break-all">{setup.secret}</code>
+            </div>
+          </div>
+          {codeInput('Verification Code', '123456')}
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={resetForm}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={isWorking} loadingText="Verifying...">
+              Turn On
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && mode === 'idle' && (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            {status.recoveryCodesRemaining} of 10 recovery codes left.
+          </p>
+          <div className="flex items-center space-x-3">
+            <Button variant="outline" icon={RefreshCw} onClick={() => setMode('regenerate')}>
+              New Recovery Codes
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => setMode('disable')}
+              className="border-red-300 text-red-700 hover:bg-red-100"
+            >
+              Disable 2FA
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Your current recovery codes will stop working.
+          </p>
+          {codeInput('Authenticator or Recovery Code', '123456')}
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={resetForm}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={isWorking} loadingText="Generating...">
+              Generate
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-4">
+          {user?.authProvider === 'email' && (
+            <Input
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Enter your password"
+              fullWidth
+              required
+            />
+          )}
+          {codeInput('Authenticator or Recovery Code', '123456')}
+          <div className="flex justify-end space-x-3">
+            <Button type="button" variant="outline" onClick={resetForm}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="outline"
+              loading={isWorking}
+              loadingText="Disabling..."
+              className="border-red-300 text-red-700 hover:bg-red-100"
+            >
+              Disable 2FA
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -190,13 +190,15 @@ export const API_ENDPOINTS = {
 // Local Storage Keys
 export const STORAGE_KEYS = {
   AUTH_TOKEN: 'auth_token',
+  REFRESH_TOKEN: 'refresh_token',
   USER_DATA: 'user_data',
   LANGUAGE: 'selected_language',
   THEME: 'theme',
   RECENT_SEARCHES: 'recent_searches',
   DRAFT_POST: 'draft_post',
   VOICE_SETTINGS: 'voice_settings',
-  NOTIFICATION_SETTINGS: 'notification_settings'
+  NOTIFICATION_SETTINGS: 'notification_settings',
+  E2EE_DEVICE: 'e2ee_device'
 };
 
 // Socket Events
@@ -207,6 +209,10 @@ export const SOCKET_EVENTS = {
   
   // Authentication
   AUTHENTICATE: 'authenticate',
+  REFRESH_TOKEN: 'refresh_token',
+  TOKEN_EXPIRING: 'token_expiring',
+  TOKEN_EXPIRED: 'token_expired',
+  SESSION_REVOKED: 'session_revoked',
   
   // Conversations
   JOIN_CONVERSATION: 'join_conversation',
@@ -231,6 +237,7 @@ export const SOCKET_EVENTS = {
   VOICE_CALL_DECLINED: 'voice_call_declined',
   VOICE_CALL_ENDED: 'voice_call_ended',
   VOICE_CALL_FAILED: 'voice_call_failed',
+  VOICE_CALL_ANSWERED_ELSEWHERE: 'voice_call_answered_elsewhere',
   
   // WebRTC
   WEBRTC_OFFER: 'webrtc_offer',
@@ -31,6 +31,7 @@ const CommunityDetailPage = () => {
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [isLoadingMessages, setIsLoadingMessages] = useState(false);
+  const [originalShownIds, setOriginalShownIds] = useState(new Set());
   const [typingUsers, setTypingUsers] = useState(new Set());
   const [isRecording, setIsRecording] = useState(false);
   const [isTranscribing, setIsTranscribing] = useState(false);
@@ -97,6 +98,13 @@ const CommunityDetailPage = () => {
       }
     };
 
+    // Translations of a message arrive after the message itself
+    const handleMessageTranslated = ({ communityId, messageId, content }) => {
+      if (communityId === id) {
+        setMessages(prev => prev.map(msg => (msg._id === messageId ? { ...msg, content } : msg)));
+      }
+    };
+
     const handleTypingStart = ({ communityId, userId, userName }) => {
       if (communityId === id && userId !== user?._id) {
         setTypingUsers(prev => new Set(prev).add(userName));
@@ -113,6 +121,7 @@ const CommunityDetailPage = () => {
     };
 
     socketService.on('new_community_message', handleNewMessage);
+    socketService.on('community_message_translated', handleMessageTranslated);
     socketService.on('community_typing_start', handleTypingStart);
     socketService.on('community_typing_stop', handleTypingStop);
 
@@ -121,6 +130,7 @@ const CommunityDetailPage = () => {
         socketService.emit('leave_community', { communityId: id });
       }
       socketService.off('new_community_message', handleNewMessage);
+      socketService.off('community_message_translated', handleMessageTranslated);
       socketService.off('community_typing_start', handleTypingStart);
       socketService.off('community_typing_stop', handleTypingStop);
     };
@@ -161,10 +171,7 @@ const CommunityDetailPage = () => {
     socketService.emit('send_community_message', {
       communityId: id,
       content: {
-        original: {
-          text: messageText,
-          language: 'en'
-        }
+        text: messageText
       },
       type: 'text'
     });
@@ -173,6 +180,16 @@ const CommunityDetailPage = () => {
     stopTyping();
   };
 
+  // Switch one translated message between the reader's language and what the sender wrote
+  const toggleOriginal = (messageId) => {
+    setOriginalShownIds(prev => {
+      const next = new Set(prev);
+      if (next.has(messageId)) next.delete(messageId);
+      else next.add(messageId);
+      return next;
+    });
+  };
+
   const handleInputChange = (e) => {
     setInputText(e.target.value);
     if (e.target.value && socketService.socket) {
@@ -537,6 +554,7 @@ const CommunityDetailPage = () => {
                     {msgs.map((message, index) => {
                       const isOwn = message.sender._id === user?._id;
                       const showAvatar = !isOwn && (index === msgs.length - 1 || msgs[index + 1]?.sender._id !== message.sender._id);
+                      const showingOriginal = originalShownIds.has(message._id);
 
                       return (
                         <div key={message._id || index} className={`flex ${isOwn ? 'justify-end' : 'justify-start'} px-2 animate-fadeIn`}>
@@ -561,12 +579,22 @@ const CommunityDetailPage = () => {
 
                               <div className={isOwn ? 'message-bubble-own' : 'message-bubble-other'}>
                                 <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">
-                                  {message.content?.original?.text ||
-                                   message.content?.text ||
+                                  {(showingOriginal ? message.content?.original?.text : message.content?.text) ||
+                                   message.content?.original?.text ||
                                    (typeof message.content === 'string' ? message.content : null) ||
                                    message.text ||
                                    '[No content]'}
                                 </p>
+                                {message.content?.translatedTo && (
+                                  <button
+                                    type="button"
+                                    onClick={() => toggleOriginal(message._id)}
+                                    className={`flex items-center gap-1 mt-1 text-[10px] hover:underline ${isOwn ? 'text-white/80' : 'text-gray-600'}`}
+                                  >
+                                    <Languages className="w-3 h-3" />
+                                    {showingOriginal ? 'Show translation' : 'Show original'}
+                                  </button>
+                                )}
                                 <div className={`flex items-center justify-end gap-1 mt-1 ${isOwn ? 'text-white/80' : 'text-gray-600'} text-[10px]`}>
                                   <span>{new Date(message.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}</span>
                                   {isOwn && <CheckCircle2 className="w-3 h-3" />}
@@ -661,7 +661,8 @@ const MessagesPage = () => {
                                 ? 'text-gray-900 font-medium'
                                 : 'text-gray-600'
                             }`}>
-                              {conversation.lastMessage.content?.original?.text ||
+                              {(conversation.lastMessage.isEncrypted && '🔒 Encrypted message') ||
+                               conversation.lastMessage.content?.original?.text ||
                                conversation.lastMessage.content?.text ||
                                (typeof conversation.lastMessage.content === 'string' ? conversation.lastMessage.content : null) ||
                                conversation.lastMessage.text ||
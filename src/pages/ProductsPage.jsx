@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
-import { Plus, Search, Filter, Grid, List, Edit, Trash2, Eye, Heart, MessageSquare, Upload, X, Mail, Send } from 'lucide-react';
+import { Plus, Search, Filter, Grid, List, Edit, Trash2, Eye, Heart, MessageSquare, Upload, X, Mail, Send, Mic } from 'lucide-react';
 import { Button, Avatar, Badge, Input, Loading, Modal } from '../components/ui';
 import { formatCompactNumber, formatCurrency } from '../utils/formatters';
-import { productsAPI, chatAPI } from '../services/api';
+import { productsAPI, chatAPI, speechAPI } from '../services/api';
+import { useAudioRecorder } from '../hooks/useMedia';
 import { CATEGORIES } from '../config/constants';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
@@ -26,10 +27,49 @@ const ProductsPage = () => {
     status: '',
     sortBy: 'newest'
   });
+  // Filters from a spoken search ("cotton saree under 500 in Surat") and a spoken listing to confirm
+  const [voiceSearch, setVoiceSearch] = useState(null);
+  const [voiceDraft, setVoiceDraft] = useState(null);
+  const [isProcessingVoice, setIsProcessingVoice] = useState(false);
+
+  const handleVoiceCommand = async ({ file }) => {
+    setIsProcessingVoice(true);
+    try {
+      const response = await speechAPI.command(file);
+      const { intent, filters: spokenFilters, draft, transcription } = response.data;
+
+      if (intent === 'search') {
+        setViewType('all');
+        setSearchQuery('');
+        setVoiceSearch({ transcription, filters: spokenFilters });
+      } else if (intent === 'listing') {
+        setVoiceDraft(draft);
+        setShowAddModal(true);
+      } else {
+        toast.error(`Couldn't understand "${transcription}". Try "cotton saree under 500 in Surat".`);
+      }
+    } catch (error) {
+      console.error('Voice command failed:', error);
+      toast.error('Voice command failed');
+    } finally {
+      setIsProcessingVoice(false);
+    }
+  };
+
+  const voiceRecorder = useAudioRecorder({
+    maxDuration: 15,
+    onRecordingComplete: handleVoiceCommand,
+    onError: (message) => toast.error(message)
+  });
+
+  const closeAddModal = () => {
+    setShowAddModal(false);
+    setVoiceDraft(null);
+  };
 
   useEffect(() => {
     loadProducts();
-  }, [viewType]);
+  }, [viewType, voiceSearch]);
 
   const loadProducts = async () => {
     setIsLoading(true);
@@ -37,7 +77,7 @@ const ProductsPage = () => {
       // Load all products (marketplace) or only user's products
       const response = viewType === 'my'
         ? await productsAPI.getMyProducts()
-        : await productsAPI.list({ sortBy: filters.sortBy });
+        : await productsAPI.list({ sortBy: filters.sortBy, ...voiceSearch?.filters });
       setProducts(response.data.products || []);
     } catch (error) {
       console.error('Failed to load products:', error);
@@ -173,13 +213,13 @@ const ProductsPage = () => {
 
   const AddProductModal = () => {
     const [formData, setFormData] = useState({
-      name: '',
-      description: '',
-      category: '',
-      priceAmount: '',
-      priceUnit: 'piece',
+      name: voiceDraft?.name || '',
+      description: voiceDraft?.description || '',
+      category: voiceDraft?.category || '',
+      priceAmount: voiceDraft?.price?.amount ?? '',
+      priceUnit: voiceDraft?.price?.unit || 'piece',
       priceCurrency: 'INR',
-      minOrderQuantity: '',
+      minOrderQuantity: voiceDraft?.minOrderQuantity ?? '',
       images: []
     });
     const [isSubmitting, setIsSubmitting] = useState(false);
@@ -255,7 +295,7 @@ const ProductsPage = () => {
           toast.success('Product created successfully!');
         }
 
-        setShowAddModal(false);
+        closeAddModal();
 
         // Reset form
         setFormData({
@@ -320,11 +360,16 @@ const ProductsPage = () => {
     return (
       <Modal
         isOpen={showAddModal}
-        onClose={() => setShowAddModal(false)}
+        onClose={() => closeAddModal()}
         title="Add New Product"
         size="lg"
       >
         <form onSubmit={handleSubmit} className="space-y-4">
+          {voiceDraft && (
+            <p className="text-sm text-primary-700 bg-primary-50 rounded-lg px-3 py-2">
+              Filled in from your voice note. Check the details before adding the product.
+            </p>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <Input
               label="Product Name"
@@ -483,7 +528,7 @@ const ProductsPage = () => {
           <Modal.Footer>
             <Button
               variant="outline"
-              onClick={() => setShowAddModal(false)}
+              onClick={() => closeAddModal()}
               type="button"
               disabled={isSubmitting}
             >
@@ -968,14 +1013,33 @@ const ProductsPage = () => {
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
           <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
             <div className="flex-1 max-w-md">
-              <Input
-                type="search"
-                placeholder="Search products..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                icon={Search}
-                fullWidth
-              />
+              <div className="flex items-center gap-2">
+                <Input
+                  type="search"
+                  placeholder="Search products..."
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  icon={Search}
+                  fullWidth
+                />
+                <Button
+                  variant={voiceRecorder.isRecording ? 'primary' : 'outline'}
+                  icon={Mic}
+                  onClick={voiceRecorder.isRecording ? voiceRecorder.stopRecording : voiceRecorder.startRecording}
+                  disabled={isProcessingVoice}
+                  className={voiceRecorder.isRecording ? 'animate-pulse' : ''}
+                  title={voiceRecorder.isRecording ? 'Stop and run voice command' : 'Search or list a product by voice'}
+                />
+              </div>
+              {voiceSearch && (
+                <div className="mt-2 inline-flex items-center gap-2 text-sm bg-primary-50 text-primary-700 rounded-full px-3 py-1">
+                  <Mic className="w-3 h-3" />
+                  <span>"{voiceSearch.transcription}"</span>
+                  <button type="button" onClick={() => setVoiceSearch(null)} title="Clear voice search">
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              )}
             </div>
 
             <div className="flex items-center space-x-3">
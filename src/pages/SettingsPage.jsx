@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { User, Lock, Bell, Shield, Globe, CreditCard, LogOut, Trash2, Save } from 'lucide-react';
 import { Button, Input, Avatar, Badge, Modal } from '../components/ui';
+import TwoFactorSettings from '../components/settings/TwoFactorSettings';
 import useAuthStore from '../store/authStore';
 
 const SettingsPage = () => {
@@ -288,20 +289,7 @@ const SettingsPage = () => {
                   </div>
 
                   {/* Two-Factor Authentication */}
-                  <div className="pt-8 border-t border-gray-200">
-                    <div className="flex items-center justify-between mb-4">
-                      <div>
-                        <h3 className="font-medium text-gray-900">Two-Factor Authentication</h3>
-                        <p className="text-sm text-gray-600 mt-1">
-                          Add an extra layer of security to your account
-                        </p>
-                      </div>
-                      <Badge variant="secondary">Coming Soon</Badge>
-                    </div>
-                    <Button variant="outline" disabled>
-                      Enable 2FA
-                    </Button>
-                  </div>
+                  <TwoFactorSettings />
 
                   {/* Active Sessions */}
                   <div className="pt-8 border-t border-gray-200 mt-8">
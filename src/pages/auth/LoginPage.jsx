@@ -1,13 +1,113 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { Eye, EyeOff, Mail, Lock, Chrome, Sparkles, CheckCircle2, MessageSquare, Globe, Mic, TrendingUp } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, Chrome, Sparkles, CheckCircle2, MessageSquare, Globe, Mic, TrendingUp, ShieldCheck, KeyRound } from 'lucide-react';
 import { validateEmail, validatePassword } from '../../utils/validators';
 import { useDebouncedValidation } from '../../hooks/useDebounce';
 import useAuthStore from '../../store/authStore';
 
+// Second step for accounts with two-factor authentication
+const TwoFactorStep = () => {
+  const { verifyTwoFactorLogin, cancelTwoFactorLogin, isLoading, error } = useAuthStore();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    const result = await verifyTwoFactorLogin(
+      useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.replace(/\s+/g, '') }
+    );
+
+    if (!result.success) {
+      setValue('');
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <div className="glass-card-strong p-8 animate-scaleIn">
+      <div className="text-center mb-6">
+        <div className="inline-flex items-center justify-center w-14 h-14 bg-gradient-purple rounded-2xl shadow-xl mb-4">
+          <ShieldCheck className="w-7 h-7 text-white" />
+        </div>
+        <h2 className="text-xl font-bold text-gray-900">Two-factor authentication</h2>
+        <p className="text-sm text-gray-700 mt-1">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you turned on 2FA.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 glass-card p-4 bg-red-50/50 border border-red-200/50 animate-fadeIn">
+          <p className="text-red-600 text-sm font-medium flex items-center gap-2">
+            <span className="w-2 h-2 bg-red-500 rounded-full"></span>
+            {error}
+          </p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <div className="relative">
+          <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-purple-500" />
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            maxLength={useRecoveryCode ? 20 : 7}
+            className="glass-input w-full pl-11 tracking-widest"
+            autoFocus
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="glass-button w-full py-4 text-base font-bold shadow-xl hover:shadow-2xl hover:scale-[1.02] transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isLoading ? (
+            <div className="flex items-center justify-center gap-2">
+              <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              Verifying...
+            </div>
+          ) : (
+            'Verify'
+          )}
+        </button>
+      </form>
+
+      <div className="flex items-center justify-between mt-6 text-sm">
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="font-semibold text-purple-600 hover:text-purple-800 transition-colors"
+        >
+          {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={cancelTwoFactorLogin}
+          className="font-medium text-gray-600 hover:text-gray-800 transition-colors"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </div>
+  );
+};
+
 const LoginPage = () => {
-  const { login, loginWithGoogle, isLoading, error } = useAuthStore();
+  const { login, loginWithGoogle, isLoading, error, twoFactorToken } = useAuthStore();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -77,7 +177,7 @@ const LoginPage = () => {
 
     const result = await login(formData);
 
-    if (!result.success) {
+    if (!result.success && !result.requiresTwoFactor) {
       setFormErrors({ submit: result.error });
     }
   };
@@ -85,7 +185,7 @@ const LoginPage = () => {
   const handleGoogleLogin = async () => {
     const result = await loginWithGoogle();
 
-    if (!result.success) {
+    if (!result.success && !result.requiresTwoFactor) {
       setFormErrors({ submit: result.error });
     }
   };
@@ -113,7 +213,10 @@ const LoginPage = () => {
             </p>
           </div>
 
-          {/* Login Card */}
+          {twoFactorToken ? (
+            <TwoFactorStep />
+          ) : (
+          /* Login Card */
           <div className="glass-card-strong p-8 animate-scaleIn">
             {/* Error Display */}
             {(error || formErrors.submit) && (
@@ -261,6 +364,7 @@ const LoginPage = () => {
               </p>
             </div>
           </div>
+          )}
 
           {/* Features */}
           <div className="mt-8 glass-card p-6 animate-fadeIn" style={{ animationDelay: '200ms' }}>
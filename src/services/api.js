@@ -25,18 +25,73 @@ api.interceptors.request.use(
   }
 );
 
+// Exchange the stored refresh token for new tokens and store them.
+// Concurrent callers share one request, since each refresh token can only be used once.
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
+
+    refreshPromise = (refreshToken
+      ? api.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data;
+        localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+        localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, nextRefreshToken);
+        return token;
+      })
+      .catch((error) => {
+        // Another tab rotated the token first and stored the new pair
+        if (refreshToken && localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN) !== refreshToken) {
+          return localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const { config, response } = error;
+
+    // Refresh calls report their own failures; the request that triggered them decides what to do
+    if (config?.skipAuthRefresh) {
+      return Promise.reject(error);
+    }
+
+    // Access tokens are short-lived: refresh once and replay the request
+    if (response?.status === 401 && response.data?.message === 'Token expired.' &&
+        config && !config._retried &&
+        localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN)) {
+      try {
+        const token = await refreshSession();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // Fall through to the normal sign-out handling below
+      }
+    }
+
     // Use centralized error handler
     const parsedError = handleApiError(error);
 
     // Handle authentication errors
     if (isAuthError(error)) {
       localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+      localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
       localStorage.removeItem(STORAGE_KEYS.USER_DATA);
 
       // Prevent redirect loop - don't redirect if already on login page
@@ -110,7 +165,16 @@ export const authAPI = {
   getProfile: () => apiService.get('/auth/me'),
   updateProfile: (data) => apiService.put('/auth/profile', data),
   changePassword: (data) => apiService.put('/auth/password', data),
-  refreshToken: () => apiService.post('/auth/refresh'),
+  refreshToken: (refreshToken) => apiService.post('/auth/refresh', { refreshToken }),
+  logout: () => apiService.post('/auth/logout'),
+  getSessions: () => apiService.get('/auth/sessions'),
+  revokeSession: (sessionId) => apiService.delete(`/auth/sessions/${sessionId}`),
+  verifyTwoFactorLogin: (data) => apiService.post('/auth/login/2fa', data),
+  getTwoFactorStatus: () => apiService.get('/auth/2fa'),
+  setupTwoFactor: () => apiService.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => apiService.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => apiService.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (data) => apiService.post('/auth/2fa/recovery-codes', data),
   updateStatus: (status) => apiService.put('/auth/status', { status }),
   deleteAccount: (data) => apiService.delete('/auth/account', { data })
 };
@@ -125,7 +189,7 @@ export const usersAPI = {
   cancelFriendRequest: (requestId) => apiService.delete(`/users/friend-requests/${requestId}`),
   removeFriend: (userId) => apiService.delete(`/users/${userId}/friend`),
   getFriends: (userId, params = {}) => apiService.get(`/users/${userId}/friends`, { params }),
-  getSuggestions: () => apiService.get('/users/suggestions'),
+  getSuggestions: (params) => apiService.get('/users/suggestions', { params }),
   follow: (userId) => apiService.post(`/users/${userId}/follow`),
   unfollow: (userId) => apiService.delete(`/users/${userId}/follow`)
 };
@@ -155,6 +219,7 @@ export const postsAPI = {
   create: (data) => apiService.post('/posts', data),
   get: (id) => apiService.get(`/posts/${id}`),
   like: (id) => apiService.put(`/posts/${id}/like`),
+  getComments: (id, params) => apiService.get(`/posts/${id}/comments`, { params }),
   addComment: (id, data) => apiService.post(`/posts/${id}/comments`, data),
   replyToComment: (id, commentId, data) => apiService.post(`/posts/${id}/comments/${commentId}/replies`, data),
   share: (id) => apiService.post(`/posts/${id}/share`),
@@ -177,12 +242,31 @@ export const chatAPI = {
   updateSettings: (id, data) => apiService.put(`/chat/conversations/${id}/settings`, data),
   setTyping: (id, isTyping) => apiService.put(`/chat/conversations/${id}/typing`, { isTyping }),
   deleteConversation: (id) => apiService.delete(`/chat/conversations/${id}`),
+  setEncryption: (id, enabled) => apiService.put(`/chat/conversations/${id}/encryption`, { enabled }),
+  createGroup: (data) => apiService.post('/chat/groups', data),
+  updateGroup: (id, data) => apiService.put(`/chat/groups/${id}`, data),
+  addGroupMembers: (id, userIds) => apiService.post(`/chat/groups/${id}/members`, { userIds }),
+  removeGroupMember: (id, userId) => apiService.delete(`/chat/groups/${id}/members/${userId}`),
+  setGroupMemberRole: (id, userId, role) => apiService.put(`/chat/groups/${id}/members/${userId}/role`, { role }),
+  getScheduledMessages: (params) => apiService.get('/chat/scheduled', { params }),
+  updateScheduledMessage: (id, data) => apiService.put(`/chat/scheduled/${id}`, data),
+  cancelScheduledMessage: (id) => apiService.delete(`/chat/scheduled/${id}`),
   searchMessages: (params) => apiService.get('/chat/search', { params })
 };
 
+// Encryption key directory API
+export const keysAPI = {
+  getMyDevices: () => apiService.get('/keys/devices'),
+  registerDevice: (deviceId, data) => apiService.put(`/keys/devices/${deviceId}`, data),
+  revokeDevice: (deviceId) => apiService.delete(`/keys/devices/${deviceId}`),
+  getUserDevices: (userId) => apiService.get(`/keys/users/${userId}`),
+  getConversationDevices: (conversationId) => apiService.get(`/keys/conversations/${conversationId}`)
+};
+
 // Ads API
 export const adsAPI = {
   list: (params) => apiService.get('/ads', { params }),
+  serve: (params) => apiService.get('/ads/serve', { params }),
   create: (data) => apiService.post('/ads', data),
   getMyAds: (params) => apiService.get('/ads/my', { params }),
   get: (id) => apiService.get(`/ads/${id}`),
@@ -192,10 +276,13 @@ export const adsAPI = {
   like: (id) => apiService.put(`/ads/${id}/like`),
   share: (id) => apiService.post(`/ads/${id}/share`),
   getAnalytics: (id, params) => apiService.get(`/ads/${id}/analytics`, { params }),
+  getBilling: (id, params) => apiService.get(`/ads/${id}/billing`, { params }),
+  getCreditStatement: (params) => apiService.get('/ads/credits/statement', { params }),
   // Admin
   getPendingAds: (params) => apiService.get('/ads/admin/pending', { params }),
   reviewAd: (id, data) => apiService.put(`/ads/${id}/review`, data),
-  featureAd: (id, data) => apiService.put(`/ads/${id}/feature`, data)
+  featureAd: (id, data) => apiService.put(`/ads/${id}/feature`, data),
+  adjustCredits: (data) => apiService.post('/ads/credits/adjust', data)
 };
 
 // Business API
@@ -254,6 +341,28 @@ export const productsAPI = {
   getBulkPricing: (id, quantity) => apiService.get(`/products/${id}/bulk-pricing`, { params: { quantity } })
 };
 
+// Orders API
+export const ordersAPI = {
+  list: (params) => apiService.get('/orders', { params }),
+  create: (data) => apiService.post('/orders', data),
+  get: (id) => apiService.get(`/orders/${id}`),
+  updateStatus: (id, data) => apiService.put(`/orders/${id}/status`, data),
+  getTransactions: (id) => apiService.get(`/orders/${id}/transactions`),
+  recordPayment: (id, data) => apiService.post(`/orders/${id}/transactions`, data),
+  confirmPayment: (id, transactionId) => apiService.put(`/orders/${id}/transactions/${transactionId}/confirm`),
+  downloadReceipt: (transactionId) => apiService.get(`/payments/transactions/${transactionId}/invoice`, { responseType: 'blob' })
+};
+
+// RFQ (request for quotation) API
+export const rfqAPI = {
+  getInbox: (params) => apiService.get('/rfqs', { params }),
+  get: (id) => apiService.get(`/rfqs/${id}`),
+  sendQuote: (id, data) => apiService.post(`/rfqs/${id}/quotes`, data),
+  accept: (id) => apiService.post(`/rfqs/${id}/accept`),
+  reject: (id, reason) => apiService.post(`/rfqs/${id}/reject`, { reason }),
+  cancel: (id, reason) => apiService.post(`/rfqs/${id}/cancel`, { reason })
+};
+
 // Search API
 export const searchAPI = {
   global: (params) => apiService.get('/search', { params }),
@@ -282,6 +391,15 @@ export const speechAPI = {
     });
     return apiService.postForm('/speech/transcribe', formData);
   },
+  // Voice command from a recording, or from { text } already transcribed
+  command: (file, data = {}) => {
+    const formData = new FormData();
+    if (file) formData.append('audio', file);
+    Object.keys(data).forEach(key => {
+      formData.append(key, data[key]);
+    });
+    return apiService.postForm('/speech/command', formData);
+  },
   synthesize: (data) => apiService.post('/speech/synthesize', data),
   sendVoiceMessage: (file, data) => {
     const formData = new FormData();
@@ -295,6 +413,16 @@ export const speechAPI = {
   getAnalytics: (params) => apiService.get('/speech/analytics', { params })
 };
 
+// Media API - returns a `ref` to send with the message, document or review it belongs to
+export const mediaAPI = {
+  upload: (file, purpose) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('purpose', purpose);
+    return apiService.postForm('/media', formData);
+  }
+};
+
 // Helper function to handle API responses
 export const handleAPIResponse = async (apiCall, successMessage = null) => {
   try {
@@ -1,6 +1,7 @@
 import { io } from 'socket.io-client';
 import { SOCKET_URL, SOCKET_EVENTS, STORAGE_KEYS } from '../config/constants';
 import toast from 'react-hot-toast';
+import { refreshSession } from './api';
 
 class SocketService {
   constructor() {
@@ -9,6 +10,7 @@ class SocketService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.listeners = new Map();
+    this.sessionRevoked = false;
   }
 
   // Initialize socket connection
@@ -25,10 +27,11 @@ class SocketService {
       return;
     }
 
+    this.sessionRevoked = false;
+
     this.socket = io(SOCKET_URL, {
-      auth: {
-        token
-      },
+      // Read the token on every (re)connect so a refreshed token is picked up
+      auth: (cb) => cb({ token: localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN) }),
       transports: ['websocket', 'polling'],
       timeout: 10000,
       reconnection: true,
@@ -58,7 +61,7 @@ class SocketService {
       console.log('Socket disconnected:', reason);
       this.isConnected = false;
       
-      if (reason === 'io server disconnect') {
+      if (reason === 'io server disconnect' && !this.sessionRevoked) {
         // Server initiated disconnect, reconnect manually
         this.reconnect();
       }
@@ -69,6 +72,14 @@ class SocketService {
       this.isConnected = false;
       this.reconnectAttempts++;
       
+      // The access token ran out while we were offline; refresh it and try again
+      if (error.message === 'Token expired.' && this.reconnectAttempts < this.maxReconnectAttempts) {
+        refreshSession()
+          .then(() => this.socket?.connect())
+          .catch((refreshError) => console.error('Failed to refresh socket token:', refreshError));
+        return;
+      }
+      
       if (this.reconnectAttempts >= this.maxReconnectAttempts) {
         toast.error('Connection failed. Please refresh the page.');
       }
@@ -85,6 +96,27 @@ class SocketService {
       }
     });
 
+    // Session events
+    this.socket.on(SOCKET_EVENTS.TOKEN_EXPIRING, () => {
+      this.refreshToken();
+    });
+
+    // The server drops the socket next; reconnecting fails with 'Token expired.' and refreshes the session
+    this.socket.on(SOCKET_EVENTS.TOKEN_EXPIRED, () => {
+      console.log('Socket token expired, reconnecting with a fresh one');
+    });
+
+    this.socket.on(SOCKET_EVENTS.SESSION_REVOKED, ({ reason }) => {
+      this.sessionRevoked = true;
+      this.notifyListeners(SOCKET_EVENTS.SESSION_REVOKED, { reason });
+      toast.error(reason || 'Your session has ended. Please log in again.');
+
+      localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+      localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+      localStorage.removeItem(STORAGE_KEYS.USER_DATA);
+      window.location.href = '/login';
+    });
+
     // Message events
     this.socket.on(SOCKET_EVENTS.NEW_MESSAGE, (data) => {
       this.notifyListeners(SOCKET_EVENTS.NEW_MESSAGE, data);
@@ -136,6 +168,10 @@ class SocketService {
       this.notifyListeners(SOCKET_EVENTS.VOICE_CALL_ENDED, data);
     });
 
+    this.socket.on(SOCKET_EVENTS.VOICE_CALL_ANSWERED_ELSEWHERE, (data) => {
+      this.notifyListeners(SOCKET_EVENTS.VOICE_CALL_ANSWERED_ELSEWHERE, data);
+    });
+
     this.socket.on(SOCKET_EVENTS.VOICE_CALL_FAILED, (data) => {
       this.notifyListeners(SOCKET_EVENTS.VOICE_CALL_FAILED, data);
       toast.error(data.reason || 'Voice call failed');
@@ -169,6 +205,21 @@ class SocketService {
     });
   }
 
+  // Get a fresh token from the API and hand it to the open connection
+  async refreshToken() {
+    try {
+      const token = await refreshSession();
+
+      this.socket?.emit(SOCKET_EVENTS.REFRESH_TOKEN, { token }, (result) => {
+        if (!result?.success) {
+          console.warn('Socket token refresh rejected:', result?.message);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to refresh socket token:', error);
+    }
+  }
+
   // Emit an event to the server
   emit(event, data = {}) {
     if (!this.socket || !this.isConnected) {
@@ -29,7 +29,15 @@ const subscriptionService = {
     return response.data;
   },
 
-  // Process payment
+  // Create a gateway order to open checkout with
+  createPaymentOrder: async (subscriptionId) => {
+    const response = await api.post('/subscriptions/payment/order', {
+      subscriptionId
+    });
+    return response.data;
+  },
+
+  // Verify payment (paymentData: gatewayOrderId, gatewayPaymentId, signature, paymentMethod)
   processPayment: async (subscriptionId, paymentData) => {
     const response = await api.post('/subscriptions/payment', {
       subscriptionId,
@@ -63,7 +71,41 @@ const subscriptionService = {
 
   // Get invoice
   getInvoice: async (paymentId) => {
-    const response = await api.get(`/subscriptions/invoice/${paymentId}`);
+    const response = await api.get(`/subscriptions/invoice/${paymentId}`, {
+      params: { format: 'json' }
+    });
+    return response.data;
+  },
+
+  // Download invoice PDF
+  downloadInvoice: async (paymentId) => {
+    const response = await api.get(`/subscriptions/invoice/${paymentId}`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  // Admin: list coupons
+  listCoupons: async (params = {}) => {
+    const response = await api.get('/subscriptions/admin/coupons', { params });
+    return response.data;
+  },
+
+  // Admin: create coupon
+  createCoupon: async (couponData) => {
+    const response = await api.post('/subscriptions/admin/coupons', couponData);
+    return response.data;
+  },
+
+  // Admin: deactivate coupon
+  deactivateCoupon: async (couponId) => {
+    const response = await api.put(`/subscriptions/admin/coupons/${couponId}/deactivate`);
+    return response.data;
+  },
+
+  // Admin: coupon usage report
+  getCouponUsage: async (couponId) => {
+    const response = await api.get(`/subscriptions/admin/coupons/${couponId}/usage`);
     return response.data;
   }
 };
@@ -85,9 +85,9 @@ const userService = {
     return response.data;
   },
 
-  // Send phone verification code
-  sendPhoneVerification: async (phone) => {
-    const response = await api.post('/users/verify-phone/send', { phone });
+  // Send phone verification code by 'sms' or 'whatsapp'
+  sendPhoneVerification: async (phone, channel = 'sms') => {
+    const response = await api.post('/users/verify-phone/send', { phone, channel });
     return response.data;
   },
 
@@ -134,8 +134,8 @@ const userService = {
   },
 
   // Get friend suggestions
-  getSuggestions: async () => {
-    const response = await api.get('/users/suggestions');
+  getSuggestions: async (params) => {
+    const response = await api.get('/users/suggestions', { params });
     return response.data;
   },
 
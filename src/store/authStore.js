@@ -17,6 +17,8 @@ const useAuthStore = create(
       isLoading: true,
       requiresOnboarding: false,
       error: null,
+      // Interim token while a login waits for its two-factor code
+      twoFactorToken: null,
 
       // Actions
       initAuth: () => {
@@ -59,10 +61,17 @@ const useAuthStore = create(
         
         try {
           const response = await authAPI.login(credentials);
-          const { token, user, requiresOnboarding } = response.data;
+          
+          if (response.data.requiresTwoFactor) {
+            set({ isLoading: false, twoFactorToken: response.data.twoFactorToken });
+            return { success: false, requiresTwoFactor: true };
+          }
+          
+          const { token, refreshToken, user, requiresOnboarding } = response.data;
           
           // Store in localStorage
           localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+          localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
           localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(user));
           
           set({
@@ -94,10 +103,11 @@ const useAuthStore = create(
         
         try {
           const response = await authAPI.register(userData);
-          const { token, user, requiresOnboarding } = response.data;
+          const { token, refreshToken, user, requiresOnboarding } = response.data;
           
           // Store in localStorage
           localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+          localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
           localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(user));
           
           set({
@@ -135,10 +145,17 @@ const useAuthStore = create(
           }
           
           const response = await authAPI.googleAuth(googleResult.token);
-          const { token, user, requiresOnboarding, isNewUser } = response.data;
+          
+          if (response.data.requiresTwoFactor) {
+            set({ isLoading: false, twoFactorToken: response.data.twoFactorToken });
+            return { success: false, requiresTwoFactor: true };
+          }
+          
+          const { token, refreshToken, user, requiresOnboarding, isNewUser } = response.data;
           
           // Store in localStorage
           localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+          localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
           localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(user));
           
           set({
@@ -170,6 +187,55 @@ const useAuthStore = create(
         }
       },
 
+      // Second login step: { code } from the authenticator app or { recoveryCode }
+      verifyTwoFactorLogin: async (verification) => {
+        set({ isLoading: true, error: null });
+        
+        try {
+          const response = await authAPI.verifyTwoFactorLogin({
+            twoFactorToken: get().twoFactorToken,
+            ...verification
+          });
+          const { token, refreshToken, user, requiresOnboarding, recoveryCodesRemaining } = response.data;
+          
+          // Store in localStorage
+          localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+          localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+          localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(user));
+          
+          set({
+            token,
+            user,
+            isAuthenticated: true,
+            requiresOnboarding,
+            twoFactorToken: null,
+            isLoading: false,
+            error: null
+          });
+          
+          // Connect to socket
+          socketService.connect();
+          
+          if (verification.recoveryCode && recoveryCodesRemaining <= 2) {
+            toast(`Only ${recoveryCodesRemaining} recovery codes left. Generate new ones in Settings.`, { icon: '⚠️' });
+          }
+          
+          toast.success(`Welcome back, ${user.displayName}!`);
+          return { success: true };
+          
+        } catch (error) {
+          set({ 
+            isLoading: false, 
+            error: error.message || 'Verification failed' 
+          });
+          return { success: false, error: error.message };
+        }
+      },
+
+      cancelTwoFactorLogin: () => {
+        set({ twoFactorToken: null, error: null });
+      },
+
       completeOnboarding: async (onboardingData) => {
         set({ isLoading: true, error: null });
         
@@ -296,6 +362,9 @@ const useAuthStore = create(
           // Disconnect socket
           socketService.disconnect();
           
+          // Sign this device's session out on the server
+          await authAPI.logout().catch(error => console.error('Server logout failed:', error));
+          
           // Clear local storage
           get().clearAuth();
           
@@ -309,6 +378,7 @@ const useAuthStore = create(
 
       clearAuth: () => {
         localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+        localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
         localStorage.removeItem(STORAGE_KEYS.USER_DATA);
         
         set({
@@ -545,13 +615,15 @@ const useAuthStore = create(
       },
 
       // Send phone verification
-      sendPhoneVerification: async (phone) => {
+      sendPhoneVerification: async (phone, channel = 'sms') => {
         set({ isLoading: true, error: null });
         try {
-          await userService.sendPhoneVerification(phone);
+          const { expiresAt, resendAfter } = await userService.sendPhoneVerification(phone, channel);
           set({ isLoading: false });
-          toast.success('Verification code sent to your phone!');
-          return { success: true };
+          toast.success(channel === 'whatsapp'
+            ? 'Verification code sent on WhatsApp!'
+            : 'Verification code sent to your phone!');
+          return { success: true, expiresAt, resendAfter };
         } catch (error) {
           set({ isLoading: false, error: error.message });
           toast.error(error.message || 'Failed to send verification code');
@@ -1,8 +1,37 @@
 import { create } from 'zustand';
-import { chatAPI } from '../services/api';
+import { chatAPI, keysAPI } from '../services/api';
 import socketService from '../services/socket';
 import { SOCKET_EVENTS } from '../config/constants';
 import toast from 'react-hot-toast';
+import useAuthStore from './authStore';
+import {
+  isEncryptionSupported,
+  getDeviceIdentity,
+  markDeviceRegistered,
+  getPublicJwk,
+  encryptMessage,
+  decryptMessage,
+  UNDECRYPTABLE_TEXT
+} from '../utils/e2ee';
+
+const getCurrentUserId = () => useAuthStore.getState().user?._id;
+
+// Replace an encrypted message's ciphertext with the text decrypted on this device
+const decryptForDisplay = async (message) => {
+  if (!message.isEncrypted || message.isExpired) return message;
+
+  const userId = getCurrentUserId();
+  const ciphertext = message.content?.original?.text;
+  const text = userId && isEncryptionSupported()
+    ? await decryptMessage(ciphertext, message.encryption, await getDeviceIdentity(userId))
+    : null;
+
+  return {
+    ...message,
+    content: { ...message.content, text: text ?? UNDECRYPTABLE_TEXT },
+    decryptionFailed: text === null
+  };
+};
 
 const useChatStore = create((set, get) => ({
   // State
@@ -31,7 +60,8 @@ const useChatStore = create((set, get) => ({
       handleVoiceCallIncoming,
       handleVoiceCallAccepted,
       handleVoiceCallDeclined,
-      handleVoiceCallEnded
+      handleVoiceCallEnded,
+      handleVoiceCallAnsweredElsewhere
     } = get();
 
     // Set up socket listeners
@@ -43,13 +73,18 @@ const useChatStore = create((set, get) => ({
     socketService.on(SOCKET_EVENTS.VOICE_CALL_ACCEPTED, handleVoiceCallAccepted);
     socketService.on(SOCKET_EVENTS.VOICE_CALL_DECLINED, handleVoiceCallDeclined);
     socketService.on(SOCKET_EVENTS.VOICE_CALL_ENDED, handleVoiceCallEnded);
+    socketService.on(SOCKET_EVENTS.VOICE_CALL_ANSWERED_ELSEWHERE, handleVoiceCallAnsweredElsewhere);
 
     set({ isConnected: true });
+
+    // Publish this device's public key so it can receive end-to-end encrypted messages
+    get().registerDeviceKey();
   },
 
   // Socket event handlers
-  handleNewMessage: (data) => {
-    const { conversationId, message } = data;
+  handleNewMessage: async (data) => {
+    const { conversationId } = data;
+    const message = await decryptForDisplay(data.message);
     const { messages, conversations, currentConversation } = get();
 
     // Add message to conversation
@@ -59,13 +94,18 @@ const useChatStore = create((set, get) => ({
       [conversationId]: [...conversationMessages, message]
     };
 
+    // Encryption being turned on or off arrives as a system message
+    const encryptionEvent = message.systemData?.type;
+    const encryptionChanged = encryptionEvent === 'encryption_enabled' || encryptionEvent === 'encryption_disabled';
+
     // Update conversation last message
     const updatedConversations = conversations.map(conv =>
       conv._id === conversationId
         ? {
             ...conv,
             lastMessage: message,
-            unreadCount: conv._id === currentConversation?._id ? 0 : (conv.unreadCount || 0) + 1
+            unreadCount: conv._id === currentConversation?._id ? 0 : (conv.unreadCount || 0) + 1,
+            ...(encryptionChanged && { isEncrypted: encryptionEvent === 'encryption_enabled' })
           }
         : conv
     );
@@ -79,7 +119,10 @@ const useChatStore = create((set, get) => ({
     set({
       messages: updatedMessages,
       conversations: updatedConversations,
-      unreadCounts: updatedUnreadCounts
+      unreadCounts: updatedUnreadCounts,
+      ...(encryptionChanged && currentConversation?._id === conversationId && {
+        currentConversation: { ...currentConversation, isEncrypted: encryptionEvent === 'encryption_enabled' }
+      })
     });
   },
 
@@ -215,6 +258,17 @@ const useChatStore = create((set, get) => ({
     }, 2000);
   },
 
+  // Another of our devices picked up or declined the call that is ringing here
+  handleVoiceCallAnsweredElsewhere: (data) => {
+    const { incomingCall } = get();
+    if (incomingCall?.callId !== data.callId) return;
+
+    set({
+      incomingCall: null,
+      callStatus: 'idle'
+    });
+  },
+
   // Actions
   loadConversations: async (page = 1) => {
     set({ isLoading: true, error: null });
@@ -291,7 +345,7 @@ const useChatStore = create((set, get) => ({
 
     try {
       const response = await chatAPI.getMessages(conversationId, { page, limit: 50 });
-      const { messages: newMessages } = response.data;
+      const newMessages = await Promise.all(response.data.messages.map(decryptForDisplay));
 
       const { messages } = get();
       const existingMessages = messages[conversationId] || [];
@@ -318,8 +372,29 @@ const useChatStore = create((set, get) => ({
 
   sendMessage: async (conversationId, messageData) => {
     try {
-      const response = await chatAPI.sendMessage(conversationId, messageData);
-      const { message } = response.data;
+      const conversation = get().conversations.find(conv => conv._id === conversationId) ||
+        get().currentConversation;
+      const encrypted = Boolean(conversation?.isEncrypted);
+
+      // An encrypted conversation never falls back to sending plaintext
+      let payload = messageData;
+      if (encrypted) {
+        try {
+          payload = await get().encryptForConversation(conversationId, messageData);
+        } catch (error) {
+          console.error('Failed to encrypt message:', error);
+          toast.error(error.message);
+          return { success: false, error: error.message };
+        }
+      }
+
+      const response = await chatAPI.sendMessage(conversationId, payload);
+      let { message } = response.data;
+
+      // Show our own plaintext rather than the ciphertext echoed back
+      if (encrypted) {
+        message = { ...message, content: { ...message.content, text: messageData.content?.text } };
+      }
 
       // Add message optimistically (it will be updated via socket)
       const { messages } = get();
@@ -339,6 +414,80 @@ const useChatStore = create((set, get) => ({
     }
   },
 
+  // Encrypt a text message for every device in the conversation, ours included,
+  // so it can be read on the recipient's devices and on our other devices
+  encryptForConversation: async (conversationId, messageData) => {
+    if (!isEncryptionSupported()) {
+      throw new Error('This browser cannot send encrypted messages');
+    }
+
+    const identity = await get().registerDeviceKey();
+    if (!identity) {
+      throw new Error('This device could not set up its encryption key, so the message was not sent');
+    }
+
+    const response = await keysAPI.getConversationDevices(conversationId);
+    const { ciphertext, encryption } = await encryptMessage(
+      messageData.content?.text || '',
+      identity,
+      response.data.devices
+    );
+
+    return {
+      ...messageData,
+      type: 'text',
+      content: { text: ciphertext },
+      isEncrypted: true,
+      encryption
+    };
+  },
+
+  // Register this device's public key once per user; resolves to the device identity
+  registerDeviceKey: async () => {
+    const userId = getCurrentUserId();
+    if (!userId || !isEncryptionSupported()) return null;
+
+    try {
+      const identity = await getDeviceIdentity(userId);
+      if (!identity.registered) {
+        await keysAPI.registerDevice(identity.deviceId, {
+          publicKey: getPublicJwk(identity),
+          name: navigator.userAgent.slice(0, 100)
+        });
+        markDeviceRegistered(userId, identity);
+      }
+      return identity;
+    } catch (error) {
+      console.error('Failed to register encryption key:', error);
+      return null;
+    }
+  },
+
+  setConversationEncryption: async (conversationId, enabled) => {
+    try {
+      if (enabled) {
+        await get().registerDeviceKey();
+      }
+
+      await chatAPI.setEncryption(conversationId, enabled);
+
+      const { conversations, currentConversation } = get();
+      set({
+        conversations: conversations.map(conv =>
+          conv._id === conversationId ? { ...conv, isEncrypted: enabled } : conv
+        ),
+        currentConversation: currentConversation?._id === conversationId
+          ? { ...currentConversation, isEncrypted: enabled }
+          : currentConversation
+      });
+
+      return { success: true };
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change encryption');
+      return { success: false, error: error.message };
+    }
+  },
+
   sendVoiceMessage: async (conversationId, audioFile, language = 'auto') => {
     try {
       const response = await chatAPI.sendVoiceMessage(audioFile, {
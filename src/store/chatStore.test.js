@@ -0,0 +1,46 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import toast from 'react-hot-toast';
+import { chatAPI } from '../services/api';
+import { getDeviceIdentity, encryptMessage } from '../utils/e2ee';
+import useChatStore from './chatStore';
+
+vi.mock('../services/api', () => ({
+  chatAPI: { sendMessage: vi.fn() },
+  keysAPI: { getConversationDevices: vi.fn(), registerDevice: vi.fn() }
+}));
+vi.mock('../services/socket', () => ({ default: { on: vi.fn(), off: vi.fn(), emit: vi.fn() } }));
+vi.mock('./authStore', () => ({ default: { getState: () => ({ user: { _id: 'user-1' } }) } }));
+vi.mock('react-hot-toast', () => ({ default: { error: vi.fn(), success: vi.fn() } }));
+vi.mock('../utils/e2ee', async (importOriginal) => ({
+  ...await importOriginal(),
+  isEncryptionSupported: () => true,
+  getDeviceIdentity: vi.fn(),
+  encryptMessage: vi.fn()
+}));
+
+const KEY_ERROR = 'This device could not set up its encryption key, so the message was not sent';
+
+describe('sending in an encrypted conversation', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    // No IndexedDB or key storage on this device
+    getDeviceIdentity.mockRejectedValue(new Error('indexedDB is not defined'));
+    useChatStore.setState({ conversations: [{ _id: 'conversation-1', isEncrypted: true }], messages: {} });
+  });
+
+  it('refuses to encrypt without a device key', async () => {
+    await expect(useChatStore.getState().encryptForConversation('conversation-1', { content: { text: 'hi' } }))
+      .rejects.toThrow(KEY_ERROR);
+    expect(encryptMessage).not.toHaveBeenCalled();
+  });
+
+  it('tells the user why the message was not sent and never sends it as plaintext', async () => {
+    const result = await useChatStore.getState().sendMessage('conversation-1', { type: 'text', content: { text: 'hi' } });
+
+    expect(result).toEqual({ success: false, error: KEY_ERROR });
+    expect(toast.error).toHaveBeenCalledWith(KEY_ERROR);
+    expect(chatAPI.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -14,11 +14,12 @@ const usePostsStore = create((set, get) => ({
   isLoadingMore: false,
   hasMorePosts: true,
   currentPage: 1,
+  feedCursor: null,
   feedType: 'all', // 'all', 'community', 'friends', 'products'
   selectedFilters: {
     location: '',
     categories: [],
-    sortBy: 'newest'
+    sortBy: 'ranked' // 'ranked' or 'newest'
   },
   
   // Post creation state
@@ -107,21 +108,26 @@ const usePostsStore = create((set, get) => ({
 
   // Feed actions
   loadFeed: async (refresh = false) => {
-    const { feedType, selectedFilters, currentPage } = get();
+    const { feedType, selectedFilters, currentPage, feedCursor } = get();
     
     if (refresh) {
-      set({ isLoading: true, currentPage: 1, hasMorePosts: true });
+      set({ isLoading: true, currentPage: 1, feedCursor: null, hasMorePosts: true });
     } else {
       set({ isLoadingMore: true });
     }
     
     try {
+      // Product listings are paged by number, the other feeds by the cursor of the previous page
       const params = {
         type: feedType,
-        page: refresh ? 1 : currentPage,
         limit: 20,
         ...selectedFilters
       };
+      if (feedType === 'products') {
+        params.page = refresh ? 1 : currentPage;
+      } else if (!refresh && feedCursor) {
+        params.cursor = feedCursor;
+      }
       
       const response = await postsAPI.getFeed(params);
       const { posts, pagination } = response.data;
@@ -134,7 +140,8 @@ const usePostsStore = create((set, get) => ({
         isLoading: false,
         isLoadingMore: false,
         currentPage: pagination?.currentPage || 1,
-        hasMorePosts: posts.length === 20,
+        feedCursor: pagination?.nextCursor || null,
+        hasMorePosts: pagination ? Boolean(pagination.hasMore) : posts.length === 20,
         error: null
       });
       
@@ -474,6 +481,7 @@ const usePostsStore = create((set, get) => ({
       searchResults: [],
       searchQuery: '',
       currentPage: 1,
+      feedCursor: null,
       hasMorePosts: true,
       error: null
     });
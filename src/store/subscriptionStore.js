@@ -82,6 +82,22 @@ const useSubscriptionStore = create(
         }
       },
 
+      // Create payment order for checkout
+      createPaymentOrder: async (subscriptionId) => {
+        set({ isLoading: true, error: null });
+        try {
+          const data = await subscriptionService.createPaymentOrder(subscriptionId);
+          set({ isLoading: false });
+          return data;
+        } catch (error) {
+          set({
+            error: error.response?.data?.message || 'Failed to start payment',
+            isLoading: false
+          });
+          throw error;
+        }
+      },
+
       // Process payment
       processPayment: async (subscriptionId, paymentData) => {
         set({ isLoading: true, error: null });
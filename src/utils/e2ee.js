@@ -0,0 +1,148 @@
+import { STORAGE_KEYS } from '../config/constants';
+
+// End-to-end encryption for direct messages.
+// Each device holds an ECDH P-256 key pair; only the public half is published to the key directory.
+// A message is encrypted with a fresh AES-GCM key, which is wrapped (AES-KW) for every recipient
+// device with the key both sides derive from ECDH(sender device, recipient device).
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+export const ENCRYPTION_ALGORITHM = 'ECDH-P256+AES-GCM';
+
+// Shown wherever a message could not be decrypted on this device
+export const UNDECRYPTABLE_TEXT = '🔒 This message was encrypted for another device';
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const storageKey = (userId) => `${STORAGE_KEYS.E2EE_DEVICE}_${userId}`;
+
+export const isEncryptionSupported = () => Boolean(window.crypto?.subtle);
+
+// This device's key pair for a user, created on first use.
+// The private key is kept in this browser only; clearing site data makes old messages unreadable here.
+export const getDeviceIdentity = async (userId) => {
+  const stored = localStorage.getItem(storageKey(userId));
+  if (stored) {
+    return JSON.parse(stored);
+  }
+
+  const keyPair = await crypto.subtle.generateKey(ECDH, true, ['deriveKey']);
+  const identity = {
+    deviceId: crypto.randomUUID().replace(/-/g, ''),
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+    registered: false
+  };
+
+  localStorage.setItem(storageKey(userId), JSON.stringify(identity));
+  return identity;
+};
+
+export const markDeviceRegistered = (userId, identity) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify({ ...identity, registered: true }));
+};
+
+// Public part of the JWK, as sent to the key directory
+export const getPublicJwk = ({ publicKey }) => ({
+  kty: publicKey.kty,
+  crv: publicKey.crv,
+  x: publicKey.x,
+  y: publicKey.y
+});
+
+const importPublicKey = (jwk) => crypto.subtle.importKey('jwk', jwk, ECDH, false, []);
+
+const importPrivateKey = (jwk) => crypto.subtle.importKey('jwk', jwk, ECDH, false, ['deriveKey']);
+
+const deriveWrappingKey = (privateKey, publicKey) => crypto.subtle.deriveKey(
+  { name: 'ECDH', public: publicKey },
+  privateKey,
+  { name: 'AES-KW', length: 256 },
+  false,
+  ['wrapKey', 'unwrapKey']
+);
+
+// Encrypt text for a list of directory devices ({ user, deviceId, publicKey }).
+// Resolves to the base64 ciphertext and the envelope the server stores next to it.
+export const encryptMessage = async (text, identity, devices) => {
+  const messageKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    messageKey,
+    new TextEncoder().encode(text)
+  );
+
+  const privateKey = await importPrivateKey(identity.privateKey);
+  const keys = await Promise.all(devices.map(async (device) => {
+    const wrappingKey = await deriveWrappingKey(privateKey, await importPublicKey(device.publicKey));
+    const wrappedKey = await crypto.subtle.wrapKey('raw', messageKey, wrappingKey, 'AES-KW');
+    return { user: device.user, deviceId: device.deviceId, wrappedKey: toBase64(wrappedKey) };
+  }));
+
+  return {
+    ciphertext: toBase64(ciphertext),
+    encryption: {
+      algorithm: ENCRYPTION_ALGORITHM,
+      senderDevice: identity.deviceId,
+      iv: toBase64(iv),
+      keys
+    }
+  };
+};
+
+// Decrypt a message on this device. Resolves to null when it wasn't encrypted for this device.
+export const decryptMessage = async (ciphertext, encryption, identity) => {
+  const entry = encryption?.keys?.find(key => key.deviceId === identity.deviceId);
+  if (!entry || !encryption.senderKey) return null;
+
+  try {
+    const wrappingKey = await deriveWrappingKey(
+      await importPrivateKey(identity.privateKey),
+      await importPublicKey(encryption.senderKey)
+    );
+    const messageKey = await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(entry.wrappedKey),
+      wrappingKey,
+      'AES-KW',
+      { name: 'AES-GCM' },
+      false,
+      ['decrypt']
+    );
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(encryption.iv) },
+      messageKey,
+      fromBase64(ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    console.error('Failed to decrypt message:', error);
+    return null;
+  }
+};
+
+export default {
+  ENCRYPTION_ALGORITHM,
+  UNDECRYPTABLE_TEXT,
+  isEncryptionSupported,
+  getDeviceIdentity,
+  markDeviceRegistered,
+  getPublicJwk,
+  encryptMessage,
+  decryptMessage
+};
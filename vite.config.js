@@ -71,5 +71,9 @@ export default defineConfig({
     alias: {
       '@': '/src'
     }
+  },
+  test: {
+    // The backend has its own Jest suite
+    include: ['src/**/*.test.{js,jsx}']
   }
 });